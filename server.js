@@ -1,7 +1,8 @@
 require("dotenv").config();
 const app = require("./src/app");
 const { testConnection: testDbConnection } = require("./src/config/database");
-const { testConnection: testOpenAIConnection } = require("./src/config/openai");
+const { testConnection: testLlmConnection } = require("./src/config/llm");
+const { markInterruptedJobs } = require("./src/services/job.service");
 
 const PORT = process.env.PORT || 3000;
 
@@ -25,13 +26,22 @@ async function startServer() {
       process.exit(1);
     }
 
-    // Verificar conexión a OpenAI API
-    console.log("\nChecking OpenAI API connection...");
-    const openAIConnected = await testOpenAIConnection();
+    // Marcar jobs que quedaron a medias en una ejecución anterior
+    const interruptedJobs = await markInterruptedJobs();
 
-    if (!openAIConnected) {
+    if (interruptedJobs > 0) {
       console.warn(
-        "\n⚠ Warning: Failed to connect to OpenAI API. AI mapping features will not work."
+        `⚠ ${interruptedJobs} migration jobs were interrupted by a previous shutdown (resume them with POST /migrations/jobs/:id/resume)`
+      );
+    }
+
+    // Verificar conexión con el proveedor de LLM
+    console.log("\nChecking LLM provider connection...");
+    const llmConnected = await testLlmConnection();
+
+    if (!llmConnected) {
+      console.warn(
+        "\n⚠ Warning: Failed to connect to the LLM provider. AI mapping features will not work."
       );
     }
 
@@ -51,6 +61,19 @@ async function startServer() {
       console.log("  POST /migrations/koibox/recibos");
       console.log("  POST /migrations/koibox/encuestas");
       console.log("  POST /migrations/koibox/presupuestos");
+      console.log("  POST /migrations/koibox/saldos");
+      console.log("  POST /migrations/koibox/bonos");
+      console.log("  POST /migrations/koibox/clinic");
+      console.log("  GET  /migrations/jobs?id_clinica=");
+      console.log("  GET  /migrations/jobs/:id");
+      console.log("  POST /migrations/jobs/:id/resume");
+      console.log("  POST /migrations/jobs/:id/cancel");
+      console.log("  POST /migrations/runs/:id/rollback");
+      console.log("  GET  /migrations/runs/:id/dead-letters");
+      console.log("  GET  /migrations/mappings/:type?id_clinica=");
+      console.log("  PATCH /migrations/mappings/:type");
+      console.log("  POST /migrations/mappings/:type/approve");
+      console.log("  GET  /migrations/ai-usage?id_clinica=");
       console.log("\n========================================\n");
     });
   } catch (error) {
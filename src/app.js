@@ -5,6 +5,10 @@ const morgan = require('morgan');
 const { errorHandler, notFoundHandler } = require('./middlewares/error.middleware');
 
 // Importar rutas de migraciones
+const jobsRoutes = require('./migrations/jobs');
+const runsRoutes = require('./migrations/runs');
+const mappingsRoutes = require('./migrations/mappings');
+const aiUsageRoutes = require('./migrations/ai-usage');
 const koiboxRoutes = require('./migrations/koibox');
 
 const app = express();
@@ -51,6 +55,18 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Consulta de jobs de migración
+app.use('/migrations/jobs', jobsRoutes);
+
+// Rollback de ejecuciones de migración
+app.use('/migrations/runs', runsRoutes);
+
+// Revisión de mapeos guardados
+app.use('/migrations/mappings', mappingsRoutes);
+
+// Consumo de tokens y coste de la IA
+app.use('/migrations/ai-usage', aiUsageRoutes);
+
 // Rutas de migraciones por plataforma
 app.use('/migrations/koibox', koiboxRoutes);
 
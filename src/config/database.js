@@ -65,6 +65,68 @@ async function transaction(callback) {
   }
 }
 
+// Tablas internas ya verificadas durante la sesión
+const ensuredTables = new Set();
+
+/**
+ * Crea una tabla interna del sistema de migraciones si no existe
+ * Solo ejecuta el DDL la primera vez que se solicita en el proceso
+ * @param {string} tableName - Nombre de la tabla
+ * @param {string} ddl - Sentencia CREATE TABLE IF NOT EXISTS
+ * @returns {Promise<void>}
+ */
+async function ensureTable(tableName, ddl) {
+  if (ensuredTables.has(tableName)) {
+    return;
+  }
+
+  await query(ddl);
+  ensuredTables.add(tableName);
+}
+
+/**
+ * Indica qué tablas del esquema de destino no existen en la BD
+ * Las tablas de ClinicSay no se crean desde las migraciones: deben existir de antemano
+ * @param {Array} tableNames - Nombres de las tablas
+ * @returns {Promise<Array>} - Nombres de las tablas que faltan
+ */
+async function findMissingTables(tableNames) {
+  const rows = await query(
+    `SELECT TABLE_NAME FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE()
+     AND TABLE_NAME IN (${tableNames.map(() => '?').join(', ')})`,
+    tableNames
+  );
+  const existing = new Set(rows.map((row) => row.TABLE_NAME));
+
+  return tableNames.filter((tableName) => !existing.has(tableName));
+}
+
+// Claves primarias ya consultadas: tabla -> columna
+const primaryKeys = new Map();
+
+/**
+ * Obtiene la columna de clave primaria de una tabla
+ * @param {string} tableName - Nombre de la tabla
+ * @returns {Promise<string>} - Nombre de la columna
+ */
+async function getPrimaryKey(tableName) {
+  if (primaryKeys.has(tableName)) {
+    return primaryKeys.get(tableName);
+  }
+
+  const keys = await query(
+    `SHOW KEYS FROM ${tableName} WHERE Key_name = 'PRIMARY'`
+  );
+
+  if (keys.length !== 1) {
+    throw new Error(`Table ${tableName} must have a single-column primary key`);
+  }
+
+  primaryKeys.set(tableName, keys[0].Column_name);
+  return keys[0].Column_name;
+}
+
 /**
  * Verifica la conexión a la base de datos
  * @returns {Promise<boolean>}
@@ -86,5 +148,8 @@ module.exports = {
   query,
   getConnection,
   transaction,
+  ensureTable,
+  findMissingTables,
+  getPrimaryKey,
   testConnection
 };
@@ -0,0 +1,158 @@
+const OpenAI = require('openai');
+require('dotenv').config();
+
+// Proveedores de LLM disponibles (LLM_PROVIDER)
+const LLM_PROVIDERS = {
+  OPENAI: 'openai',
+  LOCAL: 'local',
+  RULES: 'rules'
+};
+
+const DEFAULT_MODEL = 'gpt-5';
+
+/**
+ * Crea un proveedor sobre la API de chat completions de OpenAI o de un servidor compatible
+ * (Ollama, LM Studio, vLLM, llama.cpp...)
+ * @param {string} name - Nombre del proveedor
+ * @param {Object} clientOptions - Opciones del cliente OpenAI (apiKey, baseURL)
+ * @param {string} model - Modelo a usar
+ * @returns {Object} - Proveedor { name, model, complete, testConnection }
+ */
+function createOpenAICompatibleProvider(name, clientOptions, model) {
+  const client = new OpenAI(clientOptions);
+
+  return {
+    name,
+    model,
+
+    /**
+     * Envía un prompt de sistema y de usuario y devuelve el texto de la respuesta y los tokens usados
+     * @param {Object} prompt - { system, user }
+     * @returns {Promise<Object>} - { content, usage: { promptTokens, completionTokens } }
+     */
+    async complete({ system, user }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ]
+      });
+
+      return {
+        content: response.choices[0].message.content.trim(),
+        usage: {
+          promptTokens: response.usage?.prompt_tokens || 0,
+          completionTokens: response.usage?.completion_tokens || 0
+        }
+      };
+    },
+
+    async testConnection() {
+      await client.models.list();
+    }
+  };
+}
+
+/**
+ * Proveedor sin modelo: no hace llamadas de red y solo se aplican reglas deterministas
+ * @returns {Object} - Proveedor { name, model, complete: null, testConnection }
+ */
+function createRulesProvider() {
+  return {
+    name: LLM_PROVIDERS.RULES,
+    model: null,
+    complete: null,
+    async testConnection() {}
+  };
+}
+
+/**
+ * Crea el proveedor configurado en las variables de entorno
+ * - openai (default): API de OpenAI con OPENAI_API_KEY
+ * - local: servidor compatible con OpenAI en LLM_BASE_URL (LLM_API_KEY opcional)
+ * - rules: sin LLM, solo reglas deterministas (entornos sin internet)
+ * @returns {Object} - Proveedor
+ */
+function createProviderFromEnv() {
+  const name = (process.env.LLM_PROVIDER || LLM_PROVIDERS.OPENAI).toLowerCase();
+  const model = process.env.LLM_MODEL || DEFAULT_MODEL;
+
+  switch (name) {
+    case LLM_PROVIDERS.OPENAI:
+      return createOpenAICompatibleProvider(
+        name,
+        { apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY },
+        model
+      );
+    case LLM_PROVIDERS.LOCAL:
+      if (!process.env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required when LLM_PROVIDER=local');
+      }
+      return createOpenAICompatibleProvider(
+        name,
+        {
+          apiKey: process.env.LLM_API_KEY || 'local',
+          baseURL: process.env.LLM_BASE_URL
+        },
+        model
+      );
+    case LLM_PROVIDERS.RULES:
+      return createRulesProvider();
+    default:
+      throw new Error(
+        `Unknown LLM_PROVIDER '${name}', expected one of: ${Object.values(LLM_PROVIDERS).join(', ')}`
+      );
+  }
+}
+
+let provider = createProviderFromEnv();
+
+/**
+ * Devuelve el proveedor de LLM activo
+ * @returns {Object}
+ */
+function getProvider() {
+  return provider;
+}
+
+/**
+ * Sustituye el proveedor activo (ej: un proveedor falso en tests)
+ * Debe implementar complete({ system, user }) => Promise<{ content, usage }> (o Promise<string> si no
+ * informa de tokens), o complete: null para no usar LLM
+ * @param {Object|null} customProvider - Proveedor a usar; null restaura el de las variables de entorno
+ */
+function setProvider(customProvider) {
+  provider = customProvider || createProviderFromEnv();
+}
+
+/**
+ * Indica si el proveedor activo puede generar respuestas (false con el proveedor 'rules')
+ * @returns {boolean}
+ */
+function isCompletionAvailable() {
+  return typeof provider.complete === 'function';
+}
+
+/**
+ * Verifica la conexión con el proveedor de LLM
+ * @returns {Promise<boolean>}
+ */
+async function testConnection() {
+  try {
+    await provider.testConnection();
+    console.log(`✓ LLM provider '${provider.name}' ready${provider.model ? ` (model ${provider.model})` : ''}`);
+    return true;
+  } catch (error) {
+    console.error(`✗ LLM provider '${provider.name}' connection failed:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  getProvider,
+  setProvider,
+  isCompletionAvailable,
+  testConnection
+};
@@ -0,0 +1,63 @@
+const express = require("express");
+const { getAiUsageReport } = require("../services/ai-usage.service");
+const { validateBearerToken } = require("../middlewares/auth.middleware");
+
+const router = express.Router();
+
+// Filtros numéricos admitidos en la query
+const NUMERIC_FILTERS = ["id_clinica", "id_super_clinica", "runId"];
+
+/**
+ * GET /migrations/ai-usage?id_clinica=&id_super_clinica=&runId=&from=&to=
+ * Informe de tokens, latencia y coste estimado de las llamadas a la IA,
+ * total y agrupado por clínica, por ejecución (job) y por modelo
+ */
+router.get("/", validateBearerToken, async (req, res, next) => {
+  try {
+    const filters = {};
+
+    for (const name of NUMERIC_FILTERS) {
+      if (req.query[name] === undefined) {
+        continue;
+      }
+
+      filters[name] = Number(req.query[name]);
+
+      if (!Number.isInteger(filters[name])) {
+        return res.status(400).json({
+          success: false,
+          error: "INVALID_FILTER",
+          message: `${name} must be an integer`,
+        });
+      }
+    }
+
+    for (const name of ["from", "to"]) {
+      if (req.query[name] === undefined) {
+        continue;
+      }
+
+      filters[name] = new Date(req.query[name]);
+
+      if (Number.isNaN(filters[name].getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: "INVALID_FILTER",
+          message: `${name} must be a valid date`,
+        });
+      }
+    }
+
+    const report = await getAiUsageReport(filters);
+
+    return res.json({
+      success: true,
+      filters,
+      ...report,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
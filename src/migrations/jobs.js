@@ -0,0 +1,132 @@
+const express = require("express");
+const {
+  getJob,
+  listJobs,
+  cancelJob,
+  resumeJob,
+} = require("../services/job.service");
+const { validateBearerToken } = require("../middlewares/auth.middleware");
+
+const router = express.Router();
+
+/**
+ * GET /migrations/jobs
+ * Lista los jobs de migración, filtrables por id_clinica e id_super_clinica
+ */
+router.get("/", validateBearerToken, async (req, res, next) => {
+  try {
+    const id_clinica = req.query.id_clinica
+      ? Number(req.query.id_clinica)
+      : null;
+    const id_super_clinica = req.query.id_super_clinica
+      ? Number(req.query.id_super_clinica)
+      : null;
+
+    if (Number.isNaN(id_clinica) || Number.isNaN(id_super_clinica)) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_CLINIC_DATA_TYPE",
+        message: "id_clinica and id_super_clinica must be numbers",
+      });
+    }
+
+    const jobs = await listJobs({ id_clinica, id_super_clinica });
+
+    return res.json({
+      success: true,
+      count: jobs.length,
+      jobs,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /migrations/jobs/:id
+ * Devuelve el estado, progreso y resultado de un job de migración
+ */
+router.get("/:id", validateBearerToken, async (req, res, next) => {
+  try {
+    const job = await getJob(Number(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "JOB_NOT_FOUND",
+        message: `Migration job ${req.params.id} not found`,
+      });
+    }
+
+    return res.json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /migrations/jobs/:id/resume
+ * Reanuda un job fallido, cancelado o interrumpido desde su último checkpoint
+ * Requiere de nuevo el Bearer token de la plataforma (no se persiste)
+ */
+router.post("/:id/resume", validateBearerToken, async (req, res, next) => {
+  try {
+    const job = await getJob(Number(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "JOB_NOT_FOUND",
+        message: `Migration job ${req.params.id} not found`,
+      });
+    }
+
+    const result = resumeJob(job, req.bearerToken);
+
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    return res.status(202).json({
+      success: true,
+      message: "Migration job resumed",
+      job: {
+        id: job.id,
+        platform: job.platform,
+        entity: job.entity,
+        checkpoint: job.checkpoint,
+      },
+      statusUrl: `/migrations/jobs/${job.id}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /migrations/jobs/:id/cancel
+ * Solicita la cancelación de un job en ejecución
+ * Se detiene al terminar la página/lote en curso y puede reanudarse después
+ */
+router.post("/:id/cancel", validateBearerToken, (req, res) => {
+  const jobId = Number(req.params.id);
+
+  if (!cancelJob(jobId)) {
+    return res.status(409).json({
+      success: false,
+      error: "JOB_NOT_RUNNING",
+      message: `Migration job ${req.params.id} is not running in this server`,
+    });
+  }
+
+  return res.status(202).json({
+    success: true,
+    message: "Cancellation requested",
+    statusUrl: `/migrations/jobs/${jobId}`,
+  });
+});
+
+module.exports = router;
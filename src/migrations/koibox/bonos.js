@@ -0,0 +1,576 @@
+const express = require("express");
+const {
+  createApiClient,
+  getAllPaginated,
+  processPaginatedInBatches,
+} = require("../../utils/api-client");
+const { query, transaction } = require("../../config/database");
+const { processBatches } = require("../../services/batch.service");
+const {
+  PACK_TYPES_TABLE,
+  PACKS_TABLE,
+  PACK_TYPE_UPDATE_COLUMNS,
+  PACK_UPDATE_COLUMNS,
+  checkBonosTables,
+  getConsumedAppointmentIds,
+  getBonoSessions,
+  getBonoExpiry,
+} = require("../../services/bonos.service");
+const { toDateTime } = require("../../services/sale-movements.service");
+const { trackUpdatedRows } = require("../../services/migration-run.service");
+const {
+  validateBearerToken,
+  validateClinicData,
+} = require("../../middlewares/auth.middleware");
+const {
+  migrationResult,
+  migrationJobHandler,
+} = require("../../services/job.service");
+const {
+  resolveSyncWindow,
+  isChangedSince,
+  buildSinceParams,
+} = require("../../services/sync.service");
+
+const router = express.Router();
+
+/**
+ * Migra los bonos/packs de sesiones de Koibox: las definiciones del catálogo
+ * (tipos_pack_bono), los bonos comprados por cada paciente con sus sesiones
+ * (packs_bonos) y el vínculo de las citas migradas que consumieron cada bono
+ * (citas.id_pack_bono / es_pack_bono)
+ * @param {Object} context - Contexto de la migración (clinic, defaultValues, options, bearerToken, job)
+ * @returns {Promise<Object>} - Resultado { status, body } de la migración
+ */
+async function migrateBonos(context) {
+  try {
+    const { clinic, bearerToken, job, dryRunReport } = context;
+
+    // Ventana de sincronización: full (todo) o incremental (solo los bonos
+    // modificados desde la última ejecución correcta) y estrategia ante filas ya migradas
+    const syncWindow = await resolveSyncWindow(context, "koibox", "bonos");
+
+    if (!syncWindow.success) {
+      return migrationResult(400, syncWindow);
+    }
+
+    // Opciones comunes a todas las inserciones por lotes: las filas quedan asociadas
+    // al job para poder hacer rollback (en dry-run no se escribe en la BD)
+    const batchOptions = {
+      dryRunReport,
+      runId: job.id,
+      onConflict: syncWindow.onConflict,
+    };
+
+    console.log("\n========================================");
+    console.log("Starting Koibox Bonos Migration");
+    console.log("========================================");
+    console.log("Clinic ID:", clinic.id_clinica);
+    console.log("Super Clinic ID:", clinic.id_super_clinica);
+    console.log(
+      "Sync mode:",
+      syncWindow.incremental
+        ? `incremental (since ${syncWindow.since.toISOString()})`
+        : "full",
+      `(on conflict: ${syncWindow.onConflict})`
+    );
+    console.log("========================================\n");
+
+    // Crear cliente API de Koibox
+    const koiboxClient = createApiClient(process.env.KOIBOX_API, {
+      Authorization: `Bearer ${bearerToken}`,
+    });
+
+    // Las tablas de bonos deben existir en el esquema de destino (también en dry-run)
+    const tablesError = await checkBonosTables();
+
+    if (tablesError) {
+      return migrationResult(500, tablesError);
+    }
+
+    // ==========================================
+    // PASO 1: Mapear Pacientes (mapeo directo desde BD)
+    // ==========================================
+    console.log("\n→ Step 1: Loading patients from database...");
+
+    const dbPatients = await query(
+      "SELECT id_paciente, old_id FROM pacientes WHERE id_clinica = ? AND id_super_clinica = ?",
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
+
+    // Crear mapeo directo old_id -> id_paciente
+    const patientMapping = {};
+    dbPatients.forEach((patient) => {
+      if (patient.old_id) {
+        patientMapping[patient.old_id.toString()] = patient.id_paciente;
+      }
+    });
+
+    console.log(`✓ Loaded ${dbPatients.length} patients for direct mapping`);
+
+    // ==========================================
+    // PASO 2: Migrar definiciones de bonos (catálogo)
+    // ==========================================
+    console.log("\n→ Step 2: Fetching and migrating bono definitions...");
+
+    const allPackTypesResponse = await getAllPaginated(
+      koiboxClient,
+      "/configuraciones/bonos/",
+      100
+    );
+
+    if (!allPackTypesResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "FETCH_BONO_TYPES_ERROR",
+        message: "Failed to fetch bono definitions from Koibox",
+        details: allPackTypesResponse.error,
+      });
+    }
+
+    // Filtrar definiciones por centro (sin centros, el bono es de todos los centros)
+    const apiPackTypes = allPackTypesResponse.data.filter(
+      (packType) =>
+        !packType.centros || packType.centros.includes(clinic.centro)
+    );
+
+    // Definiciones de Koibox por ID: dan sesiones y validez a los bonos comprados
+    const apiPackTypesById = {};
+    apiPackTypes.forEach((packType) => {
+      apiPackTypesById[packType.id.toString()] = packType;
+    });
+
+    console.log(
+      `✓ Filtered ${apiPackTypes.length}/${allPackTypesResponse.data.length} bono definitions for centro ${clinic.centro}`
+    );
+
+    const packTypeRows = apiPackTypes
+      .filter((packType) => isChangedSince(packType, syncWindow))
+      .map((packType) => ({
+        nombre: packType.nombre || `Bono ${packType.id}`,
+        descripcion: packType.descripcion || packType.detalle || null,
+        sesiones: packType.sesiones ?? null,
+        precio: packType.precio ?? null,
+        dias_validez: packType.dias_validez ?? packType.validez ?? null,
+        id_estado_registro: packType.is_active === false ? 2 : 1,
+        id_clinica: clinic.id_clinica,
+        id_super_clinica: clinic.id_super_clinica,
+        old_id: packType.id,
+      }));
+
+    const packTypeStats = await processBatches(
+      PACK_TYPES_TABLE,
+      packTypeRows,
+      100,
+      { ...batchOptions, updateColumns: PACK_TYPE_UPDATE_COLUMNS }
+    );
+
+    console.log(
+      `✓ Bono definitions: ${packTypeStats.insertedRecords} inserted, ${packTypeStats.updatedRecords} updated, ${packTypeStats.skippedRecords} skipped`
+    );
+
+    // Crear mapeo old_id -> id_tipo_pack_bono (recién insertadas + existentes)
+    const packTypeMapping = {};
+    const dbPackTypes = await query(
+      `SELECT id_tipo_pack_bono, old_id FROM ${PACK_TYPES_TABLE} WHERE id_clinica = ? AND id_super_clinica = ?`,
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
+
+    dbPackTypes.forEach((packType) => {
+      if (packType.old_id) {
+        packTypeMapping[packType.old_id.toString()] =
+          packType.id_tipo_pack_bono;
+      }
+    });
+
+    // En dry-run las definiciones nuevas no existen en la BD: usar ids simulados
+    if (dryRunReport) {
+      dryRunReport.fillSimulatedIds(
+        PACK_TYPES_TABLE,
+        packTypeMapping,
+        apiPackTypes.map((packType) => packType.id.toString())
+      );
+    }
+
+    // ==========================================
+    // PASO 3: Migrar bonos comprados y vincular sus citas (streaming)
+    // ==========================================
+    console.log(
+      "\n→ Step 3: Fetching purchased bonos and linking appointments..."
+    );
+
+    // Estadísticas globales (se restauran del checkpoint al reanudar un job)
+    const globalStats = job.checkpoint?.stats || {
+      totalBonos: 0,
+      totalBatches: 0,
+      successfulBatches: 0,
+      failedBatches: 0,
+      insertedBonos: 0,
+      updatedBonos: 0,
+      skippedBonos: 0,
+      linkedCitas: 0,
+      failedAppointmentLinks: 0,
+      sessions: { total: 0, consumed: 0, remaining: 0 },
+      errors: [],
+      warnings: {
+        missingPatients: 0,
+        missingBonoTypes: 0,
+        missingAppointments: 0,
+      },
+    };
+
+    const processingResult = await processPaginatedInBatches(
+      koiboxClient,
+      "/clientes/bonos/",
+      async (bonos, currentPage, totalPages) => {
+        console.log(
+          `\n→ Processing batch ${currentPage + 1}/${totalPages} (${
+            bonos.length
+          } bonos)...`
+        );
+
+        // Filtrar bonos por centro (y por fecha de modificación en modo incremental)
+        const centroBonos = bonos.filter(
+          (bono) =>
+            (!bono.centro || bono.centro === clinic.centro) &&
+            isChangedSince(bono, syncWindow)
+        );
+
+        // Transformar bonos de esta página (solo los de pacientes migrados)
+        const transformedBonos = [];
+
+        centroBonos.forEach((bono) => {
+          const clienteId = bono.cliente?.value ?? bono.cliente;
+          const idPaciente = clienteId
+            ? patientMapping[clienteId.toString()]
+            : null;
+
+          if (!idPaciente) {
+            globalStats.warnings.missingPatients++;
+            dryRunReport?.addMissingMappings("patient", clienteId);
+            console.warn(
+              `⚠ Warning: Patient not found for bono ${bono.id} (patient ID: ${clienteId}), skipping...`
+            );
+            return;
+          }
+
+          const packTypeId = bono.bono?.value ?? bono.bono ?? null;
+          const packType = packTypeId
+            ? apiPackTypesById[packTypeId.toString()] || null
+            : null;
+          const idTipoPackBono = packTypeId
+            ? packTypeMapping[packTypeId.toString()] || null
+            : null;
+
+          if (packTypeId && !idTipoPackBono) {
+            globalStats.warnings.missingBonoTypes++;
+            dryRunReport?.addMissingMappings("bono_type", packTypeId);
+            console.warn(
+              `⚠ Warning: No bono definition found for bono ${bono.id} (definition ID: ${packTypeId})`
+            );
+          }
+
+          const sessions = getBonoSessions(bono, packType);
+          const fechaCompra = toDateTime(
+            bono.fecha_compra || bono.fecha || bono.created || null
+          );
+
+          globalStats.sessions.total += sessions.total;
+          globalStats.sessions.consumed += sessions.consumed;
+          globalStats.sessions.remaining += sessions.remaining;
+
+          transformedBonos.push({
+            id_tipo_pack_bono: idTipoPackBono,
+            id_paciente: idPaciente,
+            nombre:
+              bono.nombre || bono.bono?.text || packType?.nombre || null,
+            sesiones_totales: sessions.total,
+            sesiones_consumidas: sessions.consumed,
+            sesiones_restantes: sessions.remaining,
+            fecha_compra: fechaCompra,
+            fecha_caducidad: getBonoExpiry(bono, packType, fechaCompra),
+            id_clinica: clinic.id_clinica,
+            id_super_clinica: clinic.id_super_clinica,
+            old_id: bono.id,
+            _citas: getConsumedAppointmentIds(bono),
+          });
+        });
+
+        if (transformedBonos.length === 0) {
+          console.log(
+            `⊗ Skipping batch ${currentPage + 1}: no bonos of migrated patients`
+          );
+          return;
+        }
+
+        globalStats.totalBonos += transformedBonos.length;
+
+        console.log(`→ Inserting ${transformedBonos.length} bonos...`);
+
+        const batchStats = await processBatches(
+          PACKS_TABLE,
+          transformedBonos.map(({ _citas, ...row }) => row),
+          100,
+          { ...batchOptions, updateColumns: PACK_UPDATE_COLUMNS }
+        );
+
+        globalStats.totalBatches += batchStats.totalBatches;
+        globalStats.successfulBatches += batchStats.successfulBatches;
+        globalStats.failedBatches += batchStats.failedBatches;
+        globalStats.insertedBonos += batchStats.insertedRecords;
+        globalStats.updatedBonos += batchStats.updatedRecords;
+        globalStats.skippedBonos += batchStats.skippedRecords;
+        globalStats.errors.push(...batchStats.errors);
+
+        // Obtener IDs de bonos (recién insertados + existentes)
+        const allOldIds = transformedBonos.map((bono) => bono.old_id);
+        const insertedBonos = await query(
+          `SELECT id_pack_bono, old_id FROM ${PACKS_TABLE}
+           WHERE old_id IN (${allOldIds.map(() => "?").join(",")})
+           AND id_clinica = ?
+           AND id_super_clinica = ?`,
+          [...allOldIds, clinic.id_clinica, clinic.id_super_clinica]
+        );
+
+        // Crear mapeo old_id -> id_pack_bono
+        const packIdMapping = {};
+        insertedBonos.forEach((bono) => {
+          packIdMapping[bono.old_id] = bono.id_pack_bono;
+        });
+
+        // En dry-run los bonos nuevos no existen en la BD: usar ids simulados
+        if (dryRunReport) {
+          dryRunReport.fillSimulatedIds(PACKS_TABLE, packIdMapping, allOldIds);
+        }
+
+        // Citas consumidas de cada bono: old_id de cita -> id_pack_bono
+        const citaLinks = {};
+        transformedBonos.forEach((bono) => {
+          const idPackBono = packIdMapping[bono.old_id];
+
+          if (idPackBono) {
+            bono._citas.forEach((citaOldId) => {
+              citaLinks[citaOldId] = idPackBono;
+            });
+          }
+        });
+
+        const citaOldIds = Object.keys(citaLinks);
+
+        if (citaOldIds.length > 0) {
+          const citaPlaceholders = citaOldIds.map(() => "?").join(",");
+
+          const dbCitas = await query(
+            `SELECT old_id FROM citas
+             WHERE old_id IN (${citaPlaceholders})
+             AND id_clinica = ?
+             AND id_super_clinica = ?`,
+            [...citaOldIds, clinic.id_clinica, clinic.id_super_clinica]
+          );
+
+          const foundOldIds = new Set(
+            dbCitas.map((cita) => cita.old_id.toString())
+          );
+
+          // En dry-run también cuentan las citas que se habrían migrado
+          const linkedOldIds = citaOldIds.filter(
+            (oldId) =>
+              foundOldIds.has(oldId) ||
+              (dryRunReport && dryRunReport.getSimulatedId("citas", oldId))
+          );
+
+          const missingAppointments = citaOldIds.length - linkedOldIds.length;
+
+          if (missingAppointments > 0) {
+            globalStats.warnings.missingAppointments += missingAppointments;
+            console.warn(
+              `⚠ Warning: ${missingAppointments} appointments that consumed a bono are not migrated`
+            );
+          }
+
+          if (linkedOldIds.length > 0 && dryRunReport) {
+            // En dry-run solo se reportan las citas que se actualizarían
+            dryRunReport.addUpdates(
+              "citas",
+              linkedOldIds.map((oldId) => ({
+                old_id: oldId,
+                es_pack_bono: 1,
+                id_pack_bono: citaLinks[oldId],
+              }))
+            );
+            globalStats.linkedCitas += linkedOldIds.length;
+          } else if (linkedOldIds.length > 0) {
+            try {
+              // Construir bulk update con CASE WHEN
+              const whenClauses = linkedOldIds
+                .map(() => "WHEN old_id = ? THEN ?")
+                .join(" ");
+              const whenParams = linkedOldIds.flatMap((oldId) => [
+                oldId,
+                citaLinks[oldId],
+              ]);
+
+              const whereSql = `old_id IN (${linkedOldIds
+                .map(() => "?")
+                .join(",")})
+                AND id_clinica = ?
+                AND id_super_clinica = ?`;
+              const whereParams = [
+                ...linkedOldIds,
+                clinic.id_clinica,
+                clinic.id_super_clinica,
+              ];
+
+              // Guardar el vínculo anterior de las citas (para rollback) y actualizar
+              const updateResult = await transaction(async (connection) => {
+                await trackUpdatedRows(
+                  connection,
+                  job.id,
+                  "citas",
+                  ["es_pack_bono", "id_pack_bono"],
+                  whereSql,
+                  whereParams
+                );
+
+                const [result] = await connection.execute(
+                  `UPDATE citas
+                   SET es_pack_bono = 1, id_pack_bono = CASE ${whenClauses} END
+                   WHERE ${whereSql}`,
+                  [...whenParams, ...whereParams]
+                );
+                return result;
+              });
+
+              globalStats.linkedCitas += updateResult.affectedRows || 0;
+
+              console.log(
+                `✓ Linked ${updateResult.affectedRows || 0} citas to their bonos`
+              );
+            } catch (error) {
+              // Las citas sin vincular no descuentan sesiones del bono en ClinicSay:
+              // la migración termina con errores para poder repetir el vínculo
+              globalStats.failedAppointmentLinks += linkedOldIds.length;
+              globalStats.errors.push({
+                error: "APPOINTMENT_LINK_FAILED",
+                message: error.message,
+                page: currentPage + 1,
+                appointments: linkedOldIds,
+              });
+              console.error(`✗ Failed to link citas to bonos:`, error.message);
+            }
+          }
+        }
+
+        console.log(
+          `✓ Batch ${currentPage + 1} completed: ${batchStats.insertedRecords} inserted, ${batchStats.updatedRecords} updated, ${batchStats.skippedRecords} skipped`
+        );
+      },
+      100, // Límite de 100 por página
+      {
+        ...job.checkpointOptions(globalStats),
+        params: buildSinceParams(syncWindow),
+      }
+    );
+
+    if (!processingResult.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "FETCH_BONOS_ERROR",
+        message: "Failed to fetch purchased bonos from Koibox",
+        details: processingResult.error,
+      });
+    }
+
+    // ==========================================
+    // PASO 4: Generar respuesta
+    // ==========================================
+    console.log("\n========================================");
+    console.log("Migration Completed");
+    console.log("========================================");
+    console.log("Bono Definitions:", apiPackTypes.length);
+    console.log("Inserted Definitions:", packTypeStats.insertedRecords);
+    console.log("Total Bonos:", globalStats.totalBonos);
+    console.log("Inserted Bonos:", globalStats.insertedBonos);
+    console.log("Updated Bonos:", globalStats.updatedBonos);
+    console.log("Skipped Bonos:", globalStats.skippedBonos);
+    console.log("Linked Citas:", globalStats.linkedCitas);
+    console.log(
+      "Failed Appointment Links:",
+      globalStats.failedAppointmentLinks
+    );
+    console.log("Remaining Sessions:", globalStats.sessions.remaining);
+    console.log("Failed Batches:", globalStats.failedBatches);
+    console.log("Warnings:");
+    console.log("  - Missing Patients:", globalStats.warnings.missingPatients);
+    console.log(
+      "  - Missing Bono Definitions:",
+      globalStats.warnings.missingBonoTypes
+    );
+    console.log(
+      "  - Missing Appointments:",
+      globalStats.warnings.missingAppointments
+    );
+    console.log("========================================\n");
+
+    const success =
+      globalStats.failedBatches === 0 &&
+      packTypeStats.failedBatches === 0 &&
+      globalStats.failedAppointmentLinks === 0;
+
+    return migrationResult(success ? 200 : 207, {
+      success,
+      message: success
+        ? "Migration completed successfully"
+        : "Migration completed with errors",
+      stats: {
+        bonoTypes: {
+          total: apiPackTypes.length,
+          insertedRecords: packTypeStats.insertedRecords,
+          updatedRecords: packTypeStats.updatedRecords,
+          skippedRecords: packTypeStats.skippedRecords,
+          failedBatches: packTypeStats.failedBatches,
+        },
+        totalBonos: globalStats.totalBonos,
+        batches: globalStats.totalBatches,
+        successfulBatches: globalStats.successfulBatches,
+        failedBatches: globalStats.failedBatches,
+        insertedBonos: globalStats.insertedBonos,
+        updatedBonos: globalStats.updatedBonos,
+        skippedBonos: globalStats.skippedBonos,
+        linkedCitas: globalStats.linkedCitas,
+        failedAppointmentLinks: globalStats.failedAppointmentLinks,
+        sessions: globalStats.sessions,
+        syncMode: syncWindow.incremental ? "incremental" : "full",
+        onConflict: syncWindow.onConflict,
+        since: syncWindow.since,
+        warnings: globalStats.warnings,
+      },
+      errors: [...packTypeStats.errors, ...globalStats.errors],
+    });
+  } catch (error) {
+    console.error("\n✗ Migration failed:", error);
+
+    return migrationResult(500, {
+      success: false,
+      error: "MIGRATION_ERROR",
+      message: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+}
+
+/**
+ * POST /migrations/koibox/bonos
+ * Registra la migración como job y responde 202 sin esperar a que termine
+ */
+router.post(
+  "/bonos",
+  validateBearerToken,
+  validateClinicData,
+  migrationJobHandler("koibox", "bonos", migrateBonos)
+);
+
+module.exports = {
+  router,
+  migrateBonos,
+};
@@ -5,109 +5,216 @@ const {
   getAllPaginated,
   processPaginatedInBatches,
 } = require("../../utils/api-client");
-const { mapData } = require("../../services/ai-mapper.service");
+const {
+  mapData,
+  checkPendingReview,
+  describeMapping,
+} = require("../../services/ai-mapper.service");
+const {
+  resolveCreateMissingPolicy,
+  createMissingEntities,
+} = require("../../services/missing-entities.service");
 const { query } = require("../../config/database");
 const { processBatches } = require("../../services/batch.service");
 const {
   validateBearerToken,
   validateClinicData,
 } = require("../../middlewares/auth.middleware");
+const {
+  migrationResult,
+  migrationJobHandler,
+} = require("../../services/job.service");
+const {
+  resolveSyncWindow,
+  isChangedSince,
+  buildSinceParams,
+} = require("../../services/sync.service");
 
 const router = express.Router();
 
+// Columnas que se actualizan en citas ya migradas (estrategia de conflicto 'update')
+// Los vínculos creados en ClinicSay (recibo, presupuesto, bono...) no se sobrescriben
+const APPOINTMENT_UPDATE_COLUMNS = [
+  "id_paciente",
+  "id_medico",
+  "fecha_cita",
+  "hora_inicio",
+  "hora_fin",
+  "id_estado_cita",
+  "id_espacio",
+  "id_tratamiento",
+  "observaciones_medicas",
+  "comentarios_cita",
+  "fecha_modificacion",
+];
+
+// Claves de una cita migrada: la primaria no tiene referencia y cada
+// secundaria se distingue por su tratamiento
+const PRIMARY_APPOINTMENT_KEYS = [
+  "old_id",
+  "id_clinica",
+  "id_super_clinica",
+  "id_cita_reference",
+];
+const SECONDARY_APPOINTMENT_KEYS = [
+  ...PRIMARY_APPOINTMENT_KEYS,
+  "id_tratamiento",
+];
+
 /**
- * POST /migrations/koibox/citas
  * Migra citas desde Koibox API a la base de datos local
+ * @param {Object} context - Contexto de la migración (clinic, defaultValues, options, bearerToken, job)
+ * @returns {Promise<Object>} - Resultado { status, body } de la migración
  */
-router.post(
-  "/citas",
-  validateBearerToken,
-  validateClinicData,
-  async (req, res) => {
-    try {
-      const { clinic, default: defaultValues = {} } = req.body;
-      const bearerToken = req.bearerToken;
-
-      console.log("\n========================================");
-      console.log("Starting Koibox Appointments Migration");
-      console.log("========================================");
-      console.log("Clinic ID:", clinic.id_clinica);
-      console.log("Super Clinic ID:", clinic.id_super_clinica);
-      console.log("Default values:", defaultValues);
-      console.log("========================================\n");
-
-      // Crear cliente API de Koibox
-      const koiboxClient = createApiClient(process.env.KOIBOX_API, {
-        Authorization: `Bearer ${bearerToken}`,
+async function migrateCitas(context) {
+  try {
+    const { clinic, defaultValues, bearerToken, job, dryRunReport } = context;
+
+    // Opciones comunes a todos los mapeos con IA de esta migración
+    const mappingOptions = {
+      sharedMappings: context.sharedMappings,
+      aiUsage: context.aiUsage,
+      clinic,
+      dryRunReport: context.dryRunReport,
+    };
+
+    // Ventana de sincronización: full (todo) o incremental (solo lo modificado
+    // desde la última ejecución correcta) y estrategia ante filas ya migradas
+    const syncWindow = await resolveSyncWindow(context, "koibox", "citas");
+
+    if (!syncWindow.success) {
+      return migrationResult(400, syncWindow);
+    }
+
+    // Política de creación de las entidades que falten en los mapeos (createMissing)
+    const createMissing = resolveCreateMissingPolicy(context);
+
+    if (!createMissing.success) {
+      return migrationResult(400, createMissing);
+    }
+
+    // Opciones comunes a todas las inserciones por lotes: las filas quedan asociadas
+    // al job para poder hacer rollback (en dry-run no se escribe en la BD)
+    const batchOptions = {
+      dryRunReport,
+      runId: job.id,
+      onConflict: syncWindow.onConflict,
+    };
+
+    console.log("\n========================================");
+    console.log("Starting Koibox Appointments Migration");
+    console.log("========================================");
+    console.log("Clinic ID:", clinic.id_clinica);
+    console.log("Super Clinic ID:", clinic.id_super_clinica);
+    console.log("Default values:", defaultValues);
+    console.log(
+      "Sync mode:",
+      syncWindow.incremental
+        ? `incremental (since ${syncWindow.since.toISOString()})`
+        : "full",
+      `(on conflict: ${syncWindow.onConflict})`
+    );
+    console.log("========================================\n");
+
+    // Crear cliente API de Koibox
+    const koiboxClient = createApiClient(process.env.KOIBOX_API, {
+      Authorization: `Bearer ${bearerToken}`,
+    });
+
+    // ==========================================
+    // PASO 1: Obtener filtros de citas (estados y recursos)
+    // ==========================================
+    console.log("→ Step 1: Fetching appointment filters from Koibox...");
+
+    const filtersResponse = await get(koiboxClient, "/agenda/citas/form/");
+
+    if (!filtersResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "KOIBOX_API_ERROR",
+        message: "Failed to fetch appointment filters from Koibox",
+        details: filtersResponse.error,
       });
+    }
 
-      // ==========================================
-      // PASO 1: Obtener filtros de citas (estados y recursos)
-      // ==========================================
-      console.log("→ Step 1: Fetching appointment filters from Koibox...");
+    const filters = filtersResponse.data;
 
-      const filtersResponse = await get(koiboxClient, "/agenda/citas/form/");
+    // ==========================================
+    // PASO 2: Mapear impuestos (necesario para tratamientos missing)
+    // ==========================================
+    console.log("\n→ Step 2: Fetching and mapping taxes...");
 
-      if (!filtersResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: "KOIBOX_API_ERROR",
-          message: "Failed to fetch appointment filters from Koibox",
-          details: filtersResponse.error,
-        });
-      }
+    const taxConfigResponse = await get(
+      koiboxClient,
+      "/configuraciones/productos/form/"
+    );
 
-      const filters = filtersResponse.data;
+    if (!taxConfigResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "KOIBOX_API_ERROR",
+        message: "Failed to fetch tax configuration from Koibox",
+        details: taxConfigResponse.error,
+      });
+    }
 
-      // ==========================================
-      // PASO 2: Mapear impuestos (necesario para tratamientos missing)
-      // ==========================================
-      console.log("\n→ Step 2: Fetching and mapping taxes...");
+    const apiTaxes = taxConfigResponse.data.impuestos;
 
-      const taxConfigResponse = await get(
-        koiboxClient,
-        "/configuraciones/productos/form/"
-      );
+    if (!apiTaxes || !Array.isArray(apiTaxes)) {
+      return migrationResult(500, {
+        success: false,
+        error: "INVALID_TAX_DATA",
+        message: "Tax data not found in Koibox API response",
+      });
+    }
 
-      if (!taxConfigResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: "KOIBOX_API_ERROR",
-          message: "Failed to fetch tax configuration from Koibox",
-          details: taxConfigResponse.error,
-        });
-      }
+    console.log(`✓ Found ${apiTaxes.length} tax types in Koibox API`);
 
-      const apiTaxes = taxConfigResponse.data.impuestos;
+    // Obtener tipos de IVA de la BD local
+    const dbTaxes = await query("SELECT * FROM tipo_iva");
+    console.log(`✓ Found ${dbTaxes.length} tax types in local database`);
 
-      if (!apiTaxes || !Array.isArray(apiTaxes)) {
-        return res.status(500).json({
-          success: false,
-          error: "INVALID_TAX_DATA",
-          message: "Tax data not found in Koibox API response",
-        });
-      }
+    // Mapear con IA
+    let taxMapping = await mapData("tax", apiTaxes, dbTaxes, mappingOptions);
+
+    if (taxMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "TAX_MAPPING_ERROR",
+        message: "AI mapping failed for tax types",
+        details: taxMapping,
+      });
+    }
 
-      console.log(`✓ Found ${apiTaxes.length} tax types in Koibox API`);
+    // Los pares con confianza baja no se usan hasta revisarlos manualmente
+    const taxReview = checkPendingReview("tax", taxMapping, dryRunReport);
 
-      // Obtener tipos de IVA de la BD local
-      const dbTaxes = await query("SELECT * FROM tipo_iva");
-      console.log(`✓ Found ${dbTaxes.length} tax types in local database`);
+    if (taxReview) {
+      return migrationResult(400, taxReview);
+    }
 
-      // Mapear con IA
-      const taxMapping = await mapData("tax", apiTaxes, dbTaxes);
+    // Crear los tipos de IVA faltantes si la política createMissing lo incluye
+    const createdTaxes = await createMissingEntities(
+      context,
+      createMissing,
+      "tax",
+      taxMapping,
+      apiTaxes,
+      dbTaxes
+    );
+
+    if (!createdTaxes.success) {
+      return migrationResult(400, createdTaxes);
+    }
 
-      if (taxMapping.error) {
-        return res.status(500).json({
-          success: false,
-          error: "TAX_MAPPING_ERROR",
-          message: "AI mapping failed for tax types",
-          details: taxMapping,
-        });
-      }
+    taxMapping = createdTaxes.mapping;
 
-      if (taxMapping.missing && taxMapping.missing.length > 0) {
-        return res.status(400).json({
+    if (taxMapping.missing && taxMapping.missing.length > 0) {
+      // En dry-run se reportan los faltantes en lugar de detener la migración
+      if (dryRunReport) {
+        dryRunReport.addMissingMappings("tax", taxMapping.missing);
+      } else {
+        return migrationResult(400, {
           success: false,
           error: "MISSING_TAX_TYPES",
           message: "Some tax types from Koibox are not found in local database",
@@ -115,61 +222,94 @@ router.post(
           mapper: taxMapping.mapper,
         });
       }
+    }
 
-      console.log("✓ Tax mapping completed successfully");
-      console.log("  Tax mapper:", taxMapping.mapper);
+    console.log("✓ Tax mapping completed successfully");
+    console.log("  Tax mapper:", taxMapping.mapper);
 
-      // ==========================================
-      // PASO 3: Obtener y mapear médicos (con paginación completa)
-      // ==========================================
-      console.log("\n→ Step 3: Fetching and mapping doctors...");
+    // ==========================================
+    // PASO 3: Obtener y mapear médicos (con paginación completa)
+    // ==========================================
+    console.log("\n→ Step 3: Fetching and mapping doctors...");
 
-      const allDoctorsResponse = await getAllPaginated(
-        koiboxClient,
-        `/main/users/?centro=${clinic.centro}`,
-        100
-      );
+    const allDoctorsResponse = await getAllPaginated(
+      koiboxClient,
+      `/main/users/?centro=${clinic.centro}`,
+      100
+    );
 
-      if (!allDoctorsResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: "FETCH_DOCTORS_ERROR",
-          message: "Failed to fetch doctors from Koibox",
-          details: allDoctorsResponse.error,
-        });
-      }
+    if (!allDoctorsResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "FETCH_DOCTORS_ERROR",
+        message: "Failed to fetch doctors from Koibox",
+        details: allDoctorsResponse.error,
+      });
+    }
 
-      //  Obtener resultados de la API
-      const apiDoctors = allDoctorsResponse.data.map((doctor) => {
-        const { permissions, filtros_agenda, ...rest } = doctor;
-        return rest;
+    //  Obtener resultados de la API
+    const apiDoctors = allDoctorsResponse.data.map((doctor) => {
+      const { permissions, filtros_agenda, ...rest } = doctor;
+      return rest;
+    });
+
+    console.log(`✓ Found ${apiDoctors.length} doctors in Koibox API`);
+
+    // Obtener médicos de la BD local
+    const dbDoctors = await query(
+      "SELECT * FROM medicos WHERE id_clinica = ? AND id_super_clinica = ?",
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
+    console.log(`✓ Found ${dbDoctors.length} doctors in local database`);
+
+    // Mapear con IA
+    let doctorMapping = await mapData("doctor", apiDoctors, dbDoctors, {
+      ...mappingOptions,
+      allowManyToOne: true,
+    });
+
+    if (doctorMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "DOCTOR_MAPPING_ERROR",
+        message: "AI mapping failed for doctors",
+        details: doctorMapping,
       });
+    }
 
-      console.log(`✓ Found ${apiDoctors.length} doctors in Koibox API`);
+    // Los pares con confianza baja no se usan hasta revisarlos manualmente
+    const doctorReview = checkPendingReview(
+      "doctor",
+      doctorMapping,
+      dryRunReport
+    );
 
-      // Obtener médicos de la BD local
-      const dbDoctors = await query(
-        "SELECT * FROM medicos WHERE id_clinica = ? AND id_super_clinica = ?",
-        [clinic.id_clinica, clinic.id_super_clinica]
-      );
-      console.log(`✓ Found ${dbDoctors.length} doctors in local database`);
+    if (doctorReview) {
+      return migrationResult(400, doctorReview);
+    }
 
-      // Mapear con IA
-      const doctorMapping = await mapData("doctor", apiDoctors, dbDoctors, {
-        allowManyToOne: true,
-      });
+    // Crear los médicos faltantes si la política createMissing lo incluye
+    const createdDoctors = await createMissingEntities(
+      context,
+      createMissing,
+      "doctor",
+      doctorMapping,
+      apiDoctors,
+      dbDoctors
+    );
+
+    if (!createdDoctors.success) {
+      return migrationResult(400, createdDoctors);
+    }
 
-      if (doctorMapping.error) {
-        return res.status(500).json({
-          success: false,
-          error: "DOCTOR_MAPPING_ERROR",
-          message: "AI mapping failed for doctors",
-          details: doctorMapping,
-        });
-      }
+    doctorMapping = createdDoctors.mapping;
 
-      if (doctorMapping.missing && doctorMapping.missing.length > 0) {
-        return res.status(400).json({
+    if (doctorMapping.missing && doctorMapping.missing.length > 0) {
+      // En dry-run se reportan los faltantes en lugar de detener la migración
+      if (dryRunReport) {
+        dryRunReport.addMissingMappings("doctor", doctorMapping.missing);
+      } else {
+        return migrationResult(400, {
           success: false,
           error: "MISSING_DOCTORS",
           message: "Some doctors from Koibox are not found in local database",
@@ -177,72 +317,106 @@ router.post(
           mapper: doctorMapping.mapper,
         });
       }
+    }
 
-      console.log("✓ Doctor mapping completed successfully");
+    console.log("✓ Doctor mapping completed successfully");
 
-      // ==========================================
-      // PASO 4: Obtener y mapear tratamientos (con paginación completa)
-      // ==========================================
-      console.log("\n→ Step 4: Fetching and mapping treatments...");
+    // ==========================================
+    // PASO 4: Obtener y mapear tratamientos (con paginación completa)
+    // ==========================================
+    console.log("\n→ Step 4: Fetching and mapping treatments...");
 
-      const allTreatmentsResponse = await getAllPaginated(
-        koiboxClient,
-        "/configuraciones/servicios/",
-        100
-      );
+    const allTreatmentsResponse = await getAllPaginated(
+      koiboxClient,
+      "/configuraciones/servicios/",
+      100
+    );
 
-      if (!allTreatmentsResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: "FETCH_TREATMENTS_ERROR",
-          message: "Failed to fetch treatments from Koibox",
-          details: allTreatmentsResponse.error,
-        });
+    if (!allTreatmentsResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "FETCH_TREATMENTS_ERROR",
+        message: "Failed to fetch treatments from Koibox",
+        details: allTreatmentsResponse.error,
+      });
+    }
+
+    // Filtrar tratamientos por centro
+    const apiTreatments = allTreatmentsResponse.data.filter((treatment) => {
+      return treatment.centros && treatment.centros.includes(clinic.centro);
+    });
+
+    console.log(
+      `✓ Filtered ${apiTreatments.length}/${allTreatmentsResponse.data.length} treatments for centro ${clinic.centro}`
+    );
+
+    // Obtener tratamientos de la BD local
+    const dbTreatments = await query(
+      "SELECT * FROM tratamientos WHERE id_clinica = ? AND id_super_clinica = ?",
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
+    console.log(
+      `✓ Found ${dbTreatments.length} treatments in local database`
+    );
+
+    // Mapear con IA, pasando taxMapping para construir missing correctamente
+    let treatmentMapping = await mapData(
+      "treatment",
+      apiTreatments,
+      dbTreatments,
+      {
+        ...mappingOptions,
+        relatedMappings: {
+          taxMapper: taxMapping.mapper,
+          description:
+            "Use taxMapper to map 'impuesto' field to 'id_tipo_iva' in missing objects",
+        },
       }
+    );
 
-      // Filtrar tratamientos por centro
-      const apiTreatments = allTreatmentsResponse.data.filter((treatment) => {
-        return treatment.centros && treatment.centros.includes(clinic.centro);
+    if (treatmentMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "TREATMENT_MAPPING_ERROR",
+        message: "AI mapping failed for treatments",
+        details: treatmentMapping,
       });
+    }
 
-      console.log(
-        `✓ Filtered ${apiTreatments.length}/${allTreatmentsResponse.data.length} treatments for centro ${clinic.centro}`
-      );
+    // Los pares con confianza baja no se usan hasta revisarlos manualmente
+    const treatmentReview = checkPendingReview(
+      "treatment",
+      treatmentMapping,
+      dryRunReport
+    );
 
-      // Obtener tratamientos de la BD local
-      const dbTreatments = await query(
-        "SELECT * FROM tratamientos WHERE id_clinica = ? AND id_super_clinica = ?",
-        [clinic.id_clinica, clinic.id_super_clinica]
-      );
-      console.log(
-        `✓ Found ${dbTreatments.length} treatments in local database`
-      );
+    if (treatmentReview) {
+      return migrationResult(400, treatmentReview);
+    }
 
-      // Mapear con IA, pasando taxMapping para construir missing correctamente
-      const treatmentMapping = await mapData(
-        "treatment",
-        apiTreatments,
-        dbTreatments,
-        {
-          relatedMappings: {
-            taxMapper: taxMapping.mapper,
-            description:
-              "Use taxMapper to map 'impuesto' field to 'id_tipo_iva' in missing objects",
-          },
-        }
-      );
+    // Crear los tratamientos faltantes si la política createMissing lo incluye
+    const createdTreatments = await createMissingEntities(
+      context,
+      createMissing,
+      "treatment",
+      treatmentMapping,
+      apiTreatments,
+      dbTreatments,
+      { taxMapper: taxMapping.mapper }
+    );
+
+    if (!createdTreatments.success) {
+      return migrationResult(400, createdTreatments);
+    }
 
-      if (treatmentMapping.error) {
-        return res.status(500).json({
-          success: false,
-          error: "TREATMENT_MAPPING_ERROR",
-          message: "AI mapping failed for treatments",
-          details: treatmentMapping,
-        });
-      }
+    treatmentMapping = createdTreatments.mapping;
 
-      if (treatmentMapping.missing && treatmentMapping.missing.length > 0) {
-        return res.status(400).json({
+    if (treatmentMapping.missing && treatmentMapping.missing.length > 0) {
+      // En dry-run se reportan los faltantes en lugar de detener la migración
+      if (dryRunReport) {
+        dryRunReport.addMissingMappings("treatment", treatmentMapping.missing);
+      } else {
+        return migrationResult(400, {
           success: false,
           error: "MISSING_TREATMENTS",
           message:
@@ -251,56 +425,73 @@ router.post(
           mapper: treatmentMapping.mapper,
         });
       }
+    }
 
-      console.log("✓ Treatment mapping completed successfully");
+    console.log("✓ Treatment mapping completed successfully");
 
-      // ==========================================
-      // PASO 5: Mapear estados (many-to-one, sin missing)
-      // ==========================================
-      console.log("\n→ Step 5: Mapping appointment states...");
+    // ==========================================
+    // PASO 5: Mapear estados (many-to-one, sin missing)
+    // ==========================================
+    console.log("\n→ Step 5: Mapping appointment states...");
 
-      const apiStates = filters.estados;
+    const apiStates = filters.estados;
 
-      if (!apiStates || !Array.isArray(apiStates)) {
-        return res.status(500).json({
-          success: false,
-          error: "INVALID_STATE_DATA",
-          message: "State data not found in Koibox API response",
-        });
-      }
+    if (!apiStates || !Array.isArray(apiStates)) {
+      return migrationResult(500, {
+        success: false,
+        error: "INVALID_STATE_DATA",
+        message: "State data not found in Koibox API response",
+      });
+    }
 
-      console.log(
-        `✓ Found ${apiStates.length} appointment states in Koibox API`
-      );
+    console.log(
+      `✓ Found ${apiStates.length} appointment states in Koibox API`
+    );
+
+    // Obtener estados de la BD local
+    const dbStates = await query("SELECT * FROM estado_cita");
+    console.log(
+      `✓ Found ${dbStates.length} appointment states in local database`
+    );
+
+    // Mapear con IA (many-to-one, sin missing)
+    const stateMapping = await mapData(
+      "appointment_state",
+      apiStates,
+      dbStates,
+      {
+        ...mappingOptions,
+        allowManyToOne: true,
+        requireCompleteMapping: true,
+      }
+    );
 
-      // Obtener estados de la BD local
-      const dbStates = await query("SELECT * FROM estado_cita");
-      console.log(
-        `✓ Found ${dbStates.length} appointment states in local database`
-      );
+    if (stateMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "STATE_MAPPING_ERROR",
+        message: "AI mapping failed for appointment states",
+        details: stateMapping,
+      });
+    }
 
-      // Mapear con IA (many-to-one, sin missing)
-      const stateMapping = await mapData(
-        "appointment_state",
-        apiStates,
-        dbStates,
-        {
-          allowManyToOne: true,
-          requireCompleteMapping: true,
-        }
-      );
+    // Los pares con confianza baja no se usan hasta revisarlos manualmente
+    const stateReview = checkPendingReview(
+      "appointment_state",
+      stateMapping,
+      dryRunReport
+    );
 
-      if (stateMapping.error) {
-        return res.status(500).json({
-          success: false,
-          error: "STATE_MAPPING_ERROR",
-          message: "AI mapping failed for appointment states",
-          details: stateMapping,
-        });
-      }
+    if (stateReview) {
+      return migrationResult(400, stateReview);
+    }
 
-      if (stateMapping.missing && stateMapping.missing.length > 0) {
-        return res.status(400).json({
+    if (stateMapping.missing && stateMapping.missing.length > 0) {
+      // En dry-run se reportan los faltantes en lugar de detener la migración
+      if (dryRunReport) {
+        dryRunReport.addMissingMappings("appointment_state", stateMapping.missing);
+      } else {
+        return migrationResult(400, {
           success: false,
           error: "MISSING_STATES",
           message:
@@ -309,48 +500,80 @@ router.post(
           mapper: stateMapping.mapper,
         });
       }
+    }
 
-      console.log("✓ State mapping completed successfully (many-to-one)");
+    console.log("✓ State mapping completed successfully (many-to-one)");
 
-      // ==========================================
-      // PASO 6: Mapear espacios
-      // ==========================================
-      console.log("\n→ Step 6: Mapping spaces/resources...");
+    // ==========================================
+    // PASO 6: Mapear espacios
+    // ==========================================
+    console.log("\n→ Step 6: Mapping spaces/resources...");
 
-      const apiSpaces = filters.recursos;
+    const apiSpaces = filters.recursos;
 
-      if (!apiSpaces || !Array.isArray(apiSpaces)) {
-        console.warn(
-          "⚠ Warning: Space data not found in API, skipping space mapping"
-        );
+    if (!apiSpaces || !Array.isArray(apiSpaces)) {
+      console.warn(
+        "⚠ Warning: Space data not found in API, skipping space mapping"
+      );
+    }
+
+    let spaceMapping = { mapper: {}, missing: [] };
+
+    if (apiSpaces && apiSpaces.length > 0) {
+      console.log(`✓ Found ${apiSpaces.length} spaces in Koibox API`);
+
+      // Obtener espacios de la BD local
+      const dbSpaces = await query(
+        "SELECT * FROM espacios WHERE id_clinica = ? AND id_super_clinica = ?",
+        [clinic.id_clinica, clinic.id_super_clinica]
+      );
+      console.log(`✓ Found ${dbSpaces.length} spaces in local database`);
+
+      // Mapear con IA
+      spaceMapping = await mapData("space", apiSpaces, dbSpaces, mappingOptions);
+
+      if (spaceMapping.error) {
+        return migrationResult(500, {
+          success: false,
+          error: "SPACE_MAPPING_ERROR",
+          message: "AI mapping failed for spaces",
+          details: spaceMapping,
+        });
       }
 
-      let spaceMapping = { mapper: {}, missing: [] };
+      // Los pares con confianza baja no se usan hasta revisarlos manualmente
+      const spaceReview = checkPendingReview(
+        "space",
+        spaceMapping,
+        dryRunReport
+      );
 
-      if (apiSpaces && apiSpaces.length > 0) {
-        console.log(`✓ Found ${apiSpaces.length} spaces in Koibox API`);
+      if (spaceReview) {
+        return migrationResult(400, spaceReview);
+      }
 
-        // Obtener espacios de la BD local
-        const dbSpaces = await query(
-          "SELECT * FROM espacios WHERE id_clinica = ? AND id_super_clinica = ?",
-          [clinic.id_clinica, clinic.id_super_clinica]
-        );
-        console.log(`✓ Found ${dbSpaces.length} spaces in local database`);
+      // Crear los espacios faltantes si la política createMissing lo incluye
+      const createdSpaces = await createMissingEntities(
+        context,
+        createMissing,
+        "space",
+        spaceMapping,
+        apiSpaces,
+        dbSpaces
+      );
 
-        // Mapear con IA
-        spaceMapping = await mapData("space", apiSpaces, dbSpaces);
+      if (!createdSpaces.success) {
+        return migrationResult(400, createdSpaces);
+      }
 
-        if (spaceMapping.error) {
-          return res.status(500).json({
-            success: false,
-            error: "SPACE_MAPPING_ERROR",
-            message: "AI mapping failed for spaces",
-            details: spaceMapping,
-          });
-        }
+      spaceMapping = createdSpaces.mapping;
 
-        if (spaceMapping.missing && spaceMapping.missing.length > 0) {
-          return res.status(400).json({
+      if (spaceMapping.missing && spaceMapping.missing.length > 0) {
+        // En dry-run se reportan los faltantes en lugar de detener la migración
+        if (dryRunReport) {
+          dryRunReport.addMissingMappings("space", spaceMapping.missing);
+        } else {
+          return migrationResult(400, {
             success: false,
             error: "MISSING_SPACES",
             message: "Some spaces from Koibox are not found in local database",
@@ -358,585 +581,657 @@ router.post(
             mapper: spaceMapping.mapper,
           });
         }
-
-        console.log("✓ Space mapping completed successfully");
-        console.log("  Space mapper:", spaceMapping.mapper);
       }
 
-      // ==========================================
-      // PASO 7: Obtener pacientes de BD para mapeo directo
-      // ==========================================
-      console.log("\n→ Step 7: Loading patients from database...");
+      console.log("✓ Space mapping completed successfully");
+      console.log("  Space mapper:", spaceMapping.mapper);
+    }
 
-      const dbPatients = await query(
-        "SELECT id_paciente, old_id FROM pacientes WHERE id_clinica = ? AND id_super_clinica = ?",
-        [clinic.id_clinica, clinic.id_super_clinica]
-      );
+    // ==========================================
+    // PASO 7: Obtener pacientes de BD para mapeo directo
+    // ==========================================
+    console.log("\n→ Step 7: Loading patients from database...");
+
+    const dbPatients = await query(
+      "SELECT id_paciente, old_id FROM pacientes WHERE id_clinica = ? AND id_super_clinica = ?",
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
+
+    // Crear mapeo directo old_id -> id_paciente
+    const patientMapping = {};
+    dbPatients.forEach((patient) => {
+      if (patient.old_id) {
+        patientMapping[patient.old_id.toString()] = patient.id_paciente;
+      }
+    });
+
+    console.log(`✓ Loaded ${dbPatients.length} patients for direct mapping`);
+    console.log(
+      `  Patient mapper entries: ${Object.keys(patientMapping).length}`
+    );
+
+    // ==========================================
+    // PASO 8: Preparar función para obtener y registrar pacientes faltantes
+    // ==========================================
+    console.log(
+      "\n→ Step 8: Preparing patient fetch and registration function..."
+    );
+
+    // Función para obtener paciente de Koibox y registrarlo
+    const fetchAndRegisterPatient = async (clienteId) => {
+      try {
+        console.log(`→ Fetching patient ${clienteId} from Koibox API...`);
+
+        const patientResponse = await get(
+          koiboxClient,
+          `/clientes/clientes/${clienteId}/`
+        );
 
-      // Crear mapeo directo old_id -> id_paciente
-      const patientMapping = {};
-      dbPatients.forEach((patient) => {
-        if (patient.old_id) {
-          patientMapping[patient.old_id.toString()] = patient.id_paciente;
+        if (!patientResponse.success) {
+          console.error(
+            `✗ Failed to fetch patient ${clienteId} from Koibox API`
+          );
+          return null;
         }
-      });
-
-      console.log(`✓ Loaded ${dbPatients.length} patients for direct mapping`);
-      console.log(
-        `  Patient mapper entries: ${Object.keys(patientMapping).length}`
-      );
 
-      // ==========================================
-      // PASO 8: Preparar función para obtener y registrar pacientes faltantes
-      // ==========================================
-      console.log(
-        "\n→ Step 8: Preparing patient fetch and registration function..."
-      );
-
-      // Función para obtener paciente de Koibox y registrarlo
-      const fetchAndRegisterPatient = async (clienteId) => {
-        try {
-          console.log(`→ Fetching patient ${clienteId} from Koibox API...`);
+        const patient = patientResponse.data;
 
-          const patientResponse = await get(
-            koiboxClient,
-            `/clientes/clientes/${clienteId}/`
-          );
+        // Obtener filtros para mapear sexo y provincia
+        const filtersResponse = await get(
+          koiboxClient,
+          "/clientes/clientes/filters/"
+        );
 
-          if (!patientResponse.success) {
-            console.error(
-              `✗ Failed to fetch patient ${clienteId} from Koibox API`
+        let idSexo = null;
+        let ciudad = patient.localidad;
+        let referido = null;
+
+        if (filtersResponse.success) {
+          const filters = filtersResponse.data;
+
+          // Mapear sexo
+          if (patient.sexo && filters.sexos) {
+            const dbGenders = await query("SELECT * FROM sexo");
+            const genderMapping = await mapData(
+              "gender",
+              filters.sexos,
+              dbGenders,
+              mappingOptions
             );
-            return null;
+            if (!genderMapping.error) {
+              idSexo = genderMapping.mapper[patient.sexo.toString()] || null;
+            }
           }
 
-          const patient = patientResponse.data;
+          // Mapear provincia para ciudad
+          if (patient.provincia && filters.provincias) {
+            const provinceMap = filters.provincias.reduce((acc, province) => {
+              acc[province.id.toString()] = province.text;
+              return acc;
+            }, {});
+            ciudad =
+              provinceMap[patient.provincia.toString()] || patient.localidad;
+          }
 
-          // Obtener filtros para mapear sexo y provincia
-          const filtersResponse = await get(
-            koiboxClient,
-            "/clientes/clientes/filters/"
-          );
+          // Mapear referido
+          if (patient.como_nos_conocio && filters.como_nos_conocio) {
+            const referralMap = filters.como_nos_conocio.reduce(
+              (acc, ref) => {
+                acc[ref.value.toString()] = ref.text;
+                return acc;
+              },
+              {}
+            );
+            referido =
+              referralMap[patient.como_nos_conocio.toString()] || null;
+          }
+        }
 
-          let idSexo = null;
-          let ciudad = patient.localidad;
-          let referido = null;
+        // Determinar estado de registro
+        let idEstadoRegistro = 1; // Activo por defecto
+        if (!patient.is_active) {
+          idEstadoRegistro = 2; // Inactivo
+        }
 
-          if (filtersResponse.success) {
-            const filters = filtersResponse.data;
+        // Concatenar apellidos
+        const apellido = [patient.apellido1, patient.apellido2]
+          .filter(Boolean)
+          .join(" ");
+
+        // Formatear teléfono con prefijo
+        const telefono = patient.movil
+          ? `+${patient.prefijo_tel || "34"}${patient.movil}`
+          : patient.fijo || "";
+
+        // Concatenar observaciones
+        const observaciones = [patient.notas, patient.informacion_clinica]
+          .filter(Boolean)
+          .join("\n");
+
+        // Preparar datos del paciente
+        const patientData = {
+          nombre: patient.nombre || "",
+          apellido: apellido || "",
+          email: patient.email || null,
+          telefono: telefono || null,
+          fecha_nacimiento: patient.fecha_nacimiento || null,
+          id_sexo: idSexo || null,
+          direccion: patient.direccion || null,
+          ciudad: ciudad || null,
+          id_clinica: clinic.id_clinica,
+          codigo_postal: patient.codigo_postal || "0",
+          nif_cif: patient.dni || "0",
+          url_foto: patient.foto_url_absolute_path || null,
+          referido: referido || null,
+          observaciones: observaciones || null,
+          profesion: null,
+          id_super_clinica: clinic.id_super_clinica,
+          id_estado_registro: idEstadoRegistro,
+          id_cliente: null,
+          id_medico: null,
+          lopd_aceptado: patient.is_agree_rgpd ? 1 : 0,
+          Importado: null,
+          kommo_lead_id: null,
+          old_id: patient.id,
+          fecha_alta: patient.fecha_alta
+            ? patient.fecha_alta.split("T")[0]
+            : null,
+          fecha_creacion:
+            patient.created?.replace("T", " ").split(".")[0] || null,
+          fecha_modificacion:
+            patient.updated?.replace("T", " ").split(".")[0] || null,
+        };
+
+        // Insertar paciente en la BD
+        const insertResult = await processBatches(
+          "pacientes",
+          [patientData],
+          1,
+          batchOptions
+        );
 
-            // Mapear sexo
-            if (patient.sexo && filters.sexos) {
-              const dbGenders = await query("SELECT * FROM sexo");
-              const genderMapping = await mapData(
-                "gender",
-                filters.sexos,
-                dbGenders
-              );
-              if (!genderMapping.error) {
-                idSexo = genderMapping.mapper[patient.sexo.toString()] || null;
-              }
-            }
+        // En dry-run el paciente no se inserta: usar su id simulado
+        if (dryRunReport) {
+          return dryRunReport.getSimulatedId("pacientes", patient.id);
+        }
 
-            // Mapear provincia para ciudad
-            if (patient.provincia && filters.provincias) {
-              const provinceMap = filters.provincias.reduce((acc, province) => {
-                acc[province.id.toString()] = province.text;
-                return acc;
-              }, {});
-              ciudad =
-                provinceMap[patient.provincia.toString()] || patient.localidad;
-            }
+        if (insertResult.insertedRecords > 0) {
+          // Obtener el ID del paciente recién insertado
+          const insertedPatient = await query(
+            "SELECT id_paciente FROM pacientes WHERE old_id = ? AND id_clinica = ? AND id_super_clinica = ?",
+            [patient.id, clinic.id_clinica, clinic.id_super_clinica]
+          );
 
-            // Mapear referido
-            if (patient.como_nos_conocio && filters.como_nos_conocio) {
-              const referralMap = filters.como_nos_conocio.reduce(
-                (acc, ref) => {
-                  acc[ref.value.toString()] = ref.text;
-                  return acc;
-                },
-                {}
-              );
-              referido =
-                referralMap[patient.como_nos_conocio.toString()] || null;
-            }
+          if (insertedPatient.length > 0) {
+            console.log(
+              `✓ Patient ${clienteId} registered successfully with ID ${insertedPatient[0].id_paciente}`
+            );
+            return insertedPatient[0].id_paciente;
           }
+        }
 
-          // Determinar estado de registro
-          let idEstadoRegistro = 1; // Activo por defecto
-          if (!patient.is_active) {
-            idEstadoRegistro = 2; // Inactivo
-          }
+        console.error(`✗ Failed to insert patient ${clienteId}`);
+        return null;
+      } catch (error) {
+        console.error(
+          `✗ Error fetching/registering patient ${clienteId}:`,
+          error.message
+        );
+        return null;
+      }
+    };
+
+    // ==========================================
+    // PASO 9: Procesar citas con streaming
+    // ==========================================
+    console.log(
+      "\n→ Step 9: Fetching, transforming and inserting appointments..."
+    );
+
+    // Estadísticas globales (se restauran del checkpoint al reanudar un job)
+    const globalStats = job.checkpoint?.stats || {
+      totalRecords: 0,
+      totalBatches: 0,
+      successfulBatches: 0,
+      failedBatches: 0,
+      insertedRecords: 0,
+      updatedRecords: 0,
+      skippedRecords: 0,
+      failedRecords: 0,
+      errors: [],
+      warnings: {
+        missingPatients: 0,
+        missingDoctors: 0,
+        missingTreatments: 0,
+        missingSpaces: 0,
+        registeredPatients: 0,
+      },
+    };
+
+    // Procesar cada página: obtener → transformar → insertar
+    const processingResult = await processPaginatedInBatches(
+      koiboxClient,
+      "/agenda/citas/",
+      async (appointments, currentPage, totalPages) => {
+        console.log(
+          `\n→ Processing batch ${currentPage + 1}/${totalPages} (${
+            appointments.length
+          } appointments)...`
+        );
 
-          // Concatenar apellidos
-          const apellido = [patient.apellido1, patient.apellido2]
-            .filter(Boolean)
-            .join(" ");
+        // Filtrar citas por centro (y por fecha de modificación en modo incremental)
+        const filteredAppointments = appointments.filter((appointment) => {
+          return (
+            appointment.centro === clinic.centro &&
+            isChangedSince(appointment, syncWindow)
+          );
+        });
 
-          // Formatear teléfono con prefijo
-          const telefono = patient.movil
-            ? `+${patient.prefijo_tel || "34"}${patient.movil}`
-            : patient.fijo || "";
+        console.log(
+          `✓ Filtered ${filteredAppointments.length}/${appointments.length} appointments for centro ${clinic.centro}`
+        );
 
-          // Concatenar observaciones
-          const observaciones = [patient.notas, patient.informacion_clinica]
-            .filter(Boolean)
-            .join("\n");
+        if (filteredAppointments.length === 0) {
+          console.log(
+            `⚠ No appointments found for centro ${clinic.centro} in batch ${
+              currentPage + 1
+            }`
+          );
+          return;
+        }
 
-          // Preparar datos del paciente
-          const patientData = {
-            nombre: patient.nombre || "",
-            apellido: apellido || "",
-            email: patient.email || null,
-            telefono: telefono || null,
-            fecha_nacimiento: patient.fecha_nacimiento || null,
-            id_sexo: idSexo || null,
-            direccion: patient.direccion || null,
-            ciudad: ciudad || null,
-            id_clinica: clinic.id_clinica,
-            codigo_postal: patient.codigo_postal || "0",
-            nif_cif: patient.dni || "0",
-            url_foto: patient.foto_url_absolute_path || null,
-            referido: referido || null,
-            observaciones: observaciones || null,
-            profesion: null,
-            id_super_clinica: clinic.id_super_clinica,
-            id_estado_registro: idEstadoRegistro,
-            id_cliente: null,
-            id_medico: null,
-            lopd_aceptado: patient.is_agree_rgpd ? 1 : 0,
-            Importado: null,
-            kommo_lead_id: null,
-            old_id: patient.id,
-            fecha_alta: patient.fecha_alta
-              ? patient.fecha_alta.split("T")[0]
-              : null,
-            fecha_creacion:
-              patient.created?.replace("T", " ").split(".")[0] || null,
-            fecha_modificacion:
-              patient.updated?.replace("T", " ").split(".")[0] || null,
-          };
+        // Transformar citas de esta página
+        const transformedBatch = [];
 
-          // Insertar paciente en la BD
-          const insertResult = await processBatches(
-            "pacientes",
-            [patientData],
-            1
-          );
+        for (const appointment of filteredAppointments) {
+          // Mapear id_paciente desde old_id
+          let idPaciente = appointment.cliente
+            ? patientMapping[appointment.cliente.toString()]
+            : null;
 
-          if (insertResult.insertedRecords > 0) {
-            // Obtener el ID del paciente recién insertado
-            const insertedPatient = await query(
-              "SELECT id_paciente FROM pacientes WHERE old_id = ? AND id_clinica = ? AND id_super_clinica = ?",
-              [patient.id, clinic.id_clinica, clinic.id_super_clinica]
+          // Si no se encuentra el paciente, intentar obtenerlo de la API
+          if (appointment.cliente && !idPaciente) {
+            console.warn(
+              `⚠ Warning: Patient not found for appointment ${appointment.id} (patient ID: ${appointment.cliente}), attempting to fetch from API...`
             );
 
-            if (insertedPatient.length > 0) {
-              console.log(
-                `✓ Patient ${clienteId} registered successfully with ID ${insertedPatient[0].id_paciente}`
+            idPaciente = await fetchAndRegisterPatient(appointment.cliente);
+
+            if (idPaciente) {
+              // Actualizar el mapping para futuras referencias
+              patientMapping[appointment.cliente.toString()] = idPaciente;
+              globalStats.warnings.registeredPatients++;
+            } else {
+              idPaciente = null;
+              globalStats.warnings.missingPatients++;
+              dryRunReport?.addMissingMappings("patient", appointment.cliente);
+              console.warn(
+                `✗ Could not fetch/register patient ${appointment.cliente} for appointment ${appointment.id}, registering with null patient...`
               );
-              return insertedPatient[0].id_paciente;
+              //continue; // Skip this appointment
             }
           }
 
-          console.error(`✗ Failed to insert patient ${clienteId}`);
-          return null;
-        } catch (error) {
-          console.error(
-            `✗ Error fetching/registering patient ${clienteId}:`,
-            error.message
-          );
-          return null;
-        }
-      };
-
-      // ==========================================
-      // PASO 9: Procesar citas con streaming
-      // ==========================================
-      console.log(
-        "\n→ Step 9: Fetching, transforming and inserting appointments..."
-      );
-
-      // Estadísticas globales
-      const globalStats = {
-        totalRecords: 0,
-        totalBatches: 0,
-        successfulBatches: 0,
-        failedBatches: 0,
-        insertedRecords: 0,
-        errors: [],
-        warnings: {
-          missingPatients: 0,
-          missingDoctors: 0,
-          missingTreatments: 0,
-          missingSpaces: 0,
-          registeredPatients: 0,
-        },
-      };
-
-      // Procesar cada página: obtener → transformar → insertar
-      const processingResult = await processPaginatedInBatches(
-        koiboxClient,
-        "/agenda/citas/",
-        async (appointments, currentPage, totalPages) => {
-          console.log(
-            `\n→ Processing batch ${currentPage + 1}/${totalPages} (${
-              appointments.length
-            } appointments)...`
-          );
+          // Mapear id_medico desde mapper
+          const idMedico = appointment.user
+            ? doctorMapping.mapper[appointment.user.toString()]
+            : null;
 
-          // Filtrar citas por centro
-          const filteredAppointments = appointments.filter((appointment) => {
-            return appointment.centro === clinic.centro;
-          });
-
-          console.log(
-            `✓ Filtered ${filteredAppointments.length}/${appointments.length} appointments for centro ${clinic.centro}`
-          );
-
-          if (filteredAppointments.length === 0) {
-            console.log(
-              `⚠ No appointments found for centro ${clinic.centro} in batch ${
-                currentPage + 1
-              }`
+          if (appointment.user && !idMedico) {
+            globalStats.warnings.missingDoctors++;
+            dryRunReport?.addMissingMappings("doctor", appointment.user);
+            console.warn(
+              `⚠ Warning: Doctor not found for appointment ${appointment.id} (doctor ID: ${appointment.user})`
             );
-            return;
           }
 
-          // Transformar citas de esta página
-          const transformedBatch = [];
+          // Mapear id_estado_cita desde mapper
+          const idEstadoCita = appointment.estado
+            ? stateMapping.mapper[appointment.estado.toString()]
+            : null;
 
-          for (const appointment of filteredAppointments) {
-            // Mapear id_paciente desde old_id
-            let idPaciente = appointment.cliente
-              ? patientMapping[appointment.cliente.toString()]
+          // Mapear id_espacio desde mapper (usar primer recurso si hay varios)
+          const firstResource =
+            appointment.recursos && appointment.recursos.length > 0
+              ? appointment.recursos[0]
               : null;
+          const idEspacio = firstResource
+            ? spaceMapping.mapper[firstResource.toString()]
+            : null;
 
-            // Si no se encuentra el paciente, intentar obtenerlo de la API
-            if (appointment.cliente && !idPaciente) {
-              console.warn(
-                `⚠ Warning: Patient not found for appointment ${appointment.id} (patient ID: ${appointment.cliente}), attempting to fetch from API...`
-              );
+          if (firstResource && !idEspacio) {
+            globalStats.warnings.missingSpaces++;
+            dryRunReport?.addMissingMappings("space", firstResource);
+          }
 
-              idPaciente = await fetchAndRegisterPatient(appointment.cliente);
-
-              if (idPaciente) {
-                // Actualizar el mapping para futuras referencias
-                patientMapping[appointment.cliente.toString()] = idPaciente;
-                globalStats.warnings.registeredPatients++;
-              } else {
-                idPaciente = null;
-                globalStats.warnings.missingPatients++;
-                console.warn(
-                  `✗ Could not fetch/register patient ${appointment.cliente} for appointment ${appointment.id}, registering with null patient...`
-                );
-                //continue; // Skip this appointment
-              }
-            }
+          // Concatenar observaciones
+          const observacionesMedicas =
+            appointment.informacion_clinica || null;
+          const comentariosCita = [
+            appointment.observaciones,
+            appointment.notas,
+          ]
+            .filter(Boolean)
+            .join("\n");
 
-            // Mapear id_medico desde mapper
-            const idMedico = appointment.user
-              ? doctorMapping.mapper[appointment.user.toString()]
-              : null;
+          // Datos base compartidos por todas las citas duplicadas
+          const baseAppointmentData = {
+            id_paciente: idPaciente,
+            id_medico: idMedico || null,
+            id_super_clinica: clinic.id_super_clinica,
+            id_clinica: clinic.id_clinica,
+            fecha_cita: appointment.fecha || null,
+            hora_inicio: appointment.hora_inicio || null,
+            hora_fin: appointment.hora_fin || null,
+            id_estado_cita: idEstadoCita || 1,
+            id_espacio: idEspacio || null,
+            comentario_ia: null,
+            comentario_ausente_cancelado: null,
+            es_pack_bono: null,
+            id_pack_bono: null,
+            id_presupuesto: null,
+            id_recibo: null,
+            item_presupuesto: null,
+            old_id: appointment.id,
+            id_contacto: null,
+            fecha_creacion:
+              appointment.created?.replace("T", " ").split(".")[0] || null,
+            fecha_modificacion:
+              appointment.updated?.replace("T", " ").split(".")[0] || null,
+            usuario_creacion: null,
+            id_usuario_creacion: null,
+            fecha_migracion: null,
+            detalles_migracion: null,
+            id_estados_cita_in: null,
+          };
 
-            if (appointment.user && !idMedico) {
-              globalStats.warnings.missingDoctors++;
-              console.warn(
-                `⚠ Warning: Doctor not found for appointment ${appointment.id} (doctor ID: ${appointment.user})`
-              );
-            }
+          // Obtener todos los servicios de la cita
+          const services =
+            appointment.servicios && appointment.servicios.length > 0
+              ? appointment.servicios
+              : [null];
 
-            // Mapear id_estado_cita desde mapper
-            const idEstadoCita = appointment.estado
-              ? stateMapping.mapper[appointment.estado.toString()]
-              : null;
+          // Crear una cita por cada servicio
+          const appointmentRecords = services.map((serviceId, index) => {
+            const isPrimary = index === 0;
 
-            // Mapear id_espacio desde mapper (usar primer recurso si hay varios)
-            const firstResource =
-              appointment.recursos && appointment.recursos.length > 0
-                ? appointment.recursos[0]
-                : null;
-            const idEspacio = firstResource
-              ? spaceMapping.mapper[firstResource.toString()]
+            // Mapear tratamiento
+            const idTratamiento = serviceId
+              ? treatmentMapping.mapper[serviceId.toString()]
               : null;
 
-            if (firstResource && !idEspacio) {
-              globalStats.warnings.missingSpaces++;
+            if (serviceId && !idTratamiento) {
+              globalStats.warnings.missingTreatments++;
+              dryRunReport?.addMissingMappings("treatment", serviceId);
+              console.warn(
+                `⚠ Warning: Treatment not found for appointment ${appointment.id} (service ID: ${serviceId})`
+              );
             }
 
-            // Concatenar observaciones
-            const observacionesMedicas =
-              appointment.informacion_clinica || null;
-            const comentariosCita = [
-              appointment.observaciones,
-              appointment.notas,
-            ]
-              .filter(Boolean)
-              .join("\n");
-
-            // Datos base compartidos por todas las citas duplicadas
-            const baseAppointmentData = {
-              id_paciente: idPaciente,
-              id_medico: idMedico || null,
-              id_super_clinica: clinic.id_super_clinica,
-              id_clinica: clinic.id_clinica,
-              fecha_cita: appointment.fecha || null,
-              hora_inicio: appointment.hora_inicio || null,
-              hora_fin: appointment.hora_fin || null,
-              id_estado_cita: idEstadoCita || 1,
-              id_espacio: idEspacio || null,
-              comentario_ia: null,
-              comentario_ausente_cancelado: null,
-              es_pack_bono: null,
-              id_pack_bono: null,
-              id_presupuesto: null,
-              id_recibo: null,
-              item_presupuesto: null,
-              old_id: appointment.id,
-              id_contacto: null,
-              fecha_creacion:
-                appointment.created?.replace("T", " ").split(".")[0] || null,
-              fecha_modificacion:
-                appointment.updated?.replace("T", " ").split(".")[0] || null,
-              usuario_creacion: null,
-              id_usuario_creacion: null,
-              fecha_migracion: null,
-              detalles_migracion: null,
-              id_estados_cita_in: null,
+            return {
+              ...baseAppointmentData,
+              id_tratamiento: idTratamiento || null,
+              // Solo la primera cita tiene observaciones y comentarios
+              observaciones_medicas: isPrimary ? observacionesMedicas : null,
+              comentarios_cita: isPrimary ? comentariosCita || null : null,
+              // La primera es principal (NULL), las demás se marcarán después
+              id_cita_reference: isPrimary ? null : "PENDING",
+              // Metadata para identificar duplicados
+              _isPrimary: isPrimary,
+              _originalId: appointment.id,
             };
+          });
 
-            // Obtener todos los servicios de la cita
-            const services =
-              appointment.servicios && appointment.servicios.length > 0
-                ? appointment.servicios
-                : [null];
-
-            // Crear una cita por cada servicio
-            const appointmentRecords = services.map((serviceId, index) => {
-              const isPrimary = index === 0;
-
-              // Mapear tratamiento
-              const idTratamiento = serviceId
-                ? treatmentMapping.mapper[serviceId.toString()]
-                : null;
-
-              if (serviceId && !idTratamiento) {
-                globalStats.warnings.missingTreatments++;
-                console.warn(
-                  `⚠ Warning: Treatment not found for appointment ${appointment.id} (service ID: ${serviceId})`
-                );
-              }
-
-              return {
-                ...baseAppointmentData,
-                id_tratamiento: idTratamiento || null,
-                // Solo la primera cita tiene observaciones y comentarios
-                observaciones_medicas: isPrimary ? observacionesMedicas : null,
-                comentarios_cita: isPrimary ? comentariosCita || null : null,
-                // La primera es principal (NULL), las demás se marcarán después
-                id_cita_reference: isPrimary ? null : "PENDING",
-                // Metadata para identificar duplicados
-                _isPrimary: isPrimary,
-                _originalId: appointment.id,
-              };
-            });
-
-            transformedBatch.push(...appointmentRecords);
-          }
+          transformedBatch.push(...appointmentRecords);
+        }
 
+        console.log(
+          `✓ Transformed ${transformedBatch.length} appointment records (including duplicates for multiple services)`
+        );
+
+        if (transformedBatch.length === 0) {
           console.log(
-            `✓ Transformed ${transformedBatch.length} appointment records (including duplicates for multiple services)`
+            `⚠ Skipping batch ${currentPage + 1}: no valid appointments`
           );
+          return;
+        }
 
-          if (transformedBatch.length === 0) {
-            console.log(
-              `⚠ Skipping batch ${currentPage + 1}: no valid appointments`
-            );
-            return;
-          }
+        // Separar citas primarias y secundarias
+        const primaryAppointments = transformedBatch.filter(
+          (apt) => apt._isPrimary
+        );
+        const secondaryAppointments = transformedBatch.filter(
+          (apt) => !apt._isPrimary
+        );
+
+        console.log(
+          `→ Inserting batch ${currentPage + 1}: ${
+            primaryAppointments.length
+          } primary, ${secondaryAppointments.length} secondary appointments`
+        );
 
-          // Separar citas primarias y secundarias
-          const primaryAppointments = transformedBatch.filter(
-            (apt) => apt._isPrimary
+        // PASO 1: Insertar citas primarias
+        if (primaryAppointments.length > 0) {
+          // Remover metadata antes de insertar
+          const cleanPrimaryAppointments = primaryAppointments.map(
+            ({ _isPrimary, _originalId, ...appointment }) => appointment
           );
-          const secondaryAppointments = transformedBatch.filter(
-            (apt) => !apt._isPrimary
+
+          const primaryStats = await processBatches(
+            "citas",
+            cleanPrimaryAppointments,
+            100,
+            {
+              ...batchOptions,
+              conflictKeys: PRIMARY_APPOINTMENT_KEYS,
+              updateColumns: APPOINTMENT_UPDATE_COLUMNS,
+            }
           );
 
+          // Acumular estadísticas
+          globalStats.totalRecords += primaryStats.totalRecords;
+          globalStats.totalBatches += primaryStats.totalBatches;
+          globalStats.successfulBatches += primaryStats.successfulBatches;
+          globalStats.failedBatches += primaryStats.failedBatches;
+          globalStats.insertedRecords += primaryStats.insertedRecords;
+          globalStats.updatedRecords += primaryStats.updatedRecords;
+          globalStats.skippedRecords += primaryStats.skippedRecords;
+          globalStats.failedRecords += primaryStats.failedRecords;
+          globalStats.errors.push(...primaryStats.errors);
+
           console.log(
-            `→ Inserting batch ${currentPage + 1}: ${
-              primaryAppointments.length
-            } primary, ${secondaryAppointments.length} secondary appointments`
+            `✓ Primary appointments inserted: ${primaryStats.insertedRecords}/${primaryStats.totalRecords}`
           );
+        }
 
-          // PASO 1: Insertar citas primarias
-          if (primaryAppointments.length > 0) {
-            // Remover metadata antes de insertar
-            const cleanPrimaryAppointments = primaryAppointments.map(
-              ({ _isPrimary, _originalId, ...appointment }) => appointment
-            );
-
-            const primaryStats = await processBatches(
-              "citas",
-              cleanPrimaryAppointments,
-              100
-            );
+        // PASO 2: Obtener IDs de las citas primarias recién insertadas y actualizar secundarias
+        if (secondaryAppointments.length > 0) {
+          // Obtener old_ids únicos de las citas secundarias
+          const uniqueOldIds = [
+            ...new Set(secondaryAppointments.map((apt) => apt._originalId)),
+          ];
+
+          // Consultar las citas primarias recién insertadas por old_id
+          const placeholders = uniqueOldIds.map(() => "?").join(",");
+          const insertedPrimaryAppointments = await query(
+            `SELECT id_cita, old_id FROM citas
+             WHERE old_id IN (${placeholders})
+             AND id_cita_reference IS NULL
+             AND id_clinica = ?
+             AND id_super_clinica = ?`,
+            [...uniqueOldIds, clinic.id_clinica, clinic.id_super_clinica]
+          );
 
-            // Acumular estadísticas
-            globalStats.totalRecords += primaryStats.totalRecords;
-            globalStats.totalBatches += primaryStats.totalBatches;
-            globalStats.successfulBatches += primaryStats.successfulBatches;
-            globalStats.failedBatches += primaryStats.failedBatches;
-            globalStats.insertedRecords += primaryStats.insertedRecords;
-            globalStats.errors.push(...primaryStats.errors);
+          // Crear mapeo old_id -> id_cita
+          const primaryIdMapping = {};
+          insertedPrimaryAppointments.forEach((apt) => {
+            primaryIdMapping[apt.old_id] = apt.id_cita;
+          });
 
-            console.log(
-              `✓ Primary appointments inserted: ${primaryStats.insertedRecords}/${primaryStats.totalRecords}`
-            );
+          // En dry-run las citas primarias no existen en la BD: usar ids simulados
+          if (dryRunReport) {
+            dryRunReport.fillSimulatedIds("citas", primaryIdMapping, uniqueOldIds);
           }
 
-          // PASO 2: Obtener IDs de las citas primarias recién insertadas y actualizar secundarias
-          if (secondaryAppointments.length > 0) {
-            // Obtener old_ids únicos de las citas secundarias
-            const uniqueOldIds = [
-              ...new Set(secondaryAppointments.map((apt) => apt._originalId)),
-            ];
-
-            // Consultar las citas primarias recién insertadas por old_id
-            const placeholders = uniqueOldIds.map(() => "?").join(",");
-            const insertedPrimaryAppointments = await query(
-              `SELECT id_cita, old_id FROM citas
-               WHERE old_id IN (${placeholders})
-               AND id_cita_reference IS NULL
-               AND id_clinica = ?
-               AND id_super_clinica = ?`,
-              [...uniqueOldIds, clinic.id_clinica, clinic.id_super_clinica]
-            );
-
-            // Crear mapeo old_id -> id_cita
-            const primaryIdMapping = {};
-            insertedPrimaryAppointments.forEach((apt) => {
-              primaryIdMapping[apt.old_id] = apt.id_cita;
-            });
-
-            // Actualizar id_cita_reference en citas secundarias
-            const cleanSecondaryAppointments = secondaryAppointments.map(
-              ({
-                _isPrimary,
-                _originalId,
-                id_cita_reference,
-                ...appointment
-              }) => ({
-                ...appointment,
-                id_cita_reference: primaryIdMapping[_originalId] || null,
-              })
-            );
-
-            // Insertar citas secundarias
-            const secondaryStats = await processBatches(
-              "citas",
-              cleanSecondaryAppointments,
-              100
-            );
+          // Actualizar id_cita_reference en citas secundarias
+          const cleanSecondaryAppointments = secondaryAppointments.map(
+            ({
+              _isPrimary,
+              _originalId,
+              id_cita_reference,
+              ...appointment
+            }) => ({
+              ...appointment,
+              id_cita_reference: primaryIdMapping[_originalId] || null,
+            })
+          );
 
-            // Acumular estadísticas
-            globalStats.totalRecords += secondaryStats.totalRecords;
-            globalStats.totalBatches += secondaryStats.totalBatches;
-            globalStats.successfulBatches += secondaryStats.successfulBatches;
-            globalStats.failedBatches += secondaryStats.failedBatches;
-            globalStats.insertedRecords += secondaryStats.insertedRecords;
-            globalStats.errors.push(...secondaryStats.errors);
+          // Insertar citas secundarias
+          const secondaryStats = await processBatches(
+            "citas",
+            cleanSecondaryAppointments,
+            100,
+            {
+              ...batchOptions,
+              conflictKeys: SECONDARY_APPOINTMENT_KEYS,
+              updateColumns: APPOINTMENT_UPDATE_COLUMNS,
+            }
+          );
 
-            console.log(
-              `✓ Secondary appointments inserted: ${secondaryStats.insertedRecords}/${secondaryStats.totalRecords}`
-            );
-          }
+          // Acumular estadísticas
+          globalStats.totalRecords += secondaryStats.totalRecords;
+          globalStats.totalBatches += secondaryStats.totalBatches;
+          globalStats.successfulBatches += secondaryStats.successfulBatches;
+          globalStats.failedBatches += secondaryStats.failedBatches;
+          globalStats.insertedRecords += secondaryStats.insertedRecords;
+          globalStats.updatedRecords += secondaryStats.updatedRecords;
+          globalStats.skippedRecords += secondaryStats.skippedRecords;
+          globalStats.failedRecords += secondaryStats.failedRecords;
+          globalStats.errors.push(...secondaryStats.errors);
 
           console.log(
-            `✓ Batch ${currentPage + 1} completed: ${
-              globalStats.insertedRecords
-            } total records inserted`
+            `✓ Secondary appointments inserted: ${secondaryStats.insertedRecords}/${secondaryStats.totalRecords}`
           );
-        },
-        100 // Límite de 100 por página
-      );
-
-      if (!processingResult.success) {
-        return res.status(500).json({
-          success: false,
-          error: "FETCH_APPOINTMENTS_ERROR",
-          message: "Failed to fetch appointments from Koibox",
-          details: processingResult.error,
-        });
-      }
-
-      console.log(
-        `\n✓ All batches processed: ${globalStats.insertedRecords}/${globalStats.totalRecords} total records inserted`
-      );
+        }
 
-      if (globalStats.warnings.missingPatients > 0) {
-        console.warn(
-          `⚠ ${globalStats.warnings.missingPatients} appointments skipped due to missing patients`
+        console.log(
+          `✓ Batch ${currentPage + 1} completed: ${
+            globalStats.insertedRecords
+          } total records inserted`
         );
+      },
+      100, // Límite de 100 por página
+      {
+        ...job.checkpointOptions(globalStats),
+        params: buildSinceParams(syncWindow),
       }
+    );
 
-      const insertStats = globalStats;
-
-      // ==========================================
-      // PASO 9: Generar respuesta
-      // ==========================================
-      console.log("\n========================================");
-      console.log("Migration Completed");
-      console.log("========================================");
-      console.log("Total Appointments:", insertStats.totalRecords);
-      console.log("Successful Batches:", insertStats.successfulBatches);
-      console.log("Failed Batches:", insertStats.failedBatches);
-      console.log("Inserted Records:", insertStats.insertedRecords);
-      console.log("Warnings:");
-      console.log(
-        "  - Missing Patients:",
-        insertStats.warnings.missingPatients
-      );
-      console.log(
-        "  - Registered Patients from API:",
-        insertStats.warnings.registeredPatients
-      );
-      console.log("  - Missing Doctors:", insertStats.warnings.missingDoctors);
-      console.log(
-        "  - Missing Treatments:",
-        insertStats.warnings.missingTreatments
-      );
-      console.log("  - Missing Spaces:", insertStats.warnings.missingSpaces);
-      console.log("========================================\n");
-
-      const success = insertStats.failedBatches === 0;
-
-      return res.status(success ? 200 : 207).json({
-        success,
-        message: success
-          ? "Migration completed successfully"
-          : "Migration completed with errors",
-        stats: {
-          totalAppointments: insertStats.totalRecords,
-          batches: insertStats.totalBatches,
-          successfulBatches: insertStats.successfulBatches,
-          failedBatches: insertStats.failedBatches,
-          insertedRecords: insertStats.insertedRecords,
-          warnings: insertStats.warnings,
-        },
-        errors: insertStats.errors,
-      });
-    } catch (error) {
-      console.error("\n✗ Migration failed:", error);
-
-      return res.status(500).json({
+    if (!processingResult.success) {
+      return migrationResult(500, {
         success: false,
-        error: "MIGRATION_ERROR",
-        message: error.message,
-        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+        error: "FETCH_APPOINTMENTS_ERROR",
+        message: "Failed to fetch appointments from Koibox",
+        details: processingResult.error,
       });
     }
+
+    console.log(
+      `\n✓ All batches processed: ${globalStats.insertedRecords}/${globalStats.totalRecords} total records inserted`
+    );
+
+    if (globalStats.warnings.missingPatients > 0) {
+      console.warn(
+        `⚠ ${globalStats.warnings.missingPatients} appointments skipped due to missing patients`
+      );
+    }
+
+    const insertStats = globalStats;
+
+    // ==========================================
+    // PASO 9: Generar respuesta
+    // ==========================================
+    console.log("\n========================================");
+    console.log("Migration Completed");
+    console.log("========================================");
+    console.log("Total Appointments:", insertStats.totalRecords);
+    console.log("Successful Batches:", insertStats.successfulBatches);
+    console.log("Failed Batches:", insertStats.failedBatches);
+    console.log("Inserted Records:", insertStats.insertedRecords);
+    console.log("Updated Records:", insertStats.updatedRecords);
+    console.log("Skipped Records:", insertStats.skippedRecords);
+    console.log("Failed Records:", insertStats.failedRecords);
+    console.log("Warnings:");
+    console.log(
+      "  - Missing Patients:",
+      insertStats.warnings.missingPatients
+    );
+    console.log(
+      "  - Registered Patients from API:",
+      insertStats.warnings.registeredPatients
+    );
+    console.log("  - Missing Doctors:", insertStats.warnings.missingDoctors);
+    console.log(
+      "  - Missing Treatments:",
+      insertStats.warnings.missingTreatments
+    );
+    console.log("  - Missing Spaces:", insertStats.warnings.missingSpaces);
+    console.log("========================================\n");
+
+    const success = insertStats.failedBatches === 0;
+
+    return migrationResult(success ? 200 : 207, {
+      success,
+      message: success
+        ? "Migration completed successfully"
+        : "Migration completed with errors",
+      stats: {
+        totalAppointments: insertStats.totalRecords,
+        batches: insertStats.totalBatches,
+        successfulBatches: insertStats.successfulBatches,
+        failedBatches: insertStats.failedBatches,
+        insertedRecords: insertStats.insertedRecords,
+        updatedRecords: insertStats.updatedRecords,
+        skippedRecords: insertStats.skippedRecords,
+        failedRecords: insertStats.failedRecords,
+        syncMode: syncWindow.incremental ? "incremental" : "full",
+        onConflict: syncWindow.onConflict,
+        since: syncWindow.since,
+        warnings: insertStats.warnings,
+      },
+      mappings: {
+        tax: describeMapping(taxMapping),
+        doctor: describeMapping(doctorMapping),
+        treatment: describeMapping(treatmentMapping),
+        appointment_state: describeMapping(stateMapping),
+        space: describeMapping(spaceMapping),
+      },
+      errors: insertStats.errors,
+    });
+  } catch (error) {
+    console.error("\n✗ Migration failed:", error);
+
+    return migrationResult(500, {
+      success: false,
+      error: "MIGRATION_ERROR",
+      message: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
   }
+}
+
+/**
+ * POST /migrations/koibox/citas
+ * Registra la migración como job y responde 202 sin esperar a que termine
+ */
+router.post(
+  "/citas",
+  validateBearerToken,
+  validateClinicData,
+  migrationJobHandler("koibox", "citas", migrateCitas)
 );
 
-module.exports = router;
+module.exports = {
+  router,
+  migrateCitas,
+};
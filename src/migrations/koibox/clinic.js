@@ -0,0 +1,363 @@
+const express = require("express");
+const {
+  validateBearerToken,
+  validateClinicData,
+} = require("../../middlewares/auth.middleware");
+const {
+  migrationResult,
+  migrationJobHandler,
+  createStepHandle,
+} = require("../../services/job.service");
+const { SYNC_MODE } = require("../../services/sync.service");
+const { migrateProductos } = require("./productos");
+const { migratePacientes } = require("./pacientes");
+const { migrateCitas } = require("./citas");
+const { migrateRecibos } = require("./recibos");
+const { migrateEncuestas } = require("./encuestas");
+const { migratePresupuestos } = require("./presupuestos");
+const { migrateSaldos } = require("./saldos");
+const { migrateBonos } = require("./bonos");
+
+const router = express.Router();
+
+// Grafo de dependencias entre migraciones Koibox
+// - citas necesita pacientes.old_id
+// - presupuestos crea los recibos de sus ventas y omite las ventas ya migradas,
+//   por eso debe ir antes que recibos
+// - recibos actualiza citas por old_id y resuelve los productos de sus líneas
+//   por productos.old_id
+// - saldos concilia la deuda de Koibox con los recibos y pagos migrados; es una
+//   foto (snapshot), así que en una ejecución incremental se migra completo
+// - bonos vincula por old_id las citas que consumieron cada bono
+const MIGRATION_STEPS = {
+  productos: { migrate: migrateProductos, dependsOn: [] },
+  pacientes: { migrate: migratePacientes, dependsOn: [] },
+  citas: { migrate: migrateCitas, dependsOn: ["pacientes"] },
+  presupuestos: { migrate: migratePresupuestos, dependsOn: ["pacientes"] },
+  recibos: {
+    migrate: migrateRecibos,
+    dependsOn: ["productos", "pacientes", "citas", "presupuestos"],
+  },
+  encuestas: { migrate: migrateEncuestas, dependsOn: ["pacientes"] },
+  saldos: {
+    migrate: migrateSaldos,
+    dependsOn: ["pacientes", "recibos"],
+    snapshot: true,
+  },
+  bonos: { migrate: migrateBonos, dependsOn: ["pacientes", "citas"] },
+};
+
+// Políticas ante un paso fallido
+const ERROR_POLICIES = ["stop", "continue"];
+
+// Estados de paso que cuentan como terminados (no se repiten al reanudar)
+const COMPLETED_STATUSES = ["completed", "completed_with_errors"];
+
+/**
+ * Ordena los pasos respetando las dependencias (orden topológico estable)
+ * Las dependencias que no están en la selección se asumen ya migradas
+ * @param {Array<string>} selectedSteps - Pasos a ejecutar
+ * @returns {Array<string>} - Pasos en orden de ejecución
+ */
+function resolveExecutionOrder(selectedSteps) {
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = (step) => {
+    if (visited.has(step)) {
+      return;
+    }
+    visited.add(step);
+
+    MIGRATION_STEPS[step].dependsOn
+      .filter((dependency) => selectedSteps.includes(dependency))
+      .forEach(visit);
+
+    ordered.push(step);
+  };
+
+  selectedSteps.forEach(visit);
+
+  return ordered;
+}
+
+/**
+ * Opciones de la migración para un paso: los pasos que son una foto (snapshot)
+ * se ejecutan siempre en modo completo aunque la clínica se migre en incremental
+ * @param {string} step - Paso de la migración
+ * @param {Object} options - Opciones de la migración de la clínica
+ * @returns {Object} - Opciones del paso
+ */
+function getStepOptions(step, options) {
+  if (
+    !MIGRATION_STEPS[step].snapshot ||
+    options.mode !== SYNC_MODE.INCREMENTAL
+  ) {
+    return options;
+  }
+
+  console.log(`→ Step ${step} is a snapshot, running it in full mode`);
+  const { since, ...rest } = options;
+
+  return { ...rest, mode: SYNC_MODE.FULL };
+}
+
+/**
+ * Migra una clínica completa de Koibox ejecutando todas las migraciones
+ * en orden de dependencias y comparte los mapeos de IA entre pasos
+ * @param {Object} context - Contexto de la migración (clinic, defaultValues, options, bearerToken, job)
+ * @returns {Promise<Object>} - Resultado { status, body } consolidado
+ */
+async function migrateClinic(context) {
+  const { clinic, options = {}, job } = context;
+  const onError = options.onError || "stop";
+
+  if (
+    options.steps !== undefined &&
+    (!Array.isArray(options.steps) ||
+      options.steps.length === 0 ||
+      !options.steps.every((step) => typeof step === "string"))
+  ) {
+    return migrationResult(400, {
+      success: false,
+      error: "INVALID_STEPS",
+      message: "steps must be a non-empty array of step names",
+      availableSteps: Object.keys(MIGRATION_STEPS),
+    });
+  }
+
+  const selectedSteps = options.steps || Object.keys(MIGRATION_STEPS);
+
+  const unknownSteps = selectedSteps.filter(
+    (step) => !Object.prototype.hasOwnProperty.call(MIGRATION_STEPS, step)
+  );
+
+  if (unknownSteps.length > 0) {
+    return migrationResult(400, {
+      success: false,
+      error: "INVALID_STEPS",
+      message: `Unknown migration steps: ${unknownSteps.join(", ")}`,
+      availableSteps: Object.keys(MIGRATION_STEPS),
+    });
+  }
+
+  if (!ERROR_POLICIES.includes(onError)) {
+    return migrationResult(400, {
+      success: false,
+      error: "INVALID_ERROR_POLICY",
+      message: `onError must be one of: ${ERROR_POLICIES.join(", ")}`,
+    });
+  }
+
+  const executionOrder = resolveExecutionOrder(selectedSteps);
+
+  console.log("\n========================================");
+  console.log("Starting Koibox Full Clinic Migration");
+  console.log("========================================");
+  console.log("Clinic ID:", clinic.id_clinica);
+  console.log("Super Clinic ID:", clinic.id_super_clinica);
+  console.log("Execution order:", executionOrder.join(" → "));
+  console.log("On error:", onError);
+  console.log("========================================\n");
+
+  // Estado de la orquestación (se restaura del checkpoint al reanudar)
+  const state = job.checkpoint || {
+    steps: {},
+    currentStep: null,
+    stepCheckpoint: null,
+    sharedMappings: {},
+  };
+
+  // Guardar el estado completo de la orquestación como checkpoint del job
+  const saveState = () =>
+    job.saveCheckpoint({ ...state, stats: { steps: state.steps } });
+
+  let stopped = false;
+
+  for (const step of executionOrder) {
+    const previous = state.steps[step];
+
+    if (previous && COMPLETED_STATUSES.includes(previous.status)) {
+      console.log(`⊗ Step ${step} already ${previous.status}, skipping`);
+      continue;
+    }
+
+    if (stopped || job.isCancelled()) {
+      state.steps[step] = { status: "not_run" };
+      continue;
+    }
+
+    // Verificar que las dependencias no hayan fallado
+    const failedDependencies = MIGRATION_STEPS[step].dependsOn.filter(
+      (dependency) =>
+        state.steps[dependency] &&
+        !COMPLETED_STATUSES.includes(state.steps[dependency].status)
+    );
+
+    if (failedDependencies.length > 0) {
+      console.warn(
+        `⚠ Skipping ${step}: dependencies not completed (${failedDependencies.join(", ")})`
+      );
+      state.steps[step] = {
+        status: "skipped",
+        reason: `Dependencies not completed: ${failedDependencies.join(", ")}`,
+      };
+      continue;
+    }
+
+    console.log(`\n→ Clinic migration step: ${step}`);
+
+    // Reanudar el paso desde su propio checkpoint si fue el que se interrumpió
+    const stepCheckpoint =
+      state.currentStep === step ? state.stepCheckpoint : null;
+    state.currentStep = step;
+    state.stepCheckpoint = stepCheckpoint;
+    // Páginas omitidas antes de empezar el paso (se conserva al reanudarlo)
+    if (!stepCheckpoint) {
+      state.stepGapsStart = job.getPageGaps().length;
+    }
+
+    const stepJob = createStepHandle(job, stepCheckpoint, (data) => {
+      state.stepCheckpoint = data;
+      return saveState();
+    });
+
+    let result;
+
+    try {
+      result = await MIGRATION_STEPS[step].migrate({
+        ...context,
+        options: getStepOptions(step, options),
+        job: stepJob,
+        sharedMappings: state.sharedMappings,
+      });
+    } catch (error) {
+      result = migrationResult(500, {
+        success: false,
+        error: "MIGRATION_ERROR",
+        message: error.message,
+      });
+    }
+
+    const { status, body } = result;
+
+    // Paso detenido por la cancelación del job: no cuenta como terminado y se
+    // conserva su checkpoint para que al reanudar continúe desde ahí
+    if (job.isCancelled()) {
+      state.steps[step] = {
+        status: "cancelled",
+        httpStatus: status,
+        stats: body.stats,
+        message: "Step stopped by job cancellation",
+      };
+      await saveState();
+
+      console.warn(`⚠ Step ${step} cancelled, stopping clinic migration`);
+      break;
+    }
+
+    // Un paso que omitió páginas no terminó completo aunque su migración respondiera 200
+    const stepPageGaps = job.getPageGaps().slice(state.stepGapsStart || 0);
+
+    const stepStatus =
+      status >= 400
+        ? "failed"
+        : status === 207 || stepPageGaps.length > 0
+        ? "completed_with_errors"
+        : "completed";
+
+    state.steps[step] = {
+      status: stepStatus,
+      httpStatus: status,
+      stats: body.stats,
+      errors: body.errors,
+      error: body.error,
+      message: body.message,
+      ...(stepPageGaps.length > 0 && { pageGaps: stepPageGaps }),
+    };
+    state.currentStep = null;
+    state.stepCheckpoint = null;
+    state.stepGapsStart = null;
+    await saveState();
+
+    console.log(`✓ Step ${step} finished: ${stepStatus}`);
+
+    if (stepStatus === "failed" && onError === "stop") {
+      console.warn(`⚠ Stopping clinic migration: step ${step} failed`);
+      stopped = true;
+    }
+  }
+
+  // ==========================================
+  // Reporte consolidado
+  // ==========================================
+  const stepResults = Object.entries(state.steps);
+  const countByStatus = (status) =>
+    stepResults.filter(([, result]) => result.status === status).length;
+
+  const summary = {
+    executionOrder,
+    onError,
+    completedSteps: countByStatus("completed"),
+    completedWithErrorsSteps: countByStatus("completed_with_errors"),
+    failedSteps: countByStatus("failed"),
+    skippedSteps: countByStatus("skipped"),
+    notRunSteps: countByStatus("not_run"),
+    cancelledSteps: countByStatus("cancelled"),
+    sharedMappings: Object.keys(state.sharedMappings).length,
+  };
+
+  const errors = stepResults.flatMap(([step, result]) => {
+    if (result.status === "failed") {
+      return [{ step, error: result.error, message: result.message }];
+    }
+    return (result.errors || []).map((error) => ({ step, ...error }));
+  });
+
+  console.log("\n========================================");
+  console.log("Clinic Migration Completed");
+  console.log("========================================");
+  stepResults.forEach(([step, result]) => {
+    console.log(`  - ${step}: ${result.status}`);
+  });
+  console.log("========================================\n");
+
+  const body = {
+    success: summary.failedSteps === 0 && errors.length === 0,
+    stats: { ...summary, steps: state.steps },
+    errors,
+  };
+
+  if (stopped) {
+    // Fallo con política stop: el job queda "failed" y puede reanudarse
+    return migrationResult(500, {
+      ...body,
+      error: "CLINIC_MIGRATION_STOPPED",
+      message: "Clinic migration stopped after a failed step",
+    });
+  }
+
+  return migrationResult(body.success ? 200 : 207, {
+    ...body,
+    message: body.success
+      ? "Clinic migration completed successfully"
+      : "Clinic migration completed with errors",
+  });
+}
+
+/**
+ * POST /migrations/koibox/clinic
+ * Migra todas las entidades de una clínica Koibox en orden de dependencias
+ * Body opcional: steps (subconjunto de pasos), onError ("stop" | "continue")
+ */
+router.post(
+  "/clinic",
+  validateBearerToken,
+  validateClinicData,
+  migrationJobHandler("koibox", "clinic", migrateClinic)
+);
+
+module.exports = {
+  router,
+  migrateClinic,
+};
@@ -5,14 +5,27 @@ const {
   getAllPaginated,
 } = require("../../utils/api-client");
 const { query, transaction } = require("../../config/database");
+const { CONFLICT_STRATEGY } = require("../../services/batch.service");
 const {
   validateBearerToken,
   validateClinicData,
 } = require("../../middlewares/auth.middleware");
+const {
+  migrationResult,
+  migrationJobHandler,
+} = require("../../services/job.service");
 const {
   transformSurveyWithAI,
   transformSurveyResponses,
 } = require("../../services/survey-transformer.service");
+const {
+  insertTrackedRow,
+  trackUpdatedRows,
+} = require("../../services/migration-run.service");
+const {
+  resolveSyncWindow,
+  isChangedSince,
+} = require("../../services/sync.service");
 
 const router = express.Router();
 
@@ -82,11 +95,25 @@ async function fetchAllSurveyTemplates(koiboxClient) {
  * @param {number} id_clinica - ID de la clínica
  * @param {number} id_super_clinica - ID de la super clínica
  * @param {Object} connection - Conexión de base de datos (para transacción)
+ * @param {Object} batchOptions - Opciones de escritura (dryRunReport, runId) y aiUsage
  * @returns {Promise<Object>} - IDs generados y mapeos
  */
-async function migrateSurveyTemplate(surveyTemplate, id_clinica, id_super_clinica, connection) {
+async function migrateSurveyTemplate(surveyTemplate, id_clinica, id_super_clinica, connection, batchOptions = {}) {
+  const { dryRunReport = null, runId = null, aiUsage = null } = batchOptions;
+
   console.log(`\n  → Migrating survey template "${surveyTemplate.nombre}"...`);
 
+  // Inserta una fila asociada al job y devuelve su id
+  // (en dry-run solo la registra en el reporte y devuelve un id simulado)
+  const insertRow = async (tableName, row, sql, values) => {
+    if (dryRunReport) {
+      const [simulatedId] = await dryRunReport.addRecords(tableName, [row]);
+      return simulatedId;
+    }
+
+    return insertTrackedRow(connection, runId, tableName, sql, values);
+  };
+
   // 1. Verificar si la encuesta ya existe
   const [existingSurveys] = await connection.execute(
     `SELECT id FROM anamnesis_hojas WHERE old_id = ?`,
@@ -140,7 +167,7 @@ async function migrateSurveyTemplate(surveyTemplate, id_clinica, id_super_clinic
   }
 
   // 2. Usar IA para transformar la estructura
-  const aiResult = await transformSurveyWithAI(surveyTemplate, id_clinica, id_super_clinica);
+  const aiResult = await transformSurveyWithAI(surveyTemplate, id_clinica, id_super_clinica, aiUsage);
 
   if (!aiResult.success) {
     throw new Error(`AI transformation failed: ${aiResult.message}`);
@@ -149,7 +176,16 @@ async function migrateSurveyTemplate(surveyTemplate, id_clinica, id_super_clinic
   const transformedSurvey = aiResult.data;
 
   // 3. Insertar anamnesis_hojas
-  const [hojaResult] = await connection.execute(
+  const id_anamnesis_hoja = await insertRow(
+    "anamnesis_hojas",
+    {
+      nombre: transformedSurvey.anamnesis_hoja.nombre,
+      publico_objetivo: transformedSurvey.anamnesis_hoja.publico_objetivo,
+      id_clinica,
+      id_super_clinica,
+      old_id: surveyTemplate.id,
+      estado: 1
+    },
     `INSERT INTO anamnesis_hojas
      (nombre, publico_objetivo, id_clinica, id_super_clinica, old_id, estado, fecha_creacion)
      VALUES (?, ?, ?, ?, ?, 1, NOW())`,
@@ -162,7 +198,6 @@ async function migrateSurveyTemplate(surveyTemplate, id_clinica, id_super_clinic
     ]
   );
 
-  const id_anamnesis_hoja = hojaResult.insertId;
   console.log(`    ✓ Created anamnesis_hojas (ID: ${id_anamnesis_hoja})`);
 
   // 4. Insertar categorías y preguntas
@@ -171,14 +206,15 @@ async function migrateSurveyTemplate(surveyTemplate, id_clinica, id_super_clinic
 
   for (const categoria of transformedSurvey.categorias) {
     // Insertar categoría
-    const [categoriaResult] = await connection.execute(
+    const id_anamnesis_categoria = await insertRow(
+      "anamnesis_categorias",
+      { id_anamnesis_hoja, nombre: categoria.nombre, orden: categoria.orden },
       `INSERT INTO anamnesis_categorias
        (id_anamnesis_hoja, nombre, orden)
        VALUES (?, ?, ?)`,
       [id_anamnesis_hoja, categoria.nombre, categoria.orden]
     );
 
-    const id_anamnesis_categoria = categoriaResult.insertId;
     categoriasInfo[id_anamnesis_categoria] = categoria.nombre;
     console.log(`    ✓ Created category "${categoria.nombre}" (ID: ${id_anamnesis_categoria})`);
 
@@ -187,7 +223,16 @@ async function migrateSurveyTemplate(surveyTemplate, id_clinica, id_super_clinic
       const pregunta = categoria.preguntas[i];
 
       // Insertar pregunta
-      const [preguntaResult] = await connection.execute(
+      const id_anamnesis_pregunta = await insertRow(
+        "anamnesis_preguntas",
+        {
+          texto: pregunta.texto,
+          id_tipo_pregunta: pregunta.id_tipo_pregunta,
+          opciones: JSON.stringify(pregunta.opciones),
+          id_clinica,
+          id_super_clinica,
+          estado: 1
+        },
         `INSERT INTO anamnesis_preguntas
          (texto, id_tipo_pregunta, opciones, id_clinica, id_super_clinica, estado, fecha_creacion)
          VALUES (?, ?, ?, ?, ?, 1, NOW())`,
@@ -200,8 +245,6 @@ async function migrateSurveyTemplate(surveyTemplate, id_clinica, id_super_clinic
         ]
       );
 
-      const id_anamnesis_pregunta = preguntaResult.insertId;
-
       // Guardar mapeo
       preguntasMapping[pregunta.koibox_question_id] = {
         id_pregunta: id_anamnesis_pregunta,
@@ -211,7 +254,9 @@ async function migrateSurveyTemplate(surveyTemplate, id_clinica, id_super_clinic
       };
 
       // Relacionar pregunta con categoría
-      await connection.execute(
+      await insertRow(
+        "anamnesis_categorias_has_preguntas",
+        { id_anamnesis_categoria, id_anamnesis_pregunta, orden: i },
         `INSERT INTO anamnesis_categorias_has_preguntas
          (id_anamnesis_categoria, id_anamnesis_pregunta, orden)
          VALUES (?, ?, ?)`,
@@ -234,279 +279,402 @@ async function migrateSurveyTemplate(surveyTemplate, id_clinica, id_super_clinic
 
 
 /**
- * POST /migrations/koibox/encuestas
  * Migra encuestas (anamnesis) desde Koibox API a la base de datos local
+ * @param {Object} context - Contexto de la migración (clinic, defaultValues, options, bearerToken, job)
+ * @returns {Promise<Object>} - Resultado { status, body } de la migración
  */
-router.post(
-  "/encuestas",
-  validateBearerToken,
-  validateClinicData,
-  async (req, res) => {
-    try {
-      const { clinic, default: defaultValues = {} } = req.body;
-      const bearerToken = req.bearerToken;
-
-      console.log("\n========================================");
-      console.log("Starting Koibox Surveys Migration");
-      console.log("========================================");
-      console.log("Clinic ID:", clinic.id_clinica);
-      console.log("Super Clinic ID:", clinic.id_super_clinica);
-      console.log("Default values:", defaultValues);
-      console.log("========================================\n");
-
-      // Crear cliente API de Koibox
-      const koiboxClient = createApiClient(process.env.KOIBOX_API, {
-        Authorization: `Bearer ${bearerToken}`,
-      });
+async function migrateEncuestas(context) {
+  try {
+    const { clinic, defaultValues, bearerToken, job, dryRunReport } = context;
 
-      // ==========================================
-      // PASO 1: Obtener mapeo de pacientes
-      // ==========================================
-      const patientMapping = await getPatientMapping(
-        clinic.id_clinica,
-        clinic.id_super_clinica
-      );
+    // Ventana de sincronización: full (todo) o incremental (solo las encuestas
+    // realizadas o modificadas desde la última ejecución correcta) y estrategia
+    // ante respuestas ya migradas
+    const syncWindow = await resolveSyncWindow(context, "koibox", "encuestas");
 
-      if (Object.keys(patientMapping).length === 0) {
-        console.warn("⚠ Warning: No patients found for this clinic");
-      }
+    if (!syncWindow.success) {
+      return migrationResult(400, syncWindow);
+    }
 
-      // ==========================================
-      // PASO 2: Obtener todas las plantillas de encuestas
-      // ==========================================
-      const surveyTemplates = await fetchAllSurveyTemplates(koiboxClient);
+    // Opciones comunes a todas las inserciones: las filas quedan asociadas
+    // al job para poder hacer rollback (en dry-run no se escribe en la BD)
+    const batchOptions = { dryRunReport, runId: job.id, aiUsage: context.aiUsage };
+
+    console.log("\n========================================");
+    console.log("Starting Koibox Surveys Migration");
+    console.log("========================================");
+    console.log("Clinic ID:", clinic.id_clinica);
+    console.log("Super Clinic ID:", clinic.id_super_clinica);
+    console.log("Default values:", defaultValues);
+    console.log(
+      "Sync mode:",
+      syncWindow.incremental
+        ? `incremental (since ${syncWindow.since.toISOString()})`
+        : "full",
+      `(on conflict: ${syncWindow.onConflict})`
+    );
+    console.log("========================================\n");
+
+    // Crear cliente API de Koibox
+    const koiboxClient = createApiClient(process.env.KOIBOX_API, {
+      Authorization: `Bearer ${bearerToken}`,
+    });
+
+    // ==========================================
+    // PASO 1: Obtener mapeo de pacientes
+    // ==========================================
+    const patientMapping = await getPatientMapping(
+      clinic.id_clinica,
+      clinic.id_super_clinica
+    );
 
-      if (surveyTemplates.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: "NO_SURVEYS_FOUND",
-          message: "No survey templates found in Koibox",
+    if (Object.keys(patientMapping).length === 0) {
+      console.warn("⚠ Warning: No patients found for this clinic");
+    }
+
+    // ==========================================
+    // PASO 2: Obtener todas las plantillas de encuestas
+    // ==========================================
+    const surveyTemplates = await fetchAllSurveyTemplates(koiboxClient);
+
+    if (surveyTemplates.length === 0) {
+      return migrationResult(404, {
+        success: false,
+        error: "NO_SURVEYS_FOUND",
+        message: "No survey templates found in Koibox",
+      });
+    }
+
+    // ==========================================
+    // PASO 3: Migrar plantillas de encuestas
+    // ==========================================
+    console.log("\n→ Step 3: Migrating survey templates to database...");
+
+    const templatesMapping = {}; // old_id -> { id_anamnesis_hoja, id_anamnesis_categoria, preguntasIds }
+    let templatesCreated = 0;
+    let templatesSkipped = 0;
+
+    for (const template of surveyTemplates) {
+      try {
+        await transaction(async (connection) => {
+          const result = await migrateSurveyTemplate(
+            template,
+            clinic.id_clinica,
+            clinic.id_super_clinica,
+            connection,
+            batchOptions
+          );
+
+          if (result.skipped) {
+            templatesSkipped++;
+            dryRunReport?.addAlreadyMigrated("anamnesis_hojas", 1);
+          } else {
+            templatesCreated++;
+          }
+
+          // Guardar mapeo completo
+          templatesMapping[template.id] = {
+            id_anamnesis_hoja: result.id_anamnesis_hoja,
+            preguntasMapping: result.preguntasMapping,
+            categoriasInfo: result.categoriasInfo
+          };
         });
+      } catch (error) {
+        console.error(`  ✗ Error migrating template "${template.nombre}":`, error.message);
       }
+    }
 
-      // ==========================================
-      // PASO 3: Migrar plantillas de encuestas
-      // ==========================================
-      console.log("\n→ Step 3: Migrating survey templates to database...");
-
-      const templatesMapping = {}; // old_id -> { id_anamnesis_hoja, id_anamnesis_categoria, preguntasIds }
-      let templatesCreated = 0;
-      let templatesSkipped = 0;
-
-      for (const template of surveyTemplates) {
-        try {
-          await transaction(async (connection) => {
-            const result = await migrateSurveyTemplate(
-              template,
-              clinic.id_clinica,
-              clinic.id_super_clinica,
-              connection
-            );
+    console.log(`\n✓ Templates migration completed:`);
+    console.log(`  - Created: ${templatesCreated}`);
+    console.log(`  - Skipped (already exist): ${templatesSkipped}`);
 
-            if (result.skipped) {
-              templatesSkipped++;
-            } else {
-              templatesCreated++;
-            }
+    // ==========================================
+    // PASO 4: Obtener encuestas realizadas (con respuestas)
+    // ==========================================
+    console.log("\n→ Step 4: Fetching completed surveys from Koibox...");
 
-            // Guardar mapeo completo
-            templatesMapping[template.id] = {
-              id_anamnesis_hoja: result.id_anamnesis_hoja,
-              preguntasMapping: result.preguntasMapping,
-              categoriasInfo: result.categoriasInfo
-            };
-          });
-        } catch (error) {
-          console.error(`  ✗ Error migrating template "${template.nombre}":`, error.message);
-        }
-      }
+    const completedSurveysResponse = await getAllPaginated(
+      koiboxClient,
+      "/marketing/encuestas-realizadas/",
+      100
+    );
 
-      console.log(`\n✓ Templates migration completed:`);
-      console.log(`  - Created: ${templatesCreated}`);
-      console.log(`  - Skipped (already exist): ${templatesSkipped}`);
+    if (!completedSurveysResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "FETCH_COMPLETED_SURVEYS_ERROR",
+        message: "Failed to fetch completed surveys from Koibox",
+        details: completedSurveysResponse.error,
+      });
+    }
 
-      // ==========================================
-      // PASO 4: Obtener encuestas realizadas (con respuestas)
-      // ==========================================
-      console.log("\n→ Step 4: Fetching completed surveys from Koibox...");
+    // En modo incremental solo se procesan las encuestas modificadas desde la última ejecución
+    const completedSurveys = completedSurveysResponse.data.filter((survey) =>
+      isChangedSince(survey, syncWindow)
+    );
+    console.log(`✓ Found ${completedSurveys.length} completed surveys`);
+
+    // ==========================================
+    // PASO 5: Obtener detalles y migrar respuestas (EN PARALELO)
+    // ==========================================
+    console.log("\n→ Step 5: Fetching details and migrating responses...");
+
+    // Estadísticas (se restauran del checkpoint al reanudar un job)
+    const stats = job.checkpoint?.stats || {
+      total: completedSurveys.length,
+      processed: 0,
+      inserted: 0,
+      updated: 0,
+      skipped: 0,
+      errors: [],
+    };
 
-      const completedSurveysResponse = await getAllPaginated(
-        koiboxClient,
-        "/marketing/encuestas-realizadas/",
-        100
-      );
+    // Procesar encuestas en lotes paralelos
+    const BATCH_SIZE = 15; // Procesar 15 encuestas en paralelo
 
-      if (!completedSurveysResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: "FETCH_COMPLETED_SURVEYS_ERROR",
-          message: "Failed to fetch completed surveys from Koibox",
-          details: completedSurveysResponse.error,
-        });
-      }
+    // Índice de la primera encuesta pendiente (orden devuelto por Koibox)
+    const startIndex = job.checkpoint?.surveyIndex || 0;
 
-      const completedSurveys = completedSurveysResponse.data;
-      console.log(`✓ Found ${completedSurveys.length} completed surveys`);
+    if (startIndex > 0) {
+      console.log(`→ Resuming at survey ${startIndex + 1}/${completedSurveys.length}`);
+    }
 
-      // ==========================================
-      // PASO 5: Obtener detalles y migrar respuestas (EN PARALELO)
-      // ==========================================
-      console.log("\n→ Step 5: Fetching details and migrating responses...");
+    for (let batchStart = startIndex; batchStart < completedSurveys.length; batchStart += BATCH_SIZE) {
+      const batchEnd = Math.min(batchStart + BATCH_SIZE, completedSurveys.length);
+      const surveyBatch = completedSurveys.slice(batchStart, batchEnd);
 
-      const stats = {
-        total: completedSurveys.length,
-        processed: 0,
-        inserted: 0,
-        skipped: 0,
-        errors: [],
-      };
+      console.log(
+        `\n→ Processing survey batch ${Math.floor(batchStart / BATCH_SIZE) + 1}/${Math.ceil(completedSurveys.length / BATCH_SIZE)} (surveys ${batchStart + 1}-${batchEnd})...`
+      );
 
-      // Procesar encuestas en lotes paralelos
-      const BATCH_SIZE = 15; // Procesar 15 encuestas en paralelo
-
-      for (let batchStart = 0; batchStart < completedSurveys.length; batchStart += BATCH_SIZE) {
-        const batchEnd = Math.min(batchStart + BATCH_SIZE, completedSurveys.length);
-        const surveyBatch = completedSurveys.slice(batchStart, batchEnd);
-
-        console.log(
-          `\n→ Processing survey batch ${Math.floor(batchStart / BATCH_SIZE) + 1}/${Math.ceil(completedSurveys.length / BATCH_SIZE)} (surveys ${batchStart + 1}-${batchEnd})...`
-        );
-
-        // Procesar este lote de encuestas en paralelo
-        await Promise.all(
-          surveyBatch.map(async (survey) => {
-            try {
-              // Obtener detalle con respuestas
-              const detailResponse = await get(
-                koiboxClient,
-                `/marketing/encuestas-realizadas/${survey.id}`
-              );
+      // Procesar este lote de encuestas en paralelo
+      await Promise.all(
+        surveyBatch.map(async (survey) => {
+          try {
+            // Obtener detalle con respuestas
+            const detailResponse = await get(
+              koiboxClient,
+              `/marketing/encuestas-realizadas/${survey.id}`
+            );
 
-              if (!detailResponse.success || !detailResponse.data) {
-                console.warn(`  ⚠ Could not fetch details for survey ${survey.id}, skipping...`);
-                stats.skipped++;
-                return; // Early return instead of continue
-              }
+            if (!detailResponse.success || !detailResponse.data) {
+              console.warn(`  ⚠ Could not fetch details for survey ${survey.id}, skipping...`);
+              stats.skipped++;
+              return; // Early return instead of continue
+            }
 
-              const surveyDetail = detailResponse.data;
+            const surveyDetail = detailResponse.data;
 
-              // Verificar si tenemos la plantilla mapeada
-              const templateMap = templatesMapping[surveyDetail.encuesta.id];
-              if (!templateMap) {
-                console.warn(`  ⚠ Template ${surveyDetail.encuesta.id} not found in mapping, skipping...`);
-                stats.skipped++;
-                return; // Early return instead of continue
-              }
+            // Verificar si tenemos la plantilla mapeada
+            const templateMap = templatesMapping[surveyDetail.encuesta.id];
+            if (!templateMap) {
+              console.warn(`  ⚠ Template ${surveyDetail.encuesta.id} not found in mapping, skipping...`);
+              stats.skipped++;
+              return; // Early return instead of continue
+            }
 
-              // Obtener id_paciente del mapeo
-              const id_paciente = patientMapping[surveyDetail.cliente.value];
-              if (!id_paciente) {
-                console.warn(`  ⚠ Patient ${surveyDetail.cliente.value} not found in mapping, skipping...`);
-                stats.skipped++;
-                return; // Early return instead of continue
-              }
+            // Obtener id_paciente del mapeo
+            const id_paciente = patientMapping[surveyDetail.cliente.value];
+            if (!id_paciente) {
+              console.warn(`  ⚠ Patient ${surveyDetail.cliente.value} not found in mapping, skipping...`);
+              dryRunReport?.addMissingMappings("patient", surveyDetail.cliente.value);
+              stats.skipped++;
+              return; // Early return instead of continue
+            }
+
+            // Verificar si ya existe esta respuesta
+            const existingResponse = await query(
+              `SELECT id FROM anamnesis_hojas_has_pacientes
+               WHERE id_anamnesis_hoja = ? AND id_paciente = ?`,
+              [templateMap.id_anamnesis_hoja, id_paciente]
+            );
 
-              // Verificar si ya existe esta respuesta
-              const existingResponse = await query(
-                `SELECT id FROM anamnesis_hojas_has_pacientes
-                 WHERE id_anamnesis_hoja = ? AND id_paciente = ?`,
-                [templateMap.id_anamnesis_hoja, id_paciente]
+            if (
+              existingResponse.length > 0 &&
+              syncWindow.onConflict === CONFLICT_STRATEGY.ERROR
+            ) {
+              throw new Error(
+                `Response already migrated (id ${existingResponse[0].id})`
               );
+            }
+
+            if (
+              existingResponse.length > 0 &&
+              syncWindow.onConflict === CONFLICT_STRATEGY.SKIP
+            ) {
+              stats.skipped++;
+              dryRunReport?.addAlreadyMigrated("anamnesis_hojas_has_pacientes", 1);
+              return; // Early return instead of continue
+            }
+
+            // Transformar respuestas al formato local usando el servicio
+            const respuestas = transformSurveyResponses(
+              surveyDetail.preguntas,
+              templateMap.preguntasMapping
+            );
 
-              if (existingResponse.length > 0) {
-                stats.skipped++;
-                return; // Early return instead of continue
+            // Estrategia 'update': actualizar las respuestas ya migradas
+            if (existingResponse.length > 0) {
+              const idRespuesta = existingResponse[0].id;
+
+              if (dryRunReport) {
+                dryRunReport.addUpdates("anamnesis_hojas_has_pacientes", [
+                  { id: idRespuesta, respuestas: JSON.stringify(respuestas) },
+                ]);
+              } else {
+                await transaction(async (connection) => {
+                  await trackUpdatedRows(
+                    connection,
+                    job.id,
+                    "anamnesis_hojas_has_pacientes",
+                    ["respuestas"],
+                    "id = ?",
+                    [idRespuesta]
+                  );
+
+                  await connection.execute(
+                    "UPDATE anamnesis_hojas_has_pacientes SET respuestas = ? WHERE id = ?",
+                    [JSON.stringify(respuestas), idRespuesta]
+                  );
+                });
               }
 
-              // Transformar respuestas al formato local usando el servicio
-              const respuestas = transformSurveyResponses(
-                surveyDetail.preguntas,
-                templateMap.preguntasMapping
-              );
+              stats.updated++;
+              stats.processed++;
+              return; // Early return instead of continue
+            }
 
-              // Insertar respuestas
-              await query(
-                `INSERT INTO anamnesis_hojas_has_pacientes
-                 (id_anamnesis_hoja, id_paciente, respuestas, estado, fecha_creacion)
-                 VALUES (?, ?, ?, 1, ?)`,
-                [
-                  templateMap.id_anamnesis_hoja,
+            const fechaCreacion = surveyDetail.created
+              ? surveyDetail.created.replace("T", " ").split(".")[0]
+              : null;
+
+            // Insertar respuestas (en dry-run solo se registran en el reporte)
+            if (dryRunReport) {
+              await dryRunReport.addRecords("anamnesis_hojas_has_pacientes", [
+                {
+                  id_anamnesis_hoja: templateMap.id_anamnesis_hoja,
                   id_paciente,
-                  JSON.stringify(respuestas),
-                  surveyDetail.created ? surveyDetail.created.replace("T", " ").split(".")[0] : null
-                ]
+                  respuestas: JSON.stringify(respuestas),
+                  estado: 1,
+                  fecha_creacion: fechaCreacion,
+                },
+              ]);
+            } else {
+              await transaction((connection) =>
+                insertTrackedRow(
+                  connection,
+                  job.id,
+                  "anamnesis_hojas_has_pacientes",
+                  `INSERT INTO anamnesis_hojas_has_pacientes
+                   (id_anamnesis_hoja, id_paciente, respuestas, estado, fecha_creacion)
+                   VALUES (?, ?, ?, 1, ?)`,
+                  [
+                    templateMap.id_anamnesis_hoja,
+                    id_paciente,
+                    JSON.stringify(respuestas),
+                    fechaCreacion
+                  ]
+                )
               );
-
-              stats.inserted++;
-              stats.processed++;
-            } catch (error) {
-              console.error(`  ✗ Error processing survey ${survey.id}:`, error.message);
-              stats.errors.push({
-                survey_id: survey.id,
-                error: error.message,
-              });
-              stats.processed++;
             }
-          })
-        );
 
-        console.log(
-          `  ✓ Batch ${Math.floor(batchStart / BATCH_SIZE) + 1} completed (${stats.processed}/${stats.total} surveys processed)`
-        );
-      }
+            stats.inserted++;
+            stats.processed++;
+          } catch (error) {
+            console.error(`  ✗ Error processing survey ${survey.id}:`, error.message);
+            stats.errors.push({
+              survey_id: survey.id,
+              error: error.message,
+            });
+            stats.processed++;
+          }
+        })
+      );
 
-      console.log("\n✓ Responses migration completed:");
-      console.log(`  - Total: ${stats.total}`);
-      console.log(`  - Inserted: ${stats.inserted}`);
-      console.log(`  - Skipped: ${stats.skipped}`);
-      console.log(`  - Errors: ${stats.errors.length}`);
-
-      // ==========================================
-      // PASO 6: Generar respuesta
-      // ==========================================
-      console.log("\n========================================");
-      console.log("Migration Completed");
-      console.log("========================================");
-      console.log("Survey Templates Created:", templatesCreated);
-      console.log("Survey Templates Skipped:", templatesSkipped);
-      console.log("Responses Inserted:", stats.inserted);
-      console.log("Responses Skipped:", stats.skipped);
-      console.log("Errors:", stats.errors.length);
-      console.log("========================================\n");
-
-      const success = stats.errors.length === 0;
-
-      return res.status(success ? 200 : 207).json({
-        success,
-        message: success
-          ? "Migration completed successfully"
-          : "Migration completed with errors",
-        stats: {
-          templates: {
-            total: surveyTemplates.length,
-            created: templatesCreated,
-            skipped: templatesSkipped,
-          },
-          responses: {
-            total: stats.total,
-            inserted: stats.inserted,
-            skipped: stats.skipped,
-            errors: stats.errors.length,
-          },
-        },
-        errors: stats.errors,
-      });
-    } catch (error) {
-      console.error("\n✗ Migration failed:", error);
+      console.log(
+        `  ✓ Batch ${Math.floor(batchStart / BATCH_SIZE) + 1} completed (${stats.processed}/${stats.total} surveys processed)`
+      );
 
-      return res.status(500).json({
-        success: false,
-        error: "MIGRATION_ERROR",
-        message: error.message,
-        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
-      });
+      // Guardar checkpoint: encuestas anteriores a batchEnd ya procesadas
+      await job.saveCheckpoint({ surveyIndex: batchEnd, stats });
+
+      if (job.isCancelled()) {
+        console.warn(`⚠ Processing stopped after survey ${batchEnd}/${completedSurveys.length}`);
+        break;
+      }
     }
+
+    console.log("\n✓ Responses migration completed:");
+    console.log(`  - Total: ${stats.total}`);
+    console.log(`  - Inserted: ${stats.inserted}`);
+    console.log(`  - Updated: ${stats.updated}`);
+    console.log(`  - Skipped: ${stats.skipped}`);
+    console.log(`  - Errors: ${stats.errors.length}`);
+
+    // ==========================================
+    // PASO 6: Generar respuesta
+    // ==========================================
+    console.log("\n========================================");
+    console.log("Migration Completed");
+    console.log("========================================");
+    console.log("Survey Templates Created:", templatesCreated);
+    console.log("Survey Templates Skipped:", templatesSkipped);
+    console.log("Responses Inserted:", stats.inserted);
+    console.log("Responses Updated:", stats.updated);
+    console.log("Responses Skipped:", stats.skipped);
+    console.log("Errors:", stats.errors.length);
+    console.log("========================================\n");
+
+    const success = stats.errors.length === 0;
+
+    return migrationResult(success ? 200 : 207, {
+      success,
+      message: success
+        ? "Migration completed successfully"
+        : "Migration completed with errors",
+      stats: {
+        templates: {
+          total: surveyTemplates.length,
+          created: templatesCreated,
+          skipped: templatesSkipped,
+        },
+        responses: {
+          total: stats.total,
+          inserted: stats.inserted,
+          updated: stats.updated,
+          skipped: stats.skipped,
+          errors: stats.errors.length,
+        },
+        syncMode: syncWindow.incremental ? "incremental" : "full",
+        onConflict: syncWindow.onConflict,
+        since: syncWindow.since,
+      },
+      errors: stats.errors,
+    });
+  } catch (error) {
+    console.error("\n✗ Migration failed:", error);
+
+    return migrationResult(500, {
+      success: false,
+      error: "MIGRATION_ERROR",
+      message: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
   }
+}
+
+/**
+ * POST /migrations/koibox/encuestas
+ * Registra la migración como job y responde 202 sin esperar a que termine
+ */
+router.post(
+  "/encuestas",
+  validateBearerToken,
+  validateClinicData,
+  migrationJobHandler("koibox", "encuestas", migrateEncuestas)
 );
 
-module.exports = router;
+module.exports = {
+  router,
+  migrateEncuestas,
+};
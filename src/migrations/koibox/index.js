@@ -1,10 +1,13 @@
 const express = require("express");
-const productosRouter = require("./productos");
-const pacientesRouter = require("./pacientes");
-const citasRouter = require("./citas");
-const recibosRouter = require("./recibos");
-const encuestasRouter = require("./encuestas");
-const presupuestosRouter = require("./presupuestos");
+const { router: productosRouter } = require("./productos");
+const { router: pacientesRouter } = require("./pacientes");
+const { router: citasRouter } = require("./citas");
+const { router: recibosRouter } = require("./recibos");
+const { router: encuestasRouter } = require("./encuestas");
+const { router: presupuestosRouter } = require("./presupuestos");
+const { router: saldosRouter } = require("./saldos");
+const { router: bonosRouter } = require("./bonos");
+const { router: clinicRouter } = require("./clinic");
 
 const router = express.Router();
 
@@ -15,6 +18,9 @@ router.use("/", citasRouter);
 router.use("/", recibosRouter);
 router.use("/", encuestasRouter);
 router.use("/", presupuestosRouter);
+router.use("/", saldosRouter);
+router.use("/", bonosRouter);
+router.use("/", clinicRouter);
 
 // Aquí se pueden agregar más rutas de migración para Koibox
 // router.use('/', categoriasRouter);
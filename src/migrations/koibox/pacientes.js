@@ -4,98 +4,175 @@ const {
   get,
   processPaginatedInBatches,
 } = require("../../utils/api-client");
-const { mapData } = require("../../services/ai-mapper.service");
+const {
+  mapData,
+  checkPendingReview,
+  describeMapping,
+} = require("../../services/ai-mapper.service");
 const { query } = require("../../config/database");
 const { processBatches } = require("../../services/batch.service");
 const {
   validateBearerToken,
   validateClinicData,
 } = require("../../middlewares/auth.middleware");
+const {
+  migrationResult,
+  migrationJobHandler,
+} = require("../../services/job.service");
+const {
+  resolveSyncWindow,
+  isChangedSince,
+  buildSinceParams,
+} = require("../../services/sync.service");
 
 const router = express.Router();
 
+// Columnas que se actualizan en pacientes ya migrados (estrategia de conflicto 'update')
+// Los campos propios de ClinicSay (cliente, médico, Kommo, profesión...) no se sobrescriben
+const PATIENT_UPDATE_COLUMNS = [
+  "nombre",
+  "apellido",
+  "email",
+  "telefono",
+  "fecha_nacimiento",
+  "id_sexo",
+  "direccion",
+  "ciudad",
+  "codigo_postal",
+  "nif_cif",
+  "url_foto",
+  "referido",
+  "observaciones",
+  "id_estado_registro",
+  "lopd_aceptado",
+  "fecha_alta",
+  "fecha_modificacion",
+];
+
 /**
- * POST /migrations/koibox/pacientes
  * Migra pacientes desde Koibox API a la base de datos local
+ * @param {Object} context - Contexto de la migración (clinic, defaultValues, options, bearerToken, job)
+ * @returns {Promise<Object>} - Resultado { status, body } de la migración
  */
-router.post(
-  "/pacientes",
-  validateBearerToken,
-  validateClinicData,
-  async (req, res) => {
-    try {
-      const { clinic, default: defaultValues = {} } = req.body;
-      const bearerToken = req.bearerToken;
-
-      console.log("\n========================================");
-      console.log("Starting Koibox Patients Migration");
-      console.log("========================================");
-      console.log("Clinic ID:", clinic.id_clinica);
-      console.log("Super Clinic ID:", clinic.id_super_clinica);
-      console.log("Default values:", defaultValues);
-      console.log("========================================\n");
-
-      // Crear cliente API de Koibox
-      const koiboxClient = createApiClient(process.env.KOIBOX_API, {
-        Authorization: `Bearer ${bearerToken}`,
-      });
+async function migratePacientes(context) {
+  try {
+    const { clinic, defaultValues, bearerToken, job, dryRunReport } = context;
+
+    // Opciones comunes a todos los mapeos con IA de esta migración
+    const mappingOptions = {
+      sharedMappings: context.sharedMappings,
+      aiUsage: context.aiUsage,
+      clinic,
+      dryRunReport: context.dryRunReport,
+    };
+
+    // Ventana de sincronización: full (todo) o incremental (solo lo modificado
+    // desde la última ejecución correcta) y estrategia ante filas ya migradas
+    const syncWindow = await resolveSyncWindow(context, "koibox", "pacientes");
+
+    if (!syncWindow.success) {
+      return migrationResult(400, syncWindow);
+    }
 
-      // ==========================================
-      // PASO 1: Obtener filtros y realizar mapeos con IA
-      // ==========================================
-      console.log("→ Step 1: Fetching filters configuration from Koibox...");
+    // Opciones comunes a todas las inserciones por lotes: las filas quedan asociadas
+    // al job para poder hacer rollback (en dry-run no se escribe en la BD)
+    const batchOptions = {
+      dryRunReport,
+      runId: job.id,
+      onConflict: syncWindow.onConflict,
+    };
+
+    console.log("\n========================================");
+    console.log("Starting Koibox Patients Migration");
+    console.log("========================================");
+    console.log("Clinic ID:", clinic.id_clinica);
+    console.log("Super Clinic ID:", clinic.id_super_clinica);
+    console.log("Default values:", defaultValues);
+    console.log(
+      "Sync mode:",
+      syncWindow.incremental
+        ? `incremental (since ${syncWindow.since.toISOString()})`
+        : "full",
+      `(on conflict: ${syncWindow.onConflict})`
+    );
+    console.log("========================================\n");
+
+    // Crear cliente API de Koibox
+    const koiboxClient = createApiClient(process.env.KOIBOX_API, {
+      Authorization: `Bearer ${bearerToken}`,
+    });
+
+    // ==========================================
+    // PASO 1: Obtener filtros y realizar mapeos con IA
+    // ==========================================
+    console.log("→ Step 1: Fetching filters configuration from Koibox...");
+
+    const filtersResponse = await get(
+      koiboxClient,
+      "/clientes/clientes/filters/"
+    );
+
+    if (!filtersResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "KOIBOX_API_ERROR",
+        message: "Failed to fetch filters configuration from Koibox",
+        details: filtersResponse.error,
+      });
+    }
 
-      const filtersResponse = await get(
-        koiboxClient,
-        "/clientes/clientes/filters/"
-      );
+    const filters = filtersResponse.data;
 
-      if (!filtersResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: "KOIBOX_API_ERROR",
-          message: "Failed to fetch filters configuration from Koibox",
-          details: filtersResponse.error,
-        });
-      }
+    // ==========================================
+    // PASO 1.1: Mapear Sexo
+    // ==========================================
+    console.log("\n→ Step 1.1: Mapping gender types...");
 
-      const filters = filtersResponse.data;
+    const apiGenders = filters.sexos;
 
-      // ==========================================
-      // PASO 1.1: Mapear Sexo
-      // ==========================================
-      console.log("\n→ Step 1.1: Mapping gender types...");
+    if (!apiGenders || !Array.isArray(apiGenders)) {
+      return migrationResult(500, {
+        success: false,
+        error: "INVALID_GENDER_DATA",
+        message: "Gender data not found in Koibox API response",
+      });
+    }
 
-      const apiGenders = filters.sexos;
+    console.log(`✓ Found ${apiGenders.length} gender types in Koibox API`);
 
-      if (!apiGenders || !Array.isArray(apiGenders)) {
-        return res.status(500).json({
-          success: false,
-          error: "INVALID_GENDER_DATA",
-          message: "Gender data not found in Koibox API response",
-        });
-      }
+    // Obtener sexos de la BD local
+    const dbGenders = await query("SELECT * FROM sexo");
+    console.log(`✓ Found ${dbGenders.length} gender types in local database`);
 
-      console.log(`✓ Found ${apiGenders.length} gender types in Koibox API`);
+    // Mapear con IA
+    const genderMapping = await mapData("gender", apiGenders, dbGenders, mappingOptions);
 
-      // Obtener sexos de la BD local
-      const dbGenders = await query("SELECT * FROM sexo");
-      console.log(`✓ Found ${dbGenders.length} gender types in local database`);
+    if (genderMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "GENDER_MAPPING_ERROR",
+        message: "AI mapping failed for gender types",
+        details: genderMapping,
+      });
+    }
 
-      // Mapear con IA
-      const genderMapping = await mapData("gender", apiGenders, dbGenders);
+    // Los pares con confianza baja no se usan hasta revisarlos manualmente
+    const genderReview = checkPendingReview(
+      "gender",
+      genderMapping,
+      dryRunReport
+    );
 
-      if (genderMapping.error) {
-        return res.status(500).json({
-          success: false,
-          error: "GENDER_MAPPING_ERROR",
-          message: "AI mapping failed for gender types",
-          details: genderMapping,
-        });
-      }
+    if (genderReview) {
+      return migrationResult(400, genderReview);
+    }
 
-      if (genderMapping.missing && genderMapping.missing.length > 0) {
-        return res.status(400).json({
+    if (genderMapping.missing && genderMapping.missing.length > 0) {
+      // En dry-run se reportan los faltantes en lugar de detener la migración
+      if (dryRunReport) {
+        dryRunReport.addMissingMappings("gender", genderMapping.missing);
+      } else {
+        return migrationResult(400, {
           success: false,
           error: "MISSING_GENDER_TYPES",
           message:
@@ -104,276 +181,318 @@ router.post(
           mapper: genderMapping.mapper,
         });
       }
+    }
 
-      console.log("✓ Gender mapping completed successfully");
-      console.log("  Gender mapper:", genderMapping.mapper);
+    console.log("✓ Gender mapping completed successfully");
+    console.log("  Gender mapper:", genderMapping.mapper);
 
-      // ==========================================
-      // PASO 1.2: Mapear Ciudad (Provincia)
-      // ==========================================
-      console.log("\n→ Step 1.2: Mapping cities/provinces...");
+    // ==========================================
+    // PASO 1.2: Mapear Ciudad (Provincia)
+    // ==========================================
+    console.log("\n→ Step 1.2: Mapping cities/provinces...");
 
-      const apiProvinces = filters.provincias;
+    const apiProvinces = filters.provincias;
 
-      if (!apiProvinces || !Array.isArray(apiProvinces)) {
-        console.warn(
-          "⚠ Warning: Province data not found in API, skipping province mapping"
-        );
-      }
+    if (!apiProvinces || !Array.isArray(apiProvinces)) {
+      console.warn(
+        "⚠ Warning: Province data not found in API, skipping province mapping"
+      );
+    }
 
-      let provinceMapping = { mapper: {}, missing: [] };
+    let provinceMapping = { mapper: {}, missing: [] };
 
-      if (apiProvinces && apiProvinces.length > 0) {
-        console.log(`✓ Found ${apiProvinces.length} provinces in Koibox API`);
+    if (apiProvinces && apiProvinces.length > 0) {
+      console.log(`✓ Found ${apiProvinces.length} provinces in Koibox API`);
 
-        // Para provincias, simplemente creamos un mapper directo con el nombre
-        // No necesitamos mapear con BD porque usaremos el nombre directamente
-        provinceMapping.mapper = apiProvinces.reduce((acc, province) => {
-          acc[province.id.toString()] = province.text; // ID -> Nombre de provincia
-          return acc;
-        }, {});
+      // Para provincias, simplemente creamos un mapper directo con el nombre
+      // No necesitamos mapear con BD porque usaremos el nombre directamente
+      provinceMapping.mapper = apiProvinces.reduce((acc, province) => {
+        acc[province.id.toString()] = province.text; // ID -> Nombre de provincia
+        return acc;
+      }, {});
 
-        console.log("✓ Province mapping created successfully");
-      }
+      console.log("✓ Province mapping created successfully");
+    }
 
-      // ==========================================
-      // PASO 1.3: Mapear Referido (Como nos conocio)
-      // ==========================================
-      console.log("\n→ Step 1.3: Mapping referral sources...");
+    // ==========================================
+    // PASO 1.3: Mapear Referido (Como nos conocio)
+    // ==========================================
+    console.log("\n→ Step 1.3: Mapping referral sources...");
 
-      const apiReferrals = filters.como_nos_conocio;
+    const apiReferrals = filters.como_nos_conocio;
 
-      if (!apiReferrals || !Array.isArray(apiReferrals)) {
-        console.warn(
-          "⚠ Warning: Referral data not found in API, skipping referral mapping"
-        );
-      }
+    if (!apiReferrals || !Array.isArray(apiReferrals)) {
+      console.warn(
+        "⚠ Warning: Referral data not found in API, skipping referral mapping"
+      );
+    }
 
-      let referralMapping = { mapper: {}, missing: [] };
+    let referralMapping = { mapper: {}, missing: [] };
 
-      if (apiReferrals && apiReferrals.length > 0) {
-        console.log(
-          `✓ Found ${apiReferrals.length} referral sources in Koibox API`
-        );
+    if (apiReferrals && apiReferrals.length > 0) {
+      console.log(
+        `✓ Found ${apiReferrals.length} referral sources in Koibox API`
+      );
 
-        // Para referidos, simplemente creamos un mapper directo con el nombre
-        referralMapping.mapper = apiReferrals.reduce((acc, referral) => {
-          acc[referral.value.toString()] = referral.text; // ID -> Nombre de referido
-          return acc;
-        }, {});
+      // Para referidos, simplemente creamos un mapper directo con el nombre
+      referralMapping.mapper = apiReferrals.reduce((acc, referral) => {
+        acc[referral.value.toString()] = referral.text; // ID -> Nombre de referido
+        return acc;
+      }, {});
 
-        console.log("✓ Referral mapping created successfully");
-      }
+      console.log("✓ Referral mapping created successfully");
+    }
 
-      // ==========================================
-      // PASO 2: Obtener pacientes paginados, transformar e insertar
-      // ==========================================
-      console.log(
-        "\n→ Step 2: Fetching, transforming and inserting patients..."
-      );
+    // ==========================================
+    // PASO 2: Obtener pacientes paginados, transformar e insertar
+    // ==========================================
+    console.log(
+      "\n→ Step 2: Fetching, transforming and inserting patients..."
+    );
+
+    // Estadísticas globales (se restauran del checkpoint al reanudar un job)
+    const globalStats = job.checkpoint?.stats || {
+      totalRecords: 0,
+      totalBatches: 0,
+      successfulBatches: 0,
+      failedBatches: 0,
+      insertedRecords: 0,
+      updatedRecords: 0,
+      skippedRecords: 0,
+      failedRecords: 0,
+      errors: [],
+    };
+
+    // Procesar cada página: obtener → transformar → insertar
+    const processingResult = await processPaginatedInBatches(
+      koiboxClient,
+      "/clientes/clientes/",
+      async (patients, currentPage, totalPages) => {
+        console.log(
+          `\n→ Processing batch ${currentPage + 1}/${totalPages} (${
+            patients.length
+          } patients)...`
+        );
 
-      // Estadísticas globales
-      const globalStats = {
-        totalRecords: 0,
-        totalBatches: 0,
-        successfulBatches: 0,
-        failedBatches: 0,
-        insertedRecords: 0,
-        errors: [],
-      };
-
-      // Procesar cada página: obtener → transformar → insertar
-      const processingResult = await processPaginatedInBatches(
-        koiboxClient,
-        "/clientes/clientes/",
-        async (patients, currentPage, totalPages) => {
-          console.log(
-            `\n→ Processing batch ${currentPage + 1}/${totalPages} (${
-              patients.length
-            } patients)...`
+        // Filtrar pacientes por centro (y por fecha de modificación en modo incremental)
+        const filteredPatients = patients.filter((patient) => {
+          return (
+            patient.centro === clinic.centro && isChangedSince(patient, syncWindow)
           );
+        });
 
-          // Filtrar pacientes por centro
-          const filteredPatients = patients.filter((patient) => {
-            return patient.centro === clinic.centro;
-          });
+        console.log(
+          `✓ Filtered ${filteredPatients.length}/${patients.length} patients for centro ${clinic.centro}`
+        );
 
+        if (filteredPatients.length === 0) {
           console.log(
-            `✓ Filtered ${filteredPatients.length}/${patients.length} patients for centro ${clinic.centro}`
+            `⚠ No patients found for centro ${clinic.centro} in batch ${
+              currentPage + 1
+            }`
           );
+          return;
+        }
+
+        // Transformar pacientes de esta página
+        const transformedBatch = filteredPatients.map((patient) => {
+          // Determinar id_estado_registro basado en is_active y defaults
+          let idEstadoRegistro = 1; // Por defecto: activo
+
+          if (!patient.is_active) {
+            idEstadoRegistro = 2; // Inactivo
+          }
+
+          // Mapear id de sexo usando el mapper de IA
+          const idSexo = patient.sexo
+            ? genderMapping.mapper[patient.sexo.toString()]
+            : null;
 
-          if (filteredPatients.length === 0) {
-            console.log(
-              `⚠ No patients found for centro ${clinic.centro} in batch ${
-                currentPage + 1
-              }`
+          if (patient.sexo && !idSexo) {
+            dryRunReport?.addMissingMappings("gender", patient.sexo);
+            console.warn(
+              `⚠ Warning: No gender mapping found for patient ${patient.id} (gender ID: ${patient.sexo})`
             );
-            return;
           }
 
-          // Transformar pacientes de esta página
-          const transformedBatch = filteredPatients.map((patient) => {
-            // Determinar id_estado_registro basado en is_active y defaults
-            let idEstadoRegistro = 1; // Por defecto: activo
-
-            if (!patient.is_active) {
-              idEstadoRegistro = 2; // Inactivo
-            }
-
-            // Mapear id de sexo usando el mapper de IA
-            const idSexo = patient.sexo
-              ? genderMapping.mapper[patient.sexo.toString()]
-              : null;
-
-            if (patient.sexo && !idSexo) {
-              console.warn(
-                `⚠ Warning: No gender mapping found for patient ${patient.id} (gender ID: ${patient.sexo})`
-              );
-            }
-
-            // Obtener ciudad desde provincia mapeada
-            const ciudad = patient.provincia
-              ? provinceMapping.mapper[patient.provincia.toString()] ||
-                patient.localidad
-              : patient.localidad;
-
-            // Obtener referido desde mapper
-            const referido = patient.como_nos_conocio
-              ? referralMapping.mapper[patient.como_nos_conocio.toString()]
-              : null;
-
-            // Concatenar apellidos
-            const apellido = [patient.apellido1, patient.apellido2]
-              .filter(Boolean)
-              .join(" ");
-
-            // Formatear teléfono con prefijo
-            const telefono = patient.movil
-              ? `+${patient.prefijo_tel || "34"}${patient.movil}`
-              : patient.fijo || "";
-
-            // Concatenar observaciones
-            const observaciones = [patient.notas, patient.informacion_clinica]
-              .filter(Boolean)
-              .join("\n");
-
-            return {
-              nombre: patient.nombre || "",
-              apellido: apellido || "",
-              email: patient.email || null,
-              telefono: telefono || null,
-              fecha_nacimiento: patient.fecha_nacimiento || null,
-              id_sexo: idSexo || null,
-              direccion: patient.direccion || null,
-              ciudad: ciudad || null,
-              id_clinica: clinic.id_clinica,
-              codigo_postal: patient.codigo_postal || "0",
-              nif_cif: patient.dni || "0",
-              url_foto: patient.foto_url_absolute_path || null,
-              referido: referido || null,
-              observaciones: observaciones || null,
-              profesion: null,
-              id_super_clinica: clinic.id_super_clinica,
-              id_estado_registro: idEstadoRegistro,
-              id_cliente: null,
-              id_medico: null,
-              lopd_aceptado: patient.is_agree_rgpd ? 1 : 0,
-              Importado: null,
-              kommo_lead_id: null,
-              old_id: patient.id,
-              fecha_alta: patient.fecha_alta
-                ? patient.fecha_alta.split("T")[0]
-                : null,
-              fecha_creacion:
-                patient.created?.replace("T", " ").split(".")[0] || null,
-              fecha_modificacion:
-                patient.updated?.replace("T", " ").split(".")[0] || null,
-              // Valores por defecto si no vienen en los datos
-            };
-          });
-
-          console.log(`✓ Transformed ${transformedBatch.length} patients`);
-
-          // Insertar inmediatamente este lote en la BD
-          console.log(`→ Inserting batch ${currentPage + 1} into database...`);
-
-          const batchStats = await processBatches(
-            "pacientes",
-            transformedBatch,
-            100 // Tamaño de lote
-          );
+          // Obtener ciudad desde provincia mapeada
+          const ciudad = patient.provincia
+            ? provinceMapping.mapper[patient.provincia.toString()] ||
+              patient.localidad
+            : patient.localidad;
+
+          // Obtener referido desde mapper
+          const referido = patient.como_nos_conocio
+            ? referralMapping.mapper[patient.como_nos_conocio.toString()]
+            : null;
+
+          // Concatenar apellidos
+          const apellido = [patient.apellido1, patient.apellido2]
+            .filter(Boolean)
+            .join(" ");
+
+          // Formatear teléfono con prefijo
+          const telefono = patient.movil
+            ? `+${patient.prefijo_tel || "34"}${patient.movil}`
+            : patient.fijo || "";
+
+          // Concatenar observaciones
+          const observaciones = [patient.notas, patient.informacion_clinica]
+            .filter(Boolean)
+            .join("\n");
+
+          return {
+            nombre: patient.nombre || "",
+            apellido: apellido || "",
+            email: patient.email || null,
+            telefono: telefono || null,
+            fecha_nacimiento: patient.fecha_nacimiento || null,
+            id_sexo: idSexo || null,
+            direccion: patient.direccion || null,
+            ciudad: ciudad || null,
+            id_clinica: clinic.id_clinica,
+            codigo_postal: patient.codigo_postal || "0",
+            nif_cif: patient.dni || "0",
+            url_foto: patient.foto_url_absolute_path || null,
+            referido: referido || null,
+            observaciones: observaciones || null,
+            profesion: null,
+            id_super_clinica: clinic.id_super_clinica,
+            id_estado_registro: idEstadoRegistro,
+            id_cliente: null,
+            id_medico: null,
+            lopd_aceptado: patient.is_agree_rgpd ? 1 : 0,
+            Importado: null,
+            kommo_lead_id: null,
+            old_id: patient.id,
+            fecha_alta: patient.fecha_alta
+              ? patient.fecha_alta.split("T")[0]
+              : null,
+            fecha_creacion:
+              patient.created?.replace("T", " ").split(".")[0] || null,
+            fecha_modificacion:
+              patient.updated?.replace("T", " ").split(".")[0] || null,
+            // Valores por defecto si no vienen en los datos
+          };
+        });
 
-          // Acumular estadísticas
-          globalStats.totalRecords += batchStats.totalRecords;
-          globalStats.totalBatches += batchStats.totalBatches;
-          globalStats.successfulBatches += batchStats.successfulBatches;
-          globalStats.failedBatches += batchStats.failedBatches;
-          globalStats.insertedRecords += batchStats.insertedRecords;
-          globalStats.errors.push(...batchStats.errors);
+        console.log(`✓ Transformed ${transformedBatch.length} patients`);
 
-          console.log(
-            `✓ Batch ${currentPage + 1} completed: ${
-              batchStats.insertedRecords
-            }/${batchStats.totalRecords} records inserted`
-          );
-        },
-        100 // Límite de 100 por página
-      );
+        // Insertar inmediatamente este lote en la BD
+        console.log(`→ Inserting batch ${currentPage + 1} into database...`);
 
-      if (!processingResult.success) {
-        return res.status(500).json({
-          success: false,
-          error: "FETCH_PATIENTS_ERROR",
-          message: "Failed to fetch patients from Koibox",
-          details: processingResult.error,
-        });
-      }
+        const batchStats = await processBatches(
+          "pacientes",
+          transformedBatch,
+          100, // Tamaño de lote
+          { ...batchOptions, updateColumns: PATIENT_UPDATE_COLUMNS }
+        );
 
-      console.log(
-        `\n✓ All batches processed: ${globalStats.insertedRecords}/${globalStats.totalRecords} total records inserted`
-      );
+        // Acumular estadísticas
+        globalStats.totalRecords += batchStats.totalRecords;
+        globalStats.totalBatches += batchStats.totalBatches;
+        globalStats.successfulBatches += batchStats.successfulBatches;
+        globalStats.failedBatches += batchStats.failedBatches;
+        globalStats.insertedRecords += batchStats.insertedRecords;
+        globalStats.updatedRecords += batchStats.updatedRecords;
+        globalStats.skippedRecords += batchStats.skippedRecords;
+        globalStats.failedRecords += batchStats.failedRecords;
+        globalStats.errors.push(...batchStats.errors);
 
-      const insertStats = globalStats;
-
-      // ==========================================
-      // PASO 4: Generar respuesta
-      // ==========================================
-      console.log("\n========================================");
-      console.log("Migration Completed");
-      console.log("========================================");
-      console.log("Total Patients:", insertStats.totalRecords);
-      console.log("Successful Batches:", insertStats.successfulBatches);
-      console.log("Failed Batches:", insertStats.failedBatches);
-      console.log("Inserted Records:", insertStats.insertedRecords);
-      console.log("========================================\n");
-
-      const success = insertStats.failedBatches === 0;
-
-      return res.status(success ? 200 : 207).json({
-        success,
-        message: success
-          ? "Migration completed successfully"
-          : "Migration completed with errors",
-        stats: {
-          totalPatients: insertStats.totalRecords,
-          batches: insertStats.totalBatches,
-          successfulBatches: insertStats.successfulBatches,
-          failedBatches: insertStats.failedBatches,
-          insertedRecords: insertStats.insertedRecords,
-        },
-        errors: insertStats.errors,
-      });
-    } catch (error) {
-      console.error("\n✗ Migration failed:", error);
+        console.log(
+          `✓ Batch ${currentPage + 1} completed: ${
+            batchStats.insertedRecords
+          }/${batchStats.totalRecords} records inserted, ${
+            batchStats.updatedRecords
+          } updated, ${batchStats.skippedRecords} skipped`
+        );
+      },
+      100, // Límite de 100 por página
+      {
+        ...job.checkpointOptions(globalStats),
+        params: buildSinceParams(syncWindow),
+      }
+    );
 
-      return res.status(500).json({
+    if (!processingResult.success) {
+      return migrationResult(500, {
         success: false,
-        error: "MIGRATION_ERROR",
-        message: error.message,
-        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+        error: "FETCH_PATIENTS_ERROR",
+        message: "Failed to fetch patients from Koibox",
+        details: processingResult.error,
       });
     }
+
+    console.log(
+      `\n✓ All batches processed: ${globalStats.insertedRecords}/${globalStats.totalRecords} total records inserted`
+    );
+
+    const insertStats = globalStats;
+
+    // ==========================================
+    // PASO 4: Generar respuesta
+    // ==========================================
+    console.log("\n========================================");
+    console.log("Migration Completed");
+    console.log("========================================");
+    console.log("Total Patients:", insertStats.totalRecords);
+    console.log("Successful Batches:", insertStats.successfulBatches);
+    console.log("Failed Batches:", insertStats.failedBatches);
+    console.log("Inserted Records:", insertStats.insertedRecords);
+    console.log("Updated Records:", insertStats.updatedRecords);
+    console.log("Skipped Records:", insertStats.skippedRecords);
+    console.log("Failed Records:", insertStats.failedRecords);
+    console.log("========================================\n");
+
+    const success = insertStats.failedBatches === 0;
+
+    return migrationResult(success ? 200 : 207, {
+      success,
+      message: success
+        ? "Migration completed successfully"
+        : "Migration completed with errors",
+      stats: {
+        totalPatients: insertStats.totalRecords,
+        batches: insertStats.totalBatches,
+        successfulBatches: insertStats.successfulBatches,
+        failedBatches: insertStats.failedBatches,
+        insertedRecords: insertStats.insertedRecords,
+        updatedRecords: insertStats.updatedRecords,
+        skippedRecords: insertStats.skippedRecords,
+        failedRecords: insertStats.failedRecords,
+        syncMode: syncWindow.incremental ? "incremental" : "full",
+        onConflict: syncWindow.onConflict,
+        since: syncWindow.since,
+      },
+      mappings: {
+        gender: describeMapping(genderMapping),
+      },
+      errors: insertStats.errors,
+    });
+  } catch (error) {
+    console.error("\n✗ Migration failed:", error);
+
+    return migrationResult(500, {
+      success: false,
+      error: "MIGRATION_ERROR",
+      message: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
   }
+}
+
+/**
+ * POST /migrations/koibox/pacientes
+ * Registra la migración como job y responde 202 sin esperar a que termine
+ */
+router.post(
+  "/pacientes",
+  validateBearerToken,
+  validateClinicData,
+  migrationJobHandler("koibox", "pacientes", migratePacientes)
 );
 
-module.exports = router;
+module.exports = {
+  router,
+  migratePacientes,
+};
@@ -1,112 +1,251 @@
 const express = require("express");
-const { createApiClient, get } = require("../../utils/api-client");
-const { mapData } = require("../../services/ai-mapper.service");
+const {
+  createApiClient,
+  get,
+  getAllPaginated,
+} = require("../../utils/api-client");
+const {
+  mapData,
+  checkPendingReview,
+  describeMapping,
+} = require("../../services/ai-mapper.service");
+const {
+  resolveCreateMissingPolicy,
+  createMissingEntities,
+} = require("../../services/missing-entities.service");
+const {
+  createPaymentResolver,
+} = require("../../services/payment-methods.service");
 const { query } = require("../../config/database");
-const { processBatches } = require("../../services/batch.service");
+const {
+  CONFLICT_STRATEGY,
+  processBatches,
+} = require("../../services/batch.service");
 const {
   validateBearerToken,
   validateClinicData,
 } = require("../../middlewares/auth.middleware");
+const {
+  migrationResult,
+  migrationJobHandler,
+} = require("../../services/job.service");
+const {
+  resolveSyncWindow,
+  isChangedSince,
+} = require("../../services/sync.service");
 
 const router = express.Router();
 
+// Columnas que se actualizan en presupuestos ya migrados (estrategia de conflicto 'update')
+// El estado, el tipo de pago y la factura se gestionan en ClinicSay y no se sobrescriben
+const PRESUPUESTO_UPDATE_COLUMNS = [
+  "id_paciente",
+  "fecha",
+  "monto_total",
+  "monto_pagado",
+  "saldo_pendiente",
+  "id_tipo_pago",
+  "id_medico",
+  "descripcion",
+];
+
+// Columnas que se actualizan en recibos ya migrados
+const RECIBO_UPDATE_COLUMNS = [
+  "id_paciente",
+  "id_medico",
+  "numero_recibo",
+  "forma_pago",
+  "id_tipo_pago",
+  "fecha_recibo",
+  "monto_total",
+  "id_presupuesto",
+  "detalles_migracion",
+];
+
+// Columnas que identifican un detalle migrado: las tablas de detalles no tienen
+// columnas de clínica, así que el presupuesto o recibo (de esta clínica) acota el old_id
+const DETALLE_PRESUPUESTO_CONFLICT_KEYS = ["old_id", "id_presupuesto"];
+const DETALLE_RECIBO_CONFLICT_KEYS = ["old_id", "id_recibo"];
+
+// Columnas que se actualizan en detalles (de presupuesto y de recibo) ya migrados
+const DETALLE_UPDATE_COLUMNS = [
+  "item",
+  "descripcion",
+  "cantidad",
+  "precio",
+  "descuento",
+  "id_tipo_iva",
+  "total_item",
+];
+
 /**
- * POST /migrations/koibox/presupuestos
  * Migra presupuestos desde Koibox API a la base de datos local
  * Si un presupuesto tiene venta asociada, también crea el recibo correspondiente
+ * @param {Object} context - Contexto de la migración (clinic, defaultValues, options, bearerToken, job)
+ * @returns {Promise<Object>} - Resultado { status, body } de la migración
  */
-router.post(
-  "/presupuestos",
-  validateBearerToken,
-  validateClinicData,
-  async (req, res) => {
-    try {
-      const { clinic, default: defaultValues = {} } = req.body;
-      const bearerToken = req.bearerToken;
-
-      console.log("\n========================================");
-      console.log("Starting Koibox Budget (Presupuestos) Migration");
-      console.log("========================================");
-      console.log("Clinic ID:", clinic.id_clinica);
-      console.log("Super Clinic ID:", clinic.id_super_clinica);
-      console.log("Default values:", defaultValues);
-      console.log("========================================\n");
-
-      // Crear cliente API de Koibox
-      const koiboxClient = createApiClient(process.env.KOIBOX_API, {
-        Authorization: `Bearer ${bearerToken}`,
-      });
-
-      // ==========================================
-      // PASO 1: Cargar pacientes desde BD
-      // ==========================================
-      console.log("\n→ Step 1: Loading patients from database...");
-
-      const dbPatients = await query(
-        "SELECT id_paciente, old_id FROM pacientes WHERE id_clinica = ? AND id_super_clinica = ?",
-        [clinic.id_clinica, clinic.id_super_clinica]
-      );
-
-      // Crear mapeo directo old_id -> id_paciente
-      const patientMapping = {};
-      dbPatients.forEach((patient) => {
-        if (patient.old_id) {
-          patientMapping[patient.old_id.toString()] = patient.id_paciente;
-        }
-      });
-
-      console.log(`✓ Loaded ${dbPatients.length} patients`);
-      console.log(
-        `  Patient mapper entries: ${Object.keys(patientMapping).length}`
-      );
+async function migratePresupuestos(context) {
+  try {
+    const { clinic, defaultValues, bearerToken, job, dryRunReport } = context;
+
+    // Opciones comunes a todos los mapeos con IA de esta migración
+    const mappingOptions = {
+      sharedMappings: context.sharedMappings,
+      aiUsage: context.aiUsage,
+      clinic,
+      dryRunReport: context.dryRunReport,
+    };
+
+    // Ventana de sincronización: full (todo) o incremental (solo lo modificado
+    // desde la última ejecución correcta) y estrategia ante filas ya migradas
+    const syncWindow = await resolveSyncWindow(context, "koibox", "presupuestos");
+
+    if (!syncWindow.success) {
+      return migrationResult(400, syncWindow);
+    }
 
-      // ==========================================
-      // PASO 2: Mapear médicos con IA
-      // ==========================================
-      console.log("\n→ Step 2: Fetching and mapping doctors...");
+    // Política de creación de las entidades que falten en los mapeos (createMissing)
+    const createMissing = resolveCreateMissingPolicy(context);
 
-      const allDoctorsResponse = await get(koiboxClient, `/main/users/?centro=${clinic.centro}`);
+    if (!createMissing.success) {
+      return migrationResult(400, createMissing);
+    }
 
-      if (!allDoctorsResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: "FETCH_DOCTORS_ERROR",
-          message: "Failed to fetch doctors from Koibox",
-          details: allDoctorsResponse.error,
-        });
+    // Opciones comunes a todas las inserciones por lotes: las filas quedan asociadas
+    // al job para poder hacer rollback (en dry-run no se escribe en la BD)
+    const batchOptions = {
+      dryRunReport,
+      runId: job.id,
+      onConflict: syncWindow.onConflict,
+    };
+
+    console.log("\n========================================");
+    console.log("Starting Koibox Budget (Presupuestos) Migration");
+    console.log("========================================");
+    console.log("Clinic ID:", clinic.id_clinica);
+    console.log("Super Clinic ID:", clinic.id_super_clinica);
+    console.log("Default values:", defaultValues);
+    console.log(
+      "Sync mode:",
+      syncWindow.incremental
+        ? `incremental (since ${syncWindow.since.toISOString()})`
+        : "full",
+      `(on conflict: ${syncWindow.onConflict})`
+    );
+    console.log("========================================\n");
+
+    // Crear cliente API de Koibox
+    const koiboxClient = createApiClient(process.env.KOIBOX_API, {
+      Authorization: `Bearer ${bearerToken}`,
+    });
+
+    // ==========================================
+    // PASO 1: Cargar pacientes desde BD
+    // ==========================================
+    console.log("\n→ Step 1: Loading patients from database...");
+
+    const dbPatients = await query(
+      "SELECT id_paciente, old_id FROM pacientes WHERE id_clinica = ? AND id_super_clinica = ? ORDER BY id_paciente",
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
+
+    // Crear mapeo directo old_id -> id_paciente
+    const patientMapping = {};
+    dbPatients.forEach((patient) => {
+      if (patient.old_id) {
+        patientMapping[patient.old_id.toString()] = patient.id_paciente;
       }
+    });
+
+    console.log(`✓ Loaded ${dbPatients.length} patients`);
+    console.log(
+      `  Patient mapper entries: ${Object.keys(patientMapping).length}`
+    );
+
+    // ==========================================
+    // PASO 2: Mapear médicos con IA
+    // ==========================================
+    console.log("\n→ Step 2: Fetching and mapping doctors...");
+
+    // Lista completa (igual que citas y recibos) para que el mapeo sea el mismo
+    const allDoctorsResponse = await getAllPaginated(
+      koiboxClient,
+      `/main/users/?centro=${clinic.centro}`,
+      100
+    );
+
+    if (!allDoctorsResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "FETCH_DOCTORS_ERROR",
+        message: "Failed to fetch doctors from Koibox",
+        details: allDoctorsResponse.error,
+      });
+    }
 
-      // Obtener resultados de la API
-      const apiDoctors = allDoctorsResponse.data.results.map((doctor) => {
-        const { permissions, filtros_agenda, ...rest } = doctor;
-        return rest;
+    // Obtener resultados de la API
+    const apiDoctors = allDoctorsResponse.data.map((doctor) => {
+      const { permissions, filtros_agenda, ...rest } = doctor;
+      return rest;
+    });
+
+    console.log(`✓ Found ${apiDoctors.length} doctors in Koibox API`);
+
+    // Obtener médicos de la BD local
+    const dbDoctors = await query(
+      "SELECT * FROM medicos WHERE id_clinica = ? AND id_super_clinica = ?",
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
+    console.log(`✓ Found ${dbDoctors.length} doctors in local database`);
+
+    // Mapear con IA
+    let doctorMapping = await mapData("doctor", apiDoctors, dbDoctors, {
+      ...mappingOptions,
+      allowManyToOne: true,
+    });
+
+    if (doctorMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "DOCTOR_MAPPING_ERROR",
+        message: "AI mapping failed for doctors",
+        details: doctorMapping,
       });
+    }
 
-      console.log(`✓ Found ${apiDoctors.length} doctors in Koibox API`);
+    // Los pares con confianza baja no se usan hasta revisarlos manualmente
+    const doctorReview = checkPendingReview(
+      "doctor",
+      doctorMapping,
+      dryRunReport
+    );
 
-      // Obtener médicos de la BD local
-      const dbDoctors = await query(
-        "SELECT * FROM medicos WHERE id_clinica = ? AND id_super_clinica = ?",
-        [clinic.id_clinica, clinic.id_super_clinica]
-      );
-      console.log(`✓ Found ${dbDoctors.length} doctors in local database`);
+    if (doctorReview) {
+      return migrationResult(400, doctorReview);
+    }
 
-      // Mapear con IA
-      const doctorMapping = await mapData("doctor", apiDoctors, dbDoctors, {
-        allowManyToOne: true,
-      });
+    // Crear los médicos faltantes si la política createMissing lo incluye
+    const createdDoctors = await createMissingEntities(
+      context,
+      createMissing,
+      "doctor",
+      doctorMapping,
+      apiDoctors,
+      dbDoctors
+    );
+
+    if (!createdDoctors.success) {
+      return migrationResult(400, createdDoctors);
+    }
 
-      if (doctorMapping.error) {
-        return res.status(500).json({
-          success: false,
-          error: "DOCTOR_MAPPING_ERROR",
-          message: "AI mapping failed for doctors",
-          details: doctorMapping,
-        });
-      }
+    doctorMapping = createdDoctors.mapping;
 
-      if (doctorMapping.missing && doctorMapping.missing.length > 0) {
-        return res.status(400).json({
+    if (doctorMapping.missing && doctorMapping.missing.length > 0) {
+      // En dry-run se reportan los faltantes en lugar de detener la migración
+      if (dryRunReport) {
+        dryRunReport.addMissingMappings("doctor", doctorMapping.missing);
+      } else {
+        return migrationResult(400, {
           success: false,
           error: "MISSING_DOCTORS",
           message: "Some doctors from Koibox are not found in local database",
@@ -114,55 +253,83 @@ router.post(
           mapper: doctorMapping.mapper,
         });
       }
+    }
 
-      console.log("✓ Doctor mapping completed successfully");
+    console.log("✓ Doctor mapping completed successfully");
 
-      // ==========================================
-      // PASO 3: Mapear tipos de IVA con IA
-      // ==========================================
-      console.log("\n→ Step 3: Fetching and mapping tax types...");
+    // ==========================================
+    // PASO 3: Mapear tipos de IVA con IA
+    // ==========================================
+    console.log("\n→ Step 3: Fetching and mapping tax types...");
 
-      const taxFormResponse = await get(koiboxClient, "/ventas/ventas/form/");
+    const taxFormResponse = await get(koiboxClient, "/ventas/ventas/form/");
 
-      if (!taxFormResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: "KOIBOX_API_ERROR",
-          message: "Failed to fetch tax form from Koibox",
-          details: taxFormResponse.error,
-        });
-      }
+    if (!taxFormResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "KOIBOX_API_ERROR",
+        message: "Failed to fetch tax form from Koibox",
+        details: taxFormResponse.error,
+      });
+    }
 
-      const apiTaxes = taxFormResponse.data.impuestos;
+    const apiTaxes = taxFormResponse.data.impuestos;
 
-      if (!apiTaxes || !Array.isArray(apiTaxes)) {
-        return res.status(500).json({
-          success: false,
-          error: "INVALID_TAX_DATA",
-          message: "Tax data not found in Koibox API response",
-        });
-      }
+    if (!apiTaxes || !Array.isArray(apiTaxes)) {
+      return migrationResult(500, {
+        success: false,
+        error: "INVALID_TAX_DATA",
+        message: "Tax data not found in Koibox API response",
+      });
+    }
 
-      console.log(`✓ Found ${apiTaxes.length} tax types in Koibox API`);
+    console.log(`✓ Found ${apiTaxes.length} tax types in Koibox API`);
 
-      // Obtener tipos de IVA de la BD local
-      const dbTaxes = await query("SELECT * FROM tipo_iva");
-      console.log(`✓ Found ${dbTaxes.length} tax types in local database`);
+    // Obtener tipos de IVA de la BD local
+    const dbTaxes = await query("SELECT * FROM tipo_iva");
+    console.log(`✓ Found ${dbTaxes.length} tax types in local database`);
 
-      // Mapear con IA
-      const taxMapping = await mapData("tax", apiTaxes, dbTaxes);
+    // Mapear con IA
+    let taxMapping = await mapData("tax", apiTaxes, dbTaxes, mappingOptions);
 
-      if (taxMapping.error) {
-        return res.status(500).json({
-          success: false,
-          error: "TAX_MAPPING_ERROR",
-          message: "AI mapping failed for tax types",
-          details: taxMapping,
-        });
-      }
+    if (taxMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "TAX_MAPPING_ERROR",
+        message: "AI mapping failed for tax types",
+        details: taxMapping,
+      });
+    }
+
+    // Los pares con confianza baja no se usan hasta revisarlos manualmente
+    const taxReview = checkPendingReview("tax", taxMapping, dryRunReport);
+
+    if (taxReview) {
+      return migrationResult(400, taxReview);
+    }
 
-      if (taxMapping.missing && taxMapping.missing.length > 0) {
-        return res.status(400).json({
+    // Crear los tipos de IVA faltantes si la política createMissing lo incluye
+    const createdTaxes = await createMissingEntities(
+      context,
+      createMissing,
+      "tax",
+      taxMapping,
+      apiTaxes,
+      dbTaxes
+    );
+
+    if (!createdTaxes.success) {
+      return migrationResult(400, createdTaxes);
+    }
+
+    taxMapping = createdTaxes.mapping;
+
+    if (taxMapping.missing && taxMapping.missing.length > 0) {
+      // En dry-run se reportan los faltantes en lugar de detener la migración
+      if (dryRunReport) {
+        dryRunReport.addMissingMappings("tax", taxMapping.missing);
+      } else {
+        return migrationResult(400, {
           success: false,
           error: "MISSING_TAX_TYPES",
           message: "Some tax types from Koibox are not found in local database",
@@ -170,435 +337,662 @@ router.post(
           mapper: taxMapping.mapper,
         });
       }
+    }
 
-      console.log("✓ Tax mapping completed successfully");
-
-      // ==========================================
-      // PASO 4: Procesar presupuestos por paciente (EN PARALELO)
-      // ==========================================
-      console.log("\n→ Step 4: Processing budgets by patient...");
-
-      // Estadísticas globales
-      const globalStats = {
-        totalPatients: dbPatients.length,
-        processedPatients: 0,
-        totalBudgets: 0,
-        budgetsWithVenta: 0,
-        insertedPresupuestos: 0,
-        insertedDetalles: 0,
-        insertedRecibos: 0,
-        insertedDetallesRecibo: 0,
-        updatedCitas: 0,
-        skippedBudgets: 0,
-        errors: [],
-        warnings: {
-          missingPatients: 0,
-          missingDoctors: 0,
-          missingTaxes: 0,
-          failedDetails: 0,
-          failedVentasFetch: 0,
-        },
-      };
-
-      // Procesar pacientes en lotes paralelos
-      const BATCH_SIZE = 10; // Procesar 10 pacientes en paralelo
-
-      for (let batchStart = 0; batchStart < dbPatients.length; batchStart += BATCH_SIZE) {
-        const batchEnd = Math.min(batchStart + BATCH_SIZE, dbPatients.length);
-        const patientBatch = dbPatients.slice(batchStart, batchEnd);
+    console.log("✓ Tax mapping completed successfully");
 
-        console.log(
-          `\n→ Processing patient batch ${Math.floor(batchStart / BATCH_SIZE) + 1}/${Math.ceil(dbPatients.length / BATCH_SIZE)} (patients ${batchStart + 1}-${batchEnd})...`
-        );
+    // ==========================================
+    // PASO 3.1: Mapear formas de pago con el catálogo tipo_pago
+    // ==========================================
+    console.log("\n→ Step 3.1: Mapping payment methods...");
 
-        // Procesar este lote de pacientes en paralelo
-        await Promise.all(
-          patientBatch.map(async (patient, indexInBatch) => {
-            const i = batchStart + indexInBatch;
-            const oldId = patient.old_id;
+    const apiPaymentMethods = taxFormResponse.data.formas_pago || [];
+    const dbPaymentTypes = await query("SELECT * FROM tipo_pago");
 
-            if (!oldId) {
-              console.warn(
-                `⚠ Warning: Patient ${patient.id_paciente} has no old_id, skipping...`
-              );
-              return; // Early return instead of continue
-            }
+    console.log(
+      `✓ Found ${apiPaymentMethods.length} payment methods in Koibox API and ${dbPaymentTypes.length} payment types in local database`
+    );
 
-            console.log(
-              `\n→ Processing patient ${i + 1}/${
-                dbPatients.length
-              } (old_id: ${oldId})...`
-            );
+    // Many-to-one y sin missing obligatorio: las ventas con una forma de pago
+    // sin tipo se migran igualmente y se reportan en unidentifiedPayments
+    const paymentMapping =
+      apiPaymentMethods.length > 0
+        ? await mapData("payment_method", apiPaymentMethods, dbPaymentTypes, {
+            ...mappingOptions,
+            allowManyToOne: true,
+          })
+        : { mapper: {}, missing: [] };
 
-            try {
-              // ==========================================
-              // PASO 4.1: Obtener presupuestos del paciente (con paginación)
-              // ==========================================
-              let allBudgets = [];
-              let offset = 0;
-              const limit = 100;
-              let hasMore = true;
-
-              while (hasMore) {
-                const budgetResponse = await get(
-                  koiboxClient,
-                  `/ventas/presupuestos/?cliente=${oldId}&offset=${offset}&limit=${limit}`
-                );
+    if (paymentMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "PAYMENT_METHOD_MAPPING_ERROR",
+        message: "AI mapping failed for payment methods",
+        details: paymentMapping,
+      });
+    }
 
-                if (!budgetResponse.success) {
-                  console.warn(
-                    `⚠ Warning: Failed to fetch budgets for patient ${oldId}`
-                  );
-                  globalStats.warnings.missingPatients++;
-                  break;
-                }
+    // Los pares con confianza baja no se usan hasta revisarlos, pero no detienen la
+    // migración: sus ventas se migran sin tipo de pago y se informan en unidentifiedPayments
+    if (paymentMapping.review && paymentMapping.review.length > 0) {
+      dryRunReport?.addPendingReview("payment_method", paymentMapping.review);
+      console.warn(
+        `⚠ Warning: ${paymentMapping.review.length} payment methods are pending review in /migrations/mappings/payment_method, their sales will be reported`
+      );
+    }
 
-                const { count, results } = budgetResponse.data;
+    if (paymentMapping.missing && paymentMapping.missing.length > 0) {
+      dryRunReport?.addMissingMappings("payment_method", paymentMapping.missing);
+      console.warn(
+        `⚠ Warning: ${paymentMapping.missing.length} payment methods from Koibox have no payment type, their sales will be reported`
+      );
+    }
 
-                if (!results || results.length === 0) {
-                  break;
-                }
+    const resolvePayments = createPaymentResolver(
+      paymentMapping,
+      dbPaymentTypes
+    );
+
+    console.log("✓ Payment method mapping completed successfully");
+
+    // ==========================================
+    // PASO 4: Procesar presupuestos por paciente (EN PARALELO)
+    // ==========================================
+    console.log("\n→ Step 4: Processing budgets by patient...");
+
+    // Estadísticas globales (se restauran del checkpoint al reanudar un job)
+    const globalStats = job.checkpoint?.stats || {
+      totalPatients: dbPatients.length,
+      processedPatients: 0,
+      totalBudgets: 0,
+      budgetsWithVenta: 0,
+      insertedPresupuestos: 0,
+      insertedDetalles: 0,
+      insertedRecibos: 0,
+      insertedDetallesRecibo: 0,
+      updatedPresupuestos: 0,
+      updatedDetalles: 0,
+      updatedRecibos: 0,
+      updatedDetallesRecibo: 0,
+      updatedCitas: 0,
+      skippedBudgets: 0,
+      errors: [],
+      warnings: {
+        missingPatients: 0,
+        missingDoctors: 0,
+        missingTaxes: 0,
+        failedDetails: 0,
+        failedVentasFetch: 0,
+        unidentifiedPaymentMethods: 0,
+      },
+      // Ventas con algún pago cuya forma de pago no se pudo identificar
+      unidentifiedPayments: [],
+    };
+
+    // Procesar pacientes en lotes paralelos
+    const BATCH_SIZE = 10; // Procesar 10 pacientes en paralelo
+
+    // Índice del primer paciente pendiente (orden estable por id_paciente)
+    const startIndex = job.checkpoint?.patientIndex || 0;
+
+    if (startIndex > 0) {
+      console.log(`→ Resuming at patient ${startIndex + 1}/${dbPatients.length}`);
+    }
 
-                allBudgets = allBudgets.concat(results);
+    for (let batchStart = startIndex; batchStart < dbPatients.length; batchStart += BATCH_SIZE) {
+      const batchEnd = Math.min(batchStart + BATCH_SIZE, dbPatients.length);
+      const patientBatch = dbPatients.slice(batchStart, batchEnd);
 
-                // Verificar si hay más páginas
-                offset += limit;
-                hasMore = offset < count;
+      console.log(
+        `\n→ Processing patient batch ${Math.floor(batchStart / BATCH_SIZE) + 1}/${Math.ceil(dbPatients.length / BATCH_SIZE)} (patients ${batchStart + 1}-${batchEnd})...`
+      );
 
-                console.log(
-                  `  Fetched ${allBudgets.length}/${count} budgets for patient ${oldId}`
-                );
-              }
+      // Procesar este lote de pacientes en paralelo
+      await Promise.all(
+        patientBatch.map(async (patient, indexInBatch) => {
+          const i = batchStart + indexInBatch;
+          const oldId = patient.old_id;
 
-              if (allBudgets.length === 0) {
-                console.log(`  No budgets found for patient ${oldId}`);
-                globalStats.processedPatients++;
-                return; // Early return instead of continue
-              }
+          if (!oldId) {
+            console.warn(
+              `⚠ Warning: Patient ${patient.id_paciente} has no old_id, skipping...`
+            );
+            return; // Early return instead of continue
+          }
 
           console.log(
-            `✓ Found ${allBudgets.length} budgets for patient ${oldId}`
+            `\n→ Processing patient ${i + 1}/${
+              dbPatients.length
+            } (old_id: ${oldId})...`
           );
 
-          // ==========================================
-          // PASO 4.2: Separar presupuestos con/sin venta
-          // ==========================================
-          const budgetsWithoutVenta = allBudgets.filter(
-            (b) => b.venta === null
-          );
-          const budgetsWithVenta = allBudgets.filter((b) => b.venta !== null);
+          try {
+            // ==========================================
+            // PASO 4.1: Obtener presupuestos del paciente (con paginación)
+            // ==========================================
+            let allBudgets = [];
+            let offset = 0;
+            const limit = 100;
+            let hasMore = true;
+
+            while (hasMore) {
+              const budgetResponse = await get(
+                koiboxClient,
+                `/ventas/presupuestos/?cliente=${oldId}&offset=${offset}&limit=${limit}`
+              );
 
-          console.log(`  Budgets without venta: ${budgetsWithoutVenta.length}`);
-          console.log(`  Budgets with venta: ${budgetsWithVenta.length}`);
+              if (!budgetResponse.success) {
+                console.warn(
+                  `⚠ Warning: Failed to fetch budgets for patient ${oldId}`
+                );
+                globalStats.warnings.missingPatients++;
+                break;
+              }
 
-          globalStats.budgetsWithVenta += budgetsWithVenta.length;
+              const { count, results } = budgetResponse.data;
 
-          // ==========================================
-          // PASO 4.3: Procesar presupuestos SIN venta
-          // ==========================================
-          if (budgetsWithoutVenta.length > 0) {
-            console.log(
-              `\n→ Processing ${budgetsWithoutVenta.length} budgets without venta...`
+              if (!results || results.length === 0) {
+                break;
+              }
+
+              allBudgets = allBudgets.concat(results);
+
+              // Verificar si hay más páginas
+              offset += limit;
+              hasMore = offset < count;
+
+              console.log(
+                `  Fetched ${allBudgets.length}/${count} budgets for patient ${oldId}`
+              );
+            }
+
+            // En modo incremental solo se procesan los presupuestos modificados desde la última ejecución
+            allBudgets = allBudgets.filter((budget) =>
+              isChangedSince(budget, syncWindow)
             );
 
-            const transformedPresupuestos = budgetsWithoutVenta
-              .map((budget) => {
-                // Mapear id_paciente
-                const idPaciente = patientMapping[oldId];
+            if (allBudgets.length === 0) {
+              console.log(`  No budgets found for patient ${oldId}`);
+              globalStats.processedPatients++;
+              return; // Early return instead of continue
+            }
 
-                if (!idPaciente) {
-                  globalStats.warnings.missingPatients++;
-                  console.warn(
-                    `⚠ Warning: Patient mapping not found for old_id ${oldId}`
-                  );
-                  return null;
-                }
+        console.log(
+          `✓ Found ${allBudgets.length} budgets for patient ${oldId}`
+        );
 
-                // Mapear id_medico desde created_by
-                const idMedico = budget.created_by?.value
-                  ? doctorMapping.mapper[budget.created_by.value.toString()]
-                  : null;
+        // ==========================================
+        // PASO 4.2: Separar presupuestos con/sin venta
+        // ==========================================
+        const budgetsWithoutVenta = allBudgets.filter(
+          (b) => b.venta === null
+        );
+        const budgetsWithVenta = allBudgets.filter((b) => b.venta !== null);
 
-                if (budget.created_by?.value && !idMedico) {
-                  globalStats.warnings.missingDoctors++;
-                  console.warn(
-                    `⚠ Warning: Doctor not found for budget ${budget.id} (doctor ID: ${budget.created_by.value})`
-                  );
-                }
+        console.log(`  Budgets without venta: ${budgetsWithoutVenta.length}`);
+        console.log(`  Budgets with venta: ${budgetsWithVenta.length}`);
 
-                // Formatear fecha
-                let fecha = null;
-                if (budget.fecha) {
-                  fecha = budget.fecha.replace("T", " ").split(".")[0];
-                }
+        globalStats.budgetsWithVenta += budgetsWithVenta.length;
 
-                // Calcular saldo pendiente (total - pagado)
-                const montoTotal = budget.total || 0;
-                const montoPagado = 0; // Koibox no proporciona este dato
-                const saldoPendiente = montoTotal - montoPagado;
+        // ==========================================
+        // PASO 4.3: Procesar presupuestos SIN venta
+        // ==========================================
+        if (budgetsWithoutVenta.length > 0) {
+          console.log(
+            `\n→ Processing ${budgetsWithoutVenta.length} budgets without venta...`
+          );
 
-                return {
-                  id_paciente: idPaciente,
-                  id_super_clinica: clinic.id_super_clinica,
-                  id_clinica: clinic.id_clinica,
-                  fecha: fecha,
-                  fecha_vencimiento: null,
-                  url_presupuesto: null,
-                  monto_total: montoTotal,
-                  monto_pagado: montoPagado,
-                  saldo_pendiente: saldoPendiente,
-                  id_estado: defaultValues.id_estado || 1,
-                  id_tipo_pago: null,
-                  id_medico: idMedico || null,
-                  descripcion: budget.observaciones || null,
-                  old_id: budget.id,
-                  id_estado_registro: defaultValues.id_estado_registro || 1,
-                  numero_historia: null,
-                  id_contacto: null,
-                  usuario_creacion: budget.created_by?.text || null,
-                  id_usuario_creacion: budget.created_by?.value || null,
-                  id_factura: null,
-                  // Metadata
-                  _lineas_presupuesto: budget.lineas_presupuesto || [],
-                };
-              })
-              .filter(Boolean);
+          const transformedPresupuestos = budgetsWithoutVenta
+            .map((budget) => {
+              // Mapear id_paciente
+              const idPaciente = patientMapping[oldId];
 
-            // Insertar presupuestos sin venta
-            if (transformedPresupuestos.length > 0) {
-              console.log("→ Validating existing presupuestos...");
+              if (!idPaciente) {
+                globalStats.warnings.missingPatients++;
+                console.warn(
+                  `⚠ Warning: Patient mapping not found for old_id ${oldId}`
+                );
+                return null;
+              }
 
-              // Validar presupuestos existentes
-              const presupuestoOldIds = transformedPresupuestos.map((p) => p.old_id);
-              const presupuestoPlaceholders = presupuestoOldIds.map(() => "?").join(",");
+              // Mapear id_medico desde created_by
+              const idMedico = budget.created_by?.value
+                ? doctorMapping.mapper[budget.created_by.value.toString()]
+                : null;
 
-              const existingPresupuestos = await query(
-                `SELECT old_id FROM presupuestos
-                 WHERE old_id IN (${presupuestoPlaceholders})
-                 AND id_clinica = ?
-                 AND id_super_clinica = ?`,
-                [...presupuestoOldIds, clinic.id_clinica, clinic.id_super_clinica]
-              );
+              if (budget.created_by?.value && !idMedico) {
+                globalStats.warnings.missingDoctors++;
+                dryRunReport?.addMissingMappings("doctor", budget.created_by.value);
+                console.warn(
+                  `⚠ Warning: Doctor not found for budget ${budget.id} (doctor ID: ${budget.created_by.value})`
+                );
+              }
+
+              // Formatear fecha
+              let fecha = null;
+              if (budget.fecha) {
+                fecha = budget.fecha.replace("T", " ").split(".")[0];
+              }
+
+              // Calcular saldo pendiente (total - pagado)
+              const montoTotal = budget.total || 0;
+              const montoPagado = 0; // Koibox no proporciona este dato
+              const saldoPendiente = montoTotal - montoPagado;
+
+              return {
+                id_paciente: idPaciente,
+                id_super_clinica: clinic.id_super_clinica,
+                id_clinica: clinic.id_clinica,
+                fecha: fecha,
+                fecha_vencimiento: null,
+                url_presupuesto: null,
+                monto_total: montoTotal,
+                monto_pagado: montoPagado,
+                saldo_pendiente: saldoPendiente,
+                id_estado: defaultValues.id_estado || 1,
+                id_tipo_pago: null,
+                id_medico: idMedico || null,
+                descripcion: budget.observaciones || null,
+                old_id: budget.id,
+                id_estado_registro: defaultValues.id_estado_registro || 1,
+                numero_historia: null,
+                id_contacto: null,
+                usuario_creacion: budget.created_by?.text || null,
+                id_usuario_creacion: budget.created_by?.value || null,
+                id_factura: null,
+                // Metadata
+                _lineas_presupuesto: budget.lineas_presupuesto || [],
+              };
+            })
+            .filter(Boolean);
+
+          // Insertar presupuestos sin venta
+          if (transformedPresupuestos.length > 0) {
+            console.log("→ Validating existing presupuestos...");
+
+            // Validar presupuestos existentes
+            const presupuestoOldIds = transformedPresupuestos.map((p) => p.old_id);
+            const presupuestoPlaceholders = presupuestoOldIds.map(() => "?").join(",");
+
+            const existingPresupuestos = await query(
+              `SELECT old_id FROM presupuestos
+               WHERE old_id IN (${presupuestoPlaceholders})
+               AND id_clinica = ?
+               AND id_super_clinica = ?`,
+              [...presupuestoOldIds, clinic.id_clinica, clinic.id_super_clinica]
+            );
+
+            const existingPresupuestoOldIds = new Set(existingPresupuestos.map((p) => p.old_id));
+            console.log(`✓ Found ${existingPresupuestoOldIds.size} presupuestos already existing in database`);
 
-              const existingPresupuestoOldIds = new Set(existingPresupuestos.map((p) => p.old_id));
-              console.log(`✓ Found ${existingPresupuestoOldIds.size} presupuestos already existing in database`);
+            // Filtrar presupuestos que NO existen en la BD (con 'update' / 'error' los existentes
+            // se pasan a processBatches, que los actualiza o hace fallar el lote)
+            let newPresupuestos = transformedPresupuestos;
 
-              // Filtrar presupuestos que NO existen en la BD
-              const newPresupuestos = transformedPresupuestos.filter(
+            if (syncWindow.onConflict === CONFLICT_STRATEGY.SKIP) {
+              dryRunReport?.addAlreadyMigrated("presupuestos", existingPresupuestoOldIds.size);
+
+              newPresupuestos = transformedPresupuestos.filter(
                 (presupuesto) => !existingPresupuestoOldIds.has(presupuesto.old_id)
               );
 
               console.log(
                 `→ ${newPresupuestos.length} new presupuestos to insert (${transformedPresupuestos.length - newPresupuestos.length} skipped as duplicates)`
               );
+            }
 
-              if (newPresupuestos.length === 0) {
-                console.log("⚠ All presupuestos already exist, skipping insertion");
-              } else {
-                const cleanPresupuestos = newPresupuestos.map(
-                  ({ _lineas_presupuesto, ...presupuesto }) => presupuesto
-                );
+            if (newPresupuestos.length === 0) {
+              console.log("⚠ All presupuestos already exist, skipping insertion");
+            } else {
+              const cleanPresupuestos = newPresupuestos.map(
+                ({ _lineas_presupuesto, ...presupuesto }) => presupuesto
+              );
 
-                const presupuestoStats = await processBatches(
-                  "presupuestos",
-                  cleanPresupuestos,
-                  100
-                );
+              const presupuestoStats = await processBatches(
+                "presupuestos",
+                cleanPresupuestos,
+                100,
+                { ...batchOptions, updateColumns: PRESUPUESTO_UPDATE_COLUMNS }
+              );
 
-                globalStats.totalBudgets += presupuestoStats.totalRecords;
-                globalStats.insertedPresupuestos += presupuestoStats.insertedRecords;
-                globalStats.errors.push(...presupuestoStats.errors);
+              globalStats.totalBudgets += presupuestoStats.totalRecords;
+              globalStats.insertedPresupuestos += presupuestoStats.insertedRecords;
+              globalStats.updatedPresupuestos += presupuestoStats.updatedRecords;
+              globalStats.errors.push(...presupuestoStats.errors);
 
-                console.log(
-                  `✓ Presupuestos inserted: ${presupuestoStats.insertedRecords}/${presupuestoStats.totalRecords}`
-                );
-              }
+              console.log(
+                `✓ Presupuestos inserted: ${presupuestoStats.insertedRecords}/${presupuestoStats.totalRecords}`
+              );
+            }
 
-              // Obtener IDs de presupuestos (nuevos + existentes)
-              const allPresupuestoOldIds = transformedPresupuestos.map((p) => p.old_id);
-              const allPresupuestoPlaceholders = allPresupuestoOldIds.map(() => "?").join(",");
+            // Obtener IDs de presupuestos (nuevos + existentes)
+            const allPresupuestoOldIds = transformedPresupuestos.map((p) => p.old_id);
+            const allPresupuestoPlaceholders = allPresupuestoOldIds.map(() => "?").join(",");
 
-              const insertedPresupuestos = await query(
-                `SELECT id_presupuesto, old_id FROM presupuestos
-                 WHERE old_id IN (${allPresupuestoPlaceholders})
-                 AND id_clinica = ?
-                 AND id_super_clinica = ?`,
-                [...allPresupuestoOldIds, clinic.id_clinica, clinic.id_super_clinica]
-              );
+            const insertedPresupuestos = await query(
+              `SELECT id_presupuesto, old_id FROM presupuestos
+               WHERE old_id IN (${allPresupuestoPlaceholders})
+               AND id_clinica = ?
+               AND id_super_clinica = ?`,
+              [...allPresupuestoOldIds, clinic.id_clinica, clinic.id_super_clinica]
+            );
 
-              const presupuestoIdMapping = {};
-              insertedPresupuestos.forEach((presupuesto) => {
-                presupuestoIdMapping[presupuesto.old_id] =
-                  presupuesto.id_presupuesto;
-              });
+            const presupuestoIdMapping = {};
+            insertedPresupuestos.forEach((presupuesto) => {
+              presupuestoIdMapping[presupuesto.old_id] =
+                presupuesto.id_presupuesto;
+            });
+
+            // En dry-run los presupuestos nuevos no existen en la BD: usar ids simulados
+            if (dryRunReport) {
+              dryRunReport.fillSimulatedIds(
+                "presupuestos",
+                presupuestoIdMapping,
+                allPresupuestoOldIds
+              );
+            }
 
-              // Insertar detalles de presupuestos
-              const allDetalles = [];
+            // Insertar detalles de presupuestos
+            const allDetalles = [];
 
-              transformedPresupuestos.forEach((presupuesto) => {
-                const idPresupuesto = presupuestoIdMapping[presupuesto.old_id];
+            transformedPresupuestos.forEach((presupuesto) => {
+              const idPresupuesto = presupuestoIdMapping[presupuesto.old_id];
 
-                if (!idPresupuesto) {
-                  console.warn(
-                    `⚠ Warning: Could not find id_presupuesto for old_id ${presupuesto.old_id}`
-                  );
-                  return;
-                }
+              if (!idPresupuesto) {
+                console.warn(
+                  `⚠ Warning: Could not find id_presupuesto for old_id ${presupuesto.old_id}`
+                );
+                return;
+              }
 
-                presupuesto._lineas_presupuesto.forEach((linea, index) => {
-                  const idTratamiento = linea.servicio ? 9092 : null;
-                  const idProducto = linea.producto ? 521 : null;
+              presupuesto._lineas_presupuesto.forEach((linea, index) => {
+                const idTratamiento = linea.servicio ? 9092 : null;
+                const idProducto = linea.producto ? 521 : null;
 
-                  const idTipoIva = linea.impuesto
-                    ? taxMapping.mapper[linea.impuesto.toString()]
-                    : null;
+                const idTipoIva = linea.impuesto
+                  ? taxMapping.mapper[linea.impuesto.toString()]
+                  : null;
 
-                  if (linea.impuesto && !idTipoIva) {
-                    globalStats.warnings.missingTaxes++;
-                  }
+                if (linea.impuesto && !idTipoIva) {
+                  globalStats.warnings.missingTaxes++;
+                  dryRunReport?.addMissingMappings("tax", linea.impuesto);
+                }
 
-                  const descuento =
-                    linea.importe_descuento_moneda ||
-                    linea.valor_descuento ||
-                    0;
-
-                  allDetalles.push({
-                    id_presupuesto: idPresupuesto,
-                    id_tratamiento: idTratamiento,
-                    item: index + 1,
-                    descripcion: linea.descripcion || "",
-                    cantidad: linea.cantidad || 1,
-                    precio: linea.precio || 0,
-                    descuento: descuento,
-                    id_tipo_iva: idTipoIva || null,
-                    total_item: linea.total || 0,
-                    id_producto: idProducto,
-                    old_id: linea.id,
-                  });
+                const descuento =
+                  linea.importe_descuento_moneda ||
+                  linea.valor_descuento ||
+                  0;
+
+                allDetalles.push({
+                  id_presupuesto: idPresupuesto,
+                  id_tratamiento: idTratamiento,
+                  item: index + 1,
+                  descripcion: linea.descripcion || "",
+                  cantidad: linea.cantidad || 1,
+                  precio: linea.precio || 0,
+                  descuento: descuento,
+                  id_tipo_iva: idTipoIva || null,
+                  total_item: linea.total || 0,
+                  id_producto: idProducto,
+                  old_id: linea.id,
                 });
               });
+            });
 
-              if (allDetalles.length > 0) {
-                // Validar detalles existentes
-                console.log(`→ Validating existing detalle_presupuesto...`);
+            if (allDetalles.length > 0) {
+              // Validar detalles existentes
+              console.log(`→ Validating existing detalle_presupuesto...`);
 
-                const detalleOldIds = allDetalles.map((d) => d.old_id);
-                const detallePlaceholders = detalleOldIds.map(() => "?").join(",");
+              const detalleOldIds = allDetalles.map((d) => d.old_id);
+              const detallePlaceholders = detalleOldIds.map(() => "?").join(",");
 
-                const existingDetalles = await query(
-                  `SELECT old_id FROM detalle_presupuesto
-                   WHERE old_id IN (${detallePlaceholders})`,
-                  detalleOldIds
-                );
+              // Solo detalles de presupuestos de esta clínica (la tabla no tiene columnas de clínica)
+              const parentPresupuestoIds = [
+                ...new Set(allDetalles.map((d) => d.id_presupuesto)),
+              ];
 
-                const existingDetalleOldIds = new Set(existingDetalles.map((d) => d.old_id));
-                console.log(`✓ Found ${existingDetalleOldIds.size} detalles already existing in database`);
+              const existingDetalles = await query(
+                `SELECT old_id FROM detalle_presupuesto
+                 WHERE old_id IN (${detallePlaceholders})
+                 AND id_presupuesto IN (${parentPresupuestoIds.map(() => "?").join(",")})`,
+                [...detalleOldIds, ...parentPresupuestoIds]
+              );
+
+              const existingDetalleOldIds = new Set(existingDetalles.map((d) => d.old_id));
+              console.log(`✓ Found ${existingDetalleOldIds.size} detalles already existing in database`);
+
+              // Filtrar detalles que NO existen en la BD (salvo con 'update' / 'error')
+              let newDetalles = allDetalles;
+
+              if (syncWindow.onConflict === CONFLICT_STRATEGY.SKIP) {
+                dryRunReport?.addAlreadyMigrated("detalle_presupuesto", existingDetalleOldIds.size);
 
-                // Filtrar detalles que NO existen en la BD
-                const newDetalles = allDetalles.filter(
+                newDetalles = allDetalles.filter(
                   (detalle) => !existingDetalleOldIds.has(detalle.old_id)
                 );
 
                 console.log(
                   `→ ${newDetalles.length} new detalles to insert (${allDetalles.length - newDetalles.length} skipped as duplicates)`
                 );
+              }
 
-                if (newDetalles.length > 0) {
-                  const detalleStats = await processBatches(
-                    "detalle_presupuesto",
-                    newDetalles,
-                    100
-                  );
-
-                  globalStats.insertedDetalles += detalleStats.insertedRecords;
-
-                  if (detalleStats.failedBatches > 0) {
-                    globalStats.warnings.failedDetails +=
-                      detalleStats.failedBatches;
+              if (newDetalles.length > 0) {
+                const detalleStats = await processBatches(
+                  "detalle_presupuesto",
+                  newDetalles,
+                  100,
+                  {
+                    ...batchOptions,
+                    conflictKeys: DETALLE_PRESUPUESTO_CONFLICT_KEYS,
+                    updateColumns: DETALLE_UPDATE_COLUMNS,
                   }
+                );
 
-                  console.log(
-                    `✓ Detalle_presupuesto inserted: ${detalleStats.insertedRecords}/${detalleStats.totalRecords}`
-                  );
+                globalStats.insertedDetalles += detalleStats.insertedRecords;
+                globalStats.updatedDetalles += detalleStats.updatedRecords;
+
+                if (detalleStats.failedBatches > 0) {
+                  globalStats.warnings.failedDetails +=
+                    detalleStats.failedBatches;
+                  globalStats.errors.push(...detalleStats.errors);
                 }
+
+                console.log(
+                  `✓ Detalle_presupuesto inserted: ${detalleStats.insertedRecords}/${detalleStats.totalRecords}`
+                );
               }
             }
           }
+        }
 
-          // ==========================================
-          // PASO 4.4: Procesar presupuestos CON venta
-          // ==========================================
-          if (budgetsWithVenta.length > 0) {
-            console.log(
-              `\n→ Processing ${budgetsWithVenta.length} budgets WITH venta...`
-            );
+        // ==========================================
+        // PASO 4.4: Procesar presupuestos CON venta
+        // ==========================================
+        if (budgetsWithVenta.length > 0) {
+          console.log(
+            `\n→ Processing ${budgetsWithVenta.length} budgets WITH venta...`
+          );
 
-            for (const budget of budgetsWithVenta) {
-              try {
-                // ==========================================
-                // VALIDACIÓN: Verificar si la venta ya está migrada
-                // ==========================================
+          for (const budget of budgetsWithVenta) {
+            try {
+              // ==========================================
+              // VALIDACIÓN: Verificar si la venta ya está migrada
+              // ==========================================
+              console.log(
+                `  → Checking if venta ${budget.venta} is already migrated...`
+              );
+
+              const [existingRecibo] = await query(
+                `SELECT id_recibo FROM recibos
+                 WHERE old_id = ?
+                 AND id_clinica = ?
+                 AND id_super_clinica = ?`,
+                [budget.venta, clinic.id_clinica, clinic.id_super_clinica]
+              );
+
+              // Venta ya migrada: con 'update' se vuelve a procesar para actualizarla
+              if (existingRecibo && syncWindow.onConflict === CONFLICT_STRATEGY.ERROR) {
+                globalStats.errors.push({
+                  budget_id: budget.id,
+                  venta_id: budget.venta,
+                  error: `Venta ${budget.venta} already migrated (recibo ${existingRecibo.id_recibo})`,
+                  code: "DUPLICATE_RECORD",
+                });
+                continue;
+              }
+
+              if (existingRecibo && syncWindow.onConflict === CONFLICT_STRATEGY.SKIP) {
                 console.log(
-                  `  → Checking if venta ${budget.venta} is already migrated...`
+                  `  ⊗ Budget ${budget.id} skipped: venta ${budget.venta} already migrated (recibo ${existingRecibo.id_recibo})`
                 );
+                globalStats.skippedBudgets++;
+                dryRunReport?.addAlreadyMigrated("recibos", 1);
+                continue;
+              }
 
-                const [existingRecibo] = await query(
-                  `SELECT id_recibo FROM recibos
-                   WHERE old_id = ?
-                   AND id_clinica = ?
-                   AND id_super_clinica = ?`,
-                  [budget.venta, clinic.id_clinica, clinic.id_super_clinica]
+              console.log(
+                `  → Fetching venta details for budget ${budget.id}...`
+              );
+
+              // Obtener detalles de la venta
+              const ventaResponse = await get(
+                koiboxClient,
+                `/ventas/ventas/?cliente__id__exact=${oldId}&detail=true`
+              );
+
+              if (!ventaResponse.success) {
+                console.warn(
+                  `⚠ Warning: Failed to fetch venta for budget ${budget.id}`
                 );
+                globalStats.warnings.failedVentasFetch++;
+                continue;
+              }
 
-                if (existingRecibo) {
-                  console.log(
-                    `  ⊗ Budget ${budget.id} skipped: venta ${budget.venta} already migrated (recibo ${existingRecibo.id_recibo})`
-                  );
-                  globalStats.skippedBudgets++;
-                  continue;
-                }
+              const ventas = ventaResponse.data.results || [];
 
-                console.log(
-                  `  → Fetching venta details for budget ${budget.id}...`
+              // Buscar la venta que corresponde a este presupuesto
+              const venta = ventas.find((v) => v.id === budget.venta);
+
+              if (!venta) {
+                console.warn(
+                  `⚠ Warning: Venta ${budget.venta} not found for budget ${budget.id}`
                 );
+                globalStats.warnings.failedVentasFetch++;
+                continue;
+              }
 
-                // Obtener detalles de la venta
-                const ventaResponse = await get(
-                  koiboxClient,
-                  `/ventas/ventas/?cliente__id__exact=${oldId}&detail=true`
+              console.log(
+                `  ✓ Found venta ${venta.id} for budget ${budget.id}`
+              );
+
+              // Resolver la forma de pago de la venta con el catálogo tipo_pago
+              const payment = resolvePayments(venta);
+
+              if (
+                payment.unidentified.length > 0 ||
+                payment.payments.length === 0
+              ) {
+                globalStats.warnings.unidentifiedPaymentMethods++;
+                globalStats.unidentifiedPayments.push({
+                  sale: venta.id,
+                  payments: payment.unidentified,
+                });
+                payment.unidentified.forEach((unidentified) =>
+                  dryRunReport?.addMissingMappings(
+                    "payment_method",
+                    unidentified.api_id ?? unidentified.text
+                  )
+                );
+                console.warn(
+                  `  ⚠ Warning: Payment method not identified for venta ${venta.id}`
                 );
+              }
 
-                if (!ventaResponse.success) {
-                  console.warn(
-                    `⚠ Warning: Failed to fetch venta for budget ${budget.id}`
-                  );
-                  globalStats.warnings.failedVentasFetch++;
-                  continue;
-                }
+              // ==========================================
+              // PASO 4.4.1: Validar e Insertar presupuesto
+              // ==========================================
+              console.log(`  → Checking if presupuesto ${budget.id} already exists...`);
 
-                const ventas = ventaResponse.data.results || [];
+              const [existingPresupuesto] = await query(
+                `SELECT id_presupuesto FROM presupuestos
+                 WHERE old_id = ?
+                 AND id_clinica = ?
+                 AND id_super_clinica = ?`,
+                [budget.id, clinic.id_clinica, clinic.id_super_clinica]
+              );
 
-                // Buscar la venta que corresponde a este presupuesto
-                const venta = ventas.find((v) => v.id === budget.venta);
+              const idPaciente = patientMapping[oldId];
 
-                if (!venta) {
-                  console.warn(
-                    `⚠ Warning: Venta ${budget.venta} not found for budget ${budget.id}`
-                  );
-                  globalStats.warnings.failedVentasFetch++;
-                  continue;
-                }
+              if (!idPaciente) {
+                globalStats.warnings.missingPatients++;
+                continue;
+              }
+
+              let idPresupuesto;
 
+              if (
+                existingPresupuesto &&
+                syncWindow.onConflict !== CONFLICT_STRATEGY.UPDATE
+              ) {
                 console.log(
-                  `  ✓ Found venta ${venta.id} for budget ${budget.id}`
+                  `  ⊗ Presupuesto ${budget.id} already exists (id: ${existingPresupuesto.id_presupuesto}), skipping insertion`
                 );
+                idPresupuesto = existingPresupuesto.id_presupuesto;
+                dryRunReport?.addAlreadyMigrated("presupuestos", 1);
+              } else {
+                const idMedico = budget.created_by?.value
+                  ? doctorMapping.mapper[budget.created_by.value.toString()]
+                  : null;
 
-                // ==========================================
-                // PASO 4.4.1: Validar e Insertar presupuesto
-                // ==========================================
-                console.log(`  → Checking if presupuesto ${budget.id} already exists...`);
+                let fecha = null;
+                if (budget.fecha) {
+                  fecha = budget.fecha.replace("T", " ").split(".")[0];
+                }
+
+                const montoTotal = budget.total || 0;
+                const montoPagado = venta.total || 0;
+                const saldoPendiente = montoTotal - montoPagado;
 
-                const [existingPresupuesto] = await query(
+                const presupuestoData = {
+                  id_paciente: idPaciente,
+                  id_super_clinica: clinic.id_super_clinica,
+                  id_clinica: clinic.id_clinica,
+                  fecha: fecha,
+                  fecha_vencimiento: null,
+                  url_presupuesto: null,
+                  monto_total: montoTotal,
+                  monto_pagado: montoPagado,
+                  saldo_pendiente: saldoPendiente,
+                  id_estado: defaultValues.id_estado || 1,
+                  id_tipo_pago: payment.idTipoPago,
+                  id_medico: idMedico || null,
+                  descripcion: budget.observaciones || null,
+                  old_id: budget.id,
+                  id_estado_registro: defaultValues.id_estado_registro || 1,
+                  numero_historia: null,
+                  id_contacto: null,
+                  fecha_creacion: fecha,
+                  usuario_creacion: budget.created_by?.text || null,
+                  id_usuario_creacion: budget.created_by?.value || null,
+                  id_factura: null,
+                };
+
+                const presupuestoStats = await processBatches(
+                  "presupuestos",
+                  [presupuestoData],
+                  1,
+                  { ...batchOptions, updateColumns: PRESUPUESTO_UPDATE_COLUMNS }
+                );
+
+                globalStats.totalBudgets++;
+                globalStats.insertedPresupuestos +=
+                  presupuestoStats.insertedRecords;
+                globalStats.updatedPresupuestos +=
+                  presupuestoStats.updatedRecords;
+                globalStats.errors.push(...presupuestoStats.errors);
+
+                // Obtener ID del presupuesto insertado
+                const [insertedPresupuesto] = await query(
                   `SELECT id_presupuesto FROM presupuestos
                    WHERE old_id = ?
                    AND id_clinica = ?
@@ -606,385 +1000,407 @@ router.post(
                   [budget.id, clinic.id_clinica, clinic.id_super_clinica]
                 );
 
-                let idPresupuesto;
+                // En dry-run el presupuesto no existe en la BD: usar su id simulado
+                idPresupuesto = insertedPresupuesto
+                  ? insertedPresupuesto.id_presupuesto
+                  : dryRunReport?.getSimulatedId("presupuestos", budget.id);
 
-                if (existingPresupuesto) {
-                  console.log(
-                    `  ⊗ Presupuesto ${budget.id} already exists (id: ${existingPresupuesto.id_presupuesto}), skipping insertion`
+                if (!idPresupuesto) {
+                  console.warn(
+                    `⚠ Warning: Could not find inserted presupuesto for budget ${budget.id}`
                   );
-                  idPresupuesto = existingPresupuesto.id_presupuesto;
-                } else {
-                  const idPaciente = patientMapping[oldId];
+                  continue;
+                }
 
-                  if (!idPaciente) {
-                    globalStats.warnings.missingPatients++;
-                    continue;
-                  }
+                console.log(`  ✓ Presupuesto ${budget.id} inserted (id: ${idPresupuesto})`);
+              }
 
-                  const idMedico = budget.created_by?.value
-                    ? doctorMapping.mapper[budget.created_by.value.toString()]
-                    : null;
+              // Insertar detalles del presupuesto
+              const detallesPresupuesto = [];
 
-                  let fecha = null;
-                  if (budget.fecha) {
-                    fecha = budget.fecha.replace("T", " ").split(".")[0];
-                  }
+              (budget.lineas_presupuesto || []).forEach((linea, index) => {
+                const idTratamiento = linea.servicio ? 9092 : null;
+                const idProducto = linea.producto ? 521 : null;
 
-                  const montoTotal = budget.total || 0;
-                  const montoPagado = venta.total || 0;
-                  const saldoPendiente = montoTotal - montoPagado;
-
-                  const presupuestoData = {
-                    id_paciente: idPaciente,
-                    id_super_clinica: clinic.id_super_clinica,
-                    id_clinica: clinic.id_clinica,
-                    fecha: fecha,
-                    fecha_vencimiento: null,
-                    url_presupuesto: null,
-                    monto_total: montoTotal,
-                    monto_pagado: montoPagado,
-                    saldo_pendiente: saldoPendiente,
-                    id_estado: defaultValues.id_estado || 1,
-                    id_tipo_pago: budget.venta !== null ? 1 : null,
-                    id_medico: idMedico || null,
-                    descripcion: budget.observaciones || null,
-                    old_id: budget.id,
-                    id_estado_registro: defaultValues.id_estado_registro || 1,
-                    numero_historia: null,
-                    id_contacto: null,
-                    fecha_creacion: fecha,
-                    usuario_creacion: budget.created_by?.text || null,
-                    id_usuario_creacion: budget.created_by?.value || null,
-                    id_factura: null,
-                  };
-
-                  const presupuestoStats = await processBatches(
-                    "presupuestos",
-                    [presupuestoData],
-                    1
-                  );
+                const idTipoIva = linea.impuesto
+                  ? taxMapping.mapper[linea.impuesto.toString()]
+                  : null;
 
-                  globalStats.totalBudgets++;
-                  globalStats.insertedPresupuestos +=
-                    presupuestoStats.insertedRecords;
-
-                  // Obtener ID del presupuesto insertado
-                  const [insertedPresupuesto] = await query(
-                    `SELECT id_presupuesto FROM presupuestos
-                     WHERE old_id = ?
-                     AND id_clinica = ?
-                     AND id_super_clinica = ?`,
-                    [budget.id, clinic.id_clinica, clinic.id_super_clinica]
-                  );
+                const descuento =
+                  linea.importe_descuento_moneda ||
+                  linea.valor_descuento ||
+                  0;
+
+                detallesPresupuesto.push({
+                  id_presupuesto: idPresupuesto,
+                  id_tratamiento: idTratamiento,
+                  item: index + 1,
+                  descripcion: linea.descripcion || "",
+                  cantidad: linea.cantidad || 1,
+                  precio: linea.precio || 0,
+                  descuento: descuento,
+                  id_tipo_iva: idTipoIva || null,
+                  total_item: linea.total || 0,
+                  id_producto: idProducto,
+                  old_id: linea.id,
+                });
+              });
 
-                  if (!insertedPresupuesto) {
-                    console.warn(
-                      `⚠ Warning: Could not find inserted presupuesto for budget ${budget.id}`
-                    );
-                    continue;
-                  }
+              if (detallesPresupuesto.length > 0) {
+                // Validar detalles existentes
+                const detalleOldIds = detallesPresupuesto.map((d) => d.old_id);
+                const detallePlaceholders = detalleOldIds.map(() => "?").join(",");
 
-                  idPresupuesto = insertedPresupuesto.id_presupuesto;
-                  console.log(`  ✓ Presupuesto ${budget.id} inserted (id: ${idPresupuesto})`);
-                }
+                // Solo detalles de presupuestos de esta clínica (la tabla no tiene columnas de clínica)
+                const parentPresupuestoIds = [
+                  ...new Set(detallesPresupuesto.map((d) => d.id_presupuesto)),
+                ];
 
-                // Insertar detalles del presupuesto
-                const detallesPresupuesto = [];
-
-                (budget.lineas_presupuesto || []).forEach((linea, index) => {
-                  const idTratamiento = linea.servicio ? 9092 : null;
-                  const idProducto = linea.producto ? 521 : null;
-
-                  const idTipoIva = linea.impuesto
-                    ? taxMapping.mapper[linea.impuesto.toString()]
-                    : null;
-
-                  const descuento =
-                    linea.importe_descuento_moneda ||
-                    linea.valor_descuento ||
-                    0;
-
-                  detallesPresupuesto.push({
-                    id_presupuesto: idPresupuesto,
-                    id_tratamiento: idTratamiento,
-                    item: index + 1,
-                    descripcion: linea.descripcion || "",
-                    cantidad: linea.cantidad || 1,
-                    precio: linea.precio || 0,
-                    descuento: descuento,
-                    id_tipo_iva: idTipoIva || null,
-                    total_item: linea.total || 0,
-                    id_producto: idProducto,
-                    old_id: linea.id,
-                  });
-                });
+                const existingDetalles = await query(
+                  `SELECT old_id FROM detalle_presupuesto
+                   WHERE old_id IN (${detallePlaceholders})
+                   AND id_presupuesto IN (${parentPresupuestoIds.map(() => "?").join(",")})`,
+                  [...detalleOldIds, ...parentPresupuestoIds]
+                );
 
-                if (detallesPresupuesto.length > 0) {
-                  // Validar detalles existentes
-                  const detalleOldIds = detallesPresupuesto.map((d) => d.old_id);
-                  const detallePlaceholders = detalleOldIds.map(() => "?").join(",");
+                const existingDetalleOldIds = new Set(existingDetalles.map((d) => d.old_id));
 
-                  const existingDetalles = await query(
-                    `SELECT old_id FROM detalle_presupuesto
-                     WHERE old_id IN (${detallePlaceholders})`,
-                    detalleOldIds
-                  );
+                // Filtrar detalles que NO existen (salvo con 'update' / 'error')
+                let newDetallesPresupuesto = detallesPresupuesto;
 
-                  const existingDetalleOldIds = new Set(existingDetalles.map((d) => d.old_id));
+                if (syncWindow.onConflict === CONFLICT_STRATEGY.SKIP) {
+                  dryRunReport?.addAlreadyMigrated("detalle_presupuesto", existingDetalleOldIds.size);
 
-                  // Filtrar detalles que NO existen
-                  const newDetallesPresupuesto = detallesPresupuesto.filter(
+                  newDetallesPresupuesto = detallesPresupuesto.filter(
                     (detalle) => !existingDetalleOldIds.has(detalle.old_id)
                   );
-
-                  if (newDetallesPresupuesto.length > 0) {
-                    const detallePresupuestoStats = await processBatches(
-                      "detalle_presupuesto",
-                      newDetallesPresupuesto,
-                      100
-                    );
-
-                    globalStats.insertedDetalles +=
-                      detallePresupuestoStats.insertedRecords;
-
-                    console.log(
-                      `  ✓ Inserted ${detallePresupuestoStats.insertedRecords} detalle_presupuesto (${existingDetalleOldIds.size} skipped)`
-                    );
-                  } else {
-                    console.log("  ⊗ All detalle_presupuesto already exist, skipping");
-                  }
                 }
 
-                // ==========================================
-                // PASO 4.4.2: Insertar recibo vinculado
-                // ==========================================
-                console.log(`  → Creating recibo for venta ${venta.id}...`);
+                if (newDetallesPresupuesto.length > 0) {
+                  const detallePresupuestoStats = await processBatches(
+                    "detalle_presupuesto",
+                    newDetallesPresupuesto,
+                    100,
+                    {
+                      ...batchOptions,
+                      conflictKeys: DETALLE_PRESUPUESTO_CONFLICT_KEYS,
+                      updateColumns: DETALLE_UPDATE_COLUMNS,
+                    }
+                  );
 
-                const idMedicoRecibo = venta.assigned_to?.value
-                  ? doctorMapping.mapper[venta.assigned_to.value.toString()]
-                  : null;
+                  globalStats.insertedDetalles +=
+                    detallePresupuestoStats.insertedRecords;
+                  globalStats.updatedDetalles +=
+                    detallePresupuestoStats.updatedRecords;
+                  globalStats.errors.push(...detallePresupuestoStats.errors);
 
-                let fechaRecibo = null;
-                if (venta.fecha) {
-                  const fecha = venta.fecha.split("T")[0];
-                  const hora =
-                    venta.fecha.split("T")[1]?.split(".")[0] || "00:00:00";
-                  fechaRecibo = `${fecha} ${hora}`;
+                  console.log(
+                    `  ✓ Inserted ${detallePresupuestoStats.insertedRecords} detalle_presupuesto (${existingDetalleOldIds.size} skipped)`
+                  );
+                } else {
+                  console.log("  ⊗ All detalle_presupuesto already exist, skipping");
                 }
+              }
 
-                const reciboData = {
-                  id_cita: null,
-                  id_super_clinica: clinic.id_super_clinica,
-                  id_clinica: clinic.id_clinica,
-                  id_paciente: idPaciente,
-                  id_medico: idMedicoRecibo || null,
-                  numero_recibo: venta.num_ticket || 0,
-                  forma_pago: venta.forma_pago?.text || "efectivo",
-                  fecha_recibo: fechaRecibo || null,
-                  monto_total: venta.total || 0,
-                  id_factura: null,
-                  old_id: venta.id,
-                  id_presupuesto: idPresupuesto, // VINCULACIÓN CON PRESUPUESTO
-                  fecha_creacion: fechaRecibo || null,
-                  detalles_migracion: null,
-                  descontar_del_presupuesto: 0,
-                };
+              // ==========================================
+              // PASO 4.4.2: Insertar recibo vinculado
+              // ==========================================
+              console.log(`  → Creating recibo for venta ${venta.id}...`);
+
+              const idMedicoRecibo = venta.assigned_to?.value
+                ? doctorMapping.mapper[venta.assigned_to.value.toString()]
+                : null;
+
+              let fechaRecibo = null;
+              if (venta.fecha) {
+                const fecha = venta.fecha.split("T")[0];
+                const hora =
+                  venta.fecha.split("T")[1]?.split(".")[0] || "00:00:00";
+                fechaRecibo = `${fecha} ${hora}`;
+              }
 
-                const reciboStats = await processBatches(
-                  "recibos",
-                  [reciboData],
-                  1
-                );
+              const reciboData = {
+                id_cita: null,
+                id_super_clinica: clinic.id_super_clinica,
+                id_clinica: clinic.id_clinica,
+                id_paciente: idPaciente,
+                id_medico: idMedicoRecibo || null,
+                numero_recibo: venta.num_ticket || 0,
+                forma_pago: payment.formaPago,
+                id_tipo_pago: payment.idTipoPago,
+                fecha_recibo: fechaRecibo || null,
+                monto_total: venta.total || 0,
+                id_factura: null,
+                old_id: venta.id,
+                id_presupuesto: idPresupuesto, // VINCULACIÓN CON PRESUPUESTO
+                fecha_creacion: fechaRecibo || null,
+                detalles_migracion: payment.detalles,
+                descontar_del_presupuesto: 0,
+              };
+
+              const reciboStats = await processBatches(
+                "recibos",
+                [reciboData],
+                1,
+                { ...batchOptions, updateColumns: RECIBO_UPDATE_COLUMNS }
+              );
 
-                globalStats.insertedRecibos += reciboStats.insertedRecords;
+              globalStats.insertedRecibos += reciboStats.insertedRecords;
+              globalStats.updatedRecibos += reciboStats.updatedRecords;
+              globalStats.errors.push(...reciboStats.errors);
 
-                // Obtener ID del recibo insertado
-                const [insertedRecibo] = await query(
-                  `SELECT id_recibo FROM recibos
-                   WHERE old_id = ?
-                   AND id_clinica = ?
-                   AND id_super_clinica = ?`,
-                  [venta.id, clinic.id_clinica, clinic.id_super_clinica]
+              // Obtener ID del recibo insertado
+              const [insertedRecibo] = await query(
+                `SELECT id_recibo FROM recibos
+                 WHERE old_id = ?
+                 AND id_clinica = ?
+                 AND id_super_clinica = ?`,
+                [venta.id, clinic.id_clinica, clinic.id_super_clinica]
+              );
+
+              // En dry-run el recibo no existe en la BD: usar su id simulado
+              const idRecibo = insertedRecibo
+                ? insertedRecibo.id_recibo
+                : dryRunReport?.getSimulatedId("recibos", venta.id);
+
+              if (!idRecibo) {
+                console.warn(
+                  `⚠ Warning: Could not find inserted recibo for venta ${venta.id}`
                 );
+                continue;
+              }
 
-                if (!insertedRecibo) {
-                  console.warn(
-                    `⚠ Warning: Could not find inserted recibo for venta ${venta.id}`
-                  );
-                  continue;
-                }
+              // Insertar detalles del recibo
+              const detallesRecibo = [];
+
+              (venta.lineas_venta || []).forEach((linea, index) => {
+                const idTratamiento = linea.servicio ? 9092 : null;
+                const idProducto = linea.producto ? 521 : null;
+
+                const idTipoIva = linea.impuesto
+                  ? taxMapping.mapper[linea.impuesto.toString()]
+                  : null;
+
+                const descuento =
+                  linea.importe_descuento_moneda ||
+                  linea.valor_descuento ||
+                  0;
 
-                const idRecibo = insertedRecibo.id_recibo;
-
-                // Insertar detalles del recibo
-                const detallesRecibo = [];
-
-                (venta.lineas_venta || []).forEach((linea, index) => {
-                  const idTratamiento = linea.servicio ? 9092 : null;
-                  const idProducto = linea.producto ? 521 : null;
-
-                  const idTipoIva = linea.impuesto
-                    ? taxMapping.mapper[linea.impuesto.toString()]
-                    : null;
-
-                  const descuento =
-                    linea.importe_descuento_moneda ||
-                    linea.valor_descuento ||
-                    0;
-
-                  detallesRecibo.push({
-                    id_recibo: idRecibo,
-                    id_cita: null,
-                    id_tratamiento: idTratamiento,
-                    id_producto: idProducto,
-                    item: index + 1,
-                    descripcion: linea.descripcion || "",
-                    cantidad: linea.cantidad || 1,
-                    precio: linea.precio || 0,
-                    descuento: descuento,
-                    id_tipo_iva: idTipoIva || null,
-                    total_item: linea.total || 0,
-                    old_id: linea.id,
-                  });
+                detallesRecibo.push({
+                  id_recibo: idRecibo,
+                  id_cita: null,
+                  id_tratamiento: idTratamiento,
+                  id_producto: idProducto,
+                  item: index + 1,
+                  descripcion: linea.descripcion || "",
+                  cantidad: linea.cantidad || 1,
+                  precio: linea.precio || 0,
+                  descuento: descuento,
+                  id_tipo_iva: idTipoIva || null,
+                  total_item: linea.total || 0,
+                  old_id: linea.id,
                 });
+              });
 
-                if (detallesRecibo.length > 0) {
-                  // Validar detalles de recibo existentes
-                  const detalleReciboOldIds = detallesRecibo.map((d) => d.old_id);
-                  const detalleReciboPlaceholders = detalleReciboOldIds.map(() => "?").join(",");
+              if (detallesRecibo.length > 0) {
+                // Validar detalles de recibo existentes
+                const detalleReciboOldIds = detallesRecibo.map((d) => d.old_id);
+                const detalleReciboPlaceholders = detalleReciboOldIds.map(() => "?").join(",");
+
+                // Solo detalles de recibos de esta clínica (la tabla no tiene columnas de clínica)
+                const parentReciboIds = [
+                  ...new Set(detallesRecibo.map((d) => d.id_recibo)),
+                ];
+
+                const existingDetallesRecibo = await query(
+                  `SELECT old_id FROM detalle_recibo
+                   WHERE old_id IN (${detalleReciboPlaceholders})
+                   AND id_recibo IN (${parentReciboIds.map(() => "?").join(",")})`,
+                  [...detalleReciboOldIds, ...parentReciboIds]
+                );
 
-                  const existingDetallesRecibo = await query(
-                    `SELECT old_id FROM detalle_recibo
-                     WHERE old_id IN (${detalleReciboPlaceholders})`,
-                    detalleReciboOldIds
-                  );
+                const existingDetalleReciboOldIds = new Set(existingDetallesRecibo.map((d) => d.old_id));
 
-                  const existingDetalleReciboOldIds = new Set(existingDetallesRecibo.map((d) => d.old_id));
+                // Filtrar detalles que NO existen (salvo con 'update' / 'error')
+                let newDetallesRecibo = detallesRecibo;
 
-                  // Filtrar detalles que NO existen
-                  const newDetallesRecibo = detallesRecibo.filter(
+                if (syncWindow.onConflict === CONFLICT_STRATEGY.SKIP) {
+                  dryRunReport?.addAlreadyMigrated("detalle_recibo", existingDetalleReciboOldIds.size);
+
+                  newDetallesRecibo = detallesRecibo.filter(
                     (detalle) => !existingDetalleReciboOldIds.has(detalle.old_id)
                   );
-
-                  if (newDetallesRecibo.length > 0) {
-                    const detalleReciboStats = await processBatches(
-                      "detalle_recibo",
-                      newDetallesRecibo,
-                      100
-                    );
-
-                    globalStats.insertedDetallesRecibo +=
-                      detalleReciboStats.insertedRecords;
-
-                    console.log(
-                      `  ✓ Inserted ${detalleReciboStats.insertedRecords} detalle_recibo (${existingDetalleReciboOldIds.size} skipped)`
-                    );
-                  } else {
-                    console.log("  ⊗ All detalle_recibo already exist, skipping");
-                  }
                 }
 
-                console.log(
-                  `  ✓ Created recibo ${idRecibo} linked to presupuesto ${idPresupuesto}`
-                );
-              } catch (error) {
-                console.error(
-                  `✗ Error processing budget with venta ${budget.id}:`,
-                  error.message
-                );
-                globalStats.errors.push({
-                  budget_id: budget.id,
-                  venta_id: budget.venta,
-                  error: error.message,
-                });
+                if (newDetallesRecibo.length > 0) {
+                  const detalleReciboStats = await processBatches(
+                    "detalle_recibo",
+                    newDetallesRecibo,
+                    100,
+                    {
+                      ...batchOptions,
+                      conflictKeys: DETALLE_RECIBO_CONFLICT_KEYS,
+                      updateColumns: DETALLE_UPDATE_COLUMNS,
+                    }
+                  );
+
+                  globalStats.insertedDetallesRecibo +=
+                    detalleReciboStats.insertedRecords;
+                  globalStats.updatedDetallesRecibo +=
+                    detalleReciboStats.updatedRecords;
+                  globalStats.errors.push(...detalleReciboStats.errors);
+
+                  console.log(
+                    `  ✓ Inserted ${detalleReciboStats.insertedRecords} detalle_recibo (${existingDetalleReciboOldIds.size} skipped)`
+                  );
+                } else {
+                  console.log("  ⊗ All detalle_recibo already exist, skipping");
+                }
               }
+
+              console.log(
+                `  ✓ Created recibo ${idRecibo} linked to presupuesto ${idPresupuesto}`
+              );
+            } catch (error) {
+              console.error(
+                `✗ Error processing budget with venta ${budget.id}:`,
+                error.message
+              );
+              globalStats.errors.push({
+                budget_id: budget.id,
+                venta_id: budget.venta,
+                error: error.message,
+              });
             }
           }
-
-          globalStats.processedPatients++;
-          console.log(`✓ Patient ${i + 1}/${dbPatients.length} completed`);
-        } catch (error) {
-          console.error(`✗ Error processing patient ${oldId}:`, error.message);
-          globalStats.errors.push({
-            patient_old_id: oldId,
-            error: error.message,
-          });
         }
-          })
-        );
 
-        console.log(
-          `✓ Batch ${Math.floor(batchStart / BATCH_SIZE) + 1} completed (${globalStats.processedPatients}/${dbPatients.length} patients processed)`
-        );
+        globalStats.processedPatients++;
+        console.log(`✓ Patient ${i + 1}/${dbPatients.length} completed`);
+      } catch (error) {
+        console.error(`✗ Error processing patient ${oldId}:`, error.message);
+        globalStats.errors.push({
+          patient_old_id: oldId,
+          error: error.message,
+        });
       }
-
-      // ==========================================
-      // PASO 5: Generar respuesta
-      // ==========================================
-      console.log("\n========================================");
-      console.log("Migration Completed");
-      console.log("========================================");
-      console.log("Total Patients:", globalStats.totalPatients);
-      console.log("Processed Patients:", globalStats.processedPatients);
-      console.log("Total Budgets:", globalStats.totalBudgets);
-      console.log("Budgets with Venta:", globalStats.budgetsWithVenta);
-      console.log("Inserted Presupuestos:", globalStats.insertedPresupuestos);
-      console.log(
-        "Inserted Detalles Presupuesto:",
-        globalStats.insertedDetalles
+        })
       );
-      console.log("Inserted Recibos:", globalStats.insertedRecibos);
-      console.log(
-        "Inserted Detalles Recibo:",
-        globalStats.insertedDetallesRecibo
-      );
-      console.log("Updated Citas:", globalStats.updatedCitas);
-      console.log("Warnings:");
-      console.log(
-        "  - Missing Patients:",
-        globalStats.warnings.missingPatients
-      );
-      console.log("  - Missing Doctors:", globalStats.warnings.missingDoctors);
-      console.log("  - Missing Taxes:", globalStats.warnings.missingTaxes);
-      console.log("  - Failed Details:", globalStats.warnings.failedDetails);
+
       console.log(
-        "  - Failed Ventas Fetch:",
-        globalStats.warnings.failedVentasFetch
+        `✓ Batch ${Math.floor(batchStart / BATCH_SIZE) + 1} completed (${globalStats.processedPatients}/${dbPatients.length} patients processed)`
       );
-      console.log("========================================\n");
-
-      const success = globalStats.errors.length === 0;
-
-      return res.status(success ? 200 : 207).json({
-        success,
-        message: success
-          ? "Migration completed successfully"
-          : "Migration completed with errors",
-        stats: {
-          totalPatients: globalStats.totalPatients,
-          processedPatients: globalStats.processedPatients,
-          totalBudgets: globalStats.totalBudgets,
-          budgetsWithVenta: globalStats.budgetsWithVenta,
-          insertedPresupuestos: globalStats.insertedPresupuestos,
-          insertedDetalles: globalStats.insertedDetalles,
-          insertedRecibos: globalStats.insertedRecibos,
-          insertedDetallesRecibo: globalStats.insertedDetallesRecibo,
-          updatedCitas: globalStats.updatedCitas,
-          warnings: globalStats.warnings,
-        },
-        errors: globalStats.errors,
-      });
-    } catch (error) {
-      console.error("\n✗ Migration failed:", error);
 
-      return res.status(500).json({
-        success: false,
-        error: "MIGRATION_ERROR",
-        message: error.message,
-        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
-      });
+      // Guardar checkpoint: pacientes anteriores a batchEnd ya procesados
+      await job.saveCheckpoint({ patientIndex: batchEnd, stats: globalStats });
+
+      if (job.isCancelled()) {
+        console.warn(`⚠ Processing stopped after patient ${batchEnd}/${dbPatients.length}`);
+        break;
+      }
     }
+
+    // ==========================================
+    // PASO 5: Generar respuesta
+    // ==========================================
+    console.log("\n========================================");
+    console.log("Migration Completed");
+    console.log("========================================");
+    console.log("Total Patients:", globalStats.totalPatients);
+    console.log("Processed Patients:", globalStats.processedPatients);
+    console.log("Total Budgets:", globalStats.totalBudgets);
+    console.log("Budgets with Venta:", globalStats.budgetsWithVenta);
+    console.log("Inserted Presupuestos:", globalStats.insertedPresupuestos);
+    console.log(
+      "Inserted Detalles Presupuesto:",
+      globalStats.insertedDetalles
+    );
+    console.log("Inserted Recibos:", globalStats.insertedRecibos);
+    console.log(
+      "Inserted Detalles Recibo:",
+      globalStats.insertedDetallesRecibo
+    );
+    console.log("Updated Presupuestos:", globalStats.updatedPresupuestos);
+    console.log("Updated Detalles Presupuesto:", globalStats.updatedDetalles);
+    console.log("Updated Recibos:", globalStats.updatedRecibos);
+    console.log("Updated Detalles Recibo:", globalStats.updatedDetallesRecibo);
+    console.log("Updated Citas:", globalStats.updatedCitas);
+    console.log("Warnings:");
+    console.log(
+      "  - Missing Patients:",
+      globalStats.warnings.missingPatients
+    );
+    console.log("  - Missing Doctors:", globalStats.warnings.missingDoctors);
+    console.log("  - Missing Taxes:", globalStats.warnings.missingTaxes);
+    console.log("  - Failed Details:", globalStats.warnings.failedDetails);
+    console.log(
+      "  - Failed Ventas Fetch:",
+      globalStats.warnings.failedVentasFetch
+    );
+    console.log(
+      "  - Unidentified Payment Methods:",
+      globalStats.warnings.unidentifiedPaymentMethods
+    );
+    console.log("========================================\n");
+
+    const success = globalStats.errors.length === 0;
+
+    return migrationResult(success ? 200 : 207, {
+      success,
+      message: success
+        ? "Migration completed successfully"
+        : "Migration completed with errors",
+      stats: {
+        totalPatients: globalStats.totalPatients,
+        processedPatients: globalStats.processedPatients,
+        totalBudgets: globalStats.totalBudgets,
+        budgetsWithVenta: globalStats.budgetsWithVenta,
+        insertedPresupuestos: globalStats.insertedPresupuestos,
+        insertedDetalles: globalStats.insertedDetalles,
+        insertedRecibos: globalStats.insertedRecibos,
+        insertedDetallesRecibo: globalStats.insertedDetallesRecibo,
+        updatedPresupuestos: globalStats.updatedPresupuestos,
+        updatedDetalles: globalStats.updatedDetalles,
+        updatedRecibos: globalStats.updatedRecibos,
+        updatedDetallesRecibo: globalStats.updatedDetallesRecibo,
+        updatedCitas: globalStats.updatedCitas,
+        syncMode: syncWindow.incremental ? "incremental" : "full",
+        onConflict: syncWindow.onConflict,
+        since: syncWindow.since,
+        warnings: globalStats.warnings,
+      },
+      mappings: {
+        doctor: describeMapping(doctorMapping),
+        tax: describeMapping(taxMapping),
+        payment_method: describeMapping(paymentMapping),
+      },
+      unidentifiedPayments: globalStats.unidentifiedPayments,
+      errors: globalStats.errors,
+    });
+  } catch (error) {
+    console.error("\n✗ Migration failed:", error);
+
+    return migrationResult(500, {
+      success: false,
+      error: "MIGRATION_ERROR",
+      message: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
   }
+}
+
+/**
+ * POST /migrations/koibox/presupuestos
+ * Registra la migración como job y responde 202 sin esperar a que termine
+ */
+router.post(
+  "/presupuestos",
+  validateBearerToken,
+  validateClinicData,
+  migrationJobHandler("koibox", "presupuestos", migratePresupuestos)
 );
 
-module.exports = router;
+module.exports = {
+  router,
+  migratePresupuestos,
+};
@@ -4,98 +4,191 @@ const {
   get,
   processPaginatedInBatches,
 } = require("../../utils/api-client");
-const { mapData } = require("../../services/ai-mapper.service");
+const {
+  mapData,
+  checkPendingReview,
+  describeMapping,
+} = require("../../services/ai-mapper.service");
+const {
+  resolveCreateMissingPolicy,
+  createMissingEntities,
+} = require("../../services/missing-entities.service");
 const { query } = require("../../config/database");
 const { processBatches } = require("../../services/batch.service");
 const {
   validateBearerToken,
   validateClinicData,
 } = require("../../middlewares/auth.middleware");
+const {
+  migrationResult,
+  migrationJobHandler,
+} = require("../../services/job.service");
+const {
+  resolveSyncWindow,
+  isChangedSince,
+  buildSinceParams,
+} = require("../../services/sync.service");
 
 const router = express.Router();
 
+// Columnas que se actualizan en productos ya migrados (estrategia de conflicto 'update')
+// El descuento se gestiona en ClinicSay y no se sobrescribe
+const PRODUCT_UPDATE_COLUMNS = [
+  "nombre_producto",
+  "descripcion",
+  "stock",
+  "precio",
+  "id_tipo_iva",
+  "id_estado_registro",
+  "codigo",
+  "codigo_barras",
+  "proveedor",
+  "precio_costo",
+];
+
 /**
- * POST /migrations/koibox/productos
  * Migra productos desde Koibox API a la base de datos local
+ * @param {Object} context - Contexto de la migración (clinic, defaultValues, options, bearerToken, job)
+ * @returns {Promise<Object>} - Resultado { status, body } de la migración
  */
-router.post(
-  "/productos",
-  validateBearerToken,
-  validateClinicData,
-  async (req, res) => {
-    try {
-      const { clinic, default: defaultValues = {} } = req.body;
-      const bearerToken = req.bearerToken;
-
-      console.log("\n========================================");
-      console.log("Starting Koibox Products Migration");
-      console.log("========================================");
-      console.log("Clinic ID:", clinic.id_clinica);
-      console.log("Super Clinic ID:", clinic.id_super_clinica);
-      console.log("Default values:", defaultValues);
-      console.log("========================================\n");
-
-      // Crear cliente API de Koibox
-      const koiboxClient = createApiClient(process.env.KOIBOX_API, {
-        Authorization: `Bearer ${bearerToken}`,
+async function migrateProductos(context) {
+  try {
+    const { clinic, defaultValues, bearerToken, job, dryRunReport } = context;
+
+    // Opciones comunes a todos los mapeos con IA de esta migración
+    const mappingOptions = {
+      sharedMappings: context.sharedMappings,
+      aiUsage: context.aiUsage,
+      clinic,
+      dryRunReport: context.dryRunReport,
+    };
+
+    // Ventana de sincronización: full (todo) o incremental (solo lo modificado
+    // desde la última ejecución correcta) y estrategia ante filas ya migradas
+    const syncWindow = await resolveSyncWindow(context, "koibox", "productos");
+
+    if (!syncWindow.success) {
+      return migrationResult(400, syncWindow);
+    }
+
+    // Política de creación de las entidades que falten en los mapeos (createMissing)
+    const createMissing = resolveCreateMissingPolicy(context);
+
+    if (!createMissing.success) {
+      return migrationResult(400, createMissing);
+    }
+
+    // Opciones comunes a todas las inserciones por lotes: las filas quedan asociadas
+    // al job para poder hacer rollback (en dry-run no se escribe en la BD)
+    const batchOptions = {
+      dryRunReport,
+      runId: job.id,
+      onConflict: syncWindow.onConflict,
+    };
+
+    console.log("\n========================================");
+    console.log("Starting Koibox Products Migration");
+    console.log("========================================");
+    console.log("Clinic ID:", clinic.id_clinica);
+    console.log("Super Clinic ID:", clinic.id_super_clinica);
+    console.log("Default values:", defaultValues);
+    console.log(
+      "Sync mode:",
+      syncWindow.incremental
+        ? `incremental (since ${syncWindow.since.toISOString()})`
+        : "full",
+      `(on conflict: ${syncWindow.onConflict})`
+    );
+    console.log("========================================\n");
+
+    // Crear cliente API de Koibox
+    const koiboxClient = createApiClient(process.env.KOIBOX_API, {
+      Authorization: `Bearer ${bearerToken}`,
+    });
+
+    // ==========================================
+    // PASO 1: Obtener y mapear tipos de IVA
+    // ==========================================
+    console.log("→ Step 1: Fetching tax configuration from Koibox...");
+
+    const taxConfigResponse = await get(
+      koiboxClient,
+      "/configuraciones/productos/form/"
+    );
+
+    if (!taxConfigResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "KOIBOX_API_ERROR",
+        message: "Failed to fetch tax configuration from Koibox",
+        details: taxConfigResponse.error,
       });
+    }
 
-      // ==========================================
-      // PASO 1: Obtener y mapear tipos de IVA
-      // ==========================================
-      console.log("→ Step 1: Fetching tax configuration from Koibox...");
+    const apiTaxes = taxConfigResponse.data.impuestos;
 
-      const taxConfigResponse = await get(
-        koiboxClient,
-        "/configuraciones/productos/form/"
-      );
+    if (!apiTaxes || !Array.isArray(apiTaxes)) {
+      return migrationResult(500, {
+        success: false,
+        error: "INVALID_TAX_DATA",
+        message: "Tax data not found in Koibox API response",
+      });
+    }
 
-      if (!taxConfigResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: "KOIBOX_API_ERROR",
-          message: "Failed to fetch tax configuration from Koibox",
-          details: taxConfigResponse.error,
-        });
-      }
+    console.log(`✓ Found ${apiTaxes.length} tax types in Koibox API`);
 
-      const apiTaxes = taxConfigResponse.data.impuestos;
+    // Obtener tipos de IVA de la BD local
+    console.log("→ Fetching tax types from local database...");
 
-      if (!apiTaxes || !Array.isArray(apiTaxes)) {
-        return res.status(500).json({
-          success: false,
-          error: "INVALID_TAX_DATA",
-          message: "Tax data not found in Koibox API response",
-        });
-      }
+    const dbTaxes = await query("SELECT * FROM tipo_iva");
+
+    console.log(`✓ Found ${dbTaxes.length} tax types in local database`);
 
-      console.log(`✓ Found ${apiTaxes.length} tax types in Koibox API`);
+    // Mapear con IA
+    console.log("→ Mapping tax types using AI...");
 
-      // Obtener tipos de IVA de la BD local
-      console.log("→ Fetching tax types from local database...");
+    let taxMapping = await mapData("tax", apiTaxes, dbTaxes, mappingOptions);
 
-      const dbTaxes = await query("SELECT * FROM tipo_iva");
+    // Verificar si hay errores en el mapeo
+    if (taxMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "TAX_MAPPING_ERROR",
+        message: "AI mapping failed for tax types",
+        details: taxMapping,
+      });
+    }
 
-      console.log(`✓ Found ${dbTaxes.length} tax types in local database`);
+    // Los pares con confianza baja no se usan hasta revisarlos manualmente
+    const taxReview = checkPendingReview("tax", taxMapping, dryRunReport);
 
-      // Mapear con IA
-      console.log("→ Mapping tax types using AI...");
+    if (taxReview) {
+      return migrationResult(400, taxReview);
+    }
 
-      const taxMapping = await mapData("tax", apiTaxes, dbTaxes);
+    // Crear los tipos de IVA faltantes si la política createMissing lo incluye
+    const createdTaxes = await createMissingEntities(
+      context,
+      createMissing,
+      "tax",
+      taxMapping,
+      apiTaxes,
+      dbTaxes
+    );
+
+    if (!createdTaxes.success) {
+      return migrationResult(400, createdTaxes);
+    }
 
-      // Verificar si hay errores en el mapeo
-      if (taxMapping.error) {
-        return res.status(500).json({
-          success: false,
-          error: "TAX_MAPPING_ERROR",
-          message: "AI mapping failed for tax types",
-          details: taxMapping,
-        });
-      }
+    taxMapping = createdTaxes.mapping;
 
-      // Verificar si hay elementos faltantes
-      if (taxMapping.missing && taxMapping.missing.length > 0) {
-        return res.status(400).json({
+    // Verificar si hay elementos faltantes
+    if (taxMapping.missing && taxMapping.missing.length > 0) {
+      // En dry-run se reportan los faltantes en lugar de detener la migración
+      if (dryRunReport) {
+        dryRunReport.addMissingMappings("tax", taxMapping.missing);
+      } else {
+        return migrationResult(400, {
           success: false,
           error: "MISSING_TAX_TYPES",
           message: "Some tax types from Koibox are not found in local database",
@@ -103,174 +196,218 @@ router.post(
           mapper: taxMapping.mapper,
         });
       }
+    }
 
-      console.log("✓ Tax mapping completed successfully");
-      console.log("  Tax mapper:", taxMapping.mapper);
-
-      // ==========================================
-      // PASO 2: Obtener productos paginados, transformar e insertar
-      // ==========================================
-      console.log("\n→ Step 2: Fetching, transforming and inserting products...");
-
-      // Estadísticas globales
-      const globalStats = {
-        totalRecords: 0,
-        totalBatches: 0,
-        successfulBatches: 0,
-        failedBatches: 0,
-        insertedRecords: 0,
-        errors: [],
-      };
-
-      // Procesar cada página: obtener → transformar → insertar
-      const processingResult = await processPaginatedInBatches(
-        koiboxClient,
-        "/configuraciones/productos/",
-        async (products, currentPage, totalPages) => {
-          console.log(
-            `\n→ Processing batch ${currentPage + 1}/${totalPages} (${
-              products.length
-            } products)...`
+    console.log("✓ Tax mapping completed successfully");
+    console.log("  Tax mapper:", taxMapping.mapper);
+
+    // ==========================================
+    // PASO 2: Obtener productos paginados, transformar e insertar
+    // ==========================================
+    console.log("\n→ Step 2: Fetching, transforming and inserting products...");
+
+    // Estadísticas globales (se restauran del checkpoint al reanudar un job)
+    const globalStats = job.checkpoint?.stats || {
+      totalRecords: 0,
+      totalBatches: 0,
+      successfulBatches: 0,
+      failedBatches: 0,
+      insertedRecords: 0,
+      updatedRecords: 0,
+      skippedRecords: 0,
+      failedRecords: 0,
+      errors: [],
+    };
+
+    // Procesar cada página: obtener → transformar → insertar
+    const processingResult = await processPaginatedInBatches(
+      koiboxClient,
+      "/configuraciones/productos/",
+      async (products, currentPage, totalPages) => {
+        console.log(
+          `\n→ Processing batch ${currentPage + 1}/${totalPages} (${
+            products.length
+          } products)...`
+        );
+
+        // Filtrar productos por centro (y por fecha de modificación en modo incremental)
+        const filteredProducts = products.filter((product) => {
+          return (
+            product.centros &&
+            product.centros.includes(clinic.centro) &&
+            isChangedSince(product, syncWindow)
           );
+        });
 
-          // Filtrar productos por centro
-          const filteredProducts = products.filter((product) => {
-            return product.centros && product.centros.includes(clinic.centro);
-          });
+        console.log(
+          `✓ Filtered ${filteredProducts.length}/${products.length} products for centro ${clinic.centro}`
+        );
 
-          console.log(
-            `✓ Filtered ${filteredProducts.length}/${products.length} products for centro ${clinic.centro}`
-          );
+        if (filteredProducts.length === 0) {
+          console.log(`⚠ No products found for centro ${clinic.centro} in batch ${currentPage + 1}`);
+          return;
+        }
 
-          if (filteredProducts.length === 0) {
-            console.log(`⚠ No products found for centro ${clinic.centro} in batch ${currentPage + 1}`);
-            return;
-          }
+        // Transformar productos de esta página
+        const transformedBatch = filteredProducts.map((product) => {
+          // Determinar id_estado_registro basado en is_active y defaults
+          let idEstadoRegistro = 1; // Por defecto: activo
 
-          // Transformar productos de esta página
-          const transformedBatch = filteredProducts.map((product) => {
-            // Determinar id_estado_registro basado en is_active y defaults
-            let idEstadoRegistro = 1; // Por defecto: activo
-
-            if (!product.is_active) {
-              idEstadoRegistro = 2; // Inactivo
-            }
-
-            // Mapear id de impuesto usando el mapper de IA
-            const idTipoIva = product.impuesto
-              ? taxMapping.mapper[product.impuesto.toString()]
-              : null;
-
-            if (!idTipoIva && product.impuesto) {
-              console.warn(
-                `⚠ Warning: No tax mapping found for product ${product.id} (tax ID: ${product.impuesto})`
-              );
-            } else if (!product.impuesto) {
-              console.warn(
-                `⚠ Warning: Product ${product.id} has no tax ID (impuesto is null)`
-              );
-            }
-
-            return {
-              nombre_producto: product.nombre || null,
-              descripcion: product.detalle || null,
-              stock: product.stocks?.existencias || 0,
-              precio: product.precio || 0,
-              id_clinica: clinic.id_clinica,
-              id_super_clinica: clinic.id_super_clinica,
-              id_tipo_iva: idTipoIva || 1, // Default a 1 si no hay mapping
-              id_estado_registro: idEstadoRegistro,
-              codigo: product.ref || null,
-              codigo_barras: product.barcode || null,
-              proveedor: product.proveedor__nombre || null,
-              precio_costo: product.precio_coste || 0,
-              descuento: 0.0,
-              old_id: product.id,
-            };
-          });
-
-          console.log(`✓ Transformed ${transformedBatch.length} products`);
-
-          // Insertar inmediatamente este lote en la BD
-          console.log(`→ Inserting batch ${currentPage + 1} into database...`);
-
-          const batchStats = await processBatches(
-            "productos",
-            transformedBatch,
-            100 // Tamaño de lote
-          );
+          if (!product.is_active) {
+            idEstadoRegistro = 2; // Inactivo
+          }
 
-          // Acumular estadísticas
-          globalStats.totalRecords += batchStats.totalRecords;
-          globalStats.totalBatches += batchStats.totalBatches;
-          globalStats.successfulBatches += batchStats.successfulBatches;
-          globalStats.failedBatches += batchStats.failedBatches;
-          globalStats.insertedRecords += batchStats.insertedRecords;
-          globalStats.errors.push(...batchStats.errors);
-
-          console.log(
-            `✓ Batch ${currentPage + 1} completed: ${
-              batchStats.insertedRecords
-            }/${batchStats.totalRecords} records inserted`
-          );
-        },
-        100 // Límite de 100 por página
-      );
+          // Mapear id de impuesto usando el mapper de IA
+          const idTipoIva = product.impuesto
+            ? taxMapping.mapper[product.impuesto.toString()]
+            : null;
+
+          if (!idTipoIva && product.impuesto) {
+            dryRunReport?.addMissingMappings("tax", product.impuesto);
+            console.warn(
+              `⚠ Warning: No tax mapping found for product ${product.id} (tax ID: ${product.impuesto})`
+            );
+          } else if (!product.impuesto) {
+            console.warn(
+              `⚠ Warning: Product ${product.id} has no tax ID (impuesto is null)`
+            );
+          }
 
-      if (!processingResult.success) {
-        return res.status(500).json({
-          success: false,
-          error: "FETCH_PRODUCTS_ERROR",
-          message: "Failed to fetch products from Koibox",
-          details: processingResult.error,
+          return {
+            nombre_producto: product.nombre || null,
+            descripcion: product.detalle || null,
+            stock: product.stocks?.existencias || 0,
+            precio: product.precio || 0,
+            id_clinica: clinic.id_clinica,
+            id_super_clinica: clinic.id_super_clinica,
+            id_tipo_iva: idTipoIva || 1, // Default a 1 si no hay mapping
+            id_estado_registro: idEstadoRegistro,
+            codigo: product.ref || null,
+            codigo_barras: product.barcode || null,
+            proveedor: product.proveedor__nombre || null,
+            precio_costo: product.precio_coste || 0,
+            descuento: 0.0,
+            old_id: product.id,
+          };
         });
-      }
 
-      console.log(
-        `\n✓ All batches processed: ${globalStats.insertedRecords}/${globalStats.totalRecords} total records inserted`
-      );
-
-      const insertStats = globalStats;
-
-      // ==========================================
-      // PASO 4: Generar respuesta
-      // ==========================================
-      console.log("\n========================================");
-      console.log("Migration Completed");
-      console.log("========================================");
-      console.log("Total Products:", insertStats.totalRecords);
-      console.log("Successful Batches:", insertStats.successfulBatches);
-      console.log("Failed Batches:", insertStats.failedBatches);
-      console.log("Inserted Records:", insertStats.insertedRecords);
-      console.log("========================================\n");
-
-      const success = insertStats.failedBatches === 0;
-
-      return res.status(success ? 200 : 207).json({
-        success,
-        message: success
-          ? "Migration completed successfully"
-          : "Migration completed with errors",
-        stats: {
-          totalProducts: insertStats.totalRecords,
-          batches: insertStats.totalBatches,
-          successfulBatches: insertStats.successfulBatches,
-          failedBatches: insertStats.failedBatches,
-          insertedRecords: insertStats.insertedRecords,
-        },
-        errors: insertStats.errors,
-      });
-    } catch (error) {
-      console.error("\n✗ Migration failed:", error);
+        console.log(`✓ Transformed ${transformedBatch.length} products`);
+
+        // Insertar inmediatamente este lote en la BD
+        console.log(`→ Inserting batch ${currentPage + 1} into database...`);
+
+        const batchStats = await processBatches(
+          "productos",
+          transformedBatch,
+          100, // Tamaño de lote
+          { ...batchOptions, updateColumns: PRODUCT_UPDATE_COLUMNS }
+        );
+
+        // Acumular estadísticas
+        globalStats.totalRecords += batchStats.totalRecords;
+        globalStats.totalBatches += batchStats.totalBatches;
+        globalStats.successfulBatches += batchStats.successfulBatches;
+        globalStats.failedBatches += batchStats.failedBatches;
+        globalStats.insertedRecords += batchStats.insertedRecords;
+        globalStats.updatedRecords += batchStats.updatedRecords;
+        globalStats.skippedRecords += batchStats.skippedRecords;
+        globalStats.failedRecords += batchStats.failedRecords;
+        globalStats.errors.push(...batchStats.errors);
+
+        console.log(
+          `✓ Batch ${currentPage + 1} completed: ${
+            batchStats.insertedRecords
+          }/${batchStats.totalRecords} records inserted, ${
+            batchStats.updatedRecords
+          } updated, ${batchStats.skippedRecords} skipped`
+        );
+      },
+      100, // Límite de 100 por página
+      {
+        ...job.checkpointOptions(globalStats),
+        params: buildSinceParams(syncWindow),
+      }
+    );
 
-      return res.status(500).json({
+    if (!processingResult.success) {
+      return migrationResult(500, {
         success: false,
-        error: "MIGRATION_ERROR",
-        message: error.message,
-        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+        error: "FETCH_PRODUCTS_ERROR",
+        message: "Failed to fetch products from Koibox",
+        details: processingResult.error,
       });
     }
+
+    console.log(
+      `\n✓ All batches processed: ${globalStats.insertedRecords}/${globalStats.totalRecords} total records inserted`
+    );
+
+    const insertStats = globalStats;
+
+    // ==========================================
+    // PASO 4: Generar respuesta
+    // ==========================================
+    console.log("\n========================================");
+    console.log("Migration Completed");
+    console.log("========================================");
+    console.log("Total Products:", insertStats.totalRecords);
+    console.log("Successful Batches:", insertStats.successfulBatches);
+    console.log("Failed Batches:", insertStats.failedBatches);
+    console.log("Inserted Records:", insertStats.insertedRecords);
+    console.log("Updated Records:", insertStats.updatedRecords);
+    console.log("Skipped Records:", insertStats.skippedRecords);
+    console.log("Failed Records:", insertStats.failedRecords);
+    console.log("========================================\n");
+
+    const success = insertStats.failedBatches === 0;
+
+    return migrationResult(success ? 200 : 207, {
+      success,
+      message: success
+        ? "Migration completed successfully"
+        : "Migration completed with errors",
+      stats: {
+        totalProducts: insertStats.totalRecords,
+        batches: insertStats.totalBatches,
+        successfulBatches: insertStats.successfulBatches,
+        failedBatches: insertStats.failedBatches,
+        insertedRecords: insertStats.insertedRecords,
+        updatedRecords: insertStats.updatedRecords,
+        skippedRecords: insertStats.skippedRecords,
+        failedRecords: insertStats.failedRecords,
+        syncMode: syncWindow.incremental ? "incremental" : "full",
+        onConflict: syncWindow.onConflict,
+        since: syncWindow.since,
+      },
+      mappings: {
+        tax: describeMapping(taxMapping),
+      },
+      errors: insertStats.errors,
+    });
+  } catch (error) {
+    console.error("\n✗ Migration failed:", error);
+
+    return migrationResult(500, {
+      success: false,
+      error: "MIGRATION_ERROR",
+      message: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
   }
+}
+
+/**
+ * POST /migrations/koibox/productos
+ * Registra la migración como job y responde 202 sin esperar a que termine
+ */
+router.post(
+  "/productos",
+  validateBearerToken,
+  validateClinicData,
+  migrationJobHandler("koibox", "productos", migrateProductos)
 );
 
-module.exports = router;
+module.exports = {
+  router,
+  migrateProductos,
+};
@@ -5,275 +5,415 @@ const {
   getAllPaginated,
   processPaginatedInBatches,
 } = require("../../utils/api-client");
-const { mapData } = require("../../services/ai-mapper.service");
-const { query } = require("../../config/database");
-const { processBatches } = require("../../services/batch.service");
+const {
+  mapData,
+  checkPendingReview,
+  describeMapping,
+} = require("../../services/ai-mapper.service");
+const {
+  resolveCreateMissingPolicy,
+  createMissingEntities,
+} = require("../../services/missing-entities.service");
+const {
+  createPaymentResolver,
+} = require("../../services/payment-methods.service");
+const {
+  MOVEMENTS_TABLE,
+  MOVEMENT_CONFLICT_KEYS,
+  MOVEMENT_UPDATE_COLUMNS,
+  checkMovementsTable,
+  getRectifiedSaleId,
+  buildSaleMovements,
+} = require("../../services/sale-movements.service");
+const { query, transaction } = require("../../config/database");
+const {
+  CONFLICT_STRATEGY,
+  processBatches,
+} = require("../../services/batch.service");
+const { trackUpdatedRows } = require("../../services/migration-run.service");
 const {
   validateBearerToken,
   validateClinicData,
 } = require("../../middlewares/auth.middleware");
+const {
+  migrationResult,
+  migrationJobHandler,
+} = require("../../services/job.service");
+const {
+  resolveSyncWindow,
+  isChangedSince,
+  buildSinceParams,
+} = require("../../services/sync.service");
 
 const router = express.Router();
 
+// Columnas que se actualizan en recibos ya migrados (estrategia de conflicto 'update')
+// Los vínculos creados en ClinicSay (cita, factura, presupuesto) no se sobrescriben
+const RECIBO_UPDATE_COLUMNS = [
+  "id_paciente",
+  "id_medico",
+  "numero_recibo",
+  "forma_pago",
+  "id_tipo_pago",
+  "fecha_recibo",
+  "monto_total",
+  "detalles_migracion",
+];
+
+// Columnas que identifican un detalle de recibo migrado: la tabla no tiene columnas
+// de clínica, así que el recibo (de esta clínica) acota el old_id de la línea
+const DETALLE_RECIBO_CONFLICT_KEYS = ["old_id", "id_recibo"];
+
+// Columnas que se actualizan en detalles de recibo ya migrados
+const DETALLE_RECIBO_UPDATE_COLUMNS = [
+  "item",
+  "descripcion",
+  "cantidad",
+  "precio",
+  "descuento",
+  "id_tipo_iva",
+  "total_item",
+];
+
 /**
- * POST /migrations/koibox/recibos
  * Migra recibos (ventas) desde Koibox API a la base de datos local
+ * @param {Object} context - Contexto de la migración (clinic, defaultValues, options, bearerToken, job)
+ * @returns {Promise<Object>} - Resultado { status, body } de la migración
  */
-router.post(
-  "/recibos",
-  validateBearerToken,
-  validateClinicData,
-  async (req, res) => {
-    try {
-      const { clinic, default: defaultValues = {} } = req.body;
-      const bearerToken = req.bearerToken;
-
-      console.log("\n========================================");
-      console.log("Starting Koibox Sales (Recibos) Migration");
-      console.log("========================================");
-      console.log("Clinic ID:", clinic.id_clinica);
-      console.log("Super Clinic ID:", clinic.id_super_clinica);
-      console.log("Default values:", defaultValues);
-      console.log("========================================\n");
-
-      // Crear cliente API de Koibox
-      const koiboxClient = createApiClient(process.env.KOIBOX_API, {
-        Authorization: `Bearer ${bearerToken}`,
-      });
-
-      // ==========================================
-      // PASO 1: Mapear Pacientes (mapeo directo desde BD)
-      // ==========================================
-      console.log("\n→ Step 1: Loading patients from database...");
+async function migrateRecibos(context) {
+  try {
+    const { clinic, defaultValues, bearerToken, job, dryRunReport } = context;
+
+    // Opciones comunes a todos los mapeos con IA de esta migración
+    const mappingOptions = {
+      sharedMappings: context.sharedMappings,
+      aiUsage: context.aiUsage,
+      clinic,
+      dryRunReport: context.dryRunReport,
+    };
+
+    // Ventana de sincronización: full (todo) o incremental (solo lo modificado
+    // desde la última ejecución correcta) y estrategia ante filas ya migradas
+    const syncWindow = await resolveSyncWindow(context, "koibox", "recibos");
+
+    if (!syncWindow.success) {
+      return migrationResult(400, syncWindow);
+    }
 
-      const dbPatients = await query(
-        "SELECT id_paciente, old_id FROM pacientes WHERE id_clinica = ? AND id_super_clinica = ?",
-        [clinic.id_clinica, clinic.id_super_clinica]
-      );
+    // Política de creación de las entidades que falten en los mapeos (createMissing)
+    const createMissing = resolveCreateMissingPolicy(context);
 
-      // Crear mapeo directo old_id -> id_paciente
-      const patientMapping = {};
-      dbPatients.forEach((patient) => {
-        if (patient.old_id) {
-          patientMapping[patient.old_id.toString()] = patient.id_paciente;
-        }
-      });
+    if (!createMissing.success) {
+      return migrationResult(400, createMissing);
+    }
 
-      console.log(`✓ Loaded ${dbPatients.length} patients for direct mapping`);
-      console.log(
-        `  Patient mapper entries: ${Object.keys(patientMapping).length}`
-      );
+    // Los movimientos de las ventas van a pagos_recibo, que debe existir en el esquema de destino
+    const movementsTableError = await checkMovementsTable();
 
-      // ==========================================
-      // PASO 1.1: Preparar función para obtener y registrar pacientes faltantes
-      // ==========================================
-      console.log(
-        "\n→ Step 1.1: Preparing patient fetch and registration function..."
-      );
-
-      // Función para obtener paciente de Koibox y registrarlo
-      const fetchAndRegisterPatient = async (clienteId) => {
-        try {
-          console.log(`→ Fetching patient ${clienteId} from Koibox API...`);
+    if (movementsTableError) {
+      return migrationResult(500, movementsTableError);
+    }
 
-          const patientResponse = await get(
-            koiboxClient,
-            `/clientes/clientes/${clienteId}/`
+    // Opciones comunes a todas las inserciones por lotes: las filas quedan asociadas
+    // al job para poder hacer rollback (en dry-run no se escribe en la BD)
+    const batchOptions = {
+      dryRunReport,
+      runId: job.id,
+      onConflict: syncWindow.onConflict,
+    };
+
+    console.log("\n========================================");
+    console.log("Starting Koibox Sales (Recibos) Migration");
+    console.log("========================================");
+    console.log("Clinic ID:", clinic.id_clinica);
+    console.log("Super Clinic ID:", clinic.id_super_clinica);
+    console.log("Default values:", defaultValues);
+    console.log(
+      "Sync mode:",
+      syncWindow.incremental
+        ? `incremental (since ${syncWindow.since.toISOString()})`
+        : "full",
+      `(on conflict: ${syncWindow.onConflict})`
+    );
+    console.log("========================================\n");
+
+    // Crear cliente API de Koibox
+    const koiboxClient = createApiClient(process.env.KOIBOX_API, {
+      Authorization: `Bearer ${bearerToken}`,
+    });
+
+    // ==========================================
+    // PASO 1: Mapear Pacientes (mapeo directo desde BD)
+    // ==========================================
+    console.log("\n→ Step 1: Loading patients from database...");
+
+    const dbPatients = await query(
+      "SELECT id_paciente, old_id FROM pacientes WHERE id_clinica = ? AND id_super_clinica = ?",
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
+
+    // Crear mapeo directo old_id -> id_paciente
+    const patientMapping = {};
+    dbPatients.forEach((patient) => {
+      if (patient.old_id) {
+        patientMapping[patient.old_id.toString()] = patient.id_paciente;
+      }
+    });
+
+    console.log(`✓ Loaded ${dbPatients.length} patients for direct mapping`);
+    console.log(
+      `  Patient mapper entries: ${Object.keys(patientMapping).length}`
+    );
+
+    // ==========================================
+    // PASO 1.1: Preparar función para obtener y registrar pacientes faltantes
+    // ==========================================
+    console.log(
+      "\n→ Step 1.1: Preparing patient fetch and registration function..."
+    );
+
+    // Función para obtener paciente de Koibox y registrarlo
+    const fetchAndRegisterPatient = async (clienteId) => {
+      try {
+        console.log(`→ Fetching patient ${clienteId} from Koibox API...`);
+
+        const patientResponse = await get(
+          koiboxClient,
+          `/clientes/clientes/${clienteId}/`
+        );
+
+        if (!patientResponse.success) {
+          console.error(
+            `✗ Failed to fetch patient ${clienteId} from Koibox API`
           );
+          return null;
+        }
 
-          if (!patientResponse.success) {
-            console.error(
-              `✗ Failed to fetch patient ${clienteId} from Koibox API`
+        const patient = patientResponse.data;
+
+        // Obtener filtros para mapear sexo y provincia
+        const filtersResponse = await get(
+          koiboxClient,
+          "/clientes/clientes/filters/"
+        );
+
+        let idSexo = null;
+        let ciudad = patient.localidad;
+        let referido = null;
+
+        if (filtersResponse.success) {
+          const filters = filtersResponse.data;
+
+          // Mapear sexo
+          if (patient.sexo && filters.sexos) {
+            const dbGenders = await query("SELECT * FROM sexo");
+            const genderMapping = await mapData(
+              "gender",
+              filters.sexos,
+              dbGenders,
+              mappingOptions
             );
-            return null;
-          }
-
-          const patient = patientResponse.data;
-
-          // Obtener filtros para mapear sexo y provincia
-          const filtersResponse = await get(
-            koiboxClient,
-            "/clientes/clientes/filters/"
-          );
-
-          let idSexo = null;
-          let ciudad = patient.localidad;
-          let referido = null;
-
-          if (filtersResponse.success) {
-            const filters = filtersResponse.data;
-
-            // Mapear sexo
-            if (patient.sexo && filters.sexos) {
-              const dbGenders = await query("SELECT * FROM sexo");
-              const genderMapping = await mapData(
-                "gender",
-                filters.sexos,
-                dbGenders
-              );
-              if (!genderMapping.error) {
-                idSexo = genderMapping.mapper[patient.sexo.toString()] || null;
-              }
-            }
-
-            // Mapear provincia para ciudad
-            if (patient.provincia && filters.provincias) {
-              const provinceMap = filters.provincias.reduce((acc, province) => {
-                acc[province.id.toString()] = province.text;
-                return acc;
-              }, {});
-              ciudad = provinceMap[patient.provincia.toString()] || patient.localidad;
+            if (!genderMapping.error) {
+              idSexo = genderMapping.mapper[patient.sexo.toString()] || null;
             }
+          }
 
-            // Mapear referido
-            if (patient.como_nos_conocio && filters.como_nos_conocio) {
-              const referralMap = filters.como_nos_conocio.reduce((acc, ref) => {
-                acc[ref.value.toString()] = ref.text;
-                return acc;
-              }, {});
-              referido = referralMap[patient.como_nos_conocio.toString()] || null;
-            }
+          // Mapear provincia para ciudad
+          if (patient.provincia && filters.provincias) {
+            const provinceMap = filters.provincias.reduce((acc, province) => {
+              acc[province.id.toString()] = province.text;
+              return acc;
+            }, {});
+            ciudad = provinceMap[patient.provincia.toString()] || patient.localidad;
           }
 
-          // Determinar estado de registro
-          let idEstadoRegistro = 1; // Activo por defecto
-          if (!patient.is_active) {
-            idEstadoRegistro = 2; // Inactivo
+          // Mapear referido
+          if (patient.como_nos_conocio && filters.como_nos_conocio) {
+            const referralMap = filters.como_nos_conocio.reduce((acc, ref) => {
+              acc[ref.value.toString()] = ref.text;
+              return acc;
+            }, {});
+            referido = referralMap[patient.como_nos_conocio.toString()] || null;
           }
+        }
 
-          // Concatenar apellidos
-          const apellido = [patient.apellido1, patient.apellido2]
-            .filter(Boolean)
-            .join(" ");
-
-          // Formatear teléfono con prefijo
-          const telefono = patient.movil
-            ? `+${patient.prefijo_tel || "34"}${patient.movil}`
-            : patient.fijo || "";
-
-          // Concatenar observaciones
-          const observaciones = [patient.notas, patient.informacion_clinica]
-            .filter(Boolean)
-            .join("\n");
-
-          // Preparar datos del paciente
-          const patientData = {
-            nombre: patient.nombre || "",
-            apellido: apellido || "",
-            email: patient.email || null,
-            telefono: telefono || null,
-            fecha_nacimiento: patient.fecha_nacimiento || null,
-            id_sexo: idSexo || null,
-            direccion: patient.direccion || null,
-            ciudad: ciudad || null,
-            id_clinica: clinic.id_clinica,
-            codigo_postal: patient.codigo_postal || "0",
-            nif_cif: patient.dni || "0",
-            url_foto: patient.foto_url_absolute_path || null,
-            referido: referido || null,
-            observaciones: observaciones || null,
-            profesion: null,
-            id_super_clinica: clinic.id_super_clinica,
-            id_estado_registro: idEstadoRegistro,
-            id_cliente: null,
-            id_medico: null,
-            lopd_aceptado: patient.is_agree_rgpd ? 1 : 0,
-            Importado: null,
-            kommo_lead_id: null,
-            old_id: patient.id,
-            fecha_alta: patient.fecha_alta
-              ? patient.fecha_alta.split("T")[0]
-              : null,
-            fecha_creacion:
-              patient.created?.replace("T", " ").split(".")[0] || null,
-            fecha_modificacion:
-              patient.updated?.replace("T", " ").split(".")[0] || null,
-          };
-
-          // Insertar paciente en la BD
-          const insertResult = await processBatches(
-            "pacientes",
-            [patientData],
-            1
+        // Determinar estado de registro
+        let idEstadoRegistro = 1; // Activo por defecto
+        if (!patient.is_active) {
+          idEstadoRegistro = 2; // Inactivo
+        }
+
+        // Concatenar apellidos
+        const apellido = [patient.apellido1, patient.apellido2]
+          .filter(Boolean)
+          .join(" ");
+
+        // Formatear teléfono con prefijo
+        const telefono = patient.movil
+          ? `+${patient.prefijo_tel || "34"}${patient.movil}`
+          : patient.fijo || "";
+
+        // Concatenar observaciones
+        const observaciones = [patient.notas, patient.informacion_clinica]
+          .filter(Boolean)
+          .join("\n");
+
+        // Preparar datos del paciente
+        const patientData = {
+          nombre: patient.nombre || "",
+          apellido: apellido || "",
+          email: patient.email || null,
+          telefono: telefono || null,
+          fecha_nacimiento: patient.fecha_nacimiento || null,
+          id_sexo: idSexo || null,
+          direccion: patient.direccion || null,
+          ciudad: ciudad || null,
+          id_clinica: clinic.id_clinica,
+          codigo_postal: patient.codigo_postal || "0",
+          nif_cif: patient.dni || "0",
+          url_foto: patient.foto_url_absolute_path || null,
+          referido: referido || null,
+          observaciones: observaciones || null,
+          profesion: null,
+          id_super_clinica: clinic.id_super_clinica,
+          id_estado_registro: idEstadoRegistro,
+          id_cliente: null,
+          id_medico: null,
+          lopd_aceptado: patient.is_agree_rgpd ? 1 : 0,
+          Importado: null,
+          kommo_lead_id: null,
+          old_id: patient.id,
+          fecha_alta: patient.fecha_alta
+            ? patient.fecha_alta.split("T")[0]
+            : null,
+          fecha_creacion:
+            patient.created?.replace("T", " ").split(".")[0] || null,
+          fecha_modificacion:
+            patient.updated?.replace("T", " ").split(".")[0] || null,
+        };
+
+        // Insertar paciente en la BD
+        const insertResult = await processBatches(
+          "pacientes",
+          [patientData],
+          1,
+          batchOptions
+        );
+
+        // En dry-run el paciente no se inserta: usar su id simulado
+        if (dryRunReport) {
+          return dryRunReport.getSimulatedId("pacientes", patient.id);
+        }
+
+        if (insertResult.insertedRecords > 0) {
+          // Obtener el ID del paciente recién insertado
+          const insertedPatient = await query(
+            "SELECT id_paciente FROM pacientes WHERE old_id = ? AND id_clinica = ? AND id_super_clinica = ?",
+            [patient.id, clinic.id_clinica, clinic.id_super_clinica]
           );
 
-          if (insertResult.insertedRecords > 0) {
-            // Obtener el ID del paciente recién insertado
-            const insertedPatient = await query(
-              "SELECT id_paciente FROM pacientes WHERE old_id = ? AND id_clinica = ? AND id_super_clinica = ?",
-              [patient.id, clinic.id_clinica, clinic.id_super_clinica]
+          if (insertedPatient.length > 0) {
+            console.log(
+              `✓ Patient ${clienteId} registered successfully with ID ${insertedPatient[0].id_paciente}`
             );
-
-            if (insertedPatient.length > 0) {
-              console.log(
-                `✓ Patient ${clienteId} registered successfully with ID ${insertedPatient[0].id_paciente}`
-              );
-              return insertedPatient[0].id_paciente;
-            }
+            return insertedPatient[0].id_paciente;
           }
-
-          console.error(`✗ Failed to insert patient ${clienteId}`);
-          return null;
-        } catch (error) {
-          console.error(
-            `✗ Error fetching/registering patient ${clienteId}:`,
-            error.message
-          );
-          return null;
         }
-      };
 
-      // ==========================================
-      // PASO 2: Obtener y mapear médicos con IA
-      // ==========================================
-      console.log("\n→ Step 2: Fetching and mapping doctors...");
+        console.error(`✗ Failed to insert patient ${clienteId}`);
+        return null;
+      } catch (error) {
+        console.error(
+          `✗ Error fetching/registering patient ${clienteId}:`,
+          error.message
+        );
+        return null;
+      }
+    };
 
-      const allDoctorsResponse = await getAllPaginated(
-        koiboxClient,
-        `/main/users/?centro=${clinic.centro}`,
-        100
-      );
+    // ==========================================
+    // PASO 2: Obtener y mapear médicos con IA
+    // ==========================================
+    console.log("\n→ Step 2: Fetching and mapping doctors...");
 
-      if (!allDoctorsResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: "FETCH_DOCTORS_ERROR",
-          message: "Failed to fetch doctors from Koibox",
-          details: allDoctorsResponse.error,
-        });
-      }
+    const allDoctorsResponse = await getAllPaginated(
+      koiboxClient,
+      `/main/users/?centro=${clinic.centro}`,
+      100
+    );
 
-      // Obtener resultados de la API
-      const apiDoctors = allDoctorsResponse.data.map((doctor) => {
-        const { permissions, filtros_agenda, ...rest } = doctor;
-        return rest;
+    if (!allDoctorsResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "FETCH_DOCTORS_ERROR",
+        message: "Failed to fetch doctors from Koibox",
+        details: allDoctorsResponse.error,
       });
+    }
 
-      console.log(`✓ Found ${apiDoctors.length} doctors in Koibox API`);
+    // Obtener resultados de la API
+    const apiDoctors = allDoctorsResponse.data.map((doctor) => {
+      const { permissions, filtros_agenda, ...rest } = doctor;
+      return rest;
+    });
+
+    console.log(`✓ Found ${apiDoctors.length} doctors in Koibox API`);
+
+    // Obtener médicos de la BD local
+    const dbDoctors = await query(
+      "SELECT * FROM medicos WHERE id_clinica = ? AND id_super_clinica = ?",
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
+    console.log(`✓ Found ${dbDoctors.length} doctors in local database`);
+
+    // Mapear con IA
+    let doctorMapping = await mapData("doctor", apiDoctors, dbDoctors, {
+      ...mappingOptions,
+      allowManyToOne: true,
+    });
+
+    if (doctorMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "DOCTOR_MAPPING_ERROR",
+        message: "AI mapping failed for doctors",
+        details: doctorMapping,
+      });
+    }
 
-      // Obtener médicos de la BD local
-      const dbDoctors = await query(
-        "SELECT * FROM medicos WHERE id_clinica = ? AND id_super_clinica = ?",
-        [clinic.id_clinica, clinic.id_super_clinica]
-      );
-      console.log(`✓ Found ${dbDoctors.length} doctors in local database`);
+    // Los pares con confianza baja no se usan hasta revisarlos manualmente
+    const doctorReview = checkPendingReview(
+      "doctor",
+      doctorMapping,
+      dryRunReport
+    );
 
-      // Mapear con IA
-      const doctorMapping = await mapData("doctor", apiDoctors, dbDoctors, {
-        allowManyToOne: true,
-      });
+    if (doctorReview) {
+      return migrationResult(400, doctorReview);
+    }
 
-      if (doctorMapping.error) {
-        return res.status(500).json({
-          success: false,
-          error: "DOCTOR_MAPPING_ERROR",
-          message: "AI mapping failed for doctors",
-          details: doctorMapping,
-        });
-      }
+    // Crear los médicos faltantes si la política createMissing lo incluye
+    const createdDoctors = await createMissingEntities(
+      context,
+      createMissing,
+      "doctor",
+      doctorMapping,
+      apiDoctors,
+      dbDoctors
+    );
+
+    if (!createdDoctors.success) {
+      return migrationResult(400, createdDoctors);
+    }
 
-      if (doctorMapping.missing && doctorMapping.missing.length > 0) {
-        return res.status(400).json({
+    doctorMapping = createdDoctors.mapping;
+
+    if (doctorMapping.missing && doctorMapping.missing.length > 0) {
+      // En dry-run se reportan los faltantes en lugar de detener la migración
+      if (dryRunReport) {
+        dryRunReport.addMissingMappings("doctor", doctorMapping.missing);
+      } else {
+        return migrationResult(400, {
           success: false,
           error: "MISSING_DOCTORS",
           message: "Some doctors from Koibox are not found in local database",
@@ -281,55 +421,83 @@ router.post(
           mapper: doctorMapping.mapper,
         });
       }
+    }
 
-      console.log("✓ Doctor mapping completed successfully");
+    console.log("✓ Doctor mapping completed successfully");
 
-      // ==========================================
-      // PASO 3: Mapear tipos de IVA con IA
-      // ==========================================
-      console.log("\n→ Step 3: Fetching and mapping tax types...");
+    // ==========================================
+    // PASO 3: Mapear tipos de IVA con IA
+    // ==========================================
+    console.log("\n→ Step 3: Fetching and mapping tax types...");
 
-      const taxFormResponse = await get(koiboxClient, "/ventas/ventas/form/");
+    const taxFormResponse = await get(koiboxClient, "/ventas/ventas/form/");
 
-      if (!taxFormResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: "KOIBOX_API_ERROR",
-          message: "Failed to fetch tax form from Koibox",
-          details: taxFormResponse.error,
-        });
-      }
+    if (!taxFormResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "KOIBOX_API_ERROR",
+        message: "Failed to fetch tax form from Koibox",
+        details: taxFormResponse.error,
+      });
+    }
 
-      const apiTaxes = taxFormResponse.data.impuestos;
+    const apiTaxes = taxFormResponse.data.impuestos;
 
-      if (!apiTaxes || !Array.isArray(apiTaxes)) {
-        return res.status(500).json({
-          success: false,
-          error: "INVALID_TAX_DATA",
-          message: "Tax data not found in Koibox API response",
-        });
-      }
+    if (!apiTaxes || !Array.isArray(apiTaxes)) {
+      return migrationResult(500, {
+        success: false,
+        error: "INVALID_TAX_DATA",
+        message: "Tax data not found in Koibox API response",
+      });
+    }
 
-      console.log(`✓ Found ${apiTaxes.length} tax types in Koibox API`);
+    console.log(`✓ Found ${apiTaxes.length} tax types in Koibox API`);
 
-      // Obtener tipos de IVA de la BD local
-      const dbTaxes = await query("SELECT * FROM tipo_iva");
-      console.log(`✓ Found ${dbTaxes.length} tax types in local database`);
+    // Obtener tipos de IVA de la BD local
+    const dbTaxes = await query("SELECT * FROM tipo_iva");
+    console.log(`✓ Found ${dbTaxes.length} tax types in local database`);
 
-      // Mapear con IA
-      const taxMapping = await mapData("tax", apiTaxes, dbTaxes);
+    // Mapear con IA
+    let taxMapping = await mapData("tax", apiTaxes, dbTaxes, mappingOptions);
 
-      if (taxMapping.error) {
-        return res.status(500).json({
-          success: false,
-          error: "TAX_MAPPING_ERROR",
-          message: "AI mapping failed for tax types",
-          details: taxMapping,
-        });
-      }
+    if (taxMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "TAX_MAPPING_ERROR",
+        message: "AI mapping failed for tax types",
+        details: taxMapping,
+      });
+    }
+
+    // Los pares con confianza baja no se usan hasta revisarlos manualmente
+    const taxReview = checkPendingReview("tax", taxMapping, dryRunReport);
 
-      if (taxMapping.missing && taxMapping.missing.length > 0) {
-        return res.status(400).json({
+    if (taxReview) {
+      return migrationResult(400, taxReview);
+    }
+
+    // Crear los tipos de IVA faltantes si la política createMissing lo incluye
+    const createdTaxes = await createMissingEntities(
+      context,
+      createMissing,
+      "tax",
+      taxMapping,
+      apiTaxes,
+      dbTaxes
+    );
+
+    if (!createdTaxes.success) {
+      return migrationResult(400, createdTaxes);
+    }
+
+    taxMapping = createdTaxes.mapping;
+
+    if (taxMapping.missing && taxMapping.missing.length > 0) {
+      // En dry-run se reportan los faltantes en lugar de detener la migración
+      if (dryRunReport) {
+        dryRunReport.addMissingMappings("tax", taxMapping.missing);
+      } else {
+        return migrationResult(400, {
           success: false,
           error: "MISSING_TAX_TYPES",
           message: "Some tax types from Koibox are not found in local database",
@@ -337,480 +505,1006 @@ router.post(
           mapper: taxMapping.mapper,
         });
       }
+    }
+
+    console.log("✓ Tax mapping completed successfully");
+    console.log("  Tax mapper:", taxMapping.mapper);
 
-      console.log("✓ Tax mapping completed successfully");
-      console.log("  Tax mapper:", taxMapping.mapper);
-
-      // ==========================================
-      // PASO 4: Procesar ventas con streaming
-      // ==========================================
-      console.log("\n→ Step 4: Fetching, transforming and inserting sales...");
-
-      // Estadísticas globales
-      const globalStats = {
-        totalSales: 0,
-        totalBatches: 0,
-        successfulBatches: 0,
-        failedBatches: 0,
-        insertedRecibos: 0,
-        insertedDetalles: 0,
-        updatedCitas: 0,
-        errors: [],
-        warnings: {
-          missingPatients: 0,
-          missingDoctors: 0,
-          missingTaxes: 0,
-          failedDetails: 0,
-          registeredPatients: 0,
+    // ==========================================
+    // PASO 3.1: Obtener y mapear tratamientos (servicios de las líneas)
+    // ==========================================
+    console.log("\n→ Step 3.1: Fetching and mapping treatments...");
+
+    const allTreatmentsResponse = await getAllPaginated(
+      koiboxClient,
+      "/configuraciones/servicios/",
+      100
+    );
+
+    if (!allTreatmentsResponse.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "FETCH_TREATMENTS_ERROR",
+        message: "Failed to fetch treatments from Koibox",
+        details: allTreatmentsResponse.error,
+      });
+    }
+
+    // Filtrar tratamientos por centro
+    const apiTreatments = allTreatmentsResponse.data.filter((treatment) => {
+      return treatment.centros && treatment.centros.includes(clinic.centro);
+    });
+
+    console.log(
+      `✓ Filtered ${apiTreatments.length}/${allTreatmentsResponse.data.length} treatments for centro ${clinic.centro}`
+    );
+
+    // Obtener tratamientos de la BD local
+    const dbTreatments = await query(
+      "SELECT * FROM tratamientos WHERE id_clinica = ? AND id_super_clinica = ?",
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
+    console.log(
+      `✓ Found ${dbTreatments.length} treatments in local database`
+    );
+
+    // Mapear con IA, pasando taxMapping para construir missing correctamente
+    let treatmentMapping = await mapData(
+      "treatment",
+      apiTreatments,
+      dbTreatments,
+      {
+        ...mappingOptions,
+        relatedMappings: {
+          taxMapper: taxMapping.mapper,
+          description:
+            "Use taxMapper to map 'impuesto' field to 'id_tipo_iva' in missing objects",
         },
-      };
+      }
+    );
 
-      // Procesar cada página: obtener → obtener detalles → transformar → insertar
-      const processingResult = await processPaginatedInBatches(
-        koiboxClient,
-        "/ventas/ventas/",
-        async (sales, currentPage, totalPages) => {
-          console.log(
-            `\n→ Processing batch ${currentPage + 1}/${totalPages} (${
-              sales.length
-            } sales)...`
-          );
+    if (treatmentMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "TREATMENT_MAPPING_ERROR",
+        message: "AI mapping failed for treatments",
+        details: treatmentMapping,
+      });
+    }
 
-          // ==========================================
-          // PASO 4.1: Obtener detalles de cada venta (API 2)
-          // ==========================================
-          console.log(`→ Fetching details for ${sales.length} sales...`);
-
-          const salesWithDetails = await Promise.all(
-            sales.map(async (sale) => {
-              try {
-                const detailResponse = await get(
-                  koiboxClient,
-                  `/ventas/ventas/${sale.id}`
-                );
+    // Los pares con confianza baja no se usan hasta revisarlos manualmente
+    const treatmentReview = checkPendingReview(
+      "treatment",
+      treatmentMapping,
+      dryRunReport
+    );
 
-                if (!detailResponse.success) {
-                  console.warn(
-                    `⚠ Warning: Failed to fetch details for sale ${sale.id}`
-                  );
-                  return { ...sale, lineas_venta: [], detailError: true };
-                }
-
-                return {
-                  ...sale,
-                  lineas_venta: detailResponse.data.lineas_venta || [],
-                  cita: detailResponse.data.cita,
-                };
-              } catch (error) {
-                console.warn(
-                  `⚠ Warning: Error fetching details for sale ${sale.id}:`,
-                  error.message
-                );
-                return { ...sale, lineas_venta: [], detailError: true };
-              }
-            })
-          );
+    if (treatmentReview) {
+      return migrationResult(400, treatmentReview);
+    }
 
-          console.log(`✓ Fetched details for ${salesWithDetails.length} sales`);
+    // Crear los tratamientos faltantes si la política createMissing lo incluye
+    const createdTreatments = await createMissingEntities(
+      context,
+      createMissing,
+      "treatment",
+      treatmentMapping,
+      apiTreatments,
+      dbTreatments,
+      { taxMapper: taxMapping.mapper }
+    );
+
+    if (!createdTreatments.success) {
+      return migrationResult(400, createdTreatments);
+    }
 
-          // ==========================================
-          // PASO 4.2: Transformar recibos
-          // ==========================================
-          const transformedRecibos = [];
+    treatmentMapping = createdTreatments.mapping;
 
-          for (const sale of salesWithDetails) {
-            // Mapear id_paciente desde old_id
-            let idPaciente = sale.cliente?.value
-              ? patientMapping[sale.cliente.value.toString()]
-              : null;
+    if (treatmentMapping.missing && treatmentMapping.missing.length > 0) {
+      // En dry-run se reportan los faltantes en lugar de detener la migración
+      if (dryRunReport) {
+        dryRunReport.addMissingMappings("treatment", treatmentMapping.missing);
+      } else {
+        return migrationResult(400, {
+          success: false,
+          error: "MISSING_TREATMENTS",
+          message:
+            "Some treatments from Koibox are not found in local database",
+          missing: treatmentMapping.missing,
+          mapper: treatmentMapping.mapper,
+        });
+      }
+    }
 
-            // Si no se encuentra el paciente, intentar obtenerlo de la API
-            if (sale.cliente?.value && !idPaciente) {
-              console.warn(
-                `⚠ Warning: Patient not found for sale ${sale.id} (patient ID: ${sale.cliente.value}), attempting to fetch from API...`
-              );
+    console.log("✓ Treatment mapping completed successfully");
+
+    // ==========================================
+    // PASO 3.2: Mapear productos (mapeo directo desde BD por old_id)
+    // ==========================================
+    console.log("\n→ Step 3.2: Loading products from database...");
 
-              idPaciente = await fetchAndRegisterPatient(sale.cliente.value);
+    const dbProducts = await query(
+      "SELECT id_producto, old_id FROM productos WHERE id_clinica = ? AND id_super_clinica = ?",
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
 
-              if (idPaciente) {
-                // Actualizar el mapping para futuras referencias
-                patientMapping[sale.cliente.value.toString()] = idPaciente;
-                globalStats.warnings.registeredPatients++;
-              } else {
-                globalStats.warnings.missingPatients++;
+    // Crear mapeo directo old_id -> id_producto
+    const productMapping = {};
+    dbProducts.forEach((product) => {
+      if (product.old_id) {
+        productMapping[product.old_id.toString()] = product.id_producto;
+      }
+    });
+
+    console.log(`✓ Loaded ${dbProducts.length} products for direct mapping`);
+
+    // ==========================================
+    // PASO 3.3: Mapear formas de pago con el catálogo tipo_pago
+    // ==========================================
+    console.log("\n→ Step 3.3: Mapping payment methods...");
+
+    const apiPaymentMethods = taxFormResponse.data.formas_pago || [];
+    const dbPaymentTypes = await query("SELECT * FROM tipo_pago");
+
+    console.log(
+      `✓ Found ${apiPaymentMethods.length} payment methods in Koibox API and ${dbPaymentTypes.length} payment types in local database`
+    );
+
+    // Many-to-one y sin missing obligatorio: las ventas con una forma de pago
+    // sin tipo se migran igualmente y se reportan en unidentifiedPayments
+    const paymentMapping =
+      apiPaymentMethods.length > 0
+        ? await mapData("payment_method", apiPaymentMethods, dbPaymentTypes, {
+            ...mappingOptions,
+            allowManyToOne: true,
+          })
+        : { mapper: {}, missing: [] };
+
+    if (paymentMapping.error) {
+      return migrationResult(500, {
+        success: false,
+        error: "PAYMENT_METHOD_MAPPING_ERROR",
+        message: "AI mapping failed for payment methods",
+        details: paymentMapping,
+      });
+    }
+
+    // Los pares con confianza baja no se usan hasta revisarlos, pero no detienen la
+    // migración: sus ventas se migran sin tipo de pago y se informan en unidentifiedPayments
+    if (paymentMapping.review && paymentMapping.review.length > 0) {
+      dryRunReport?.addPendingReview("payment_method", paymentMapping.review);
+      console.warn(
+        `⚠ Warning: ${paymentMapping.review.length} payment methods are pending review in /migrations/mappings/payment_method, their sales will be reported`
+      );
+    }
+
+    if (paymentMapping.missing && paymentMapping.missing.length > 0) {
+      dryRunReport?.addMissingMappings("payment_method", paymentMapping.missing);
+      console.warn(
+        `⚠ Warning: ${paymentMapping.missing.length} payment methods from Koibox have no payment type, their sales will be reported`
+      );
+    }
+
+    const resolvePayments = createPaymentResolver(
+      paymentMapping,
+      dbPaymentTypes
+    );
+
+    console.log("✓ Payment method mapping completed successfully");
+
+    // ==========================================
+    // PASO 4: Procesar ventas con streaming
+    // ==========================================
+    console.log("\n→ Step 4: Fetching, transforming and inserting sales...");
+
+    // Estadísticas globales (se restauran del checkpoint al reanudar un job)
+    const globalStats = job.checkpoint?.stats || {
+      totalSales: 0,
+      totalBatches: 0,
+      successfulBatches: 0,
+      failedBatches: 0,
+      insertedRecibos: 0,
+      insertedDetalles: 0,
+      updatedRecibos: 0,
+      updatedDetalles: 0,
+      updatedCitas: 0,
+      insertedPagos: 0,
+      updatedPagos: 0,
+      failedMovements: 0,
+      failedMovementBatches: 0,
+      errors: [],
+      warnings: {
+        missingPatients: 0,
+        missingDoctors: 0,
+        missingTaxes: 0,
+        missingTreatments: 0,
+        missingProducts: 0,
+        unidentifiedPaymentMethods: 0,
+        unlinkedCreditNotes: 0,
+        failedDetails: 0,
+        registeredPatients: 0,
+      },
+      // Líneas cuyo servicio o producto no se pudo resolver (se migran sin él)
+      unresolvedLines: [],
+      // Ventas con algún pago cuya forma de pago no se pudo identificar
+      unidentifiedPayments: [],
+      // Rectificativas cuya venta original no está migrada
+      unlinkedCreditNotes: [],
+    };
+
+    // Procesar cada página: obtener → obtener detalles → transformar → insertar
+    const processingResult = await processPaginatedInBatches(
+      koiboxClient,
+      "/ventas/ventas/",
+      async (sales, currentPage, totalPages) => {
+        console.log(
+          `\n→ Processing batch ${currentPage + 1}/${totalPages} (${
+            sales.length
+          } sales)...`
+        );
+
+        // En modo incremental solo se procesan las ventas modificadas desde la última ejecución
+        const changedSales = sales.filter((sale) =>
+          isChangedSince(sale, syncWindow)
+        );
+
+        if (changedSales.length === 0) {
+          console.log(`⊗ Skipping batch ${currentPage + 1}: no changed sales`);
+          return;
+        }
+
+        // ==========================================
+        // PASO 4.1: Obtener detalles de cada venta (API 2)
+        // ==========================================
+        console.log(`→ Fetching details for ${changedSales.length} sales...`);
+
+        const salesWithDetails = await Promise.all(
+          changedSales.map(async (sale) => {
+            try {
+              const detailResponse = await get(
+                koiboxClient,
+                `/ventas/ventas/${sale.id}`
+              );
+
+              if (!detailResponse.success) {
                 console.warn(
-                  `✗ Could not fetch/register patient ${sale.cliente.value} for sale ${sale.id}, skipping...`
+                  `⚠ Warning: Failed to fetch details for sale ${sale.id}`
                 );
-                continue; // Skip this sale
+                return { ...sale, lineas_venta: [], detailError: true };
               }
+
+              return {
+                ...sale,
+                lineas_venta: detailResponse.data.lineas_venta || [],
+                pagos: detailResponse.data.pagos,
+                devoluciones: detailResponse.data.devoluciones,
+                pendiente: detailResponse.data.pendiente ?? sale.pendiente,
+                venta_rectificada:
+                  getRectifiedSaleId(detailResponse.data) ??
+                  getRectifiedSaleId(sale),
+                cita: detailResponse.data.cita,
+              };
+            } catch (error) {
+              console.warn(
+                `⚠ Warning: Error fetching details for sale ${sale.id}:`,
+                error.message
+              );
+              return { ...sale, lineas_venta: [], detailError: true };
             }
+          })
+        );
+
+        console.log(`✓ Fetched details for ${salesWithDetails.length} sales`);
+
+        // ==========================================
+        // PASO 4.2: Transformar recibos
+        // ==========================================
+        const transformedRecibos = [];
+
+        for (const sale of salesWithDetails) {
+          // Mapear id_paciente desde old_id
+          let idPaciente = sale.cliente?.value
+            ? patientMapping[sale.cliente.value.toString()]
+            : null;
+
+          // Si no se encuentra el paciente, intentar obtenerlo de la API
+          if (sale.cliente?.value && !idPaciente) {
+            console.warn(
+              `⚠ Warning: Patient not found for sale ${sale.id} (patient ID: ${sale.cliente.value}), attempting to fetch from API...`
+            );
 
-            // Mapear id_medico desde mapper
-            const idMedico = sale.assigned_to?.value
-              ? doctorMapping.mapper[sale.assigned_to.value.toString()]
-              : null;
+            idPaciente = await fetchAndRegisterPatient(sale.cliente.value);
 
-            if (sale.assigned_to?.value && !idMedico) {
-              globalStats.warnings.missingDoctors++;
+            if (idPaciente) {
+              // Actualizar el mapping para futuras referencias
+              patientMapping[sale.cliente.value.toString()] = idPaciente;
+              globalStats.warnings.registeredPatients++;
+            } else {
+              globalStats.warnings.missingPatients++;
+              dryRunReport?.addMissingMappings("patient", sale.cliente.value);
               console.warn(
-                `⚠ Warning: Doctor not found for sale ${sale.id} (doctor ID: ${sale.assigned_to.value})`
+                `✗ Could not fetch/register patient ${sale.cliente.value} for sale ${sale.id}, skipping...`
               );
+              continue; // Skip this sale
             }
+          }
 
-            // Combinar fecha + hora para fecha_recibo
-            let fechaRecibo = null;
-            if (sale.fecha) {
-              const fecha = sale.fecha.split("T")[0];
-              const hora =
-                sale.fecha.split("T")[1]?.split(".")[0] || "00:00:00";
-              fechaRecibo = `${fecha} ${hora}`;
-            }
+          // Mapear id_medico desde mapper
+          const idMedico = sale.assigned_to?.value
+            ? doctorMapping.mapper[sale.assigned_to.value.toString()]
+            : null;
 
-            transformedRecibos.push({
-              id_cita: null, // Se establecerá si existe cita
-              id_super_clinica: clinic.id_super_clinica,
-              id_clinica: clinic.id_clinica,
-              id_paciente: idPaciente,
-              id_medico: idMedico || null,
-              numero_recibo: sale.num_ticket || 0,
-              forma_pago: sale.forma_pago?.text || "efectivo",
-              fecha_recibo: fechaRecibo || null,
-              monto_total: sale.total || 0,
-              id_factura: null,
-              old_id: sale.id,
-              id_presupuesto: null,
-              fecha_creacion: fechaRecibo || null,
-              detalles_migracion: null,
-              descontar_del_presupuesto: 0,
-              // Metadata para procesar detalles después
-              _lineas_venta: sale.lineas_venta,
-              _cita_old_id: sale.cita,
-            });
+          if (sale.assigned_to?.value && !idMedico) {
+            globalStats.warnings.missingDoctors++;
+            dryRunReport?.addMissingMappings("doctor", sale.assigned_to.value);
+            console.warn(
+              `⚠ Warning: Doctor not found for sale ${sale.id} (doctor ID: ${sale.assigned_to.value})`
+            );
           }
 
-          console.log(`✓ Transformed ${transformedRecibos.length} recibos`);
+          // Combinar fecha + hora para fecha_recibo
+          let fechaRecibo = null;
+          if (sale.fecha) {
+            const fecha = sale.fecha.split("T")[0];
+            const hora =
+              sale.fecha.split("T")[1]?.split(".")[0] || "00:00:00";
+            fechaRecibo = `${fecha} ${hora}`;
+          }
 
-          if (transformedRecibos.length === 0) {
-            console.log(`⚠ Skipping batch ${currentPage + 1}: no valid sales`);
-            return;
+          // Resolver la forma de pago (uno o varios pagos) con el catálogo tipo_pago
+          const payment = resolvePayments(sale);
+
+          if (
+            payment.unidentified.length > 0 ||
+            payment.payments.length === 0
+          ) {
+            globalStats.warnings.unidentifiedPaymentMethods++;
+            globalStats.unidentifiedPayments.push({
+              sale: sale.id,
+              payments: payment.unidentified,
+            });
+            payment.unidentified.forEach((unidentified) =>
+              dryRunReport?.addMissingMappings(
+                "payment_method",
+                unidentified.api_id ?? unidentified.text
+              )
+            );
+            console.warn(
+              `⚠ Warning: Payment method not identified for sale ${sale.id}`
+            );
           }
 
-          // ==========================================
-          // PASO 4.3: Validar recibos existentes
-          // ==========================================
-          console.log(`→ Validating existing recibos...`);
+          transformedRecibos.push({
+            id_cita: null, // Se establecerá si existe cita
+            id_super_clinica: clinic.id_super_clinica,
+            id_clinica: clinic.id_clinica,
+            id_paciente: idPaciente,
+            id_medico: idMedico || null,
+            numero_recibo: sale.num_ticket || 0,
+            forma_pago: payment.formaPago,
+            id_tipo_pago: payment.idTipoPago,
+            fecha_recibo: fechaRecibo || null,
+            monto_total: sale.total || 0,
+            id_factura: null,
+            old_id: sale.id,
+            id_presupuesto: null,
+            fecha_creacion: fechaRecibo || null,
+            detalles_migracion: payment.detalles,
+            descontar_del_presupuesto: 0,
+            // Metadata para procesar detalles y pagos después
+            _lineas_venta: sale.lineas_venta,
+            _cita_old_id: sale.cita,
+            _sale: sale,
+          });
+        }
 
-          const oldIdsToCheck = transformedRecibos.map((r) => r.old_id);
-          const placeholdersCheck = oldIdsToCheck.map(() => "?").join(",");
+        console.log(`✓ Transformed ${transformedRecibos.length} recibos`);
 
-          const existingRecibos = await query(
-            `SELECT old_id FROM recibos
-             WHERE old_id IN (${placeholdersCheck})
-             AND id_clinica = ?
-             AND id_super_clinica = ?`,
-            [...oldIdsToCheck, clinic.id_clinica, clinic.id_super_clinica]
-          );
+        if (transformedRecibos.length === 0) {
+          console.log(`⚠ Skipping batch ${currentPage + 1}: no valid sales`);
+          return;
+        }
 
-          const existingOldIds = new Set(existingRecibos.map((r) => r.old_id));
-          console.log(`✓ Found ${existingOldIds.size} recibos already existing in database`);
+        // ==========================================
+        // PASO 4.3: Validar recibos existentes
+        // ==========================================
+        console.log(`→ Validating existing recibos...`);
 
-          // Filtrar recibos que NO existen en la BD
-          const newRecibos = transformedRecibos.filter(
-            (recibo) => !existingOldIds.has(recibo.old_id)
-          );
+        const oldIdsToCheck = transformedRecibos.map((r) => r.old_id);
+        const placeholdersCheck = oldIdsToCheck.map(() => "?").join(",");
 
-          console.log(
-            `→ ${newRecibos.length} new recibos to insert (${transformedRecibos.length - newRecibos.length} skipped as duplicates)`
-          );
+        const existingRecibos = await query(
+          `SELECT old_id FROM recibos
+           WHERE old_id IN (${placeholdersCheck})
+           AND id_clinica = ?
+           AND id_super_clinica = ?`,
+          [...oldIdsToCheck, clinic.id_clinica, clinic.id_super_clinica]
+        );
 
-          if (newRecibos.length === 0) {
-            console.log(`⚠ Skipping batch ${currentPage + 1}: all recibos already exist`);
-            return;
-          }
+        const existingOldIds = new Set(existingRecibos.map((r) => r.old_id));
+        console.log(`✓ Found ${existingOldIds.size} recibos already existing in database`);
 
-          // ==========================================
-          // PASO 4.4: Insertar recibos nuevos
-          // ==========================================
-          console.log(`→ Inserting ${newRecibos.length} new recibos...`);
+        // Filtrar recibos que NO existen en la BD (con 'update' / 'error' los existentes
+        // se pasan a processBatches, que los actualiza o hace fallar el lote)
+        let newRecibos = transformedRecibos;
 
-          // Remover metadata antes de insertar
-          const cleanRecibos = newRecibos.map(
-            ({ _lineas_venta, _cita_old_id, ...recibo }) => recibo
+        if (syncWindow.onConflict !== CONFLICT_STRATEGY.SKIP) {
+          console.log(
+            `→ ${transformedRecibos.length - existingOldIds.size} new recibos to insert, ${existingOldIds.size} existing (on conflict: ${syncWindow.onConflict})`
           );
+        } else {
+          dryRunReport?.addAlreadyMigrated("recibos", existingOldIds.size);
 
-          const reciboStats = await processBatches(
-            "recibos",
-            cleanRecibos,
-            100
+          newRecibos = transformedRecibos.filter(
+            (recibo) => !existingOldIds.has(recibo.old_id)
           );
 
-          // Acumular estadísticas
-          globalStats.totalSales += reciboStats.totalRecords;
-          globalStats.totalBatches += reciboStats.totalBatches;
-          globalStats.successfulBatches += reciboStats.successfulBatches;
-          globalStats.failedBatches += reciboStats.failedBatches;
-          globalStats.insertedRecibos += reciboStats.insertedRecords;
-          globalStats.errors.push(...reciboStats.errors);
-
           console.log(
-            `✓ Recibos inserted: ${reciboStats.insertedRecords}/${reciboStats.totalRecords}`
+            `→ ${newRecibos.length} new recibos to insert (${transformedRecibos.length - newRecibos.length} skipped as duplicates)`
           );
+        }
+
+        if (newRecibos.length === 0) {
+          console.log(`⚠ Skipping batch ${currentPage + 1}: all recibos already exist`);
+          return;
+        }
 
-          // ==========================================
-          // PASO 4.5: Obtener IDs de recibos (recién insertados + existentes)
-          // ==========================================
-          const allOldIds = transformedRecibos.map((r) => r.old_id);
-          const allPlaceholders = allOldIds.map(() => "?").join(",");
+        // ==========================================
+        // PASO 4.4: Insertar recibos nuevos
+        // ==========================================
+        console.log(`→ Inserting ${newRecibos.length} new recibos...`);
+
+        // Remover metadata antes de insertar
+        const cleanRecibos = newRecibos.map(
+          ({ _lineas_venta, _cita_old_id, _sale, ...recibo }) => recibo
+        );
+
+        const reciboStats = await processBatches(
+          "recibos",
+          cleanRecibos,
+          100,
+          { ...batchOptions, updateColumns: RECIBO_UPDATE_COLUMNS }
+        );
+
+        // Acumular estadísticas
+        globalStats.totalSales += reciboStats.totalRecords;
+        globalStats.totalBatches += reciboStats.totalBatches;
+        globalStats.successfulBatches += reciboStats.successfulBatches;
+        globalStats.failedBatches += reciboStats.failedBatches;
+        globalStats.insertedRecibos += reciboStats.insertedRecords;
+        globalStats.updatedRecibos += reciboStats.updatedRecords;
+        globalStats.errors.push(...reciboStats.errors);
+
+        console.log(
+          `✓ Recibos inserted: ${reciboStats.insertedRecords}/${reciboStats.totalRecords}`
+        );
+
+        // ==========================================
+        // PASO 4.5: Obtener IDs de recibos (recién insertados + existentes)
+        // ==========================================
+        const allOldIds = transformedRecibos.map((r) => r.old_id);
+        const allPlaceholders = allOldIds.map(() => "?").join(",");
+
+        const insertedRecibos = await query(
+          `SELECT id_recibo, old_id FROM recibos
+           WHERE old_id IN (${allPlaceholders})
+           AND id_clinica = ?
+           AND id_super_clinica = ?`,
+          [...allOldIds, clinic.id_clinica, clinic.id_super_clinica]
+        );
+
+        // Crear mapeo old_id -> id_recibo
+        const reciboIdMapping = {};
+        insertedRecibos.forEach((recibo) => {
+          reciboIdMapping[recibo.old_id] = recibo.id_recibo;
+        });
 
-          const insertedRecibos = await query(
-            `SELECT id_recibo, old_id FROM recibos
-             WHERE old_id IN (${allPlaceholders})
-             AND id_clinica = ?
-             AND id_super_clinica = ?`,
-            [...allOldIds, clinic.id_clinica, clinic.id_super_clinica]
-          );
+        // En dry-run los recibos nuevos no existen en la BD: usar ids simulados
+        if (dryRunReport) {
+          dryRunReport.fillSimulatedIds("recibos", reciboIdMapping, allOldIds);
+        }
 
-          // Crear mapeo old_id -> id_recibo
-          const reciboIdMapping = {};
-          insertedRecibos.forEach((recibo) => {
-            reciboIdMapping[recibo.old_id] = recibo.id_recibo;
-          });
+        console.log(`✓ Found ${insertedRecibos.length} recibos (new + existing)`);
 
-          console.log(`✓ Found ${insertedRecibos.length} recibos (new + existing)`);
+        // ==========================================
+        // PASO 4.6: Transformar e insertar detalles de recibos
+        // ==========================================
+        console.log("→ Processing sale details (lineas_venta)...");
 
-          // ==========================================
-          // PASO 4.6: Transformar e insertar detalles de recibos
-          // ==========================================
-          console.log("→ Processing sale details (lineas_venta)...");
+        const allDetalles = [];
 
-          const allDetalles = [];
+        transformedRecibos.forEach((recibo) => {
+          const idRecibo = reciboIdMapping[recibo.old_id];
 
-          transformedRecibos.forEach((recibo) => {
-            const idRecibo = reciboIdMapping[recibo.old_id];
+          if (!idRecibo) {
+            console.warn(
+              `⚠ Warning: Could not find id_recibo for old_id ${recibo.old_id}`
+            );
+            return;
+          }
+
+          // Transformar cada línea de venta
+          recibo._lineas_venta.forEach((linea, index) => {
+            // Resolver el servicio con el mapeo de tratamientos
+            const idTratamiento = linea.servicio
+              ? treatmentMapping.mapper[linea.servicio.toString()]
+              : null;
 
-            if (!idRecibo) {
+            if (linea.servicio && !idTratamiento) {
+              globalStats.warnings.missingTreatments++;
+              globalStats.unresolvedLines.push({
+                sale: recibo.old_id,
+                line: linea.id,
+                type: "treatment",
+                api_id: linea.servicio,
+              });
+              dryRunReport?.addMissingMappings("treatment", linea.servicio);
               console.warn(
-                `⚠ Warning: Could not find id_recibo for old_id ${recibo.old_id}`
+                `⚠ Warning: Treatment not found for line ${linea.id} of sale ${recibo.old_id} (service ID: ${linea.servicio})`
               );
-              return;
             }
 
-            // Transformar cada línea de venta
-            recibo._lineas_venta.forEach((linea, index) => {
-              // Determinar id_tratamiento o id_producto
-              const idTratamiento = linea.servicio ? 9092 : null;
-              const idProducto = linea.producto ? 521 : null;
+            // Resolver el producto por productos.old_id (en dry-run también
+            // los productos que habría insertado la migración de productos)
+            const idProducto = linea.producto
+              ? productMapping[linea.producto.toString()] ||
+                dryRunReport?.getSimulatedId("productos", linea.producto)
+              : null;
 
-              // Mapear id_tipo_iva
-              const idTipoIva = linea.impuesto
-                ? taxMapping.mapper[linea.impuesto.toString()]
-                : null;
+            if (linea.producto && !idProducto) {
+              globalStats.warnings.missingProducts++;
+              globalStats.unresolvedLines.push({
+                sale: recibo.old_id,
+                line: linea.id,
+                type: "product",
+                api_id: linea.producto,
+              });
+              dryRunReport?.addMissingMappings("product", linea.producto);
+              console.warn(
+                `⚠ Warning: Product not found for line ${linea.id} of sale ${recibo.old_id} (product ID: ${linea.producto})`
+              );
+            }
 
-              if (linea.impuesto && !idTipoIva) {
-                globalStats.warnings.missingTaxes++;
-                console.warn(
-                  `⚠ Warning: Tax not found for line ${linea.id} (tax ID: ${linea.impuesto})`
-                );
-              }
+            // Mapear id_tipo_iva
+            const idTipoIva = linea.impuesto
+              ? taxMapping.mapper[linea.impuesto.toString()]
+              : null;
 
-              // Calcular descuento (usar importe_descuento_moneda o valor_descuento)
-              const descuento =
-                linea.importe_descuento_moneda || linea.valor_descuento || 0;
-
-              allDetalles.push({
-                id_recibo: idRecibo,
-                id_cita: null,
-                id_tratamiento: idTratamiento,
-                id_producto: idProducto,
-                item: index + 1, // Orden de línea (1, 2, 3...)
-                descripcion: linea.descripcion || "",
-                cantidad: linea.cantidad || 1,
-                precio: linea.precio || 0,
-                descuento: descuento,
-                id_tipo_iva: idTipoIva || null,
-                total_item: linea.total || 0,
-                old_id: linea.id,
-              });
+            if (linea.impuesto && !idTipoIva) {
+              globalStats.warnings.missingTaxes++;
+              dryRunReport?.addMissingMappings("tax", linea.impuesto);
+              console.warn(
+                `⚠ Warning: Tax not found for line ${linea.id} (tax ID: ${linea.impuesto})`
+              );
+            }
+
+            // Calcular descuento (usar importe_descuento_moneda o valor_descuento)
+            const descuento =
+              linea.importe_descuento_moneda || linea.valor_descuento || 0;
+
+            allDetalles.push({
+              id_recibo: idRecibo,
+              id_cita: null,
+              id_tratamiento: idTratamiento || null,
+              id_producto: idProducto || null,
+              item: index + 1, // Orden de línea (1, 2, 3...)
+              descripcion: linea.descripcion || "",
+              cantidad: linea.cantidad || 1,
+              precio: linea.precio || 0,
+              descuento: descuento,
+              id_tipo_iva: idTipoIva || null,
+              total_item: linea.total || 0,
+              old_id: linea.id,
             });
           });
+        });
 
-          console.log(`✓ Transformed ${allDetalles.length} sale details`);
+        console.log(`✓ Transformed ${allDetalles.length} sale details`);
 
-          if (allDetalles.length > 0) {
-            // Validar detalles existentes
-            console.log(`→ Validating existing detalle_recibo...`);
+        if (allDetalles.length > 0) {
+          // Validar detalles existentes
+          console.log(`→ Validating existing detalle_recibo...`);
 
-            const detalleOldIds = allDetalles.map((d) => d.old_id);
-            const detallePlaceholders = detalleOldIds.map(() => "?").join(",");
+          const detalleOldIds = allDetalles.map((d) => d.old_id);
+          const detallePlaceholders = detalleOldIds.map(() => "?").join(",");
 
-            const existingDetalles = await query(
-              `SELECT old_id FROM detalle_recibo
-               WHERE old_id IN (${detallePlaceholders})`,
-              detalleOldIds
-            );
+          // Solo detalles de recibos de esta clínica (la tabla no tiene columnas de clínica)
+          const parentReciboIds = [
+            ...new Set(allDetalles.map((d) => d.id_recibo)),
+          ];
+
+          const existingDetalles = await query(
+            `SELECT old_id FROM detalle_recibo
+             WHERE old_id IN (${detallePlaceholders})
+             AND id_recibo IN (${parentReciboIds.map(() => "?").join(",")})`,
+            [...detalleOldIds, ...parentReciboIds]
+          );
+
+          const existingDetalleOldIds = new Set(existingDetalles.map((d) => d.old_id));
+          console.log(`✓ Found ${existingDetalleOldIds.size} detalles already existing in database`);
 
-            const existingDetalleOldIds = new Set(existingDetalles.map((d) => d.old_id));
-            console.log(`✓ Found ${existingDetalleOldIds.size} detalles already existing in database`);
+          // Filtrar detalles que NO existen en la BD (salvo con 'update' / 'error')
+          let newDetalles = allDetalles;
 
-            // Filtrar detalles que NO existen en la BD
-            const newDetalles = allDetalles.filter(
+          if (syncWindow.onConflict === CONFLICT_STRATEGY.SKIP) {
+            dryRunReport?.addAlreadyMigrated("detalle_recibo", existingDetalleOldIds.size);
+
+            newDetalles = allDetalles.filter(
               (detalle) => !existingDetalleOldIds.has(detalle.old_id)
             );
 
             console.log(
               `→ ${newDetalles.length} new detalles to insert (${allDetalles.length - newDetalles.length} skipped as duplicates)`
             );
+          }
+
+          if (newDetalles.length > 0) {
+            console.log(`→ Inserting ${newDetalles.length} detalle_recibo...`);
+
+            const detalleStats = await processBatches(
+              "detalle_recibo",
+              newDetalles,
+              100,
+              {
+                ...batchOptions,
+                conflictKeys: DETALLE_RECIBO_CONFLICT_KEYS,
+                updateColumns: DETALLE_RECIBO_UPDATE_COLUMNS,
+              }
+            );
 
-            if (newDetalles.length > 0) {
-              console.log(`→ Inserting ${newDetalles.length} detalle_recibo...`);
+            globalStats.insertedDetalles += detalleStats.insertedRecords;
+            globalStats.updatedDetalles += detalleStats.updatedRecords;
 
-              const detalleStats = await processBatches(
-                "detalle_recibo",
-                newDetalles,
-                100
-              );
+            if (detalleStats.failedBatches > 0) {
+              globalStats.warnings.failedDetails += detalleStats.failedBatches;
+              globalStats.errors.push(...detalleStats.errors);
+            }
 
-              globalStats.insertedDetalles += detalleStats.insertedRecords;
+            console.log(
+              `✓ Detalle_recibo inserted: ${detalleStats.insertedRecords}/${detalleStats.totalRecords}`
+            );
+          }
+        }
 
-              if (detalleStats.failedBatches > 0) {
-                globalStats.warnings.failedDetails += detalleStats.failedBatches;
-              }
+        // ==========================================
+        // PASO 4.7: Actualizar citas con id_recibo (BULK UPDATE)
+        // ==========================================
+        console.log("→ Updating citas with id_recibo...");
+
+        const citasToUpdate = transformedRecibos.filter(
+          (recibo) => recibo._cita_old_id && reciboIdMapping[recibo.old_id]
+        );
+
+        if (citasToUpdate.length > 0 && dryRunReport) {
+          // En dry-run solo se reportan las citas que se actualizarían
+          dryRunReport.addUpdates(
+            "citas",
+            citasToUpdate.map((recibo) => ({
+              old_id: recibo._cita_old_id,
+              id_recibo: reciboIdMapping[recibo.old_id],
+            }))
+          );
+        } else if (citasToUpdate.length > 0) {
+          try {
+            // Construir bulk update con CASE WHEN
+            const whenClauses = citasToUpdate
+              .map((recibo) => {
+                const idRecibo = reciboIdMapping[recibo.old_id];
+                return `WHEN old_id = ${recibo._cita_old_id} THEN ${idRecibo}`;
+              })
+              .join(" ");
+
+            const citaOldIds = citasToUpdate.map((r) => r._cita_old_id);
+            const citaPlaceholders = citaOldIds.map(() => "?").join(",");
+
+            const whereSql = `old_id IN (${citaPlaceholders})
+              AND id_clinica = ?
+              AND id_super_clinica = ?`;
+            const whereParams = [
+              ...citaOldIds,
+              clinic.id_clinica,
+              clinic.id_super_clinica,
+            ];
+
+            const bulkUpdateQuery = `
+              UPDATE citas
+              SET id_recibo = CASE ${whenClauses} END
+              WHERE ${whereSql}
+            `;
+
+            // Guardar el id_recibo anterior de las citas (para rollback) y actualizar
+            const updateResult = await transaction(async (connection) => {
+              await trackUpdatedRows(
+                connection,
+                job.id,
+                "citas",
+                ["id_recibo"],
+                whereSql,
+                whereParams
+              );
 
-              console.log(
-                `✓ Detalle_recibo inserted: ${detalleStats.insertedRecords}/${detalleStats.totalRecords}`
+              const [result] = await connection.execute(
+                bulkUpdateQuery,
+                whereParams
               );
-            }
-          }
+              return result;
+            });
 
-          // ==========================================
-          // PASO 4.7: Actualizar citas con id_recibo (BULK UPDATE)
-          // ==========================================
-          console.log("→ Updating citas with id_recibo...");
+            globalStats.updatedCitas += updateResult.affectedRows || 0;
+
+            console.log(
+              `✓ Updated ${updateResult.affectedRows || 0} citas (bulk update)`
+            );
+          } catch (error) {
+            console.warn(
+              `⚠ Warning: Failed to bulk update citas:`,
+              error.message
+            );
+          }
+        }
 
-          const citasToUpdate = transformedRecibos.filter(
-            (recibo) => recibo._cita_old_id && reciboIdMapping[recibo.old_id]
+        // ==========================================
+        // PASO 4.8: Migrar pagos, devoluciones y rectificativas
+        // ==========================================
+        console.log("→ Processing payments, refunds and credit notes...");
+
+        // Recibos originales de las rectificativas (pueden ser de otra página)
+        const rectifiedOldIds = [
+          ...new Set(
+            transformedRecibos
+              .map((recibo) => getRectifiedSaleId(recibo._sale))
+              .filter((oldId) => oldId !== null)
+          ),
+        ];
+        const originalReciboMapping = { ...reciboIdMapping };
+
+        if (rectifiedOldIds.length > 0) {
+          const originalRecibos = await query(
+            `SELECT id_recibo, old_id FROM recibos
+             WHERE old_id IN (${rectifiedOldIds.map(() => "?").join(",")})
+             AND id_clinica = ?
+             AND id_super_clinica = ?`,
+            [...rectifiedOldIds, clinic.id_clinica, clinic.id_super_clinica]
           );
 
-          if (citasToUpdate.length > 0) {
-            try {
-              // Construir bulk update con CASE WHEN
-              const whenClauses = citasToUpdate
-                .map((recibo) => {
-                  const idRecibo = reciboIdMapping[recibo.old_id];
-                  return `WHEN old_id = ${recibo._cita_old_id} THEN ${idRecibo}`;
-                })
-                .join(" ");
-
-              const citaOldIds = citasToUpdate.map((r) => r._cita_old_id);
-              const citaPlaceholders = citaOldIds.map(() => "?").join(",");
-
-              const bulkUpdateQuery = `
-                UPDATE citas
-                SET id_recibo = CASE ${whenClauses} END
-                WHERE old_id IN (${citaPlaceholders})
-                AND id_clinica = ?
-                AND id_super_clinica = ?
-              `;
-
-              const updateResult = await query(bulkUpdateQuery, [
-                ...citaOldIds,
-                clinic.id_clinica,
-                clinic.id_super_clinica,
-              ]);
-
-              globalStats.updatedCitas += updateResult.affectedRows || 0;
-
-              console.log(
-                `✓ Updated ${updateResult.affectedRows || 0} citas (bulk update)`
-              );
-            } catch (error) {
-              console.warn(
-                `⚠ Warning: Failed to bulk update citas:`,
-                error.message
-              );
+          originalRecibos.forEach((recibo) => {
+            originalReciboMapping[recibo.old_id] = recibo.id_recibo;
+          });
+
+          if (dryRunReport) {
+            dryRunReport.fillSimulatedIds(
+              "recibos",
+              originalReciboMapping,
+              rectifiedOldIds
+            );
+          }
+        }
+
+        const movements = [];
+
+        transformedRecibos.forEach((recibo) => {
+          const idRecibo = reciboIdMapping[recibo.old_id];
+
+          if (!idRecibo) {
+            return;
+          }
+
+          const rectifiedOldId = getRectifiedSaleId(recibo._sale);
+          const idReciboOriginal =
+            rectifiedOldId === null
+              ? null
+              : originalReciboMapping[rectifiedOldId] || null;
+
+          if (rectifiedOldId !== null && !idReciboOriginal) {
+            globalStats.warnings.unlinkedCreditNotes++;
+            globalStats.unlinkedCreditNotes.push({
+              sale: recibo.old_id,
+              rectifiedSale: rectifiedOldId,
+            });
+            console.warn(
+              `⚠ Warning: Original sale ${rectifiedOldId} of credit note ${recibo.old_id} is not migrated`
+            );
+          }
+
+          // Un pago o devolución sin ID no se puede identificar al repetir la
+          // migración: la venta se queda sin movimientos y se informa como error
+          try {
+            movements.push(
+              ...buildSaleMovements(
+                recibo._sale,
+                {
+                  id_recibo: idRecibo,
+                  id_paciente: recibo.id_paciente,
+                  id_clinica: clinic.id_clinica,
+                  id_super_clinica: clinic.id_super_clinica,
+                },
+                idReciboOriginal,
+                resolvePayments
+              )
+            );
+          } catch (error) {
+            if (error.code !== "MISSING_MOVEMENT_ID") {
+              throw error;
             }
+
+            globalStats.failedMovements =
+              (globalStats.failedMovements || 0) + 1;
+            globalStats.errors.push({
+              error: error.code,
+              sale: recibo.old_id,
+              message: error.message,
+            });
+            console.error(`✗ ${error.message}, its movements were not migrated`);
           }
+        });
 
-          console.log(
-            `✓ Batch ${currentPage + 1} completed: ${
-              globalStats.insertedRecibos
-            } recibos, ${globalStats.insertedDetalles} detalles`
+        if (movements.length > 0) {
+          const movementStats = await processBatches(
+            MOVEMENTS_TABLE,
+            movements,
+            100,
+            {
+              ...batchOptions,
+              conflictKeys: MOVEMENT_CONFLICT_KEYS,
+              updateColumns: MOVEMENT_UPDATE_COLUMNS,
+            }
           );
-        },
-        100 // Límite de 100 por página
-      );
 
-      if (!processingResult.success) {
-        return res.status(500).json({
-          success: false,
-          error: "FETCH_SALES_ERROR",
-          message: "Failed to fetch sales from Koibox",
-          details: processingResult.error,
-        });
-      }
+          globalStats.insertedPagos += movementStats.insertedRecords;
+          globalStats.updatedPagos += movementStats.updatedRecords;
 
-      console.log(
-        `\n✓ All batches processed: ${globalStats.insertedRecibos} recibos, ${globalStats.insertedDetalles} detalles inserted`
-      );
+          if (movementStats.failedBatches > 0) {
+            globalStats.failedMovementBatches =
+              (globalStats.failedMovementBatches || 0) +
+              movementStats.failedBatches;
+            globalStats.errors.push(...movementStats.errors);
+          }
 
-      const insertStats = globalStats;
-
-      // ==========================================
-      // PASO 5: Generar respuesta
-      // ==========================================
-      console.log("\n========================================");
-      console.log("Migration Completed");
-      console.log("========================================");
-      console.log("Total Sales:", insertStats.totalSales);
-      console.log("Successful Batches:", insertStats.successfulBatches);
-      console.log("Failed Batches:", insertStats.failedBatches);
-      console.log("Inserted Recibos:", insertStats.insertedRecibos);
-      console.log("Inserted Detalles:", insertStats.insertedDetalles);
-      console.log("Updated Citas:", insertStats.updatedCitas);
-      console.log("Warnings:");
-      console.log(
-        "  - Missing Patients:",
-        insertStats.warnings.missingPatients
-      );
-      console.log(
-        "  - Registered Patients from API:",
-        insertStats.warnings.registeredPatients
-      );
-      console.log("  - Missing Doctors:", insertStats.warnings.missingDoctors);
-      console.log("  - Missing Taxes:", insertStats.warnings.missingTaxes);
-      console.log("  - Failed Details:", insertStats.warnings.failedDetails);
-      console.log("========================================\n");
-
-      const success = insertStats.failedBatches === 0;
-
-      return res.status(success ? 200 : 207).json({
-        success,
-        message: success
-          ? "Migration completed successfully"
-          : "Migration completed with errors",
-        stats: {
-          totalSales: insertStats.totalSales,
-          batches: insertStats.totalBatches,
-          successfulBatches: insertStats.successfulBatches,
-          failedBatches: insertStats.failedBatches,
-          insertedRecibos: insertStats.insertedRecibos,
-          insertedDetalles: insertStats.insertedDetalles,
-          updatedCitas: insertStats.updatedCitas,
-          warnings: insertStats.warnings,
-        },
-        errors: insertStats.errors,
-      });
-    } catch (error) {
-      console.error("\n✗ Migration failed:", error);
+          console.log(
+            `✓ Pagos_recibo inserted: ${movementStats.insertedRecords}/${movementStats.totalRecords}`
+          );
+        }
+
+        console.log(
+          `✓ Batch ${currentPage + 1} completed: ${
+            globalStats.insertedRecibos
+          } recibos, ${globalStats.insertedDetalles} detalles`
+        );
+      },
+      100, // Límite de 100 por página
+      {
+        ...job.checkpointOptions(globalStats),
+        params: buildSinceParams(syncWindow),
+      }
+    );
 
-      return res.status(500).json({
+    if (!processingResult.success) {
+      return migrationResult(500, {
         success: false,
-        error: "MIGRATION_ERROR",
-        message: error.message,
-        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+        error: "FETCH_SALES_ERROR",
+        message: "Failed to fetch sales from Koibox",
+        details: processingResult.error,
       });
     }
+
+    console.log(
+      `\n✓ All batches processed: ${globalStats.insertedRecibos} recibos, ${globalStats.insertedDetalles} detalles inserted`
+    );
+
+    const insertStats = globalStats;
+
+    // ==========================================
+    // PASO 5: Generar respuesta
+    // ==========================================
+    console.log("\n========================================");
+    console.log("Migration Completed");
+    console.log("========================================");
+    console.log("Total Sales:", insertStats.totalSales);
+    console.log("Successful Batches:", insertStats.successfulBatches);
+    console.log("Failed Batches:", insertStats.failedBatches);
+    console.log("Inserted Recibos:", insertStats.insertedRecibos);
+    console.log("Inserted Detalles:", insertStats.insertedDetalles);
+    console.log("Updated Recibos:", insertStats.updatedRecibos);
+    console.log("Updated Detalles:", insertStats.updatedDetalles);
+    console.log("Updated Citas:", insertStats.updatedCitas);
+    console.log("Inserted Payments/Refunds:", insertStats.insertedPagos);
+    console.log("Updated Payments/Refunds:", insertStats.updatedPagos);
+    console.log("Failed Payments/Refunds:", insertStats.failedMovements || 0);
+    console.log(
+      "Failed Payment/Refund Batches:",
+      insertStats.failedMovementBatches || 0
+    );
+    console.log("Warnings:");
+    console.log(
+      "  - Missing Patients:",
+      insertStats.warnings.missingPatients
+    );
+    console.log(
+      "  - Registered Patients from API:",
+      insertStats.warnings.registeredPatients
+    );
+    console.log("  - Missing Doctors:", insertStats.warnings.missingDoctors);
+    console.log("  - Missing Taxes:", insertStats.warnings.missingTaxes);
+    console.log(
+      "  - Missing Treatments:",
+      insertStats.warnings.missingTreatments
+    );
+    console.log("  - Missing Products:", insertStats.warnings.missingProducts);
+    console.log(
+      "  - Unidentified Payment Methods:",
+      insertStats.warnings.unidentifiedPaymentMethods
+    );
+    console.log(
+      "  - Unlinked Credit Notes:",
+      insertStats.warnings.unlinkedCreditNotes
+    );
+    console.log("  - Failed Details:", insertStats.warnings.failedDetails);
+    console.log("========================================\n");
+
+    const success =
+      insertStats.failedBatches === 0 &&
+      !insertStats.failedMovements &&
+      !insertStats.failedMovementBatches;
+
+    return migrationResult(success ? 200 : 207, {
+      success,
+      message: success
+        ? "Migration completed successfully"
+        : "Migration completed with errors",
+      stats: {
+        totalSales: insertStats.totalSales,
+        batches: insertStats.totalBatches,
+        successfulBatches: insertStats.successfulBatches,
+        failedBatches: insertStats.failedBatches,
+        insertedRecibos: insertStats.insertedRecibos,
+        insertedDetalles: insertStats.insertedDetalles,
+        updatedRecibos: insertStats.updatedRecibos,
+        updatedDetalles: insertStats.updatedDetalles,
+        updatedCitas: insertStats.updatedCitas,
+        insertedPagos: insertStats.insertedPagos,
+        updatedPagos: insertStats.updatedPagos,
+        failedMovements: insertStats.failedMovements || 0,
+        failedMovementBatches: insertStats.failedMovementBatches || 0,
+        syncMode: syncWindow.incremental ? "incremental" : "full",
+        onConflict: syncWindow.onConflict,
+        since: syncWindow.since,
+        warnings: insertStats.warnings,
+      },
+      mappings: {
+        doctor: describeMapping(doctorMapping),
+        tax: describeMapping(taxMapping),
+        treatment: describeMapping(treatmentMapping),
+        payment_method: describeMapping(paymentMapping),
+      },
+      unresolvedLines: insertStats.unresolvedLines,
+      unidentifiedPayments: insertStats.unidentifiedPayments,
+      unlinkedCreditNotes: insertStats.unlinkedCreditNotes,
+      errors: insertStats.errors,
+    });
+  } catch (error) {
+    console.error("\n✗ Migration failed:", error);
+
+    return migrationResult(500, {
+      success: false,
+      error: "MIGRATION_ERROR",
+      message: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
   }
+}
+
+/**
+ * POST /migrations/koibox/recibos
+ * Registra la migración como job y responde 202 sin esperar a que termine
+ */
+router.post(
+  "/recibos",
+  validateBearerToken,
+  validateClinicData,
+  migrationJobHandler("koibox", "recibos", migrateRecibos)
 );
 
-module.exports = router;
+module.exports = {
+  router,
+  migrateRecibos,
+};
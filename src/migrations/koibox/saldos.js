@@ -0,0 +1,325 @@
+const express = require("express");
+const {
+  createApiClient,
+  processPaginatedInBatches,
+} = require("../../utils/api-client");
+const { query } = require("../../config/database");
+const {
+  CONFLICT_STRATEGY,
+  processBatches,
+} = require("../../services/batch.service");
+const {
+  BALANCES_TABLE,
+  BALANCE_UPDATE_COLUMNS,
+  checkBalancesTable,
+  getKoiboxBalance,
+  getComputedDebts,
+  emptyReconciliation,
+  addToReconciliation,
+} = require("../../services/patient-balances.service");
+const {
+  validateBearerToken,
+  validateClinicData,
+} = require("../../middlewares/auth.middleware");
+const {
+  migrationResult,
+  migrationJobHandler,
+} = require("../../services/job.service");
+const {
+  SYNC_MODE,
+  resolveSyncWindow,
+} = require("../../services/sync.service");
+
+const router = express.Router();
+
+/**
+ * Migra la deuda pendiente y el saldo a cuenta de cada cliente de Koibox al
+ * paciente migrado (tabla saldos_paciente) y concilia la deuda con los recibos
+ * y pagos ya migrados
+ * @param {Object} context - Contexto de la migración (clinic, defaultValues, options, bearerToken, job)
+ * @returns {Promise<Object>} - Resultado { status, body } de la migración
+ */
+async function migrateSaldos(context) {
+  try {
+    const { clinic, bearerToken, job, dryRunReport } = context;
+
+    // Los saldos son una foto del momento de la migración: siempre se recorren
+    // todos los clientes, así que el modo incremental no se admite
+    if (context.options?.mode === SYNC_MODE.INCREMENTAL) {
+      return migrationResult(400, {
+        success: false,
+        error: "INVALID_SYNC_MODE",
+        message:
+          "Patient balances are a snapshot and are always migrated in full, mode 'incremental' is not supported",
+      });
+    }
+
+    // Solo se valida la estrategia de conflicto
+    const syncWindow = await resolveSyncWindow(context, "koibox", "saldos");
+
+    if (!syncWindow.success) {
+      return migrationResult(400, syncWindow);
+    }
+
+    // Por defecto se actualizan los saldos ya migrados con la foto nueva
+    const onConflict = context.options?.onConflict || CONFLICT_STRATEGY.UPDATE;
+
+    // Opciones comunes a todas las inserciones por lotes: las filas quedan asociadas
+    // al job para poder hacer rollback (en dry-run no se escribe en la BD)
+    const batchOptions = {
+      dryRunReport,
+      runId: job.id,
+      onConflict,
+      updateColumns: BALANCE_UPDATE_COLUMNS,
+    };
+
+    console.log("\n========================================");
+    console.log("Starting Koibox Patient Balances Migration");
+    console.log("========================================");
+    console.log("Clinic ID:", clinic.id_clinica);
+    console.log("Super Clinic ID:", clinic.id_super_clinica);
+    console.log("On conflict:", onConflict);
+    console.log("========================================\n");
+
+    // Crear cliente API de Koibox
+    const koiboxClient = createApiClient(process.env.KOIBOX_API, {
+      Authorization: `Bearer ${bearerToken}`,
+    });
+
+    // La tabla de saldos debe existir en el esquema de destino (también en dry-run)
+    const tableError = await checkBalancesTable();
+
+    if (tableError) {
+      return migrationResult(500, tableError);
+    }
+
+    // ==========================================
+    // PASO 1: Mapear Pacientes (mapeo directo desde BD)
+    // ==========================================
+    console.log("\n→ Step 1: Loading patients from database...");
+
+    const dbPatients = await query(
+      "SELECT id_paciente, old_id FROM pacientes WHERE id_clinica = ? AND id_super_clinica = ?",
+      [clinic.id_clinica, clinic.id_super_clinica]
+    );
+
+    // Crear mapeo directo old_id -> id_paciente
+    const patientMapping = {};
+    dbPatients.forEach((patient) => {
+      if (patient.old_id) {
+        patientMapping[patient.old_id.toString()] = patient.id_paciente;
+      }
+    });
+
+    console.log(`✓ Loaded ${dbPatients.length} patients for direct mapping`);
+
+    // ==========================================
+    // PASO 2: Procesar saldos de clientes con streaming
+    // ==========================================
+    console.log("\n→ Step 2: Fetching, reconciling and inserting balances...");
+
+    // Estadísticas globales (se restauran del checkpoint al reanudar un job)
+    const globalStats = job.checkpoint?.stats || {
+      totalClients: 0,
+      totalBatches: 0,
+      successfulBatches: 0,
+      failedBatches: 0,
+      insertedSaldos: 0,
+      updatedSaldos: 0,
+      errors: [],
+      warnings: {
+        missingPatients: 0,
+      },
+      reconciliation: emptyReconciliation(),
+    };
+
+    const fechaSaldo = new Date();
+
+    const processingResult = await processPaginatedInBatches(
+      koiboxClient,
+      "/clientes/clientes/",
+      async (clients, currentPage, totalPages) => {
+        console.log(
+          `\n→ Processing batch ${currentPage + 1}/${totalPages} (${
+            clients.length
+          } clients)...`
+        );
+
+        // Filtrar clientes por centro
+        const centroClients = clients.filter(
+          (client) => client.centro === clinic.centro
+        );
+
+        // Solo los clientes migrados como pacientes
+        const balances = [];
+
+        centroClients.forEach((client) => {
+          const idPaciente = patientMapping[client.id.toString()];
+
+          if (!idPaciente) {
+            globalStats.warnings.missingPatients++;
+            dryRunReport?.addMissingMappings("patient", client.id);
+            return;
+          }
+
+          balances.push({
+            idPaciente,
+            oldId: client.id,
+            ...getKoiboxBalance(client),
+          });
+        });
+
+        if (balances.length === 0) {
+          console.log(
+            `⊗ Skipping batch ${currentPage + 1}: no migrated patients`
+          );
+          return;
+        }
+
+        // Deuda según los recibos y pagos migrados, para conciliar
+        const computedDebts = await getComputedDebts(
+          clinic,
+          balances.map((balance) => balance.idPaciente)
+        );
+
+        // Se guardan también los saldos a cero: al repetir la migración
+        // sustituyen a un saldo anterior que ya no está pendiente
+        const rows = [];
+
+        balances.forEach((balance) => {
+          const deudaCalculada = computedDebts.get(balance.idPaciente) || 0;
+
+          addToReconciliation(globalStats.reconciliation, {
+            id_paciente: balance.idPaciente,
+            old_id: balance.oldId,
+            deuda: balance.deuda,
+            saldoACuenta: balance.saldoACuenta,
+            deudaCalculada,
+          });
+
+          rows.push({
+            id_paciente: balance.idPaciente,
+            id_clinica: clinic.id_clinica,
+            id_super_clinica: clinic.id_super_clinica,
+            deuda_pendiente: balance.deuda,
+            saldo_a_cuenta: balance.saldoACuenta,
+            deuda_calculada: deudaCalculada,
+            fecha_saldo: fechaSaldo,
+            old_id: balance.oldId,
+          });
+        });
+
+        globalStats.totalClients += balances.length;
+
+        console.log(`→ Inserting ${rows.length} patient balances...`);
+
+        const batchStats = await processBatches(
+          BALANCES_TABLE,
+          rows,
+          100,
+          batchOptions
+        );
+
+        globalStats.totalBatches += batchStats.totalBatches;
+        globalStats.successfulBatches += batchStats.successfulBatches;
+        globalStats.failedBatches += batchStats.failedBatches;
+        globalStats.insertedSaldos += batchStats.insertedRecords;
+        globalStats.updatedSaldos += batchStats.updatedRecords;
+        globalStats.errors.push(...batchStats.errors);
+
+        console.log(
+          `✓ Batch ${currentPage + 1} completed: ${batchStats.insertedRecords} inserted, ${batchStats.updatedRecords} updated`
+        );
+      },
+      100, // Límite de 100 por página
+      job.checkpointOptions(globalStats)
+    );
+
+    if (!processingResult.success) {
+      return migrationResult(500, {
+        success: false,
+        error: "FETCH_CLIENTS_ERROR",
+        message: "Failed to fetch clients from Koibox",
+        details: processingResult.error,
+      });
+    }
+
+    const { reconciliation } = globalStats;
+
+    // ==========================================
+    // PASO 3: Generar respuesta con la conciliación
+    // ==========================================
+    console.log("\n========================================");
+    console.log("Migration Completed");
+    console.log("========================================");
+    console.log("Patients with balance data:", globalStats.totalClients);
+    console.log("Inserted Balances:", globalStats.insertedSaldos);
+    console.log("Updated Balances:", globalStats.updatedSaldos);
+    console.log("Failed Batches:", globalStats.failedBatches);
+    console.log("Reconciliation:");
+    console.log("  - Koibox debt:", reconciliation.koibox.deuda);
+    console.log("  - Koibox deposits:", reconciliation.koibox.saldoACuenta);
+    console.log("  - Computed debt:", reconciliation.computed.deuda);
+    console.log("  - Difference:", reconciliation.difference);
+    console.log("  - Mismatched patients:", reconciliation.mismatchedPatients);
+    console.log("Warnings:");
+    console.log("  - Missing Patients:", globalStats.warnings.missingPatients);
+    console.log("========================================\n");
+
+    if (reconciliation.mismatchedPatients > 0) {
+      console.warn(
+        `⚠ ${reconciliation.mismatchedPatients} patients have a Koibox debt that does not match their migrated receipts and payments`
+      );
+    }
+
+    const success = globalStats.failedBatches === 0;
+
+    return migrationResult(success ? 200 : 207, {
+      success,
+      message: success
+        ? "Migration completed successfully"
+        : "Migration completed with errors",
+      stats: {
+        totalClients: globalStats.totalClients,
+        batches: globalStats.totalBatches,
+        successfulBatches: globalStats.successfulBatches,
+        failedBatches: globalStats.failedBatches,
+        insertedSaldos: globalStats.insertedSaldos,
+        updatedSaldos: globalStats.updatedSaldos,
+        onConflict,
+        warnings: globalStats.warnings,
+      },
+      reconciliation: {
+        id_clinica: clinic.id_clinica,
+        id_super_clinica: clinic.id_super_clinica,
+        ...reconciliation,
+      },
+      errors: globalStats.errors,
+    });
+  } catch (error) {
+    console.error("\n✗ Migration failed:", error);
+
+    return migrationResult(500, {
+      success: false,
+      error: "MIGRATION_ERROR",
+      message: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+}
+
+/**
+ * POST /migrations/koibox/saldos
+ * Registra la migración como job y responde 202 sin esperar a que termine
+ */
+router.post(
+  "/saldos",
+  validateBearerToken,
+  validateClinicData,
+  migrationJobHandler("koibox", "saldos", migrateSaldos)
+);
+
+module.exports = {
+  router,
+  migrateSaldos,
+};
@@ -0,0 +1,146 @@
+const express = require("express");
+const {
+  getMapping,
+  reviseMapping,
+  approveMapping,
+} = require("../services/mapping-store.service");
+const {
+  validateBearerToken,
+  validateClinicData,
+} = require("../middlewares/auth.middleware");
+
+const router = express.Router();
+
+/**
+ * GET /migrations/mappings/:type?id_clinica=&id_super_clinica=&version=
+ * Devuelve la última versión (o la indicada) del mapeo de un tipo de entidad de una clínica
+ */
+router.get("/:type", validateBearerToken, async (req, res, next) => {
+  try {
+    const id_clinica = Number(req.query.id_clinica);
+    const id_super_clinica = Number(req.query.id_super_clinica);
+    const version = req.query.version ? Number(req.query.version) : null;
+
+    if (!req.query.id_clinica || !req.query.id_super_clinica) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_CLINIC_DATA",
+        message: "id_clinica and id_super_clinica query params are required",
+      });
+    }
+
+    if (
+      Number.isNaN(id_clinica) ||
+      Number.isNaN(id_super_clinica) ||
+      Number.isNaN(version)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_CLINIC_DATA_TYPE",
+        message: "id_clinica, id_super_clinica and version must be numbers",
+      });
+    }
+
+    const mapping = await getMapping(
+      { id_clinica, id_super_clinica },
+      req.params.type,
+      version
+    );
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: "MAPPING_NOT_FOUND",
+        message: `No ${req.params.type} mapping found for this clinic`,
+      });
+    }
+
+    return res.json({
+      success: true,
+      mapping,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /migrations/mappings/:type
+ * Corrige elementos del último mapeo y lo guarda como nueva versión propuesta
+ * Cada elemento: { apiId, id_destino } para mapearlo, o { apiId, action: 'create' | 'ignore' }
+ */
+router.patch(
+  "/:type",
+  validateBearerToken,
+  validateClinicData,
+  async (req, res, next) => {
+    try {
+      const { clinic, items } = req.body;
+
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "MISSING_MAPPING_ITEMS",
+          message: "items must be a non-empty array",
+        });
+      }
+
+      const result = await reviseMapping(clinic, req.params.type, items);
+
+      if (!result.success) {
+        return res
+          .status(result.error === "MAPPING_NOT_FOUND" ? 404 : 400)
+          .json(result);
+      }
+
+      console.log(
+        `✓ ${req.params.type} mapping revised for clinic ${clinic.id_clinica} (version ${result.mapping.version})`
+      );
+
+      return res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /migrations/mappings/:type/approve
+ * Aprueba la última versión (o la indicada en `version`) para que la usen las siguientes migraciones
+ */
+router.post(
+  "/:type/approve",
+  validateBearerToken,
+  validateClinicData,
+  async (req, res, next) => {
+    try {
+      const { clinic, version = null } = req.body;
+
+      if (version !== null && !Number.isInteger(version)) {
+        return res.status(400).json({
+          success: false,
+          error: "INVALID_VERSION",
+          message: "version must be an integer",
+        });
+      }
+
+      const result = await approveMapping(clinic, req.params.type, version);
+
+      if (!result.success) {
+        return res
+          .status(result.error === "MAPPING_NOT_FOUND" ? 404 : 409)
+          .json(result);
+      }
+
+      console.log(
+        `✓ ${req.params.type} mapping version ${result.mapping.version} approved for clinic ${clinic.id_clinica}`
+      );
+
+      return res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
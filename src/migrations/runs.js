@@ -0,0 +1,110 @@
+const express = require("express");
+const {
+  JOB_STATUS,
+  getJob,
+  updateJob,
+  isJobActive,
+} = require("../services/job.service");
+const { rollbackRun } = require("../services/migration-run.service");
+const { listDeadLetters } = require("../services/dead-letter.service");
+const { validateBearerToken } = require("../middlewares/auth.middleware");
+
+const router = express.Router();
+
+/**
+ * POST /migrations/runs/:id/rollback
+ * Deshace una ejecución de migración (el id de ejecución es el id del job):
+ * borra las filas que insertó y restaura los valores que actualizó
+ */
+router.post("/:id/rollback", validateBearerToken, async (req, res, next) => {
+  try {
+    const runId = Number(req.params.id);
+    const job = await getJob(runId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "JOB_NOT_FOUND",
+        message: `Migration job ${req.params.id} not found`,
+      });
+    }
+
+    if (isJobActive(runId)) {
+      return res.status(409).json({
+        success: false,
+        error: "JOB_RUNNING",
+        message: `Migration job ${runId} is running, cancel it before rolling back`,
+      });
+    }
+
+    if (job.status === JOB_STATUS.ROLLED_BACK) {
+      return res.status(409).json({
+        success: false,
+        error: "RUN_ALREADY_ROLLED_BACK",
+        message: `Migration run ${runId} was already rolled back`,
+      });
+    }
+
+    console.log(`→ Rolling back migration run ${runId}...`);
+
+    let stats;
+
+    try {
+      stats = await rollbackRun(runId);
+    } catch (error) {
+      console.error(`✗ Rollback of run ${runId} failed:`, error.message);
+
+      return res.status(409).json({
+        success: false,
+        error: "ROLLBACK_FAILED",
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    await updateJob(runId, { estado: JOB_STATUS.ROLLED_BACK });
+
+    console.log(`✓ Migration run ${runId} rolled back:`, stats);
+
+    return res.json({
+      success: true,
+      message: "Migration run rolled back",
+      runId,
+      stats,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /migrations/runs/:id/dead-letters
+ * Lista las filas que la ejecución no pudo insertar (old_id, valores y error de MySQL)
+ */
+router.get("/:id/dead-letters", validateBearerToken, async (req, res, next) => {
+  try {
+    const runId = Number(req.params.id);
+    const job = await getJob(runId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "JOB_NOT_FOUND",
+        message: `Migration job ${req.params.id} not found`,
+      });
+    }
+
+    const deadLetters = await listDeadLetters(runId);
+
+    return res.json({
+      success: true,
+      runId,
+      count: deadLetters.length,
+      deadLetters,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,97 +1,330 @@
-const { openai } = require("../config/openai");
-
-// Cache de mapeos en memoria (se mantiene durante la sesión)
-const mapperCache = new Map();
+const { isCompletionAvailable } = require("../config/llm");
+const { completeWithUsage } = require("./ai-usage.service");
+const { minimizeForAi, logDisclosure } = require("./ai-privacy.service");
+const {
+  MAPPING_STATUS,
+  applyConfidenceThreshold,
+  computeMappingHashes,
+  findStoredMapping,
+  findLatestApprovedMapping,
+  saveMapping,
+} = require("./mapping-store.service");
+const {
+  MATCH_STRATEGY,
+  getApiItemId,
+  getDbItemId,
+  indexDbIds,
+  matchDeterministically,
+  selectCandidates,
+  summarizeStrategies,
+} = require("./deterministic-matcher.service");
+const { chunkArray } = require("./batch.service");
+
+// Reintentos con los errores de validación cuando la respuesta de la IA no es válida
+const MAX_CORRECTION_ATTEMPTS = 2;
+
+// Elementos de la API por llamada a la IA en mapeos grandes (catálogos de tratamientos, productos...)
+const AI_CHUNK_SIZE = Number(process.env.AI_MAPPING_CHUNK_SIZE || 25);
+
+// Filas de la BD que se envían completas a la IA; por encima se preseleccionan candidatas
+const MAX_DB_ROWS_PER_PROMPT = Number(process.env.AI_MAPPING_MAX_DB_ROWS || 100);
+
+// Filas de la BD más parecidas que se envían por cada elemento de un bloque
+const CANDIDATES_PER_ITEM = Number(process.env.AI_MAPPING_CANDIDATES || 5);
 
 /**
- * Genera una clave única para el cache
+ * Genera una clave única para los mapeos compartidos de una ejecución
  * @param {string} entityType - Tipo de entidad (ej: 'tax', 'category')
  * @param {Object} apiResult - Resultado de la API
  * @param {Object} dbResult - Resultado de la BD
- * @returns {string} - Clave única para el cache
+ * @returns {string} - Clave única del mapeo
  */
 function generateCacheKey(entityType, apiResult, dbResult) {
-  const apiHash = JSON.stringify(apiResult.map((item) => item.id).sort());
-  const dbHash = JSON.stringify(
-    dbResult.map((item) => Object.values(item)[0]).sort()
-  );
+  const apiHash = JSON.stringify(apiResult.map(getApiItemId).sort());
+  const dbHash = JSON.stringify(dbResult.map(getDbItemId).sort());
   return `${entityType}_${apiHash}_${dbHash}`;
 }
 
 /**
- * Mapea datos de API externa con datos de BD local usando IA
+ * Extrae y parsea el JSON de la respuesta de la IA (por si viene con markdown)
+ * @param {string} content - Texto de la respuesta
+ * @returns {Object} - Objeto parseado
+ */
+function parseAiResponse(content) {
+  let jsonContent = content;
+  if (content.includes("```json")) {
+    jsonContent = content.match(/```json\s*([\s\S]*?)\s*```/)[1];
+  } else if (content.includes("```")) {
+    jsonContent = content.match(/```\s*([\s\S]*?)\s*```/)[1];
+  }
+
+  return JSON.parse(jsonContent);
+}
+
+/**
+ * Valida la respuesta de la IA contra los IDs reales de la API y de la BD
+ * - Todos los IDs de la API deben estar en mapper o en missing (y solo en uno de ellos)
+ * - Todos los IDs destino deben existir en dbResult y tener el mismo tipo
+ * - Sin many-to-one (tampoco con los pares ya resueltos en takenIds) salvo que se permita
+ * - Sin missing si se exige mapeo completo
+ * @param {Object} result - Respuesta parseada { mapper, missing }
+ * @param {Array} apiResult - Elementos de la API enviados a la IA
+ * @param {Array} dbResult - Filas de la BD enviadas a la IA
+ * @param {Object} options - allowManyToOne, requireCompleteMapping, takenIds (IDs de BD ya usados)
+ * @returns {Array} - Problemas encontrados [{ api_id, db_id, problem, message }]
+ */
+function validateAiMapping(result, apiResult, dbResult, options) {
+  const { allowManyToOne, requireCompleteMapping, takenIds = [] } = options;
+
+  if (
+    !result.mapper ||
+    typeof result.mapper !== "object" ||
+    Array.isArray(result.mapper)
+  ) {
+    return [
+      { problem: "invalid_structure", message: "mapper must be an object" },
+    ];
+  }
+
+  if (!Array.isArray(result.missing)) {
+    return [
+      { problem: "invalid_structure", message: "missing must be an array" },
+    ];
+  }
+
+  const problems = [];
+  const apiIds = new Set(apiResult.map((item) => String(getApiItemId(item))));
+  const dbIds = indexDbIds(dbResult);
+  const usedIds = new Map(takenIds.map((dbId) => [String(dbId), null]));
+  const missingIds = new Set();
+
+  result.missing.forEach((item) => {
+    const apiId =
+      item && item.api_id !== undefined && item.api_id !== null
+        ? String(item.api_id)
+        : null;
+
+    if (apiId === null) {
+      problems.push({
+        api_id: null,
+        problem: "missing_without_api_id",
+        message: `missing item ${JSON.stringify(item)} has no api_id`,
+      });
+    } else if (!apiIds.has(apiId)) {
+      problems.push({
+        api_id: apiId,
+        problem: "unknown_api_id",
+        message: `missing item api_id ${apiId} is not an id of the API data`,
+      });
+    } else if (requireCompleteMapping) {
+      problems.push({
+        api_id: apiId,
+        problem: "missing_not_allowed",
+        message: `API id ${apiId} must be mapped, missing items are not allowed`,
+      });
+    }
+
+    if (apiId !== null) {
+      missingIds.add(apiId);
+    }
+  });
+
+  Object.entries(result.mapper).forEach(([apiId, dbId]) => {
+    const pair = { api_id: apiId, db_id: dbId };
+
+    if (!apiIds.has(apiId)) {
+      problems.push({
+        ...pair,
+        problem: "unknown_api_id",
+        message: `API id ${apiId} is not an id of the API data`,
+      });
+      return;
+    }
+
+    if (missingIds.has(apiId)) {
+      problems.push({
+        ...pair,
+        problem: "mapped_and_missing",
+        message: `API id ${apiId} is both in mapper and in missing`,
+      });
+    }
+
+    if (dbId === null || !["number", "string"].includes(typeof dbId)) {
+      problems.push({
+        ...pair,
+        problem: "invalid_db_id_type",
+        message: `API id ${apiId} is mapped to ${JSON.stringify(dbId)}, expected a DB id`,
+      });
+      return;
+    }
+
+    if (!dbIds.has(String(dbId))) {
+      problems.push({
+        ...pair,
+        problem: "unknown_db_id",
+        message: `API id ${apiId} is mapped to ${dbId}, which does not exist in the DB data`,
+      });
+      return;
+    }
+
+    if (typeof dbIds.get(String(dbId)) !== typeof dbId) {
+      problems.push({
+        ...pair,
+        problem: "invalid_db_id_type",
+        message: `API id ${apiId} is mapped to ${JSON.stringify(dbId)}, expected a ${typeof dbIds.get(String(dbId))}`,
+      });
+      return;
+    }
+
+    if (!allowManyToOne && usedIds.has(String(dbId))) {
+      const otherApiId = usedIds.get(String(dbId));
+      problems.push({
+        ...pair,
+        problem: "duplicate_db_id",
+        message: otherApiId
+          ? `DB id ${dbId} is used by API ids ${otherApiId} and ${apiId}, many-to-one is not allowed`
+          : `DB id ${dbId} is already mapped to another API id, many-to-one is not allowed`,
+      });
+    }
+    usedIds.set(String(dbId), apiId);
+  });
+
+  apiIds.forEach((apiId) => {
+    if (!(apiId in result.mapper) && !missingIds.has(apiId)) {
+      problems.push({
+        api_id: apiId,
+        problem: "not_covered",
+        message: `API id ${apiId} is neither in mapper nor in missing`,
+      });
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Normaliza la confianza de cada par de la IA
+ * Pares sin puntuación válida: confianza 0, quedan para revisión manual
+ * @param {Object} result - Respuesta validada { mapper, confidence }
+ * @returns {Object} - { apiId: { score, reason } }
+ */
+function normalizeConfidence(result) {
+  const confidence = {};
+  Object.keys(result.mapper).forEach((apiId) => {
+    const pair = result.confidence && result.confidence[apiId];
+    const score = pair ? Number(pair.score) : NaN;
+
+    confidence[apiId] =
+      Number.isNaN(score) || score < 0 || score > 1
+        ? { score: 0, reason: "La IA no indicó confianza" }
+        : { score, reason: pair.reason || null };
+  });
+
+  return confidence;
+}
+
+/**
+ * Construye el prompt de corrección con la respuesta anterior y los errores encontrados
+ * @param {string} userPrompt - Prompt original
+ * @param {string} previousContent - Respuesta anterior de la IA
+ * @param {Array} problems - Problemas de validateAiMapping
+ * @returns {string}
+ */
+function buildCorrectionPrompt(userPrompt, previousContent, problems) {
+  return `${userPrompt}
+
+Tu respuesta anterior fue:
+${previousContent}
+
+Esa respuesta NO es válida por estos motivos:
+${problems.map((problem) => `- ${problem.message}`).join("\n")}
+
+Corrígela: usa solo IDs que existan en los datos enviados (claves de la API en "mapper" o "api_id" en "missing", valores de la BD en "mapper"), incluye cada ID de la API una sola vez y respeta las reglas de many-to-one y de mapeo completo.
+Responde ÚNICAMENTE con el objeto JSON corregido completo.`;
+}
+
+/**
+ * Pide a la IA el mapeo de los elementos que no se resolvieron localmente
  * @param {string} entityType - Tipo de entidad para el mapeo
- * @param {Array} apiResult - Array de objetos de la API externa
+ * @param {Array} apiResult - Elementos de la API pendientes de mapear
  * @param {Array} dbResult - Array de objetos de la BD local
- * @param {Object} options - Opciones adicionales para el mapeo
- * @param {boolean} options.allowManyToOne - Permite mapeo many-to-one (varios API IDs a un BD ID)
- * @param {boolean} options.requireCompleteMapping - No permite elementos missing (default: false)
- * @param {Object} options.relatedMappings - Mapeos relacionados para construir elementos missing correctamente
- * @returns {Promise<Object>} - Objeto con mapper y missing
+ * Si la respuesta no supera validateAiMapping se vuelve a pedir con la lista de errores
+ * @param {Object} options - allowManyToOne, requireCompleteMapping, relatedMappings, aiUsage (ver mapData)
+ *   y takenIds (IDs de BD ya usados por el matcher local)
+ * @returns {Promise<Object>} - { mapper, missing, confidence } o { error, message[, invalidPairs] }
+ *   si la IA no pudo mapear o su respuesta sigue sin ser válida
  */
-async function mapData(entityType, apiResult, dbResult, options = {}) {
-  const {
-    allowManyToOne = false,
-    requireCompleteMapping = false,
-    relatedMappings = null,
-  } = options;
-  try {
-    // Verificar cache
-    const cacheKey = generateCacheKey(entityType, apiResult, dbResult);
-    if (mapperCache.has(cacheKey)) {
-      console.log(`✓ Using cached mapping for ${entityType}`);
-      return mapperCache.get(cacheKey);
-    }
+async function requestAiMapping(entityType, apiResult, dbResult, options) {
+  const { allowManyToOne, requireCompleteMapping, relatedMappings, aiUsage } =
+    options;
 
-    console.log(`→ Requesting AI mapping for ${entityType}...`);
+  console.log(
+    `→ Requesting AI mapping for ${apiResult.length} ${entityType} items...`
+  );
 
-    // Construir el prompt para OpenAI
-    const systemPrompt = `Eres un experto en mapeo de datos. Tu tarea es establecer correspondencias entre datos de una API externa y una base de datos local.
+  // Solo salen hacia la IA los campos permitidos del tipo de entidad
+  const apiData = minimizeForAi(entityType, apiResult, {
+    idFields: ["id", "value"],
+  });
+  const dbData = minimizeForAi(entityType, dbResult, {
+    keepClinicFields: true,
+  });
+  await logDisclosure(aiUsage, {
+    operation: "mapping",
+    entityType,
+    records: apiResult.length + dbResult.length,
+    fields: { api: apiData.fields, db: dbData.fields },
+  });
+
+  // Construir el prompt para OpenAI
+  const systemPrompt = `Eres un experto en mapeo de datos. Tu tarea es establecer correspondencias entre datos de una API externa y una base de datos local.
 
 REGLAS IMPORTANTES:
 1. Analiza ambos conjuntos de datos y crea un mapeo que relacione los elementos de la API con los elementos de la BD
 2. Busca similitudes en nombres, valores numéricos, códigos, descripciones o cualquier otro campo disponible, primero intenta encontrar la coincidencia exacta, si no hay entonces busca similitudes lógicas.
 3. Para valores numéricos, considera posibles conversiones (ej: porcentajes como 21.0 pueden ser 0.21 en BD, o viceversa)
 4. Devuelve SOLO un objeto JSON válido sin texto adicional, sin markdown, sin explicaciones
-5. El formato debe ser exactamente: {"mapper": {...}, "missing": [...]}
+5. El formato debe ser exactamente: {"mapper": {...}, "missing": [...], "confidence": {...}}
 6. En "mapper": las claves son los IDs principales de la API (como string) y los valores son los IDs principales de la BD (como number)
 8. En "mapper": deben estar obligatoriamente TODOS los elementos de la API con su respectivo ID de la BD.
 9. En "missing": incluye elementos de la API que NO tienen correspondencia en la BD. IMPORTANTE: usa la ESTRUCTURA EXACTA de dbResult con los valores exactamente iguales al los del API para los campos descriptivos.
+   Añade siempre a cada elemento de "missing" el campo "api_id" con el ID de la API del que proviene (como string).
 10. En "missing": solo si contiene los campos id_clinica y id_super_clinica que usen los mismos valores que se repiten en dbResult (ojo solo para estos dos campos, para los demás según criterio).
 11. Si hay error en el análisis, devuelve: {"error": "ERROR_CODE", "message": "descripción"}
+12. En "confidence": para CADA clave de "mapper", un objeto {"score": número entre 0 y 1, "reason": "explicación breve"}. Usa 0.9 o más solo para coincidencias claras (mismo nombre, código o valor); por debajo de 0.7 para suposiciones o agrupaciones many-to-one dudosas
 
 EJEMPLOS DE MAPEO:
 
 Ejemplo 1 - Impuestos/IVA:
-API: {"value": 1, "text": 21.0} → BD: {"id_tipo_iva": 1, "valor": "0.21"} → Mapper: "1": 1
-API: {"value": 10, "text": 3.0} sin match → Missing: {"descripcion": "Iva 3%", "valor": "0.03"}
+API: {"value": 1, "text": 21.0} → BD: {"id_tipo_iva": 1, "valor": "0.21"} → Mapper: "1": 1, Confidence: "1": {"score": 0.95, "reason": "21.0 equivale a 0.21"}
+API: {"value": 10, "text": 3.0} sin match → Missing: {"api_id": "10", "descripcion": "Iva 3%", "valor": "0.03"}
 
 Ejemplo 2 - Categorías:
 API: {"id": 5, "name": "Electronics"} → BD: {"id_categoria": 12, "nombre": "Electrónica"} → Mapper: "5": 12
-API: {"id": 8, "name": "Toys"} sin match → Missing: {"nombre": "Juguetes"}
+API: {"id": 8, "name": "Toys"} sin match → Missing: {"api_id": "8", "nombre": "Juguetes"}
 
 Ejemplo 3 - Productos:
 API: {"product_id": 100, "sku": "ABC123"} → BD: {"id_producto": 50, "codigo": "ABC123"} → Mapper: "100": 50`;
 
-    // Construir instrucciones específicas basadas en opciones
-    let specialInstructions = "";
+  // Construir instrucciones específicas basadas en opciones
+  let specialInstructions = "";
 
-    if (allowManyToOne) {
-      specialInstructions += `\n\n⚠️ MAPEO MANY-TO-ONE PERMITIDO:
+  if (allowManyToOne) {
+    specialInstructions += `\n\n⚠️ MAPEO MANY-TO-ONE PERMITIDO:
 - PUEDES mapear múltiples IDs de la API al MISMO ID de la BD si tienen entidad semántica similar
 - Ejemplo: {"1": 2, "5": 2, "7": 2} - Tres estados API pueden mapear al estado BD "2"
 - El objetivo es que TODOS los elementos de la API tengan correspondencia`;
-    }
+  }
 
-    if (requireCompleteMapping) {
-      specialInstructions += `\n\n⚠️ MAPEO COMPLETO REQUERIDO:
+  if (requireCompleteMapping) {
+    specialInstructions += `\n\n⚠️ MAPEO COMPLETO REQUERIDO:
 - NO debe haber elementos en "missing"
 - TODOS los elementos de la API deben tener correspondencia en la BD
 - Si es necesario, mapea múltiples elementos API a un mismo elemento BD basándote en similitud semántica`;
-    }
+  }
 
-    if (relatedMappings) {
-      specialInstructions += `\n\n⚠️ MAPEOS RELACIONADOS DISPONIBLES:
+  if (relatedMappings) {
+    specialInstructions += `\n\n⚠️ MAPEOS RELACIONADOS DISPONIBLES:
 Para construir correctamente los elementos en "missing", usa estos mapeos relacionados:
 ${JSON.stringify(relatedMappings, null, 2)}
 
@@ -101,22 +334,22 @@ Cuando necesites un campo que hace referencia a otra entidad (ej: id_tipo_iva, i
 3. Incluye ese ID de BD en el objeto "missing"
 
 Ejemplo: Si apiItem tiene {impuesto: 1} y relatedMappings.taxMapper = {"1": 5}, entonces missing debe tener {id_tipo_iva: 5}`;
-    }
+  }
 
-    const userPrompt = `Necesito mapear ${entityType} entre estos dos conjuntos de datos:
+  const userPrompt = `Necesito mapear ${entityType} entre estos dos conjuntos de datos:
 
 **Datos de la API externa:**
-${JSON.stringify(apiResult, null, 2)}
+${JSON.stringify(apiData.items, null, 2)}
 
 **Datos de la Base de Datos local:**
-${JSON.stringify(dbResult, null, 2)}
+${JSON.stringify(dbData.items, null, 2)}
 
 INSTRUCCIONES:
 1. Identifica el campo ID principal en cada conjunto de datos (generalmente el primer campo o campos como "id", "value", "id_*")
 2. Busca correspondencias basándote en TODOS los campos disponibles (nombres, valores, códigos, etc.)
 3. Si encuentras valores numéricos similares pero en diferentes escalas, considera conversiones (ej: 21.0 ↔ 0.21)
 4. Para "missing": usa EXACTAMENTE la estructura de dbResult (copia los nombres de campos del segundo conjunto)
-5. No incluyas campos de ID en "missing", solo los datos descriptivos necesarios para crear el registro${specialInstructions}
+5. No incluyas campos de ID en "missing", solo los datos descriptivos necesarios para crear el registro y el campo "api_id" con el ID de la API${specialInstructions}
 
 Responde ÚNICAMENTE con el objeto JSON (sin \`\`\`json, sin markdown, sin explicaciones):
 {
@@ -124,55 +357,465 @@ Responde ÚNICAMENTE con el objeto JSON (sin \`\`\`json, sin markdown, sin expli
     "id_api_string": id_bd_number
   },
   "missing": [
-    // objetos con estructura EXACTA de dbResult
-  ]
+    // objetos con estructura EXACTA de dbResult + "api_id"
+  ],
+  "confidence": {
+    "id_api_string": { "score": 0.95, "reason": "explicación breve" }
+  }
 }`;
 
-    // Llamar a OpenAI API
-    const response = await openai.chat.completions.create({
-      model: "gpt-5",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-    });
+  let userMessage = userPrompt;
 
-    // Parsear respuesta
-    const content = response.choices[0].message.content.trim();
+  for (let attempt = 0; attempt <= MAX_CORRECTION_ATTEMPTS; attempt++) {
+    // Llamar al proveedor de LLM configurado
+    const content = await completeWithUsage(
+      { system: systemPrompt, user: userMessage },
+      { operation: "mapping", entityType, tracker: aiUsage }
+    );
     console.log("  - AI raw response:", content);
 
-    // Extraer JSON del contenido (por si viene con markdown)
-    let jsonContent = content;
-    if (content.includes("```json")) {
-      jsonContent = content.match(/```json\s*([\s\S]*?)\s*```/)[1];
-    } else if (content.includes("```")) {
-      jsonContent = content.match(/```\s*([\s\S]*?)\s*```/)[1];
+    let result;
+    let problems;
+
+    try {
+      result = parseAiResponse(content);
+      console.log("  - AI parsed result:", JSON.stringify(result, null, 2));
+
+      if (result.error) {
+        return result;
+      }
+
+      problems = validateAiMapping(result, apiResult, dbResult, options);
+    } catch (error) {
+      problems = [{ problem: "invalid_json", message: error.message }];
+    }
+
+    if (problems.length === 0) {
+      return {
+        mapper: result.mapper,
+        missing: result.missing,
+        confidence: normalizeConfidence(result),
+      };
+    }
+
+    console.warn(
+      `⚠ AI mapping for ${entityType} has ${problems.length} invalid pairs (attempt ${attempt + 1}/${MAX_CORRECTION_ATTEMPTS + 1})`
+    );
+
+    if (attempt === MAX_CORRECTION_ATTEMPTS) {
+      return {
+        error: "INVALID_AI_MAPPING",
+        message: `AI mapping for ${entityType} is still invalid after ${MAX_CORRECTION_ATTEMPTS} corrections`,
+        invalidPairs: problems,
+      };
+    }
+
+    userMessage = buildCorrectionPrompt(userPrompt, content, problems);
+  }
+}
+
+/**
+ * Comprueba contra todas las filas de la BD los faltantes que la IA decidió viendo solo
+ * las candidatas de su bloque: las filas se envían en tramos de MAX_DB_ROWS_PER_PROMPT y
+ * un elemento solo sigue faltando si no se mapea en ninguno
+ * @param {string} entityType - Tipo de entidad para el mapeo
+ * @param {Array} missing - Elementos "missing" sin confirmar (con api_id)
+ * @param {Array} apiResult - Elementos de la API pendientes de mapear
+ * @param {Array} dbResult - Array de objetos de la BD local
+ * @param {Object} options - Opciones de requestAiMapping
+ * @returns {Promise<Object>} - { mapper, missing, confidence } o error del tramo que falló
+ */
+async function verifyMissingAgainstAllRows(
+  entityType,
+  missing,
+  apiResult,
+  dbResult,
+  options
+) {
+  const missingIds = new Set(missing.map((entry) => String(entry.api_id)));
+  const dbSlices = chunkArray(dbResult, MAX_DB_ROWS_PER_PROMPT);
+  const result = { mapper: {}, missing: [], confidence: {} };
+
+  console.log(
+    `→ Verifying ${missingIds.size} missing ${entityType} items against all ${dbResult.length} DB rows...`
+  );
+
+  const items = apiResult.filter((item) =>
+    missingIds.has(String(getApiItemId(item)))
+  );
+
+  for (const chunk of chunkArray(items, AI_CHUNK_SIZE)) {
+    let remaining = chunk;
+
+    for (const [index, slice] of dbSlices.entries()) {
+      if (remaining.length === 0) {
+        break;
+      }
+
+      const sliceResult = await requestAiMapping(
+        entityType,
+        remaining,
+        slice,
+        options
+      );
+
+      if (sliceResult.error) {
+        return { ...sliceResult, slice: index + 1, slices: dbSlices.length };
+      }
+
+      Object.assign(result.mapper, sliceResult.mapper);
+      Object.assign(result.confidence, sliceResult.confidence);
+      remaining = remaining.filter(
+        (item) => !(String(getApiItemId(item)) in sliceResult.mapper)
+      );
+    }
+  }
+
+  result.missing = missing.filter(
+    (entry) => !(String(entry.api_id) in result.mapper)
+  );
+
+  const found = missingIds.size - result.missing.length;
+
+  if (found > 0) {
+    console.warn(
+      `⚠ ${found} ${entityType} items reported missing in their chunk were matched against the full DB`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Pide a la IA el mapeo de los elementos no resueltos, en bloques si el conjunto es grande
+ * - Si hay hasta AI_CHUNK_SIZE elementos de la API y MAX_DB_ROWS_PER_PROMPT filas de la BD
+ *   se hace una sola llamada con todo
+ * - Si no, cada bloque de elementos de la API se envía solo con sus filas candidatas de la BD
+ *   (selectCandidates) y los mappers parciales se unen
+ * - Los faltantes de un bloque que no vio todas las filas de la BD se comprueban contra todas
+ *   (verifyMissingAgainstAllRows) antes de aceptarlos
+ * - Sin allowManyToOne, los IDs de BD asignados en más de un bloque se marcan como conflicto:
+ *   salen del mapeo con confianza 0 y quedan para revisión manual
+ * @param {string} entityType - Tipo de entidad para el mapeo
+ * @param {Array} apiResult - Elementos de la API pendientes de mapear
+ * @param {Array} dbResult - Array de objetos de la BD local
+ * @param {Object} options - Opciones de requestAiMapping
+ * @returns {Promise<Object>} - { mapper, missing, confidence } o error del bloque que falló
+ */
+async function requestChunkedAiMapping(
+  entityType,
+  apiResult,
+  dbResult,
+  options
+) {
+  if (
+    apiResult.length <= AI_CHUNK_SIZE &&
+    dbResult.length <= MAX_DB_ROWS_PER_PROMPT
+  ) {
+    return requestAiMapping(entityType, apiResult, dbResult, options);
+  }
+
+  const chunks = chunkArray(apiResult, AI_CHUNK_SIZE);
+  const result = { mapper: {}, missing: [], confidence: {} };
+  const chunkByApiId = {};
+  const unverifiedMissing = [];
+
+  console.log(
+    `→ Splitting ${apiResult.length} ${entityType} items into ${chunks.length} AI mapping chunks...`
+  );
+
+  for (const [index, chunk] of chunks.entries()) {
+    const candidates = selectCandidates(chunk, dbResult, CANDIDATES_PER_ITEM);
+    console.log(
+      `  - Chunk ${index + 1}/${chunks.length}: ${chunk.length} items, ${candidates.length}/${dbResult.length} candidates`
+    );
+
+    const chunkResult = await requestAiMapping(
+      entityType,
+      chunk,
+      candidates,
+      options
+    );
+
+    if (chunkResult.error) {
+      return { ...chunkResult, chunk: index + 1, chunks: chunks.length };
+    }
+
+    Object.keys(chunkResult.mapper).forEach((apiId) => {
+      chunkByApiId[apiId] = `bloque ${index + 1}`;
+    });
+    Object.assign(result.mapper, chunkResult.mapper);
+    Object.assign(result.confidence, chunkResult.confidence);
+
+    // Un faltante decidido sin ver todas las filas de la BD aún no está confirmado
+    if (candidates.length < dbResult.length) {
+      unverifiedMissing.push(...chunkResult.missing);
+    } else {
+      result.missing.push(...chunkResult.missing);
+    }
+  }
+
+  if (unverifiedMissing.length > 0) {
+    const verified = await verifyMissingAgainstAllRows(
+      entityType,
+      unverifiedMissing,
+      apiResult,
+      dbResult,
+      options
+    );
+
+    if (verified.error) {
+      return verified;
+    }
+
+    Object.keys(verified.mapper).forEach((apiId) => {
+      chunkByApiId[apiId] = "verificación contra toda la BD";
+    });
+    Object.assign(result.mapper, verified.mapper);
+    Object.assign(result.confidence, verified.confidence);
+    result.missing.push(...verified.missing);
+  }
+
+  if (!options.allowManyToOne) {
+    const apiIdsByDbId = {};
+    Object.entries(result.mapper).forEach(([apiId, dbId]) => {
+      apiIdsByDbId[dbId] = [...(apiIdsByDbId[dbId] || []), apiId];
+    });
+
+    const conflicts = Object.entries(apiIdsByDbId).filter(
+      ([, apiIds]) => apiIds.length > 1
+    );
+
+    conflicts.forEach(([dbId, apiIds]) => {
+      apiIds.forEach((apiId) => {
+        const others = apiIds
+          .filter((other) => other !== apiId)
+          .map((other) => `${other} (${chunkByApiId[other]})`);
+
+        result.confidence[apiId] = {
+          score: 0,
+          reason: `Conflicto entre bloques: el ID ${dbId} de la BD también se asignó a ${others.join(", ")}`,
+        };
+      });
+    });
+
+    if (conflicts.length > 0) {
+      console.warn(
+        `⚠ ${conflicts.length} ${entityType} DB ids were assigned in more than one chunk, pending manual review`
+      );
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Separa los elementos de la API ya decididos en la última versión aprobada del mapeo
+ * Se conservan los pares cuyo destino sigue en la BD, los ignorados (null) y los
+ * marcados para crear; el resto (elementos nuevos o con el destino borrado) queda pendiente
+ * @param {Object} approved - Última versión aprobada { mapper, missing, strategies, confidence }
+ * @param {Array} apiResult - Elementos de la API externa
+ * @param {Array} dbResult - Filas de la BD local
+ * @returns {Object} - { base: { mapper, missing, strategies, confidence }, pending: elementos por mapear }
+ */
+function reuseApprovedPairs(approved, apiResult, dbResult) {
+  const dbIds = new Set(dbResult.map((row) => String(getDbItemId(row))));
+  const approvedMissing = new Map(
+    (approved.missing || []).map((entry) => [String(entry.api_id), entry])
+  );
+  const base = { mapper: {}, missing: [], strategies: {}, confidence: {} };
+  const pending = [];
+
+  apiResult.forEach((item) => {
+    const apiId = String(getApiItemId(item));
+    const dbId = approved.mapper[apiId];
+
+    if (dbId === null || (dbId !== undefined && dbIds.has(String(dbId)))) {
+      base.mapper[apiId] = dbId;
+      if (approved.strategies[apiId]) {
+        base.strategies[apiId] = approved.strategies[apiId];
+      }
+      if (approved.confidence[apiId]) {
+        base.confidence[apiId] = approved.confidence[apiId];
+      }
+    } else if (dbId === undefined && approvedMissing.has(apiId)) {
+      base.missing.push(approvedMissing.get(apiId));
+    } else {
+      pending.push(item);
+    }
+  });
+
+  return { base, pending };
+}
+
+/**
+ * Mapea datos de API externa con datos de BD local usando IA
+ * @param {string} entityType - Tipo de entidad para el mapeo
+ * @param {Array} apiResult - Array de objetos de la API externa
+ * @param {Array} dbResult - Array de objetos de la BD local
+ * @param {Object} options - Opciones adicionales para el mapeo
+ * @param {boolean} options.allowManyToOne - Permite mapeo many-to-one (varios API IDs a un BD ID)
+ * @param {boolean} options.requireCompleteMapping - No permite elementos missing (default: false)
+ * @param {Object} options.relatedMappings - Mapeos relacionados para construir elementos missing correctamente
+ * @param {Object} options.sharedMappings - Mapeos compartidos entre pasos de una misma ejecución (se leen y se completan)
+ * @param {Object} options.clinic - Clínica (id_clinica, id_super_clinica); si se indica, el mapeo se guarda
+ *   en BD y se reutiliza en siguientes ejecuciones mientras no cambien los conjuntos de origen y destino
+ * @param {number} options.minConfidence - Confianza mínima para usar un par (default: MAPPING_MIN_CONFIDENCE o 0.7)
+ * @param {Object} options.aiUsage - Acumulador de uso de IA de la ejecución (tokens, latencia y coste)
+ * @param {Object} options.dryRunReport - Reporte de dry-run: si se indica el mapeo no se guarda en BD
+ * @returns {Promise<Object>} - Objeto con mapper, missing, strategies (estrategia de cada par),
+ *   confidence ({ score, reason } de cada par), review (pares por debajo del umbral, fuera del mapper)
+ *   y version (si está guardado en BD)
+ */
+async function mapData(entityType, apiResult, dbResult, options = {}) {
+  const {
+    allowManyToOne = false,
+    requireCompleteMapping = false,
+    relatedMappings = null,
+    sharedMappings = null,
+    clinic = null,
+    minConfidence,
+    aiUsage = null,
+    dryRunReport = null,
+  } = options;
+  try {
+    const cacheKey = generateCacheKey(entityType, apiResult, dbResult);
+
+    // Verificar mapeos compartidos de la ejecución (ej: migración de clínica completa)
+    if (sharedMappings && sharedMappings[cacheKey]) {
+      console.log(`✓ Using shared mapping for ${entityType}`);
+      return applyConfidenceThreshold(sharedMappings[cacheKey], minConfidence);
     }
 
-    const result = JSON.parse(jsonContent);
-    console.log("  - AI parsed result:", JSON.stringify(result, null, 2));
+    // Verificar mapeos guardados de la clínica (solo si no cambió el origen ni el destino)
+    const hashes = computeMappingHashes(apiResult, dbResult);
 
-    // Validar estructura de respuesta
-    if (result.error) {
-      console.error(`✗ AI mapping error for ${entityType}:`, result.message);
-      return result;
+    if (clinic) {
+      const stored = await findStoredMapping(clinic, entityType, hashes);
+
+      if (stored) {
+        console.log(`✓ Using stored mapping for ${entityType} (version ${stored.version})`);
+        if (sharedMappings) {
+          sharedMappings[cacheKey] = stored;
+        }
+        return applyConfidenceThreshold(stored, minConfidence);
+      }
     }
 
-    if (!result.mapper || typeof result.mapper !== "object") {
-      throw new Error("Invalid mapper structure in AI response");
+    // Si el catálogo cambió, se parte de la última versión aprobada: sus pares
+    // (incluidas las correcciones manuales) se conservan y solo se mapean los elementos nuevos
+    const approved = clinic
+      ? await findLatestApprovedMapping(clinic, entityType)
+      : null;
+    const { base, pending } = approved
+      ? reuseApprovedPairs(approved, apiResult, dbResult)
+      : {
+          base: { mapper: {}, missing: [], strategies: {}, confidence: {} },
+          pending: apiResult,
+        };
+
+    if (approved) {
+      console.log(
+        `✓ Reusing ${Object.keys(base.mapper).length + base.missing.length} ${entityType} items from approved version ${approved.version}, ${pending.length} left to map`
+      );
     }
 
-    if (!Array.isArray(result.missing)) {
-      throw new Error("Invalid missing structure in AI response");
+    // IDs de la BD ya asignados en la versión aprobada (en mapeos 1:1 no se reasignan)
+    const baseIds = Object.values(base.mapper).filter((dbId) => dbId !== null);
+    const takenByBase = new Set(baseIds.map(String));
+    const availableDb = allowManyToOne
+      ? dbResult
+      : dbResult.filter((row) => !takenByBase.has(String(getDbItemId(row))));
+
+    // Resolver localmente los pares evidentes y pedir a la IA solo el resto
+    const local = matchDeterministically(pending, availableDb, {
+      allowManyToOne,
+    });
+    console.log(
+      `✓ Deterministic matcher resolved ${Object.keys(local.mapper).length}/${pending.length} ${entityType} items`,
+      summarizeStrategies(local.strategies)
+    );
+
+    let result = {
+      mapper: { ...base.mapper, ...local.mapper },
+      missing: [...base.missing],
+      strategies: { ...base.strategies, ...local.strategies },
+      confidence: { ...base.confidence, ...local.confidence },
+    };
+
+    if (local.unresolved.length > 0 && !isCompletionAvailable()) {
+      // Sin LLM (LLM_PROVIDER=rules): lo no resuelto queda como faltante para revisión manual
+      console.warn(
+        `⚠ No LLM provider configured, ${local.unresolved.length} ${entityType} items left unresolved`
+      );
+      result.missing.push(
+        ...local.unresolved.map((item) => ({
+          api_id: getApiItemId(item),
+        }))
+      );
+    } else if (local.unresolved.length > 0) {
+      const aiResult = await requestChunkedAiMapping(
+        entityType,
+        local.unresolved,
+        dbResult,
+        {
+          allowManyToOne,
+          requireCompleteMapping,
+          relatedMappings,
+          aiUsage,
+          takenIds: [...baseIds, ...Object.values(local.mapper)],
+        }
+      );
+
+      if (aiResult.error) {
+        console.error(`✗ AI mapping error for ${entityType}:`, aiResult.message);
+        return aiResult;
+      }
+
+      const aiStrategies = {};
+      Object.keys(aiResult.mapper).forEach((apiId) => {
+        aiStrategies[apiId] = MATCH_STRATEGY.AI;
+      });
+
+      result = {
+        mapper: { ...aiResult.mapper, ...result.mapper },
+        missing: [...result.missing, ...aiResult.missing],
+        strategies: { ...aiStrategies, ...result.strategies },
+        confidence: { ...aiResult.confidence, ...result.confidence },
+      };
     }
 
-    // Guardar en cache
-    mapperCache.set(cacheKey, result);
-    console.log(`✓ AI mapping successful for ${entityType}`);
+    // Se aprueba automáticamente si no hay faltantes nuevos (los de la versión
+    // aprobada ya se decidieron) ni pares por debajo del umbral
+    const { review } = applyConfidenceThreshold(result, minConfidence);
+    const status =
+      result.missing.length === base.missing.length && review.length === 0
+        ? MAPPING_STATUS.APPROVED
+        : MAPPING_STATUS.PROPOSED;
+
+    // Guardar como nueva versión del mapeo de la clínica (en dry-run no se escribe nada)
+    const mapping =
+      clinic && !dryRunReport
+        ? await saveMapping(clinic, entityType, hashes, result, status)
+        : { ...result, status };
+
+    if (sharedMappings) {
+      sharedMappings[cacheKey] = mapping;
+    }
+    console.log(`✓ Mapping successful for ${entityType}`);
+    if (mapping.version) {
+      console.log(`  - Stored as version ${mapping.version}`);
+    }
     console.log(`  - Mapped: ${Object.keys(result.mapper).length} items`);
     console.log(`  - Missing: ${result.missing.length} items`);
+    console.log("  - Strategies:", summarizeStrategies(result.strategies));
+    if (review.length > 0) {
+      console.warn(
+        `⚠ ${review.length} ${entityType} pairs below confidence threshold, pending manual review`
+      );
+    }
 
-    return result;
+    return applyConfidenceThreshold(mapping, minConfidence);
   } catch (error) {
     console.error(`✗ AI mapping failed for ${entityType}:`, error.message);
 
@@ -186,38 +829,61 @@ Responde ÚNICAMENTE con el objeto JSON (sin \`\`\`json, sin markdown, sin expli
 }
 
 /**
- * Limpia el cache de mapeos (útil para testing o cuando se actualizan datos)
- * @param {string} entityType - Tipo de entidad específica, o null para limpiar todo
+ * Comprueba si un mapeo tiene pares por debajo del umbral de confianza pendientes de revisión
+ * En dry-run se reportan y la migración continúa sin usar esos pares
+ * @param {string} entityType - Tipo de entidad del mapeo
+ * @param {Object} mapping - Resultado de mapData
+ * @param {Object|null} dryRunReport - Reporte de dry-run
+ * @returns {Object|null} - Cuerpo del error (400) o null si se puede continuar
  */
-function clearCache(entityType = null) {
-  if (entityType) {
-    // Limpiar solo mapeos de un tipo específico
-    for (const [key, value] of mapperCache.entries()) {
-      if (key.startsWith(entityType + "_")) {
-        mapperCache.delete(key);
-      }
-    }
-    console.log(`✓ Cache cleared for ${entityType}`);
-  } else {
-    // Limpiar todo el cache
-    mapperCache.clear();
-    console.log("✓ All cache cleared");
+function checkPendingReview(entityType, mapping, dryRunReport) {
+  if (!mapping.review || mapping.review.length === 0) {
+    return null;
+  }
+
+  if (dryRunReport) {
+    dryRunReport.addPendingReview(entityType, mapping.review);
+    return null;
   }
+
+  return {
+    success: false,
+    error: "LOW_CONFIDENCE_MAPPING",
+    message: `Some ${entityType} pairs are below the confidence threshold, review them in /migrations/mappings/${entityType}`,
+    entityType,
+    version: mapping.version || null,
+    review: mapping.review,
+    mapper: mapping.mapper,
+  };
 }
 
 /**
- * Obtiene estadísticas del cache
- * @returns {Object} - Estadísticas del cache
+ * Resume un mapeo para incluirlo en la respuesta de una migración
+ * @param {Object} mapping - Resultado de mapData
+ * @returns {Object} - { version, status, pairs: { apiId: { db_id, strategy, score, reason } } }
  */
-function getCacheStats() {
+function describeMapping(mapping) {
+  const pairs = {};
+
+  Object.entries(mapping.mapper).forEach(([apiId, dbId]) => {
+    const confidence = (mapping.confidence || {})[apiId] || {};
+    pairs[apiId] = {
+      db_id: dbId,
+      strategy: (mapping.strategies || {})[apiId] || null,
+      score: confidence.score === undefined ? null : confidence.score,
+      reason: confidence.reason || null,
+    };
+  });
+
   return {
-    size: mapperCache.size,
-    keys: Array.from(mapperCache.keys()),
+    version: mapping.version || null,
+    status: mapping.status || null,
+    pairs,
   };
 }
 
 module.exports = {
   mapData,
-  clearCache,
-  getCacheStats,
+  checkPendingReview,
+  describeMapping,
 };
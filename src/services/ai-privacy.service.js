@@ -0,0 +1,283 @@
+const crypto = require("crypto");
+const { query, ensureTable } = require("../config/database");
+const {
+  EMAIL_FIELD,
+  NIF_FIELD,
+  normalizeNif,
+} = require("./deterministic-matcher.service");
+
+// Campos descriptivos que se envían a la IA para cualquier tipo de entidad
+const DESCRIPTIVE_FIELD =
+  /^(nombre|name|text|texto|titulo|label|descripcion|description|codigo|code)(_es)?$/i;
+
+// Campos adicionales que se envían a la IA por tipo de entidad (además de los IDs)
+const AI_FIELD_ALLOWLIST = {
+  tax: /^(valor|value|porcentaje|percentage|impuesto|iva|tipo)$/i,
+  gender: /^(sexo|genero|abreviatura)$/i,
+  doctor:
+    /^(apellidos?|last_name|first_name|surname|especialidad|profesion|cargo|rol|email|e?mail|correo|nif|dni|nie|telefono|movil|phone|colegiado|num_colegiado)$/i,
+  treatment:
+    /^(precio|price|pvp|duracion|duration|tiempo|id_tipo_iva|impuesto|iva|categoria|familia)$/i,
+  appointment_state: /^(estado|orden)$/i,
+  space: /^(tipo|capacidad)$/i,
+};
+
+// Campos de la BD que la IA necesita para construir los elementos "missing"
+const CLINIC_FIELDS = ["id_clinica", "id_super_clinica"];
+
+// Campos de teléfono: se enmascaran (solo se envían los 3 últimos dígitos)
+const PHONE_FIELD = /(^|_)(telefono|movil|phone|celular|tlf)($|_)/i;
+
+// Cómo sale cada campo hacia la IA
+const FIELD_TREATMENT = {
+  SENT: "sent",
+  HASHED: "hashed",
+  MASKED: "masked",
+  DROPPED: "dropped",
+};
+
+const AI_DISCLOSURES_TABLE_DDL = `
+  CREATE TABLE IF NOT EXISTS ai_data_disclosures (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    id_run INT NULL,
+    id_clinica INT NULL,
+    id_super_clinica INT NULL,
+    operacion VARCHAR(30) NOT NULL,
+    tipo VARCHAR(100) NULL,
+    registros INT NOT NULL,
+    campos JSON NOT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_ai_data_disclosures_run (id_run),
+    INDEX idx_ai_data_disclosures_clinica (id_clinica, id_super_clinica)
+  )
+`;
+
+/**
+ * Huella corta de un valor identificativo: permite a la IA ver que dos valores
+ * son iguales sin conocerlos
+ * @param {string} value - Valor normalizado
+ * @returns {string}
+ */
+function hashValue(value) {
+  return `hash:${crypto
+    .createHash("sha256")
+    .update(value)
+    .digest("hex")
+    .slice(0, 16)}`;
+}
+
+/**
+ * Enmascara un teléfono dejando visibles sus 3 últimos dígitos
+ * @param {*} value - Teléfono
+ * @returns {string}
+ */
+function maskPhone(value) {
+  const digits = String(value).replace(/\D/g, "");
+  return digits.length > 3 ? `***${digits.slice(-3)}` : "***";
+}
+
+/**
+ * Decide cómo sale un campo hacia la IA y con qué valor
+ * @param {string} field - Nombre del campo
+ * @param {*} value - Valor
+ * @returns {Object} - { treatment, value }
+ */
+function protectField(field, value) {
+  if (value !== null && typeof value === "object") {
+    return { treatment: FIELD_TREATMENT.DROPPED };
+  }
+
+  if (value === null || value === undefined || value === "") {
+    return { treatment: FIELD_TREATMENT.SENT, value };
+  }
+
+  if (EMAIL_FIELD.test(field)) {
+    return {
+      treatment: FIELD_TREATMENT.HASHED,
+      value: hashValue(String(value).trim().toLowerCase()),
+    };
+  }
+
+  if (NIF_FIELD.test(field)) {
+    return {
+      treatment: FIELD_TREATMENT.HASHED,
+      value: hashValue(normalizeNif(value)),
+    };
+  }
+
+  if (PHONE_FIELD.test(field)) {
+    return { treatment: FIELD_TREATMENT.MASKED, value: maskPhone(value) };
+  }
+
+  return { treatment: FIELD_TREATMENT.SENT, value };
+}
+
+/**
+ * Reduce los elementos que se envían a la IA a los campos de la lista permitida del tipo de entidad
+ * - Se mantiene siempre el campo ID: el primero de idFields que exista o, si no, el primer campo
+ * - Con keepClinicFields se mantienen id_clinica / id_super_clinica
+ * - Emails y NIFs se sustituyen por su huella y los teléfonos se enmascaran
+ * - Objetos y arrays anidados no se envían
+ * @param {string} entityType - Tipo de entidad (ej: 'doctor')
+ * @param {Array} items - Elementos de la API o filas de la BD
+ * @param {Object} options - { idFields, keepClinicFields }
+ * @returns {Object} - { items, fields: { sent, hashed, masked, dropped } }
+ */
+function minimizeForAi(entityType, items, options = {}) {
+  const { idFields = [], keepClinicFields = false } = options;
+  const allowlist = AI_FIELD_ALLOWLIST[entityType];
+  const fields = {};
+
+  const minimized = items.map((item) => {
+    const result = {};
+    const idField =
+      idFields.find((field) => field in item) || Object.keys(item)[0];
+
+    Object.entries(item).forEach(([field, value]) => {
+      const isId = field === idField;
+      const isAllowed =
+        isId ||
+        DESCRIPTIVE_FIELD.test(field) ||
+        (allowlist && allowlist.test(field)) ||
+        (keepClinicFields && CLINIC_FIELDS.includes(field));
+
+      if (!isAllowed) {
+        fields[field] = fields[field] || FIELD_TREATMENT.DROPPED;
+        return;
+      }
+
+      const protectedField = isId
+        ? { treatment: FIELD_TREATMENT.SENT, value }
+        : protectField(field, value);
+
+      // Un campo cuenta con el tratamiento más restrictivo aplicado en algún elemento
+      if (!fields[field] || fields[field] === FIELD_TREATMENT.SENT) {
+        fields[field] = protectedField.treatment;
+      }
+
+      if (protectedField.treatment !== FIELD_TREATMENT.DROPPED) {
+        result[field] = protectedField.value;
+      }
+    });
+
+    return result;
+  });
+
+  return { items: minimized, fields: groupFieldsByTreatment(fields) };
+}
+
+/**
+ * Reduce una encuesta de Koibox a lo necesario para transformarla:
+ * nombre, preguntas (id, tipo, textos) y textos de sus respuestas
+ * @param {Object} koiboxSurvey - Encuesta completa de Koibox
+ * @returns {Object} - { survey, fields: { sent, dropped } }
+ */
+function minimizeSurveyForAi(koiboxSurvey) {
+  const { id, nombre, preguntas = [], ...rest } = koiboxSurvey;
+  const droppedQuestionFields = new Set();
+
+  const survey = {
+    id,
+    nombre,
+    preguntas: preguntas.map((pregunta) => {
+      const {
+        id: preguntaId,
+        tipo,
+        descripcion,
+        descripcion_es,
+        respuestas = [],
+        ...preguntaRest
+      } = pregunta;
+      Object.keys(preguntaRest).forEach((field) =>
+        droppedQuestionFields.add(`preguntas.${field}`)
+      );
+
+      return {
+        id: preguntaId,
+        tipo,
+        descripcion,
+        ...(descripcion_es !== undefined && { descripcion_es }),
+        respuestas: respuestas.map((respuesta) => ({
+          descripcion: respuesta.descripcion,
+        })),
+      };
+    }),
+  };
+
+  return {
+    survey,
+    fields: {
+      sent: [
+        "id",
+        "nombre",
+        "preguntas.id",
+        "preguntas.tipo",
+        "preguntas.descripcion",
+        "preguntas.descripcion_es",
+        "preguntas.respuestas.descripcion",
+      ],
+      hashed: [],
+      masked: [],
+      dropped: [...Object.keys(rest), ...droppedQuestionFields],
+    },
+  };
+}
+
+/**
+ * Agrupa los campos por tratamiento
+ * @param {Object} fields - { campo: tratamiento }
+ * @returns {Object} - { sent, hashed, masked, dropped }
+ */
+function groupFieldsByTreatment(fields) {
+  const grouped = { sent: [], hashed: [], masked: [], dropped: [] };
+
+  Object.entries(fields).forEach(([field, treatment]) => {
+    grouped[treatment].push(field);
+  });
+
+  return grouped;
+}
+
+/**
+ * Registra qué campos salen del sistema hacia la IA (log y tabla ai_data_disclosures)
+ * Un fallo al guardar no debe detener la migración: solo se registra en el log
+ * @param {Object|null} tracker - Acumulador de uso de IA de la ejecución (runId, clinic)
+ * @param {Object} disclosure - { operation, entityType, records, fields }
+ * @returns {Promise<void>}
+ */
+async function logDisclosure(tracker, disclosure) {
+  const { operation, entityType, records, fields } = disclosure;
+
+  console.log(
+    `  - Fields sent to AI for ${entityType} (${records} records):`,
+    JSON.stringify(fields)
+  );
+
+  try {
+    await ensureTable("ai_data_disclosures", AI_DISCLOSURES_TABLE_DDL);
+
+    await query(
+      `INSERT INTO ai_data_disclosures
+       (id_run, id_clinica, id_super_clinica, operacion, tipo, registros, campos)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tracker ? tracker.runId : null,
+        tracker && tracker.clinic ? tracker.clinic.id_clinica : null,
+        tracker && tracker.clinic ? tracker.clinic.id_super_clinica : null,
+        operation,
+        entityType,
+        records,
+        JSON.stringify(fields),
+      ]
+    );
+  } catch (error) {
+    console.error("✗ Failed to save AI data disclosure:", error.message);
+  }
+}
+
+module.exports = {
+  AI_FIELD_ALLOWLIST,
+  minimizeForAi,
+  minimizeSurveyForAi,
+  logDisclosure,
+};
@@ -0,0 +1,325 @@
+const { query, ensureTable } = require("../config/database");
+const { getProvider, LLM_PROVIDERS } = require("../config/llm");
+
+// Precio en USD por millón de tokens (entrada / salida) de los modelos conocidos
+const MODEL_PRICES = {
+  "gpt-5": { input: 1.25, output: 10 },
+  "gpt-5-mini": { input: 0.25, output: 2 },
+  "gpt-5-nano": { input: 0.05, output: 0.4 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+};
+
+const AI_USAGE_TABLE_DDL = `
+  CREATE TABLE IF NOT EXISTS ai_usage (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    id_run INT NULL,
+    id_clinica INT NULL,
+    id_super_clinica INT NULL,
+    proveedor VARCHAR(30) NOT NULL,
+    modelo VARCHAR(100) NULL,
+    operacion VARCHAR(30) NOT NULL,
+    tipo VARCHAR(100) NULL,
+    tokens_entrada INT NOT NULL DEFAULT 0,
+    tokens_salida INT NOT NULL DEFAULT 0,
+    latencia_ms INT NOT NULL,
+    coste_estimado DECIMAL(12, 6) NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_ai_usage_run (id_run),
+    INDEX idx_ai_usage_clinica (id_clinica, id_super_clinica, fecha_creacion)
+  )
+`;
+
+/**
+ * Estima el coste en USD de una llamada
+ * Los servidores locales no tienen coste; LLM_PRICE_INPUT / LLM_PRICE_OUTPUT (USD por millón
+ * de tokens) sustituyen a la tabla de precios, y un modelo sin precio conocido devuelve null
+ * @param {string} providerName - Proveedor usado
+ * @param {string} model - Modelo usado
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number|null}
+ */
+function estimateCost(providerName, model, usage) {
+  if (providerName === LLM_PROVIDERS.LOCAL) {
+    return 0;
+  }
+
+  const price =
+    process.env.LLM_PRICE_INPUT || process.env.LLM_PRICE_OUTPUT
+      ? {
+          input: Number(process.env.LLM_PRICE_INPUT || 0),
+          output: Number(process.env.LLM_PRICE_OUTPUT || 0),
+        }
+      : MODEL_PRICES[model];
+
+  if (!price) {
+    return null;
+  }
+
+  const cost =
+    (usage.promptTokens * price.input + usage.completionTokens * price.output) /
+    1e6;
+
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Crea el acumulador de uso de IA de una ejecución de migración
+ * Se comparte por toda la migración (también entre los pasos de una migración de clínica)
+ * @param {Object} options - { runId, clinic }
+ * @returns {Object} - Acumulador
+ */
+function createAiUsageTracker({ runId = null, clinic = null } = {}) {
+  const calls = [];
+
+  return {
+    runId,
+    clinic,
+
+    /**
+     * Registra una llamada ya medida
+     * @param {Object} call - { provider, model, operation, entityType, promptTokens, completionTokens, latencyMs, cost }
+     */
+    add(call) {
+      calls.push(call);
+    },
+
+    /**
+     * Totales de la ejecución y desglose por operación y tipo
+     * @returns {Object}
+     */
+    toJSON() {
+      const byType = {};
+
+      calls.forEach((call) => {
+        const key = `${call.operation}:${call.entityType || "-"}`;
+        byType[key] = addToTotals(byType[key] || emptyTotals(), call);
+      });
+
+      return {
+        ...calls.reduce(addToTotals, emptyTotals()),
+        byType,
+      };
+    },
+  };
+}
+
+/**
+ * Totales de uso vacíos
+ * @returns {Object}
+ */
+function emptyTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    latencyMs: 0,
+    estimatedCost: 0,
+    unpricedCalls: 0,
+  };
+}
+
+/**
+ * Suma una llamada a unos totales
+ * @param {Object} current - Totales acumulados
+ * @param {Object} call - Llamada registrada
+ * @returns {Object} - Totales actualizados
+ */
+function addToTotals(current, call) {
+  return {
+    calls: current.calls + 1,
+    promptTokens: current.promptTokens + call.promptTokens,
+    completionTokens: current.completionTokens + call.completionTokens,
+    totalTokens:
+      current.totalTokens + call.promptTokens + call.completionTokens,
+    latencyMs: current.latencyMs + call.latencyMs,
+    estimatedCost:
+      Math.round((current.estimatedCost + (call.cost || 0)) * 1e6) / 1e6,
+    unpricedCalls: current.unpricedCalls + (call.cost === null ? 1 : 0),
+  };
+}
+
+/**
+ * Guarda una llamada en la tabla ai_usage
+ * Un fallo al guardar no debe detener la migración: solo se registra en el log
+ * @param {Object|null} tracker - Acumulador de la ejecución
+ * @param {Object} call - Llamada medida
+ * @returns {Promise<void>}
+ */
+async function saveAiUsage(tracker, call) {
+  try {
+    await ensureTable("ai_usage", AI_USAGE_TABLE_DDL);
+
+    await query(
+      `INSERT INTO ai_usage
+       (id_run, id_clinica, id_super_clinica, proveedor, modelo, operacion,
+        tipo, tokens_entrada, tokens_salida, latencia_ms, coste_estimado)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tracker ? tracker.runId : null,
+        tracker && tracker.clinic ? tracker.clinic.id_clinica : null,
+        tracker && tracker.clinic ? tracker.clinic.id_super_clinica : null,
+        call.provider,
+        call.model,
+        call.operation,
+        call.entityType,
+        call.promptTokens,
+        call.completionTokens,
+        call.latencyMs,
+        call.cost,
+      ]
+    );
+  } catch (error) {
+    console.error("✗ Failed to save AI usage:", error.message);
+  }
+}
+
+/**
+ * Llama al proveedor de LLM y registra tokens, latencia y coste estimado de la llamada
+ * @param {Object} prompt - { system, user }
+ * @param {Object} options - { operation ('mapping' | 'survey'), entityType, tracker }
+ * @returns {Promise<string>} - Texto de la respuesta
+ */
+async function completeWithUsage(
+  prompt,
+  { operation, entityType = null, tracker = null }
+) {
+  const provider = getProvider();
+  const startedAt = Date.now();
+
+  const response = await provider.complete(prompt);
+  const { content, usage } =
+    typeof response === "string"
+      ? { content: response, usage: null }
+      : response;
+
+  const tokens = {
+    promptTokens: usage?.promptTokens || 0,
+    completionTokens: usage?.completionTokens || 0,
+  };
+  const call = {
+    provider: provider.name,
+    model: provider.model,
+    operation,
+    entityType,
+    ...tokens,
+    latencyMs: Date.now() - startedAt,
+    cost: estimateCost(provider.name, provider.model, tokens),
+  };
+
+  console.log(
+    `  - AI usage: ${tokens.promptTokens} + ${tokens.completionTokens} tokens, ${call.latencyMs} ms` +
+      (call.cost === null ? "" : `, ~$${call.cost}`)
+  );
+
+  if (tracker) {
+    tracker.add(call);
+  }
+  await saveAiUsage(tracker, call);
+
+  return content;
+}
+
+/**
+ * Informe de uso de IA agregado por clínica y por ejecución
+ * @param {Object} filters - { id_clinica, id_super_clinica, runId, from, to } (todos opcionales)
+ * @returns {Promise<Object>} - { totals, byClinic, byRun, byModel }
+ */
+async function getAiUsageReport(filters = {}) {
+  await ensureTable("ai_usage", AI_USAGE_TABLE_DDL);
+
+  const conditions = [];
+  const params = [];
+
+  if (filters.id_clinica !== undefined) {
+    conditions.push("id_clinica = ?");
+    params.push(filters.id_clinica);
+  }
+  if (filters.id_super_clinica !== undefined) {
+    conditions.push("id_super_clinica = ?");
+    params.push(filters.id_super_clinica);
+  }
+  if (filters.runId !== undefined) {
+    conditions.push("id_run = ?");
+    params.push(filters.runId);
+  }
+  if (filters.from) {
+    conditions.push("fecha_creacion >= ?");
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push("fecha_creacion <= ?");
+    params.push(filters.to);
+  }
+
+  const where =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  const aggregate = (groupBy) =>
+    query(
+      `SELECT ${groupBy ? `${groupBy},` : ""}
+              COUNT(*) AS calls,
+              COALESCE(SUM(tokens_entrada), 0) AS promptTokens,
+              COALESCE(SUM(tokens_salida), 0) AS completionTokens,
+              COALESCE(SUM(tokens_entrada + tokens_salida), 0) AS totalTokens,
+              COALESCE(SUM(latencia_ms), 0) AS latencyMs,
+              COALESCE(SUM(coste_estimado), 0) AS estimatedCost,
+              SUM(coste_estimado IS NULL) AS unpricedCalls,
+              MIN(fecha_creacion) AS firstCall,
+              MAX(fecha_creacion) AS lastCall
+       FROM ai_usage
+       ${where}
+       ${groupBy ? `GROUP BY ${groupBy} ORDER BY estimatedCost DESC` : ""}`,
+      params
+    );
+
+  const [totals] = await aggregate(null);
+
+  return {
+    totals: formatUsageRow(totals),
+    byClinic: (await aggregate("id_clinica, id_super_clinica")).map(
+      formatUsageRow
+    ),
+    byRun: (await aggregate("id_run")).map(formatUsageRow),
+    byModel: (await aggregate("proveedor, modelo")).map(formatUsageRow),
+  };
+}
+
+/**
+ * Convierte una fila agregada de ai_usage al formato de la API
+ * @param {Object} row - Fila agregada
+ * @returns {Object}
+ */
+function formatUsageRow(row) {
+  const {
+    id_clinica,
+    id_super_clinica,
+    id_run,
+    proveedor,
+    modelo,
+    ...totals
+  } = row;
+
+  return {
+    ...(id_clinica !== undefined && { id_clinica, id_super_clinica }),
+    ...(id_run !== undefined && { runId: id_run }),
+    ...(proveedor !== undefined && { provider: proveedor, model: modelo }),
+    calls: Number(totals.calls),
+    promptTokens: Number(totals.promptTokens),
+    completionTokens: Number(totals.completionTokens),
+    totalTokens: Number(totals.totalTokens),
+    latencyMs: Number(totals.latencyMs),
+    estimatedCost: Number(totals.estimatedCost),
+    unpricedCalls: Number(totals.unpricedCalls || 0),
+    firstCall: totals.firstCall,
+    lastCall: totals.lastCall,
+  };
+}
+
+module.exports = {
+  createAiUsageTracker,
+  completeWithUsage,
+  getAiUsageReport,
+};
@@ -1,56 +1,234 @@
-const { transaction } = require('../config/database');
+const { transaction, getPrimaryKey } = require('../config/database');
 const { sanitizeRecords } = require('../utils/validators');
+const { trackInsertedRows, trackUpdatedRows } = require('./migration-run.service');
+const { saveDeadLetters } = require('./dead-letter.service');
+
+// Estrategias ante registros que ya existen en la tabla
+const CONFLICT_STRATEGY = {
+  SKIP: 'skip',
+  UPDATE: 'update',
+  ERROR: 'error'
+};
+
+// Columnas que identifican un registro migrado: los registros deben incluirlas todas
+// (las tablas sin columnas de clínica, como los detalles, indican sus propias claves)
+const DEFAULT_CONFLICT_KEYS = ['old_id', 'id_clinica', 'id_super_clinica'];
+
+/**
+ * Genera la clave de comparación de un registro a partir de sus columnas clave
+ * @param {Object} record - Registro o fila de la BD
+ * @param {Array<string>} keys - Columnas clave
+ * @returns {string} - Clave normalizada
+ */
+function buildRecordKey(record, keys) {
+  return JSON.stringify(keys.map(key =>
+    record[key] === null || record[key] === undefined ? null : String(record[key])
+  ));
+}
+
+/**
+ * Comprueba que los registros incluyen todas las columnas clave
+ * Sin alguna de ellas (ej: la clínica) la comparación por old_id alcanzaría
+ * filas de otras clínicas, así que el lote no se procesa
+ * @param {string} tableName - Nombre de la tabla
+ * @param {Array<string>} columns - Columnas de los registros
+ * @param {Array<string>} conflictKeys - Columnas clave
+ */
+function assertConflictKeys(tableName, columns, conflictKeys) {
+  const missingKeys = conflictKeys.filter(key => !columns.includes(key));
+
+  if (missingKeys.length > 0) {
+    const error = new Error(
+      `Records for ${tableName} are missing conflict key columns (${missingKeys.join(', ')}), ` +
+      'pass explicit conflictKeys'
+    );
+    error.code = 'MISSING_CONFLICT_KEYS';
+    throw error;
+  }
+}
+
+/**
+ * Busca las filas que ya existen en la tabla para los registros indicados
+ * @param {Object} connection - Conexión de la transacción
+ * @param {string} tableName - Nombre de la tabla
+ * @param {Array} records - Registros sanitizados
+ * @param {Array<string>} keys - Columnas clave (comparación null-safe)
+ * @returns {Promise<Object>} - { primaryKey, existing: Map clave -> id }
+ */
+async function findExistingRows(connection, tableName, records, keys) {
+  const primaryKey = await getPrimaryKey(tableName);
+
+  const condition = records.map(() =>
+    `(${keys.map(key => `${key} <=> ?`).join(' AND ')})`
+  ).join(' OR ');
+
+  const [rows] = await connection.execute(
+    `SELECT ${primaryKey} AS _id, ${keys.join(', ')} FROM ${tableName} WHERE ${condition}`,
+    records.flatMap(record => keys.map(key => record[key]))
+  );
+
+  const existing = new Map();
+  rows.forEach(row => {
+    const key = buildRecordKey(row, keys);
+    if (!existing.has(key)) {
+      existing.set(key, row._id);
+    }
+  });
+
+  return { primaryKey, existing };
+}
+
+/**
+ * Actualiza filas existentes con los valores de los registros (una sentencia por fila)
+ * @param {Object} connection - Conexión de la transacción
+ * @param {string} tableName - Nombre de la tabla
+ * @param {string} primaryKey - Clave primaria de la tabla
+ * @param {Array} rows - Filas { id, record } a actualizar
+ * @param {Array<string>} columns - Columnas a actualizar
+ * @param {number|null} runId - ID de la ejecución (job) para guardar los valores anteriores
+ * @returns {Promise<number>} - Número de filas actualizadas
+ */
+async function updateExistingRows(connection, tableName, primaryKey, rows, columns, runId) {
+  if (rows.length === 0 || columns.length === 0) {
+    return 0;
+  }
+
+  if (runId) {
+    const ids = [...new Set(rows.map(row => row.id))];
+    await trackUpdatedRows(
+      connection,
+      runId,
+      tableName,
+      columns,
+      `${primaryKey} IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+  }
+
+  for (const { id, record } of rows) {
+    await connection.execute(
+      `UPDATE ${tableName} SET ${columns.map(col => `${col} = ?`).join(', ')} WHERE ${primaryKey} = ?`,
+      [...columns.map(col => record[col]), id]
+    );
+  }
+
+  return rows.length;
+}
 
 /**
  * Inserta un lote de registros en una tabla usando transacciones
+ * Antes de insertar busca las filas que ya existen (por las columnas clave) y
+ * aplica la estrategia de conflicto: omitirlas, actualizarlas o fallar el lote
  * @param {string} tableName - Nombre de la tabla
  * @param {Array} records - Array de objetos con los registros a insertar
  * @param {number} batchNumber - Número del lote (para logging)
+ * @param {Object} options - Opciones de la inserción
+ * @param {number} options.runId - ID de la ejecución (job) para registrar las filas y poder hacer rollback
+ * @param {string} options.onConflict - Estrategia ante filas existentes: 'skip' (default), 'update' o 'error'
+ * @param {Array<string>} options.conflictKeys - Columnas que identifican una fila existente (default: old_id + clínica)
+ * @param {Array<string>} options.updateColumns - Columnas a actualizar con 'update' (default: todas salvo las claves)
  * @returns {Promise<Object>} - Resultado de la inserción
+ * @throws {Error} - MISSING_CONFLICT_KEYS si los registros no incluyen todas las columnas clave
  */
-async function insertBatch(tableName, records, batchNumber = 1) {
+async function insertBatch(tableName, records, batchNumber = 1, options = {}) {
+  const {
+    runId = null,
+    onConflict = CONFLICT_STRATEGY.SKIP,
+    conflictKeys: keys = DEFAULT_CONFLICT_KEYS,
+    updateColumns = null
+  } = options;
+
   if (!records || records.length === 0) {
     return {
       success: true,
       inserted: 0,
+      updated: 0,
+      skipped: 0,
       message: 'No records to insert'
     };
   }
 
+  // Sanitizar registros: convertir undefined a null
+  const sanitizedRecords = sanitizeRecords(records);
+
+  // Obtener las columnas del primer registro
+  const columns = Object.keys(sanitizedRecords[0]);
+
+  assertConflictKeys(tableName, columns, keys);
+
   try {
-    // Sanitizar registros: convertir undefined a null
-    const sanitizedRecords = sanitizeRecords(records);
+    // Ejecutar transacción (el registro de la ejecución va en la misma transacción)
+    const counts = await transaction(async (connection) => {
+      let recordsToInsert = sanitizedRecords;
+      let updated = 0;
+      let skipped = 0;
 
-    // Obtener las columnas del primer registro
-    const columns = Object.keys(sanitizedRecords[0]);
+      if (keys.length > 0) {
+        const { primaryKey, existing } = await findExistingRows(connection, tableName, sanitizedRecords, keys);
+        const isExisting = record => existing.has(buildRecordKey(record, keys));
+        const existingRecords = sanitizedRecords.filter(isExisting);
 
-    // Crear placeholders para los valores
-    const placeholders = sanitizedRecords.map(() =>
-      `(${columns.map(() => '?').join(', ')})`
-    ).join(', ');
+        recordsToInsert = sanitizedRecords.filter(record => !isExisting(record));
 
-    // Crear array de valores aplanado
-    const values = sanitizedRecords.flatMap(record =>
-      columns.map(col => record[col])
-    );
+        if (existingRecords.length > 0 && onConflict === CONFLICT_STRATEGY.ERROR) {
+          const error = new Error(
+            `${existingRecords.length} records already exist in ${tableName} ` +
+            `(${keys.join(', ')}): ${existingRecords.slice(0, 10).map(record => record.old_id).join(', ')}`
+          );
+          error.code = 'DUPLICATE_RECORD';
+          throw error;
+        }
+
+        if (onConflict === CONFLICT_STRATEGY.UPDATE) {
+          updated = await updateExistingRows(
+            connection,
+            tableName,
+            primaryKey,
+            existingRecords.map(record => ({ id: existing.get(buildRecordKey(record, keys)), record })),
+            updateColumns || columns.filter(col => !keys.includes(col)),
+            runId
+          );
+        } else {
+          skipped = existingRecords.length;
+        }
+      }
 
-    // Construir query
-    const query = `
-      INSERT INTO ${tableName}
-      (${columns.join(', ')})
-      VALUES ${placeholders}
-    `;
+      if (recordsToInsert.length > 0) {
+        // Crear placeholders para los valores
+        const placeholders = recordsToInsert.map(() =>
+          `(${columns.map(() => '?').join(', ')})`
+        ).join(', ');
 
-    // Ejecutar transacción
-    await transaction(async (connection) => {
-      await connection.execute(query, values);
+        // Crear array de valores aplanado
+        const values = recordsToInsert.flatMap(record =>
+          columns.map(col => record[col])
+        );
+
+        // Construir query
+        const query = `
+          INSERT INTO ${tableName}
+          (${columns.join(', ')})
+          VALUES ${placeholders}
+        `;
+
+        const [result] = await connection.execute(query, values);
+
+        if (runId) {
+          await trackInsertedRows(connection, runId, tableName, recordsToInsert, result);
+        }
+      }
+
+      return { inserted: recordsToInsert.length, updated, skipped };
     });
 
-    console.log(`✓ Batch ${batchNumber} completed: ${sanitizedRecords.length} records inserted into ${tableName}`);
+    console.log(
+      `✓ Batch ${batchNumber} completed (${tableName}): ` +
+      `${counts.inserted} inserted, ${counts.updated} updated, ${counts.skipped} skipped`
+    );
 
     return {
       success: true,
-      inserted: sanitizedRecords.length,
+      ...counts,
       batch: batchNumber
     };
 
@@ -60,6 +238,8 @@ async function insertBatch(tableName, records, batchNumber = 1) {
     return {
       success: false,
       inserted: 0,
+      updated: 0,
+      skipped: 0,
       batch: batchNumber,
       error: error.message,
       code: error.code
@@ -67,27 +247,125 @@ async function insertBatch(tableName, records, batchNumber = 1) {
   }
 }
 
+/**
+ * Convierte un registro que no se pudo insertar en una fila de dead-letter
+ * @param {Object} record - Registro original
+ * @param {Object} result - Resultado fallido de insertBatch
+ * @returns {Object} - Fila fallida { old_id, values, code, error }
+ */
+function toFailedRow(record, result) {
+  return {
+    old_id: record.old_id ?? null,
+    values: record,
+    code: result.code || null,
+    error: result.error
+  };
+}
+
+/**
+ * Reintenta un lote fallido dividiéndolo en mitades hasta aislar las filas que fallan
+ * Las mitades válidas se insertan normalmente; solo las filas individuales que fallan se descartan
+ * @param {string} tableName - Nombre de la tabla
+ * @param {Array} records - Registros del lote fallido
+ * @param {number} batchNumber - Número del lote (para logging)
+ * @param {Object} insertOptions - Opciones de insertBatch
+ * @returns {Promise<Object>} - { success, inserted, updated, skipped, failedRows, error, code }
+ */
+async function bisectFailedBatch(tableName, records, batchNumber, insertOptions) {
+  const totals = { inserted: 0, updated: 0, skipped: 0, failedRows: [] };
+
+  const retry = async (chunk) => {
+    const result = await insertBatch(tableName, chunk, batchNumber, insertOptions);
+
+    if (result.success) {
+      totals.inserted += result.inserted;
+      totals.updated += result.updated;
+      totals.skipped += result.skipped;
+      return;
+    }
+
+    if (chunk.length === 1) {
+      totals.failedRows.push(toFailedRow(chunk[0], result));
+      return;
+    }
+
+    const middle = Math.ceil(chunk.length / 2);
+    await retry(chunk.slice(0, middle));
+    await retry(chunk.slice(middle));
+  };
+
+  const middle = Math.ceil(records.length / 2);
+  await retry(records.slice(0, middle));
+  await retry(records.slice(middle));
+
+  const [firstFailure] = totals.failedRows;
+
+  return {
+    ...totals,
+    success: totals.failedRows.length === 0,
+    batch: batchNumber,
+    error: firstFailure?.error,
+    code: firstFailure?.code
+  };
+}
+
 /**
  * Procesa datos en lotes con control de errores
  * @param {string} tableName - Nombre de la tabla
  * @param {Array} allRecords - Array completo de registros a insertar
  * @param {number} batchSize - Tamaño de cada lote (default: 100)
- * @param {Function} onBatchComplete - Callback después de cada lote
- * @returns {Promise<Object>} - Estadísticas del procesamiento
+ * @param {Object} options - Opciones del procesamiento
+ * @param {Object} options.dryRunReport - Reporte de dry-run: si se indica no se escribe en la BD
+ * @param {number} options.runId - ID de la ejecución (job) a la que se asocian las filas insertadas
+ * @param {string} options.onConflict - Estrategia ante filas existentes: 'skip' (default), 'update' o 'error'
+ * @param {Array<string>} options.conflictKeys - Columnas que identifican una fila existente
+ * @param {Array<string>} options.updateColumns - Columnas a actualizar con 'update'
+ * @param {Function} options.onBatchComplete - Callback después de cada lote
+ * @returns {Promise<Object>} - Estadísticas del procesamiento (totales, detalle por lote y filas fallidas)
+ * @throws {Error} - MISSING_CONFLICT_KEYS si los registros no incluyen todas las columnas clave
  */
-async function processBatches(tableName, allRecords, batchSize = 100, onBatchComplete = null) {
+async function processBatches(tableName, allRecords, batchSize = 100, options = {}) {
+  const {
+    dryRunReport = null,
+    runId = null,
+    onConflict = CONFLICT_STRATEGY.SKIP,
+    conflictKeys,
+    updateColumns,
+    onBatchComplete = null
+  } = options;
   const totalRecords = allRecords.length;
   const totalBatches = Math.ceil(totalRecords / batchSize);
 
+  // Claves incompletas: se detiene antes de escribir (o simular) ningún lote
+  if (totalRecords > 0) {
+    assertConflictKeys(tableName, Object.keys(allRecords[0]), conflictKeys || DEFAULT_CONFLICT_KEYS);
+  }
+
   const stats = {
     totalRecords,
     totalBatches,
     successfulBatches: 0,
     failedBatches: 0,
     insertedRecords: 0,
+    updatedRecords: 0,
+    skippedRecords: 0,
+    failedRecords: 0,
+    batches: [],
     errors: []
   };
 
+  // Dry-run: registrar lo que se insertaría sin tocar la BD
+  if (dryRunReport) {
+    await dryRunReport.addRecords(tableName, allRecords, { onConflict });
+    console.log(`⊘ Dry run: ${totalRecords} records would be written to ${tableName} (on conflict: ${onConflict})`);
+
+    return {
+      ...stats,
+      successfulBatches: totalBatches,
+      dryRun: true
+    };
+  }
+
   console.log(`→ Starting batch processing: ${totalRecords} records in ${totalBatches} batches`);
 
   for (let i = 0; i < totalBatches; i++) {
@@ -95,19 +373,57 @@ async function processBatches(tableName, allRecords, batchSize = 100, onBatchCom
     const end = Math.min(start + batchSize, totalRecords);
     const batch = allRecords.slice(start, end);
 
-    const result = await insertBatch(tableName, batch, i + 1);
+    const insertOptions = { runId, onConflict, conflictKeys, updateColumns };
+    let result = await insertBatch(tableName, batch, i + 1, insertOptions);
+
+    // Lote fallido: aislar las filas que fallan para no perder las demás
+    // Con 'error' un duplicado falla el lote entero: no se escribe ninguna de sus filas
+    if (!result.success && result.code === 'DUPLICATE_RECORD') {
+      result = { ...result, failedRows: batch.map(record => toFailedRow(record, result)) };
+    } else if (!result.success && batch.length > 1) {
+      console.warn(`⚠ Batch ${i + 1} failed, retrying in smaller chunks to isolate failing rows...`);
+      result = await bisectFailedBatch(tableName, batch, i + 1, insertOptions);
+    } else if (!result.success) {
+      result = { ...result, failedRows: [toFailedRow(batch[0], result)] };
+    }
+
+    const failedRows = result.failedRows || [];
+
+    stats.batches.push({
+      batch: i + 1,
+      inserted: result.inserted,
+      updated: result.updated,
+      skipped: result.skipped,
+      failed: failedRows.length,
+      success: result.success
+    });
+
+    stats.insertedRecords += result.inserted;
+    stats.updatedRecords += result.updated;
+    stats.skippedRecords += result.skipped;
 
     if (result.success) {
       stats.successfulBatches++;
-      stats.insertedRecords += result.inserted;
     } else {
       stats.failedBatches++;
+      stats.failedRecords += failedRows.length;
       stats.errors.push({
+        table: tableName,
         batch: i + 1,
         offset: start,
         error: result.error,
-        code: result.code
+        code: result.code,
+        failedRecords: failedRows
       });
+
+      console.warn(`⚠ Batch ${i + 1}: ${failedRows.length} rows could not be inserted into ${tableName}`);
+
+      // Guardar las filas fallidas en la tabla de dead-letter (un fallo aquí no detiene la migración)
+      try {
+        await saveDeadLetters(runId, tableName, failedRows);
+      } catch (error) {
+        console.error(`✗ Could not save dead letters for batch ${i + 1}:`, error.message);
+      }
     }
 
     // Callback después de cada lote
@@ -116,10 +432,13 @@ async function processBatches(tableName, allRecords, batchSize = 100, onBatchCom
     }
   }
 
-  console.log(`✓ Batch processing completed: ${stats.insertedRecords}/${totalRecords} records inserted`);
+  console.log(
+    `✓ Batch processing completed: ${stats.insertedRecords}/${totalRecords} records inserted, ` +
+    `${stats.updatedRecords} updated, ${stats.skippedRecords} skipped`
+  );
 
   if (stats.failedBatches > 0) {
-    console.warn(`⚠ ${stats.failedBatches} batches failed`);
+    console.warn(`⚠ ${stats.failedBatches} batches failed (${stats.failedRecords} rows sent to dead letters)`);
   }
 
   return stats;
@@ -140,6 +459,7 @@ function chunkArray(array, size) {
 }
 
 module.exports = {
+  CONFLICT_STRATEGY,
   insertBatch,
   processBatches,
   chunkArray
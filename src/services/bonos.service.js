@@ -0,0 +1,149 @@
+const { query, findMissingTables } = require("../config/database");
+
+// Tablas de ClinicSay de los bonos. Deben existir en el esquema de destino (ver README):
+// la migración no las crea
+// - Definiciones de packs/bonos que vende la clínica (catálogo)
+const PACK_TYPES_TABLE = "tipos_pack_bono";
+// - Bonos comprados por cada paciente con sus sesiones (citas.id_pack_bono apunta aquí)
+const PACKS_TABLE = "packs_bonos";
+
+// Columnas que se actualizan en definiciones de bono ya migradas
+const PACK_TYPE_UPDATE_COLUMNS = [
+  "nombre",
+  "descripcion",
+  "sesiones",
+  "precio",
+  "dias_validez",
+  "id_estado_registro",
+];
+
+// Columnas que se actualizan en bonos comprados ya migrados (las sesiones cambian con el uso)
+const PACK_UPDATE_COLUMNS = [
+  "id_tipo_pack_bono",
+  "nombre",
+  "sesiones_totales",
+  "sesiones_consumidas",
+  "sesiones_restantes",
+  "fecha_caducidad",
+];
+
+/**
+ * Comprueba que las tablas de bonos existen en la BD de destino y que, si
+ * citas.id_pack_bono tiene clave foránea, apunta a la tabla de bonos comprados
+ * @returns {Promise<Object|null>} - Error o null si el esquema es el esperado
+ */
+async function checkBonosTables() {
+  const missing = await findMissingTables([PACK_TYPES_TABLE, PACKS_TABLE]);
+
+  if (missing.length > 0) {
+    return {
+      success: false,
+      error: "MISSING_TARGET_TABLES",
+      message: `Tables ${missing.join(", ")} do not exist in the target database, create them before migrating bonos`,
+      tables: missing,
+    };
+  }
+
+  const [reference] = await query(
+    `SELECT REFERENCED_TABLE_NAME FROM information_schema.KEY_COLUMN_USAGE
+     WHERE TABLE_SCHEMA = DATABASE()
+     AND TABLE_NAME = ?
+     AND COLUMN_NAME = ?
+     AND REFERENCED_TABLE_NAME IS NOT NULL`,
+    ["citas", "id_pack_bono"]
+  );
+
+  if (reference && reference.REFERENCED_TABLE_NAME !== PACKS_TABLE) {
+    return {
+      success: false,
+      error: "PACK_TABLE_MISMATCH",
+      message: `citas.id_pack_bono references ${reference.REFERENCED_TABLE_NAME}, not ${PACKS_TABLE}`,
+      referencedTable: reference.REFERENCED_TABLE_NAME,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * IDs de Koibox de las citas que consumieron sesiones de un bono comprado
+ * (`citas` con los IDs o `consumos` con la cita de cada sesión)
+ * @param {Object} bono - Bono comprado de Koibox
+ * @returns {Array} - IDs de cita sin repetir
+ */
+function getConsumedAppointmentIds(bono) {
+  const ids = Array.isArray(bono.citas)
+    ? bono.citas
+    : (Array.isArray(bono.consumos) ? bono.consumos : []).map(
+        (consumo) => consumo.cita
+      );
+
+  return [
+    ...new Set(
+      ids
+        .map((id) => (id && typeof id === "object" ? id.value ?? id.id : id))
+        .filter((id) => id !== null && id !== undefined)
+    ),
+  ];
+}
+
+/**
+ * Sesiones de un bono comprado: las que indica Koibox o, si faltan, calculadas
+ * con las de su definición y las citas que lo consumieron
+ * @param {Object} bono - Bono comprado de Koibox
+ * @param {Object|null} packType - Definición del bono en Koibox
+ * @returns {Object} - { total, consumed, remaining }
+ */
+function getBonoSessions(bono, packType) {
+  const total = Number(
+    bono.sesiones_totales ?? bono.sesiones ?? packType?.sesiones ?? 0
+  );
+  const consumed = Number(
+    bono.sesiones_consumidas ??
+      bono.consumidas ??
+      getConsumedAppointmentIds(bono).length
+  );
+  const remaining = Number(
+    bono.sesiones_restantes ?? bono.restantes ?? Math.max(total - consumed, 0)
+  );
+
+  return { total, consumed, remaining };
+}
+
+/**
+ * Fecha de caducidad de un bono comprado: la de Koibox o, si no la tiene,
+ * la fecha de compra más los días de validez de su definición
+ * @param {Object} bono - Bono comprado de Koibox
+ * @param {Object|null} packType - Definición del bono en Koibox
+ * @param {string|null} fechaCompra - Fecha de compra (YYYY-MM-DD HH:MM:SS)
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function getBonoExpiry(bono, packType, fechaCompra) {
+  const expiry = bono.fecha_caducidad ?? bono.caducidad ?? null;
+
+  if (expiry) {
+    return expiry.split("T")[0];
+  }
+
+  const days = Number(packType?.dias_validez ?? packType?.validez ?? 0);
+
+  if (!fechaCompra || days <= 0) {
+    return null;
+  }
+
+  const date = new Date(`${fechaCompra.split(" ")[0]}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+
+  return date.toISOString().split("T")[0];
+}
+
+module.exports = {
+  PACK_TYPES_TABLE,
+  PACKS_TABLE,
+  PACK_TYPE_UPDATE_COLUMNS,
+  PACK_UPDATE_COLUMNS,
+  checkBonosTables,
+  getConsumedAppointmentIds,
+  getBonoSessions,
+  getBonoExpiry,
+};
@@ -0,0 +1,75 @@
+const { query, ensureTable } = require("../config/database");
+
+const DEAD_LETTERS_TABLE_DDL = `
+  CREATE TABLE IF NOT EXISTS migration_dead_letters (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    id_run INT NULL,
+    tabla VARCHAR(64) NOT NULL,
+    old_id VARCHAR(64) NULL,
+    valores JSON NOT NULL,
+    codigo_error VARCHAR(64) NULL,
+    mensaje_error TEXT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_migration_dead_letters_run (id_run)
+  )
+`;
+
+/**
+ * Guarda las filas que no se pudieron insertar para revisarlas o reintentarlas
+ * @param {number|null} runId - ID de la ejecución (job)
+ * @param {string} tableName - Tabla destino de las filas
+ * @param {Array} failedRows - Filas { old_id, values, code, error }
+ * @returns {Promise<void>}
+ */
+async function saveDeadLetters(runId, tableName, failedRows) {
+  if (failedRows.length === 0) {
+    return;
+  }
+
+  await ensureTable("migration_dead_letters", DEAD_LETTERS_TABLE_DDL);
+
+  const placeholders = failedRows.map(() => "(?, ?, ?, ?, ?, ?)").join(", ");
+
+  await query(
+    `INSERT INTO migration_dead_letters
+     (id_run, tabla, old_id, valores, codigo_error, mensaje_error)
+     VALUES ${placeholders}`,
+    failedRows.flatMap((row) => [
+      runId,
+      tableName,
+      row.old_id === null || row.old_id === undefined ? null : String(row.old_id),
+      JSON.stringify(row.values),
+      row.code || null,
+      row.error || null,
+    ])
+  );
+}
+
+/**
+ * Lista las filas fallidas de una ejecución
+ * @param {number} runId - ID de la ejecución (job)
+ * @returns {Promise<Array>} - Filas fallidas (más antiguas primero)
+ */
+async function listDeadLetters(runId) {
+  await ensureTable("migration_dead_letters", DEAD_LETTERS_TABLE_DDL);
+
+  const rows = await query(
+    `SELECT * FROM migration_dead_letters WHERE id_run = ? ORDER BY id`,
+    [runId]
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    table: row.tabla,
+    old_id: row.old_id,
+    values: row.valores,
+    code: row.codigo_error,
+    error: row.mensaje_error,
+    createdAt: row.fecha_creacion,
+  }));
+}
+
+module.exports = {
+  saveDeadLetters,
+  listDeadLetters,
+};
@@ -0,0 +1,460 @@
+// Estrategias con las que se resuelve cada par API → BD
+const MATCH_STRATEGY = {
+  EMAIL: "email",
+  NIF: "nif",
+  EXACT_NAME: "exact_name",
+  NUMERIC: "numeric",
+  SIMILARITY: "similarity",
+  AI: "ai",
+  MANUAL: "manual",
+  CREATED: "created",
+};
+
+// Similitud mínima (coeficiente de Dice sobre bigramas) para aceptar un par
+const MIN_SIMILARITY = 0.85;
+
+// Diferencia mínima entre el mejor y el segundo mejor candidato por similitud
+const SIMILARITY_MARGIN = 0.05;
+
+// Escalas con las que se comparan valores numéricos (ej: IVA 21.0 ↔ 0.21)
+const NUMERIC_SCALES = [1, 100, 0.01];
+
+// Confianza y explicación de los pares resueltos por cada regla exacta
+const STRATEGY_CONFIDENCE = {
+  [MATCH_STRATEGY.EMAIL]: { score: 1, reason: "Mismo email" },
+  [MATCH_STRATEGY.NIF]: { score: 1, reason: "Mismo NIF/DNI" },
+  [MATCH_STRATEGY.EXACT_NAME]: { score: 0.97, reason: "Mismo nombre normalizado" },
+  [MATCH_STRATEGY.NUMERIC]: {
+    score: 0.95,
+    reason: "Mismo valor numérico (con conversión de escala)",
+  },
+};
+
+// Patrones de nombres de campo por tipo de dato
+const EMAIL_FIELD = /(^|_)(e?mail|correo)($|_)/i;
+const NIF_FIELD = /(^|_)(nif|dni|cif|nie)($|_)/i;
+const NAME_FIELD = /(^|_)(name|nombre|text|descripcion|description|titulo|label)($|_)/i;
+const SURNAME_FIELD = /(^|_)(apellidos?|last_name|surname)($|_)/i;
+const ID_FIELD = /(^id$|^id_|_id$|^value$|^old_id$)/i;
+
+/**
+ * Obtiene el ID principal de un elemento de la API (id o value en los filtros de Koibox)
+ * @param {Object} item - Elemento de la API
+ * @returns {*} - ID del elemento
+ */
+function getApiItemId(item) {
+  if (item.id !== undefined) {
+    return item.id;
+  }
+
+  if (item.value !== undefined) {
+    return item.value;
+  }
+
+  return Object.values(item)[0];
+}
+
+/**
+ * Obtiene el ID principal de una fila de la BD (su primera columna)
+ * @param {Object} row - Fila de la BD
+ * @returns {*} - ID de la fila
+ */
+function getDbItemId(row) {
+  return Object.values(row)[0];
+}
+
+/**
+ * Indexa los IDs de las filas de la BD por su valor como texto
+ * @param {Array} dbResult - Filas de la BD
+ * @returns {Map} - ID como texto → ID con su tipo original
+ */
+function indexDbIds(dbResult) {
+  return new Map(
+    dbResult.map((row) => [String(getDbItemId(row)), getDbItemId(row)])
+  );
+}
+
+/**
+ * Normaliza un texto para compararlo: sin acentos, minúsculas, sin signos y espacios simples
+ * @param {*} value - Valor a normalizar
+ * @returns {string} - Texto normalizado
+ */
+function normalizeText(value) {
+  return String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9%]+/g, " ")
+    .trim();
+}
+
+/**
+ * Normaliza un NIF/DNI: mayúsculas y solo letras y dígitos
+ * @param {*} value - Valor a normalizar
+ * @returns {string} - NIF normalizado
+ */
+function normalizeNif(value) {
+  return String(value).toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+/**
+ * Valores de texto no vacíos de los campos cuyo nombre cumple el patrón
+ * @param {Object} item - Elemento de la API o fila de la BD
+ * @param {RegExp} pattern - Patrón del nombre de campo
+ * @returns {Array<string>} - Valores
+ */
+function fieldValues(item, pattern) {
+  return Object.keys(item)
+    .filter((key) => pattern.test(key))
+    .map((key) => item[key])
+    .filter((value) => typeof value === "string" && value.trim() !== "");
+}
+
+/**
+ * Nombres normalizados de un elemento (cada campo de nombre y nombre + apellidos)
+ * @param {Object} item - Elemento de la API o fila de la BD
+ * @returns {Array<string>} - Nombres normalizados
+ */
+function nameKeys(item) {
+  const names = fieldValues(item, NAME_FIELD);
+  const surnames = fieldValues(item, SURNAME_FIELD);
+  const keys = [...names];
+
+  if (names.length > 0 && surnames.length > 0) {
+    keys.push(`${names[0]} ${surnames.join(" ")}`);
+  }
+
+  return [...new Set(keys.map(normalizeText).filter(Boolean))];
+}
+
+/**
+ * Valores numéricos de los campos que no son IDs
+ * @param {Object} item - Elemento de la API o fila de la BD
+ * @returns {Array<number>} - Valores numéricos
+ */
+function numericValues(item) {
+  return Object.keys(item)
+    .filter((key) => !ID_FIELD.test(key))
+    .map((key) => item[key])
+    .filter(
+      (value) =>
+        (typeof value === "number" ||
+          (typeof value === "string" && /^-?\d+([.,]\d+)?$/.test(value.trim()))) &&
+        value !== ""
+    )
+    .map((value) => Number(String(value).replace(",", ".")));
+}
+
+/**
+ * Coeficiente de Dice sobre bigramas de caracteres (0 = distintos, 1 = iguales)
+ * @param {string} a - Texto normalizado
+ * @param {string} b - Texto normalizado
+ * @returns {number} - Similitud
+ */
+function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+
+  if (a.length < 2 || b.length < 2) {
+    return 0;
+  }
+
+  const bigrams = new Map();
+
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let intersection = 0;
+
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      intersection++;
+    }
+  }
+
+  return (2 * intersection) / (a.length + b.length - 2);
+}
+
+/**
+ * Busca la única fila de la BD que comparte alguna clave con el elemento de la API
+ * @param {Array<string>} apiKeys - Claves del elemento de la API
+ * @param {Array<Object>} candidates - Filas de la BD con sus claves { id, keys }
+ * @returns {*} - ID de la fila o null si no hay ninguna o hay varias
+ */
+function findUniqueByKeys(apiKeys, candidates) {
+  if (apiKeys.length === 0) {
+    return null;
+  }
+
+  const matches = new Set(
+    candidates
+      .filter((candidate) => candidate.keys.some((key) => apiKeys.includes(key)))
+      .map((candidate) => candidate.id)
+  );
+
+  return matches.size === 1 ? [...matches][0] : null;
+}
+
+/**
+ * Busca la única fila de la BD con un valor numérico equivalente (a escala 1, 100 o 1/100)
+ * @param {Array<number>} apiValues - Valores numéricos del elemento de la API
+ * @param {Array<Object>} candidates - Filas de la BD con sus valores { id, values }
+ * @returns {*} - ID de la fila o null si no hay ninguna o hay varias
+ */
+function findUniqueByNumber(apiValues, candidates) {
+  if (apiValues.length === 0) {
+    return null;
+  }
+
+  const matches = new Set(
+    candidates
+      .filter((candidate) =>
+        candidate.values.some((dbValue) =>
+          apiValues.some((apiValue) =>
+            NUMERIC_SCALES.some(
+              (scale) => Math.abs(apiValue - dbValue * scale) < 1e-6
+            )
+          )
+        )
+      )
+      .map((candidate) => candidate.id)
+  );
+
+  return matches.size === 1 ? [...matches][0] : null;
+}
+
+/**
+ * Busca la fila de la BD con el nombre más parecido, si supera el umbral con margen suficiente
+ * @param {Array<string>} apiNames - Nombres normalizados del elemento de la API
+ * @param {Array<Object>} candidates - Filas de la BD con sus nombres { id, keys }
+ * @returns {Object|null} - { id, score } o null
+ */
+function findBySimilarity(apiNames, candidates) {
+  const scores = candidates
+    .map((candidate) => ({
+      id: candidate.id,
+      score: Math.max(
+        0,
+        ...candidate.keys.flatMap((key) =>
+          apiNames.map((name) => similarity(name, key))
+        )
+      ),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  if (scores.length === 0 || scores[0].score < MIN_SIMILARITY) {
+    return null;
+  }
+
+  if (scores.length > 1 && scores[0].score - scores[1].score < SIMILARITY_MARGIN) {
+    return null;
+  }
+
+  return scores[0];
+}
+
+/**
+ * Resuelve localmente los pares API → BD que se pueden determinar con reglas, por orden:
+ * email, NIF/DNI, nombre normalizado (sin acentos ni mayúsculas), valor numérico con
+ * conversión de escala (solo elementos sin nombre) y similitud de nombres.
+ * Solo se acepta un par si la coincidencia es única; el resto queda pendiente para la IA
+ * @param {Array} apiResult - Elementos de la API externa
+ * @param {Array} dbResult - Filas de la BD local
+ * @param {Object} options - Opciones
+ * @param {boolean} options.allowManyToOne - Permite mapear varios elementos de la API a la misma fila
+ * @returns {Object} - { mapper, strategies, confidence, unresolved }
+ *   (confidence: { score, reason } de cada par)
+ */
+function matchDeterministically(apiResult, dbResult, options = {}) {
+  const { allowManyToOne = false } = options;
+
+  const candidates = dbResult.map((row) => ({
+    id: getDbItemId(row),
+    emails: fieldValues(row, EMAIL_FIELD).map(normalizeText),
+    nifs: fieldValues(row, NIF_FIELD).map(normalizeNif),
+    names: nameKeys(row),
+    values: numericValues(row),
+  }));
+
+  const mapper = {};
+  const strategies = {};
+  const confidence = {};
+  const unresolved = [];
+  const usedIds = new Set();
+
+  for (const item of apiResult) {
+    const apiId = String(getApiItemId(item));
+    const available = allowManyToOne
+      ? candidates
+      : candidates.filter((candidate) => !usedIds.has(candidate.id));
+    const names = nameKeys(item);
+    // Los valores numéricos solo identifican elementos sin nombre (ej: tipos de IVA)
+    const textual = names.some((name) => /[a-z]/.test(name));
+
+    const attempts = [
+      [
+        MATCH_STRATEGY.EMAIL,
+        () =>
+          findUniqueByKeys(
+            fieldValues(item, EMAIL_FIELD).map(normalizeText),
+            available.map((candidate) => ({ id: candidate.id, keys: candidate.emails }))
+          ),
+      ],
+      [
+        MATCH_STRATEGY.NIF,
+        () =>
+          findUniqueByKeys(
+            fieldValues(item, NIF_FIELD).map(normalizeNif),
+            available.map((candidate) => ({ id: candidate.id, keys: candidate.nifs }))
+          ),
+      ],
+      [
+        MATCH_STRATEGY.EXACT_NAME,
+        () =>
+          findUniqueByKeys(
+            names,
+            available.map((candidate) => ({ id: candidate.id, keys: candidate.names }))
+          ),
+      ],
+      [
+        MATCH_STRATEGY.NUMERIC,
+        () =>
+          textual ? null : findUniqueByNumber(numericValues(item), available),
+      ],
+      [
+        MATCH_STRATEGY.SIMILARITY,
+        () =>
+          names.length > 0
+            ? findBySimilarity(
+                names,
+                available.map((candidate) => ({ id: candidate.id, keys: candidate.names }))
+              )
+            : null,
+      ],
+    ];
+
+    let matched = false;
+
+    for (const [strategy, attempt] of attempts) {
+      const match = attempt();
+
+      if (match === null || match === undefined) {
+        continue;
+      }
+
+      if (strategy === MATCH_STRATEGY.SIMILARITY) {
+        const score = Math.round(match.score * 100) / 100;
+        mapper[apiId] = match.id;
+        confidence[apiId] = { score, reason: `Nombre similar (${score})` };
+      } else {
+        mapper[apiId] = match;
+        confidence[apiId] = { ...STRATEGY_CONFIDENCE[strategy] };
+      }
+
+      strategies[apiId] = strategy;
+      usedIds.add(mapper[apiId]);
+      matched = true;
+      break;
+    }
+
+    if (!matched) {
+      unresolved.push(item);
+    }
+  }
+
+  return { mapper, strategies, confidence, unresolved };
+}
+
+/**
+ * Preselecciona las filas de la BD plausibles para un conjunto de elementos de la API:
+ * para cada elemento, las `perItem` filas con el nombre más parecido y las que comparten
+ * email, NIF o valor numérico. Se usa para que cada bloque de un mapeo grande solo
+ * envíe a la IA los destinos posibles
+ * @param {Array} apiItems - Elementos de la API del bloque
+ * @param {Array} dbResult - Filas de la BD local
+ * @param {number} perItem - Filas más parecidas por elemento
+ * @returns {Array} - Filas de la BD seleccionadas (en su orden original)
+ */
+function selectCandidates(apiItems, dbResult, perItem) {
+  const candidates = dbResult.map((row) => ({
+    row,
+    emails: fieldValues(row, EMAIL_FIELD).map(normalizeText),
+    nifs: fieldValues(row, NIF_FIELD).map(normalizeNif),
+    names: nameKeys(row),
+    values: numericValues(row),
+  }));
+  const selected = new Set();
+
+  for (const item of apiItems) {
+    const emails = fieldValues(item, EMAIL_FIELD).map(normalizeText);
+    const nifs = fieldValues(item, NIF_FIELD).map(normalizeNif);
+    const names = nameKeys(item);
+    const values = numericValues(item);
+
+    candidates
+      .filter(
+        (candidate) =>
+          candidate.emails.some((email) => emails.includes(email)) ||
+          candidate.nifs.some((nif) => nifs.includes(nif)) ||
+          candidate.values.some((dbValue) =>
+            values.some((apiValue) =>
+              NUMERIC_SCALES.some(
+                (scale) => Math.abs(apiValue - dbValue * scale) < 1e-6
+              )
+            )
+          )
+      )
+      .forEach((candidate) => selected.add(candidate));
+
+    candidates
+      .map((candidate) => ({
+        candidate,
+        score: Math.max(
+          0,
+          ...candidate.names.flatMap((key) =>
+            names.map((name) => similarity(name, key))
+          )
+        ),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, perItem)
+      .forEach(({ candidate }) => selected.add(candidate));
+  }
+
+  return candidates
+    .filter((candidate) => selected.has(candidate))
+    .map((candidate) => candidate.row);
+}
+
+/**
+ * Cuenta cuántos pares de un mapeo se resolvieron con cada estrategia
+ * @param {Object} strategies - Estrategia por ID de la API
+ * @returns {Object} - { estrategia: número de pares }
+ */
+function summarizeStrategies(strategies) {
+  return Object.values(strategies).reduce((summary, strategy) => {
+    summary[strategy] = (summary[strategy] || 0) + 1;
+    return summary;
+  }, {});
+}
+
+module.exports = {
+  MATCH_STRATEGY,
+  EMAIL_FIELD,
+  NIF_FIELD,
+  normalizeNif,
+  normalizeText,
+  getApiItemId,
+  getDbItemId,
+  indexDbIds,
+  matchDeterministically,
+  selectCandidates,
+  summarizeStrategies,
+};
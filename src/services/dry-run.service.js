@@ -0,0 +1,281 @@
+const { query } = require("../config/database");
+const { chunkArray } = require("./batch.service");
+
+// Filas de ejemplo que se guardan por tabla
+const SAMPLE_SIZE = 5;
+
+// Máximo de old_ids / valores que se listan por tabla o tipo de mapeo
+const MAX_LISTED_VALUES = 20;
+
+/**
+ * Busca qué old_ids de los registros ya existen en la tabla
+ * Filtra por clínica cuando los registros incluyen id_clinica / id_super_clinica
+ * @param {string} tableName - Nombre de la tabla
+ * @param {Array} records - Registros que se insertarían
+ * @returns {Promise<Array>} - old_ids ya existentes
+ */
+async function findExistingOldIds(tableName, records) {
+  const oldIds = records
+    .map((record) => record.old_id)
+    .filter((oldId) => oldId !== null && oldId !== undefined);
+
+  if (oldIds.length === 0) {
+    return [];
+  }
+
+  const clinicFilters = ["id_clinica", "id_super_clinica"].filter(
+    (column) => records[0][column] !== undefined
+  );
+
+  const existing = [];
+
+  for (const chunk of chunkArray([...new Set(oldIds)], 500)) {
+    const placeholders = chunk.map(() => "?").join(",");
+    const rows = await query(
+      `SELECT old_id FROM ${tableName}
+       WHERE old_id IN (${placeholders})
+       ${clinicFilters.map((column) => `AND ${column} = ?`).join(" ")}`,
+      [...chunk, ...clinicFilters.map((column) => records[0][column])]
+    );
+    existing.push(...rows.map((row) => row.old_id));
+  }
+
+  return existing;
+}
+
+/**
+ * Crea el reporte de una migración en modo dry-run
+ * Acumula lo que se habría escrito en la BD sin escribir nada: filas por tabla,
+ * duplicados, registros ya migrados, mapeos faltantes y pares de confianza baja. Asigna ids simulados
+ * a las filas para que los registros dependientes puedan transformarse igual.
+ * @returns {Object} - Reporte de dry-run
+ */
+function createDryRunReport() {
+  const tables = {};
+  const missingMappings = {};
+  const pendingReview = {};
+
+  const getTable = (tableName) => {
+    if (!tables[tableName]) {
+      tables[tableName] = {
+        wouldInsert: 0,
+        wouldUpdate: 0,
+        duplicates: 0,
+        alreadyMigrated: 0,
+        duplicateOldIds: [],
+        samples: [],
+        updateSamples: [],
+        simulatedIds: new Map(),
+      };
+    }
+    return tables[tableName];
+  };
+
+  return {
+    /**
+     * Registra filas que se habrían insertado y detecta las que ya existen por old_id
+     * Según la estrategia de conflicto las existentes cuentan como actualizaciones ('update'),
+     * ya migradas ('skip') o duplicados que harían fallar el lote ('error')
+     * @param {string} tableName - Nombre de la tabla
+     * @param {Array} records - Registros transformados
+     * @param {Object} options - Opciones de la inserción simulada
+     * @param {string} options.onConflict - Estrategia ante filas existentes (default: 'skip')
+     * @returns {Promise<Array>} - Ids simulados asignados (mismo orden que records, null si no se insertaría)
+     */
+    async addRecords(tableName, records, options = {}) {
+      const { onConflict = "skip" } = options;
+      const table = getTable(tableName);
+      let existing = new Set();
+
+      try {
+        const existingOldIds = await findExistingOldIds(tableName, records);
+        existing = new Set(existingOldIds.map(String));
+        const duplicates = records.filter(
+          (record) =>
+            record.old_id !== undefined && existing.has(String(record.old_id))
+        );
+
+        if (onConflict === "update") {
+          this.addUpdates(tableName, duplicates);
+        } else if (onConflict === "skip") {
+          table.alreadyMigrated += duplicates.length;
+        } else {
+          table.duplicates += duplicates.length;
+          duplicates.forEach((record) => {
+            if (table.duplicateOldIds.length < MAX_LISTED_VALUES) {
+              table.duplicateOldIds.push(record.old_id);
+            }
+          });
+        }
+      } catch (error) {
+        console.warn(
+          `⚠ Dry run: could not check duplicates in ${tableName}:`,
+          error.message
+        );
+      }
+
+      const isUpdate = (record) =>
+        record.old_id !== undefined && existing.has(String(record.old_id));
+
+      table.samples.push(
+        ...records
+          .filter((record) => !isUpdate(record))
+          .slice(0, SAMPLE_SIZE - table.samples.length)
+      );
+
+      return records.map((record) => {
+        if (isUpdate(record)) {
+          return null;
+        }
+
+        table.wouldInsert++;
+        const simulatedId = `dry-run:${tableName}:${table.wouldInsert}`;
+
+        // El primer registro con un old_id es el que recibe los dependientes
+        if (
+          record.old_id !== undefined &&
+          record.old_id !== null &&
+          !table.simulatedIds.has(String(record.old_id))
+        ) {
+          table.simulatedIds.set(String(record.old_id), simulatedId);
+        }
+
+        return simulatedId;
+      });
+    },
+
+    /**
+     * Registra actualizaciones que se habrían ejecutado
+     * @param {string} tableName - Nombre de la tabla
+     * @param {Array} updates - Valores que se habrían actualizado (uno por fila)
+     */
+    addUpdates(tableName, updates) {
+      const table = getTable(tableName);
+      table.wouldUpdate += updates.length;
+      table.updateSamples.push(
+        ...updates.slice(0, SAMPLE_SIZE - table.updateSamples.length)
+      );
+    },
+
+    /**
+     * Registra registros omitidos porque ya estaban migrados
+     * @param {string} tableName - Nombre de la tabla
+     * @param {number} count - Número de registros omitidos
+     */
+    addAlreadyMigrated(tableName, count) {
+      getTable(tableName).alreadyMigrated += count;
+    },
+
+    /**
+     * Registra valores de origen sin correspondencia en la BD local
+     * @param {string} entityType - Tipo de mapeo (ej: 'tax', 'doctor', 'patient')
+     * @param {Array|*} values - Elementos missing del mapeo o valor suelto sin mapear
+     */
+    addMissingMappings(entityType, values) {
+      const list = Array.isArray(values) ? values : [values];
+
+      if (list.length === 0) {
+        return;
+      }
+
+      if (!missingMappings[entityType]) {
+        missingMappings[entityType] = { count: 0, values: [], seen: new Set() };
+      }
+
+      const missing = missingMappings[entityType];
+
+      list.forEach((value) => {
+        const key = JSON.stringify(value);
+        if (missing.seen.has(key)) {
+          return;
+        }
+        missing.seen.add(key);
+        missing.count++;
+        if (missing.values.length < MAX_LISTED_VALUES) {
+          missing.values.push(value);
+        }
+      });
+    },
+
+    /**
+     * Registra pares de un mapeo que quedan pendientes de revisión por su confianza baja
+     * @param {string} entityType - Tipo de mapeo (ej: 'doctor')
+     * @param {Array} pairs - Pares { api_id, db_id, strategy, score, reason }
+     */
+    addPendingReview(entityType, pairs) {
+      if (pairs.length === 0) {
+        return;
+      }
+
+      // Cada tipo de mapeo se revisa una vez por ejecución
+      if (!pendingReview[entityType]) {
+        pendingReview[entityType] = {
+          count: pairs.length,
+          pairs: pairs.slice(0, MAX_LISTED_VALUES),
+        };
+      }
+    },
+
+    /**
+     * Obtiene el id simulado de una fila registrada en el dry-run
+     * @param {string} tableName - Nombre de la tabla
+     * @param {*} oldId - old_id de la fila
+     * @returns {string|null} - Id simulado o null si la fila no se habría insertado
+     */
+    getSimulatedId(tableName, oldId) {
+      return tables[tableName]?.simulatedIds.get(String(oldId)) || null;
+    },
+
+    /**
+     * Completa un mapeo old_id -> id con los ids simulados de las filas
+     * que se habrían insertado (en dry-run no existen en la BD)
+     * @param {string} tableName - Nombre de la tabla
+     * @param {Object} idMapping - Mapeo old_id -> id a completar
+     * @param {Array} oldIds - old_ids a resolver
+     * @returns {Object} - El mismo mapeo completado
+     */
+    fillSimulatedIds(tableName, idMapping, oldIds) {
+      oldIds.forEach((oldId) => {
+        const simulatedId = this.getSimulatedId(tableName, oldId);
+        if (!idMapping[oldId] && simulatedId) {
+          idMapping[oldId] = simulatedId;
+        }
+      });
+      return idMapping;
+    },
+
+    /**
+     * Serializa el reporte para la respuesta del job
+     * @returns {Object} - Resumen, detalle por tabla y mapeos faltantes
+     */
+    toJSON() {
+      const tableEntries = Object.entries(tables).map(
+        ([tableName, { simulatedIds, ...table }]) => [tableName, table]
+      );
+      const total = (field) =>
+        tableEntries.reduce((sum, [, table]) => sum + table[field], 0);
+
+      return {
+        summary: {
+          wouldInsert: total("wouldInsert"),
+          wouldUpdate: total("wouldUpdate"),
+          duplicates: total("duplicates"),
+          alreadyMigrated: total("alreadyMigrated"),
+          missingMappings: Object.keys(missingMappings).length,
+          pendingReview: Object.keys(pendingReview).length,
+        },
+        tables: Object.fromEntries(tableEntries),
+        missingMappings: Object.fromEntries(
+          Object.entries(missingMappings).map(
+            ([entityType, { seen, ...missing }]) => [entityType, missing]
+          )
+        ),
+        pendingReview,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createDryRunReport,
+};
@@ -0,0 +1,653 @@
+const { query, ensureTable } = require("../config/database");
+const { createDryRunReport } = require("./dry-run.service");
+const { createAiUsageTracker } = require("./ai-usage.service");
+const { PAGE_ERROR_POLICY } = require("../utils/api-client");
+
+// Estados posibles de un job de migración
+const JOB_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  COMPLETED_WITH_ERRORS: "completed_with_errors",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+  INTERRUPTED: "interrupted",
+  ROLLED_BACK: "rolled_back",
+};
+
+// Estados desde los que un job puede reanudarse
+const RESUMABLE_STATUSES = [
+  JOB_STATUS.FAILED,
+  JOB_STATUS.CANCELLED,
+  JOB_STATUS.INTERRUPTED,
+];
+
+// Migraciones registradas por plataforma/entidad (necesario para reanudar jobs)
+const migrationRegistry = new Map();
+
+// Jobs en ejecución en este proceso:
+// jobId -> { cancelRequested, onPageError, pageConcurrency, pageGaps }
+const activeJobs = new Map();
+
+// Máximo de páginas pedidas por adelantado que se acepta en el body (pageConcurrency)
+const MAX_PAGE_CONCURRENCY = 20;
+
+const JOBS_TABLE_DDL = `
+  CREATE TABLE IF NOT EXISTS migration_jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    plataforma VARCHAR(50) NOT NULL,
+    entidad VARCHAR(50) NOT NULL,
+    id_clinica INT NOT NULL,
+    id_super_clinica INT NOT NULL,
+    estado VARCHAR(30) NOT NULL DEFAULT 'pending',
+    parametros JSON NULL,
+    progreso JSON NULL,
+    checkpoint JSON NULL,
+    stats JSON NULL,
+    errores JSON NULL,
+    resultado JSON NULL,
+    http_status INT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_inicio DATETIME NULL,
+    fecha_fin DATETIME NULL,
+    INDEX idx_migration_jobs_clinica (id_clinica, id_super_clinica)
+  )
+`;
+
+/**
+ * Construye el resultado de una migración (código HTTP + cuerpo de respuesta)
+ * @param {number} status - Código HTTP equivalente
+ * @param {Object} body - Cuerpo de la respuesta
+ * @returns {Object} - Objeto { status, body }
+ */
+function migrationResult(status, body) {
+  return { status, body };
+}
+
+/**
+ * Convierte una fila de migration_jobs al formato expuesto por la API
+ * @param {Object} row - Fila de la tabla migration_jobs
+ * @returns {Object} - Job formateado
+ */
+function formatJob(row) {
+  return {
+    id: row.id,
+    platform: row.plataforma,
+    entity: row.entidad,
+    clinic: {
+      id_clinica: row.id_clinica,
+      id_super_clinica: row.id_super_clinica,
+    },
+    status: row.estado,
+    params: row.parametros,
+    progress: row.progreso,
+    checkpoint: row.checkpoint,
+    stats: row.stats,
+    errors: row.errores || [],
+    result: row.resultado,
+    httpStatus: row.http_status,
+    createdAt: row.fecha_creacion,
+    startedAt: row.fecha_inicio,
+    finishedAt: row.fecha_fin,
+  };
+}
+
+/**
+ * Crea un job de migración en estado pendiente
+ * @param {Object} jobData - Datos del job
+ * @param {string} jobData.platform - Plataforma origen (ej: 'koibox')
+ * @param {string} jobData.entity - Entidad migrada (ej: 'citas')
+ * @param {Object} jobData.clinic - Datos de la clínica
+ * @param {Object} jobData.params - Parámetros de la migración (sin credenciales)
+ * @returns {Promise<number>} - ID del job creado
+ */
+async function createJob({ platform, entity, clinic, params = {} }) {
+  await ensureTable("migration_jobs", JOBS_TABLE_DDL);
+
+  const result = await query(
+    `INSERT INTO migration_jobs
+     (plataforma, entidad, id_clinica, id_super_clinica, estado, parametros)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      platform,
+      entity,
+      clinic.id_clinica,
+      clinic.id_super_clinica,
+      JOB_STATUS.PENDING,
+      JSON.stringify(params),
+    ]
+  );
+
+  return result.insertId;
+}
+
+/**
+ * Actualiza columnas de un job
+ * @param {number} jobId - ID del job
+ * @param {Object} fields - Columnas a actualizar (los objetos se serializan a JSON)
+ * @returns {Promise<void>}
+ */
+async function updateJob(jobId, fields) {
+  const columns = Object.keys(fields);
+
+  if (columns.length === 0) {
+    return;
+  }
+
+  const values = columns.map((column) => {
+    const value = fields[column];
+    return value !== null && typeof value === "object" && !(value instanceof Date)
+      ? JSON.stringify(value)
+      : value;
+  });
+
+  await query(
+    `UPDATE migration_jobs SET ${columns
+      .map((column) => `${column} = ?`)
+      .join(", ")} WHERE id = ?`,
+    [...values, jobId]
+  );
+}
+
+/**
+ * Obtiene un job por su ID
+ * @param {number} jobId - ID del job
+ * @returns {Promise<Object|null>} - Job formateado o null si no existe
+ */
+async function getJob(jobId) {
+  await ensureTable("migration_jobs", JOBS_TABLE_DDL);
+
+  const [row] = await query("SELECT * FROM migration_jobs WHERE id = ?", [
+    jobId,
+  ]);
+
+  return row ? formatJob(row) : null;
+}
+
+/**
+ * Lista los jobs de migración, opcionalmente filtrados por clínica
+ * @param {Object} filters - Filtros opcionales
+ * @param {number} filters.id_clinica - ID de la clínica
+ * @param {number} filters.id_super_clinica - ID de la super clínica
+ * @returns {Promise<Array>} - Jobs formateados (más recientes primero)
+ */
+async function listJobs({ id_clinica, id_super_clinica } = {}) {
+  await ensureTable("migration_jobs", JOBS_TABLE_DDL);
+
+  const conditions = [];
+  const params = [];
+
+  if (id_clinica) {
+    conditions.push("id_clinica = ?");
+    params.push(id_clinica);
+  }
+
+  if (id_super_clinica) {
+    conditions.push("id_super_clinica = ?");
+    params.push(id_super_clinica);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const rows = await query(
+    `SELECT * FROM migration_jobs ${where} ORDER BY id DESC`,
+    params
+  );
+
+  return rows.map(formatJob);
+}
+
+/**
+ * Obtiene la fecha de la última ejecución correcta de una entidad para una clínica
+ * Cuenta tanto los jobs de la propia entidad como los de migración completa de la clínica
+ * en los que ese paso terminó correctamente. Los dry-run no cuentan.
+ * Se usa la fecha de creación del job (no la de inicio, que cambia al reanudarlo).
+ * @param {string} platform - Plataforma origen (ej: 'koibox')
+ * @param {string} entity - Entidad migrada (ej: 'citas')
+ * @param {Object} clinic - Datos de la clínica (id_clinica, id_super_clinica)
+ * @returns {Promise<Date|null>} - Fecha de creación del job o null si no hay ninguno
+ */
+async function getLastSuccessfulRunDate(platform, entity, clinic) {
+  await ensureTable("migration_jobs", JOBS_TABLE_DDL);
+
+  const rows = await query(
+    `SELECT * FROM migration_jobs
+     WHERE plataforma = ? AND id_clinica = ? AND id_super_clinica = ?
+       AND estado IN (?, ?)
+     ORDER BY fecha_creacion DESC`,
+    [
+      platform,
+      clinic.id_clinica,
+      clinic.id_super_clinica,
+      JOB_STATUS.COMPLETED,
+      JOB_STATUS.COMPLETED_WITH_ERRORS,
+    ]
+  );
+
+  const lastRun = rows.map(formatJob).find((job) => {
+    if (job.params?.dryRun) {
+      return false;
+    }
+
+    if (job.entity === entity) {
+      return job.status === JOB_STATUS.COMPLETED;
+    }
+
+    return job.stats?.steps?.[entity]?.status === JOB_STATUS.COMPLETED;
+  });
+
+  return lastRun ? lastRun.createdAt : null;
+}
+
+/**
+ * Determina el estado final del job a partir del código HTTP de la migración
+ * @param {number} status - Código HTTP devuelto por la migración
+ * @returns {string} - Estado final del job
+ */
+function resolveFinalStatus(status) {
+  if (status >= 400) {
+    return JOB_STATUS.FAILED;
+  }
+
+  return status === 207 ? JOB_STATUS.COMPLETED_WITH_ERRORS : JOB_STATUS.COMPLETED;
+}
+
+/**
+ * Crea el handle que reciben las migraciones para reportar su avance
+ * @param {number} jobId - ID del job
+ * @param {Object|null} checkpoint - Último checkpoint guardado (null si empieza desde cero)
+ * @param {Function} persistCheckpoint - Cómo persistir un checkpoint (default: columna checkpoint del job)
+ * @returns {Object} - Handle del job
+ */
+function createJobHandle(jobId, checkpoint = null, persistCheckpoint = null) {
+  const persist =
+    persistCheckpoint ||
+    ((data) =>
+      updateJob(jobId, { checkpoint: data, progreso: data.stats || null }));
+
+  return {
+    id: jobId,
+    checkpoint,
+    /**
+     * Guarda un checkpoint (posición procesada + estadísticas acumuladas)
+     * Si no se puede guardar se lanza el error: continuar sin checkpoint
+     * haría que una reanudación repitiera trabajo ya hecho
+     * @param {Object} data - Checkpoint (ej: { page, stats } o { patientIndex, stats })
+     */
+    async saveCheckpoint(data) {
+      // El checkpoint lleva también las páginas omitidas hasta ahora (con cualquier
+      // persistencia): al reanudar no se vuelven a pedir y sin ellas no se reportarían
+      this.checkpoint = { ...data, pageGaps: this.getPageGaps(data) };
+      await persist(this.checkpoint);
+    },
+    /**
+     * Páginas omitidas por el job hasta ahora (incluidas las de ejecuciones anteriores)
+     * @param {Object} data - Checkpoint del que tomarlas si el job no está activo
+     * @returns {Array} - Páginas omitidas [{ page, error }]
+     */
+    getPageGaps(data = this.checkpoint) {
+      return activeJobs.get(jobId)?.pageGaps || data?.pageGaps || [];
+    },
+    /**
+     * Indica si se solicitó la cancelación del job
+     * @returns {boolean}
+     */
+    isCancelled() {
+      return Boolean(activeJobs.get(jobId)?.cancelRequested);
+    },
+    /**
+     * Opciones de processPaginatedInBatches para continuar desde el checkpoint,
+     * guardar uno nuevo después de cada página procesada y aplicar la política
+     * `onPageError` y la concurrencia `pageConcurrency` del job
+     * (las páginas omitidas se acumulan en el job y se guardan con su checkpoint)
+     * @param {Object} stats - Estadísticas acumuladas de la migración
+     * @returns {Object} - Opciones de paginación
+     */
+    checkpointOptions(stats) {
+      const activeJob = activeJobs.get(jobId);
+
+      return {
+        startPage: this.checkpoint ? this.checkpoint.page + 1 : 0,
+        onPageProcessed: (page) => this.saveCheckpoint({ page, stats }),
+        shouldStop: () => this.isCancelled(),
+        onPageError: activeJob?.onPageError || PAGE_ERROR_POLICY.FAIL,
+        onPageSkipped: (gap) => activeJob?.pageGaps.push(gap),
+        ...(activeJob?.pageConcurrency !== undefined && {
+          concurrency: activeJob.pageConcurrency,
+        }),
+      };
+    },
+  };
+}
+
+/**
+ * Crea el handle de un paso dentro de una migración compuesta (ej: clínica completa)
+ * Comparte el job y la cancelación del padre, pero guarda su checkpoint
+ * a través del padre para poder reanudar el paso exacto
+ * @param {Object} parentJob - Handle del job padre
+ * @param {Object|null} stepCheckpoint - Checkpoint previo del paso
+ * @param {Function} persistCheckpoint - Recibe el checkpoint del paso y lo guarda en el padre
+ * @returns {Object} - Handle del paso
+ */
+function createStepHandle(parentJob, stepCheckpoint, persistCheckpoint) {
+  return createJobHandle(parentJob.id, stepCheckpoint, persistCheckpoint);
+}
+
+/**
+ * Valida las opciones de paginación del body de la migración
+ * @param {Object} options - Opciones de la migración (onPageError, pageConcurrency)
+ * @returns {Object|null} - Error o null si son válidas
+ */
+function validatePagingOptions(options) {
+  const { onPageError = PAGE_ERROR_POLICY.FAIL, pageConcurrency } =
+    options || {};
+
+  if (!Object.values(PAGE_ERROR_POLICY).includes(onPageError)) {
+    return {
+      success: false,
+      error: "INVALID_ON_PAGE_ERROR",
+      message: `onPageError must be one of: ${Object.values(PAGE_ERROR_POLICY).join(", ")}`,
+    };
+  }
+
+  if (
+    pageConcurrency !== undefined &&
+    (!Number.isInteger(pageConcurrency) ||
+      pageConcurrency < 1 ||
+      pageConcurrency > MAX_PAGE_CONCURRENCY)
+  ) {
+    return {
+      success: false,
+      error: "INVALID_PAGE_CONCURRENCY",
+      message: `pageConcurrency must be an integer between 1 and ${MAX_PAGE_CONCURRENCY}`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Ejecuta una migración asociada a un job y persiste su resultado
+ * @param {number} jobId - ID del job
+ * @param {Function} migrate - Función de migración (recibe el contexto y devuelve { status, body })
+ * @param {Object} context - Contexto de la migración (sin job)
+ * @param {Object|null} checkpoint - Checkpoint desde el que continuar
+ * @returns {Promise<Object>} - Resultado { status, body } de la migración
+ */
+async function runJob(jobId, migrate, context, checkpoint = null) {
+  const { onPageError = PAGE_ERROR_POLICY.FAIL, pageConcurrency } =
+    context.options || {};
+  activeJobs.set(jobId, {
+    cancelRequested: false,
+    onPageError,
+    pageConcurrency,
+    // Al reanudar se parte de los huecos de las ejecuciones anteriores
+    pageGaps: [...(checkpoint?.pageGaps || [])],
+  });
+
+  // Reporte compartido por toda la migración cuando se pide dryRun
+  const dryRunReport = context.options?.dryRun ? createDryRunReport() : null;
+
+  // Tokens, latencia y coste de las llamadas a la IA de toda la migración
+  const aiUsage = createAiUsageTracker({
+    runId: jobId,
+    clinic: context.clinic,
+  });
+
+  let result;
+
+  try {
+    await updateJob(jobId, {
+      estado: JOB_STATUS.RUNNING,
+      fecha_inicio: new Date(),
+      fecha_fin: null,
+    });
+
+    const pagingError = validatePagingOptions(context.options);
+
+    result = pagingError
+      ? migrationResult(400, pagingError)
+      : await migrate({
+          ...context,
+          dryRunReport,
+          aiUsage,
+          job: createJobHandle(jobId, checkpoint),
+        });
+  } catch (error) {
+    console.error(`✗ Job ${jobId} failed:`, error);
+    result = migrationResult(500, {
+      success: false,
+      error: "MIGRATION_ERROR",
+      message: error.message,
+    });
+  }
+
+  const { cancelRequested: cancelled, pageGaps } = activeJobs.get(jobId);
+  activeJobs.delete(jobId);
+
+  // Páginas de Koibox omitidas (onPageError: 'skip'): sus registros no se migraron
+  if (pageGaps.length > 0) {
+    console.warn(`⚠ Job ${jobId} skipped ${pageGaps.length} pages`);
+    result = migrationResult(result.status === 200 ? 207 : result.status, {
+      ...result.body,
+      success: false,
+      message:
+        result.status === 200
+          ? "Migration completed with skipped pages"
+          : result.body.message,
+      pageGaps,
+      errors: [
+        ...(result.body.errors || []),
+        ...pageGaps.map((gap) => ({ error: "PAGE_SKIPPED", ...gap })),
+      ],
+    });
+  }
+
+  if (dryRunReport) {
+    result = migrationResult(result.status, {
+      ...result.body,
+      dryRun: dryRunReport.toJSON(),
+    });
+  }
+
+  result = migrationResult(result.status, {
+    ...result.body,
+    aiUsage: aiUsage.toJSON(),
+  });
+
+  const { status, body } = result;
+
+  await updateJob(jobId, {
+    estado: cancelled ? JOB_STATUS.CANCELLED : resolveFinalStatus(status),
+    http_status: status,
+    stats: body.stats || null,
+    errores: body.errors || (body.success ? [] : [
+      { error: body.error, message: body.message },
+    ]),
+    resultado: body,
+    fecha_fin: new Date(),
+  });
+
+  console.log(
+    `✓ Job ${jobId} finished with status ${cancelled ? "cancelled" : status}`
+  );
+
+  return result;
+}
+
+/**
+ * Lanza la ejecución de un job en segundo plano
+ * @param {number} jobId - ID del job
+ * @param {Function} migrate - Función de migración
+ * @param {Object} context - Contexto de la migración (sin job)
+ * @param {Object|null} checkpoint - Checkpoint desde el que continuar
+ */
+function runJobInBackground(jobId, migrate, context, checkpoint = null) {
+  setImmediate(() => {
+    runJob(jobId, migrate, context, checkpoint).catch((error) => {
+      console.error(`✗ Failed to persist result of job ${jobId}:`, error);
+    });
+  });
+}
+
+/**
+ * Indica si un job se está ejecutando en este proceso
+ * @param {number} jobId - ID del job
+ * @returns {boolean}
+ */
+function isJobActive(jobId) {
+  return activeJobs.has(jobId);
+}
+
+/**
+ * Solicita la cancelación de un job en ejecución en este proceso
+ * La migración se detiene al terminar la página/lote en curso
+ * @param {number} jobId - ID del job
+ * @returns {boolean} - true si el job estaba en ejecución
+ */
+function cancelJob(jobId) {
+  const activeJob = activeJobs.get(jobId);
+
+  if (!activeJob) {
+    return false;
+  }
+
+  activeJob.cancelRequested = true;
+  console.log(`→ Cancellation requested for job ${jobId}`);
+  return true;
+}
+
+/**
+ * Reanuda un job fallido, cancelado o interrumpido desde su último checkpoint
+ * @param {Object} job - Job formateado (ver getJob)
+ * @param {string} bearerToken - Token de la plataforma origen (no se persiste)
+ * @returns {Object} - { success } o { success: false, error, message }
+ */
+function resumeJob(job, bearerToken) {
+  if (activeJobs.has(job.id)) {
+    return {
+      success: false,
+      error: "JOB_ALREADY_RUNNING",
+      message: `Migration job ${job.id} is already running`,
+    };
+  }
+
+  if (!RESUMABLE_STATUSES.includes(job.status)) {
+    return {
+      success: false,
+      error: "JOB_NOT_RESUMABLE",
+      message: `Migration job ${job.id} is ${job.status}, only ${RESUMABLE_STATUSES.join(", ")} jobs can be resumed`,
+    };
+  }
+
+  const migrate = migrationRegistry.get(`${job.platform}/${job.entity}`);
+
+  if (!migrate) {
+    return {
+      success: false,
+      error: "MIGRATION_NOT_REGISTERED",
+      message: `No migration registered for ${job.platform}/${job.entity}`,
+    };
+  }
+
+  const { clinic, default: defaultValues = {}, ...options } = job.params;
+
+  console.log(
+    `→ Resuming job ${job.id} from checkpoint:`,
+    job.checkpoint || "none (starting from the beginning)"
+  );
+
+  // Marcar como en ejecución antes de responder para evitar reanudaciones dobles
+  activeJobs.set(job.id, { cancelRequested: false });
+
+  runJobInBackground(
+    job.id,
+    migrate,
+    { clinic, defaultValues, options, bearerToken },
+    job.checkpoint
+  );
+
+  return { success: true };
+}
+
+/**
+ * Marca como interrumpidos los jobs que quedaron en ejecución o pendientes
+ * (el proceso terminó sin completarlos). Se llama al iniciar el servidor.
+ * @returns {Promise<number>} - Número de jobs marcados
+ */
+async function markInterruptedJobs() {
+  await ensureTable("migration_jobs", JOBS_TABLE_DDL);
+
+  const result = await query(
+    "UPDATE migration_jobs SET estado = ? WHERE estado IN (?, ?)",
+    [JOB_STATUS.INTERRUPTED, JOB_STATUS.RUNNING, JOB_STATUS.PENDING]
+  );
+
+  return result.affectedRows || 0;
+}
+
+/**
+ * Crea un handler de Express que registra la migración como job,
+ * responde 202 inmediatamente y la ejecuta en segundo plano
+ * @param {string} platform - Plataforma origen (ej: 'koibox')
+ * @param {string} entity - Entidad migrada (ej: 'citas')
+ * @param {Function} migrate - Función de migración
+ * @returns {Function} - Handler de Express
+ */
+function migrationJobHandler(platform, entity, migrate) {
+  migrationRegistry.set(`${platform}/${entity}`, migrate);
+
+  return async (req, res, next) => {
+    try {
+      const { clinic, default: defaultValues = {}, ...options } = req.body;
+
+      const jobId = await createJob({
+        platform,
+        entity,
+        clinic,
+        params: { clinic, default: defaultValues, ...options },
+      });
+
+      console.log(`→ Job ${jobId} created for ${platform}/${entity}`);
+
+      // Ejecutar en segundo plano: la respuesta no espera a la migración
+      runJobInBackground(jobId, migrate, {
+        clinic,
+        defaultValues,
+        options,
+        bearerToken: req.bearerToken,
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: "Migration job accepted",
+        job: {
+          id: jobId,
+          platform,
+          entity,
+          status: JOB_STATUS.PENDING,
+        },
+        statusUrl: `/migrations/jobs/${jobId}`,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  migrationResult,
+  createJob,
+  updateJob,
+  getJob,
+  listJobs,
+  getLastSuccessfulRunDate,
+  runJob,
+  createStepHandle,
+  isJobActive,
+  cancelJob,
+  resumeJob,
+  markInterruptedJobs,
+  migrationJobHandler,
+};
@@ -0,0 +1,561 @@
+const crypto = require("crypto");
+const { query, ensureTable } = require("../config/database");
+const {
+  MATCH_STRATEGY,
+  getApiItemId,
+  getDbItemId,
+  indexDbIds,
+} = require("./deterministic-matcher.service");
+
+// Estados de un mapeo guardado
+const MAPPING_STATUS = {
+  PROPOSED: "proposed",
+  APPROVED: "approved",
+};
+
+// Acciones de revisión manual sobre un elemento de la API
+const MAPPING_ACTION = {
+  MAP: "map",
+  CREATE: "create",
+  IGNORE: "ignore",
+};
+
+// Confianza mínima para usar un par de un mapeo no aprobado (configurable por entorno)
+const DEFAULT_MIN_CONFIDENCE = Number(process.env.MAPPING_MIN_CONFIDENCE || 0.7);
+
+// Estrategias cuyos pares no necesitan revisión (los decidió un operador o se crearon)
+const TRUSTED_STRATEGIES = [MATCH_STRATEGY.MANUAL, MATCH_STRATEGY.CREATED];
+
+// Tabla de la BD de la que sale cada tipo de mapeo y si sus filas son de cada clínica
+const MAPPING_TARGETS = {
+  tax: { table: "tipo_iva", byClinic: false },
+  doctor: { table: "medicos", byClinic: true },
+  treatment: { table: "tratamientos", byClinic: true },
+  space: { table: "espacios", byClinic: true },
+  payment_method: { table: "tipo_pago", byClinic: false },
+  gender: { table: "sexo", byClinic: false },
+  appointment_state: { table: "estado_cita", byClinic: false },
+};
+
+const MAPPINGS_TABLE_DDL = `
+  CREATE TABLE IF NOT EXISTS ai_mappings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    id_clinica INT NOT NULL,
+    id_super_clinica INT NOT NULL,
+    tipo VARCHAR(50) NOT NULL,
+    version INT NOT NULL,
+    hash_origen CHAR(64) NOT NULL,
+    hash_destino CHAR(64) NOT NULL,
+    mapper JSON NOT NULL,
+    missing JSON NOT NULL,
+    estrategias JSON NULL,
+    confianza JSON NULL,
+    estado VARCHAR(20) NOT NULL DEFAULT 'approved',
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_ai_mappings_version (id_clinica, id_super_clinica, tipo, version),
+    INDEX idx_ai_mappings_hashes (id_clinica, id_super_clinica, tipo, hash_origen, hash_destino)
+  )
+`;
+
+/**
+ * Calcula la huella de un conjunto de IDs (independiente del orden)
+ * @param {Array} ids - IDs del conjunto
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+function hashIds(ids) {
+  const normalized = ids.map((id) => String(id)).sort();
+
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(normalized))
+    .digest("hex");
+}
+
+/**
+ * Calcula las huellas de los conjuntos de origen (API) y destino (BD) de un mapeo
+ * En la API el ID es el campo `id` (o `value`); en la BD, la primera columna de la fila
+ * @param {Array} apiResult - Elementos de la API externa
+ * @param {Array} dbResult - Filas de la BD local
+ * @returns {Object} - { sourceHash, targetHash }
+ */
+function computeMappingHashes(apiResult, dbResult) {
+  return {
+    sourceHash: hashIds(apiResult.map(getApiItemId)),
+    targetHash: hashIds(dbResult.map(getDbItemId)),
+  };
+}
+
+/**
+ * Separa los pares con confianza por debajo del umbral para que se revisen manualmente
+ * Los mapeos aprobados se usan completos: ya los validó un operador o superaron el umbral
+ * @param {Object} mapping - { mapper, strategies, confidence, status }
+ * @param {number} minConfidence - Confianza mínima (0-1)
+ * @returns {Object} - Mapeo con mapper sin los pares dudosos y review [{ api_id, db_id, strategy, score, reason }]
+ */
+function applyConfidenceThreshold(mapping, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+  if (mapping.status === MAPPING_STATUS.APPROVED) {
+    return { ...mapping, review: [] };
+  }
+
+  const strategies = mapping.strategies || {};
+  const confidence = mapping.confidence || {};
+  const mapper = {};
+  const review = [];
+
+  for (const [apiId, dbId] of Object.entries(mapping.mapper)) {
+    const score = confidence[apiId] ? confidence[apiId].score : null;
+
+    if (
+      dbId === null ||
+      TRUSTED_STRATEGIES.includes(strategies[apiId]) ||
+      (typeof score === "number" && score >= minConfidence)
+    ) {
+      mapper[apiId] = dbId;
+      continue;
+    }
+
+    review.push({
+      api_id: apiId,
+      db_id: dbId,
+      strategy: strategies[apiId] || null,
+      score,
+      reason: confidence[apiId] ? confidence[apiId].reason : null,
+    });
+  }
+
+  return { ...mapping, mapper, review };
+}
+
+/**
+ * Convierte una fila de ai_mappings en el resultado de mapData
+ * @param {Object} row - Fila de la BD
+ * @returns {Object} - { mapper, missing, strategies, confidence, version, status }
+ */
+function toMappingResult(row) {
+  return {
+    mapper: row.mapper,
+    missing: row.missing,
+    strategies: row.estrategias || {},
+    confidence: row.confianza || {},
+    version: row.version,
+    status: row.estado,
+  };
+}
+
+/**
+ * Convierte una fila de ai_mappings en la versión que se muestra en la API de revisión
+ * Los elementos con valor null en el mapper están marcados como ignorados y
+ * `review` lista los pares que no se usarán hasta revisarlos (confianza baja)
+ * @param {Object} row - Fila de la BD
+ * @returns {Object} - Versión del mapeo
+ */
+function toMappingVersion(row) {
+  const { review } = applyConfidenceThreshold(toMappingResult(row));
+
+  return {
+    id: row.id,
+    type: row.tipo,
+    version: row.version,
+    status: row.estado,
+    mapper: row.mapper,
+    missing: row.missing,
+    ignored: Object.keys(row.mapper).filter((apiId) => row.mapper[apiId] === null),
+    strategies: row.estrategias || {},
+    confidence: row.confianza || {},
+    review,
+    sourceHash: row.hash_origen,
+    targetHash: row.hash_destino,
+    createdAt: row.fecha_creacion,
+  };
+}
+
+/**
+ * Consulta ai_mappings sin crear la tabla (en dry-run no se escribe nada):
+ * si aún no existe, no hay mapeos guardados
+ * @param {string} sql - Consulta
+ * @param {Array} params - Parámetros
+ * @returns {Promise<Array>} - Filas
+ */
+async function queryStoredMappings(sql, params) {
+  try {
+    return await query(sql, params);
+  } catch (error) {
+    if (error.code !== "ER_NO_SUCH_TABLE") {
+      throw error;
+    }
+    return [];
+  }
+}
+
+/**
+ * Busca el mapeo guardado de una clínica cuyo origen y destino no hayan cambiado
+ * Se usa la última versión aprobada y, si no hay ninguna, la propuesta original de la IA
+ * (las correcciones manuales no se usan hasta que se aprueban)
+ * @param {Object} clinic - Clínica (id_clinica, id_super_clinica)
+ * @param {string} entityType - Tipo de entidad (ej: 'tax', 'doctor')
+ * @param {Object} hashes - { sourceHash, targetHash }
+ * @returns {Promise<Object|null>} - { mapper, missing, version, status } o null si hay que recalcularlo
+ */
+async function findStoredMapping(clinic, entityType, hashes) {
+  const rows = await queryStoredMappings(
+    `SELECT * FROM ai_mappings
+     WHERE id_clinica = ? AND id_super_clinica = ? AND tipo = ?
+       AND hash_origen = ? AND hash_destino = ?
+     ORDER BY estado = ? DESC, IF(estado = ?, version, -version) DESC
+     LIMIT 1`,
+    [
+      clinic.id_clinica,
+      clinic.id_super_clinica,
+      entityType,
+      hashes.sourceHash,
+      hashes.targetHash,
+      MAPPING_STATUS.APPROVED,
+      MAPPING_STATUS.APPROVED,
+    ]
+  );
+
+  return rows.length > 0 ? toMappingResult(rows[0]) : null;
+}
+
+/**
+ * Busca la última versión aprobada del mapeo de una clínica, aunque el origen o
+ * el destino hayan cambiado: sus pares (incluidas las correcciones manuales) son
+ * la base del nuevo mapeo y solo se mapean los elementos nuevos
+ * @param {Object} clinic - Clínica (id_clinica, id_super_clinica)
+ * @param {string} entityType - Tipo de entidad (ej: 'tax', 'doctor')
+ * @returns {Promise<Object|null>} - { mapper, missing, strategies, confidence, version, status } o null
+ */
+async function findLatestApprovedMapping(clinic, entityType) {
+  const rows = await queryStoredMappings(
+    `SELECT * FROM ai_mappings
+     WHERE id_clinica = ? AND id_super_clinica = ? AND tipo = ? AND estado = ?
+     ORDER BY version DESC
+     LIMIT 1`,
+    [
+      clinic.id_clinica,
+      clinic.id_super_clinica,
+      entityType,
+      MAPPING_STATUS.APPROVED,
+    ]
+  );
+
+  return rows.length > 0 ? toMappingResult(rows[0]) : null;
+}
+
+/**
+ * Inserta una nueva versión del mapeo de una clínica y tipo de entidad
+ * @param {Object} clinic - Clínica (id_clinica, id_super_clinica)
+ * @param {string} entityType - Tipo de entidad
+ * @param {Object} hashes - { sourceHash, targetHash }
+ * @param {Object} mapping - { mapper, missing, strategies, confidence }
+ * @param {string} status - Estado de la versión (MAPPING_STATUS)
+ * @returns {Promise<Object>} - Fila insertada
+ */
+async function insertMappingVersion(clinic, entityType, hashes, mapping, status) {
+  await ensureTable("ai_mappings", MAPPINGS_TABLE_DDL);
+
+  const result = await query(
+    `INSERT INTO ai_mappings
+     (id_clinica, id_super_clinica, tipo, version, hash_origen, hash_destino,
+      mapper, missing, estrategias, confianza, estado)
+     SELECT ?, ?, ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ?, ?, ?, ?
+     FROM ai_mappings
+     WHERE id_clinica = ? AND id_super_clinica = ? AND tipo = ?`,
+    [
+      clinic.id_clinica,
+      clinic.id_super_clinica,
+      entityType,
+      hashes.sourceHash,
+      hashes.targetHash,
+      JSON.stringify(mapping.mapper),
+      JSON.stringify(mapping.missing),
+      JSON.stringify(mapping.strategies || {}),
+      JSON.stringify(mapping.confidence || {}),
+      status,
+      clinic.id_clinica,
+      clinic.id_super_clinica,
+      entityType,
+    ]
+  );
+
+  const rows = await query("SELECT * FROM ai_mappings WHERE id = ?", [
+    result.insertId,
+  ]);
+
+  return rows[0];
+}
+
+/**
+ * Guarda un mapeo calculado como nueva versión para la clínica y el tipo de entidad
+ * Si otra ejecución guardó la misma versión a la vez, se devuelve el mapeo sin versión
+ * @param {Object} clinic - Clínica (id_clinica, id_super_clinica)
+ * @param {string} entityType - Tipo de entidad (ej: 'tax', 'doctor')
+ * @param {Object} hashes - { sourceHash, targetHash }
+ * @param {Object} mapping - Resultado del mapeo { mapper, missing, strategies, confidence }
+ * @param {string} status - approved si se puede usar sin revisión, proposed si no
+ * @returns {Promise<Object>} - { mapper, missing, strategies, confidence, version, status }
+ */
+async function saveMapping(clinic, entityType, hashes, mapping, status) {
+  try {
+    const row = await insertMappingVersion(
+      clinic,
+      entityType,
+      hashes,
+      mapping,
+      status
+    );
+    return toMappingResult(row);
+  } catch (error) {
+    if (error.code !== "ER_DUP_ENTRY") {
+      throw error;
+    }
+    return { ...mapping, version: null, status };
+  }
+}
+
+/**
+ * Obtiene una versión del mapeo de una clínica para revisarla
+ * @param {Object} clinic - Clínica (id_clinica, id_super_clinica)
+ * @param {string} entityType - Tipo de entidad
+ * @param {number|null} version - Versión concreta o null para la última
+ * @returns {Promise<Object|null>} - Versión del mapeo y última versión aprobada, o null si no existe
+ */
+async function getMapping(clinic, entityType, version = null) {
+  await ensureTable("ai_mappings", MAPPINGS_TABLE_DDL);
+
+  const rows = await query(
+    `SELECT * FROM ai_mappings
+     WHERE id_clinica = ? AND id_super_clinica = ? AND tipo = ?
+       ${version ? "AND version = ?" : ""}
+     ORDER BY version DESC
+     LIMIT 1`,
+    version
+      ? [clinic.id_clinica, clinic.id_super_clinica, entityType, version]
+      : [clinic.id_clinica, clinic.id_super_clinica, entityType]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const approved = await query(
+    `SELECT MAX(version) AS version FROM ai_mappings
+     WHERE id_clinica = ? AND id_super_clinica = ? AND tipo = ? AND estado = ?`,
+    [
+      clinic.id_clinica,
+      clinic.id_super_clinica,
+      entityType,
+      MAPPING_STATUS.APPROVED,
+    ]
+  );
+
+  return {
+    ...toMappingVersion(rows[0]),
+    approvedVersion: approved[0].version,
+  };
+}
+
+/**
+ * Obtiene las filas de la BD a las que puede apuntar un tipo de mapeo en la clínica
+ * @param {Object} clinic - Clínica (id_clinica, id_super_clinica)
+ * @param {string} entityType - Tipo de entidad
+ * @returns {Promise<Array|null>} - Filas de la BD o null si el tipo no tiene tabla conocida
+ */
+async function queryMappingTargets(clinic, entityType) {
+  const target = MAPPING_TARGETS[entityType];
+
+  if (!target) {
+    return null;
+  }
+
+  return target.byClinic
+    ? query(
+        `SELECT * FROM ${target.table} WHERE id_clinica = ? AND id_super_clinica = ?`,
+        [clinic.id_clinica, clinic.id_super_clinica]
+      )
+    : query(`SELECT * FROM ${target.table}`);
+}
+
+/**
+ * Aplica cambios manuales a los elementos de un mapeo
+ * - map: asigna el ID de la BD (id_destino) al elemento de la API
+ * - create: el elemento se creará como nuevo (queda en missing con api_id y, si se indican, sus values)
+ * - ignore: el elemento no se mapea (queda con null en el mapper)
+ * Los pares cambiados quedan con la estrategia 'manual' y confianza 1
+ * @param {Object} mapping - { mapper, missing, strategies, confidence }
+ * @param {Array} items - Cambios [{ apiId, action, id_destino, values }]
+ * @param {Map} dbIds - IDs de las filas de la BD del tipo (ver indexDbIds)
+ * @returns {Object} - { success, mapper, missing, strategies, confidence } o error
+ */
+function applyMappingChanges(mapping, items, dbIds) {
+  const mapper = { ...mapping.mapper };
+  const strategies = { ...mapping.strategies };
+  const confidence = { ...mapping.confidence };
+  let missing = [...mapping.missing];
+
+  for (const item of items) {
+    const apiId =
+      item.apiId === undefined || item.apiId === null ? "" : String(item.apiId);
+    const action = item.action || MAPPING_ACTION.MAP;
+
+    if (!apiId) {
+      return {
+        success: false,
+        error: "INVALID_MAPPING_ITEM",
+        message: "Every item requires an apiId",
+      };
+    }
+
+    if (!Object.values(MAPPING_ACTION).includes(action)) {
+      return {
+        success: false,
+        error: "INVALID_MAPPING_ACTION",
+        message: `Invalid action '${action}' for item ${apiId}, expected one of: ${Object.values(MAPPING_ACTION).join(", ")}`,
+      };
+    }
+
+    const previousMissing = missing.find(
+      (entry) => String(entry.api_id) === apiId
+    );
+    missing = missing.filter((entry) => String(entry.api_id) !== apiId);
+
+    if (action === MAPPING_ACTION.MAP) {
+      if (!Number.isInteger(item.id_destino)) {
+        return {
+          success: false,
+          error: "INVALID_MAPPING_ITEM",
+          message: `Item ${apiId} requires a numeric id_destino`,
+        };
+      }
+      if (
+        !dbIds.has(String(item.id_destino)) ||
+        typeof dbIds.get(String(item.id_destino)) !== typeof item.id_destino
+      ) {
+        return {
+          success: false,
+          error: "UNKNOWN_DB_ID",
+          message: `Item ${apiId} is mapped to ${item.id_destino}, which does not exist in the DB data`,
+        };
+      }
+      mapper[apiId] = item.id_destino;
+      strategies[apiId] = MATCH_STRATEGY.MANUAL;
+      confidence[apiId] = { score: 1, reason: "Revisado manualmente" };
+    } else if (action === MAPPING_ACTION.IGNORE) {
+      mapper[apiId] = null;
+      strategies[apiId] = MATCH_STRATEGY.MANUAL;
+      confidence[apiId] = { score: 1, reason: "Ignorado manualmente" };
+    } else {
+      delete mapper[apiId];
+      delete strategies[apiId];
+      delete confidence[apiId];
+      missing.push(
+        item.values
+          ? { api_id: apiId, values: item.values }
+          : previousMissing || { api_id: apiId }
+      );
+    }
+  }
+
+  return { success: true, mapper, missing, strategies, confidence };
+}
+
+/**
+ * Crea una nueva versión (propuesta) del mapeo a partir de la última, con cambios manuales
+ * @param {Object} clinic - Clínica (id_clinica, id_super_clinica)
+ * @param {string} entityType - Tipo de entidad
+ * @param {Array} items - Cambios [{ apiId, action, id_destino, values }]
+ * @returns {Promise<Object>} - { success, mapping } o error
+ */
+async function reviseMapping(clinic, entityType, items) {
+  const latest = await getMapping(clinic, entityType);
+
+  if (!latest) {
+    return {
+      success: false,
+      error: "MAPPING_NOT_FOUND",
+      message: `No ${entityType} mapping stored for this clinic, run a migration first`,
+    };
+  }
+
+  const dbResult = await queryMappingTargets(clinic, entityType);
+
+  if (!dbResult) {
+    return {
+      success: false,
+      error: "UNKNOWN_MAPPING_TYPE",
+      message: `Unknown mapping type '${entityType}', expected one of: ${Object.keys(MAPPING_TARGETS).join(", ")}`,
+    };
+  }
+
+  const changes = applyMappingChanges(latest, items, indexDbIds(dbResult));
+
+  if (!changes.success) {
+    return changes;
+  }
+
+  const row = await insertMappingVersion(
+    clinic,
+    entityType,
+    { sourceHash: latest.sourceHash, targetHash: latest.targetHash },
+    changes,
+    MAPPING_STATUS.PROPOSED
+  );
+
+  return {
+    success: true,
+    mapping: await getMapping(clinic, entityType, row.version),
+  };
+}
+
+/**
+ * Aprueba una versión del mapeo para que la usen las siguientes migraciones
+ * @param {Object} clinic - Clínica (id_clinica, id_super_clinica)
+ * @param {string} entityType - Tipo de entidad
+ * @param {number|null} version - Versión a aprobar o null para la última
+ * @returns {Promise<Object>} - { success, mapping } o error
+ */
+async function approveMapping(clinic, entityType, version = null) {
+  const mapping = await getMapping(clinic, entityType, version);
+
+  if (!mapping) {
+    return {
+      success: false,
+      error: "MAPPING_NOT_FOUND",
+      message: version
+        ? `Version ${version} of the ${entityType} mapping not found for this clinic`
+        : `No ${entityType} mapping stored for this clinic, run a migration first`,
+    };
+  }
+
+  if (mapping.status !== MAPPING_STATUS.APPROVED && mapping.review.length > 0) {
+    return {
+      success: false,
+      error: "MAPPING_REVIEW_PENDING",
+      message: `Version ${mapping.version} has ${mapping.review.length} low-confidence pairs, confirm or correct them before approving`,
+      review: mapping.review,
+    };
+  }
+
+  await query("UPDATE ai_mappings SET estado = ? WHERE id = ?", [
+    MAPPING_STATUS.APPROVED,
+    mapping.id,
+  ]);
+
+  return {
+    success: true,
+    mapping: await getMapping(clinic, entityType, mapping.version),
+  };
+}
+
+module.exports = {
+  MAPPING_STATUS,
+  MAPPING_ACTION,
+  applyConfidenceThreshold,
+  computeMappingHashes,
+  findStoredMapping,
+  findLatestApprovedMapping,
+  saveMapping,
+  getMapping,
+  reviseMapping,
+  approveMapping,
+};
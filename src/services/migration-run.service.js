@@ -0,0 +1,282 @@
+const {
+  query,
+  transaction,
+  ensureTable,
+  getPrimaryKey,
+} = require("../config/database");
+
+// Acciones registradas por ejecución
+const CHANGE_ACTION = {
+  INSERT: "insert",
+  UPDATE: "update",
+};
+
+// Columnas que identifican la clínica de una fila migrada
+const CLINIC_SCOPE_COLUMNS = ["id_clinica", "id_super_clinica"];
+
+// Tamaño máximo de cada DELETE durante el rollback
+const ROLLBACK_CHUNK_SIZE = 500;
+
+const RUN_CHANGES_TABLE_DDL = `
+  CREATE TABLE IF NOT EXISTS migration_run_changes (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    id_run INT NOT NULL,
+    tabla VARCHAR(64) NOT NULL,
+    columna_id VARCHAR(64) NOT NULL,
+    id_registro BIGINT NOT NULL,
+    accion VARCHAR(10) NOT NULL,
+    valores_anteriores JSON NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_migration_run_changes_run (id_run)
+  )
+`;
+
+/**
+ * Guarda los cambios de una ejecución en la tabla de seguimiento
+ * @param {Object} connection - Conexión de la transacción que hizo los cambios
+ * @param {Array} changes - Filas [id_run, tabla, columna_id, id_registro, accion, valores_anteriores]
+ */
+async function saveChanges(connection, changes) {
+  if (changes.length === 0) {
+    return;
+  }
+
+  await ensureTable("migration_run_changes", RUN_CHANGES_TABLE_DDL);
+
+  const placeholders = changes.map(() => "(?, ?, ?, ?, ?, ?)").join(", ");
+
+  await connection.execute(
+    `INSERT INTO migration_run_changes
+     (id_run, tabla, columna_id, id_registro, accion, valores_anteriores)
+     VALUES ${placeholders}`,
+    changes.flat()
+  );
+}
+
+/**
+ * Registra las filas insertadas por un INSERT (de una o varias filas) en una ejecución
+ * Debe llamarse con la misma conexión/transacción que hizo el INSERT
+ * @param {Object} connection - Conexión de la transacción
+ * @param {number} runId - ID de la ejecución (job)
+ * @param {string} tableName - Tabla donde se insertó
+ * @param {Array} records - Registros insertados
+ * @param {Object} insertResult - Resultado del INSERT (insertId, affectedRows)
+ */
+async function trackInsertedRows(connection, runId, tableName, records, insertResult) {
+  const primaryKey = await getPrimaryKey(tableName);
+  const { insertId, affectedRows } = insertResult;
+
+  // Columnas de clínica de los registros: acotan la búsqueda por old_id a las
+  // filas de esta clínica (otra clínica puede insertar a la vez los mismos old_id)
+  const scopeColumns = CLINIC_SCOPE_COLUMNS.filter((column) =>
+    records.every((record) => record[column] !== null && record[column] !== undefined)
+  );
+
+  let ids;
+
+  if (
+    records.length === 1 ||
+    scopeColumns.length < CLINIC_SCOPE_COLUMNS.length ||
+    records.some((record) => record.old_id === null || record.old_id === undefined)
+  ) {
+    // INSERT de una fila, sin old_id o sin columnas de clínica: ids consecutivos desde insertId
+    ids = Array.from({ length: affectedRows }, (_, index) => insertId + index);
+  } else {
+    // En un INSERT multi-fila los ids pueden no ser consecutivos si hay
+    // inserciones concurrentes: se recuperan por old_id y clínica desde el primer id generado
+    const oldIds = [...new Set(records.map((record) => record.old_id))];
+    const placeholders = oldIds.map(() => "?").join(",");
+    const scopeValues = scopeColumns.map((column) => [
+      ...new Set(records.map((record) => record[column])),
+    ]);
+    const scopeSql = scopeColumns
+      .map(
+        (column, index) =>
+          ` AND ${column} IN (${scopeValues[index].map(() => "?").join(",")})`
+      )
+      .join("");
+
+    const [rows] = await connection.execute(
+      `SELECT ${primaryKey} AS id FROM ${tableName}
+       WHERE ${primaryKey} >= ? AND old_id IN (${placeholders})${scopeSql}`,
+      [insertId, ...oldIds, ...scopeValues.flat()]
+    );
+
+    ids = rows.map((row) => row.id);
+  }
+
+  await saveChanges(
+    connection,
+    ids.map((id) => [runId, tableName, primaryKey, id, CHANGE_ACTION.INSERT, null])
+  );
+}
+
+/**
+ * Inserta una fila con SQL propio y la registra en la ejecución
+ * @param {Object} connection - Conexión de la transacción
+ * @param {number|null} runId - ID de la ejecución (job), null para no registrar
+ * @param {string} tableName - Tabla donde se inserta
+ * @param {string} sql - Sentencia INSERT de una fila
+ * @param {Array} values - Parámetros de la sentencia
+ * @returns {Promise<number>} - ID de la fila insertada
+ */
+async function insertTrackedRow(connection, runId, tableName, sql, values) {
+  const [result] = await connection.execute(sql, values);
+
+  if (runId) {
+    const primaryKey = await getPrimaryKey(tableName);
+    await saveChanges(connection, [
+      [runId, tableName, primaryKey, result.insertId, CHANGE_ACTION.INSERT, null],
+    ]);
+  }
+
+  return result.insertId;
+}
+
+/**
+ * Guarda los valores actuales de las filas que se van a actualizar
+ * para poder restaurarlos en un rollback. Bloquea las filas hasta el fin de la transacción.
+ * @param {Object} connection - Conexión de la transacción que hará el UPDATE
+ * @param {number} runId - ID de la ejecución (job)
+ * @param {string} tableName - Tabla a actualizar
+ * @param {Array<string>} columns - Columnas que cambiará el UPDATE
+ * @param {string} whereSql - Condición del UPDATE
+ * @param {Array} whereParams - Parámetros de la condición
+ */
+async function trackUpdatedRows(connection, runId, tableName, columns, whereSql, whereParams) {
+  const primaryKey = await getPrimaryKey(tableName);
+
+  const [rows] = await connection.execute(
+    `SELECT ${primaryKey} AS id, ${columns.join(", ")} FROM ${tableName}
+     WHERE ${whereSql}
+     FOR UPDATE`,
+    whereParams
+  );
+
+  await saveChanges(
+    connection,
+    rows.map(({ id, ...previousValues }) => [
+      runId,
+      tableName,
+      primaryKey,
+      id,
+      CHANGE_ACTION.UPDATE,
+      JSON.stringify(previousValues),
+    ])
+  );
+}
+
+/**
+ * Agrupa los cambios consecutivos de la misma tabla y acción
+ * @param {Array} changes - Cambios en orden de rollback
+ * @returns {Array} - Grupos { tabla, columna_id, accion, changes }
+ */
+function groupConsecutiveChanges(changes) {
+  const groups = [];
+
+  changes.forEach((change) => {
+    const last = groups[groups.length - 1];
+
+    if (
+      last &&
+      last.tabla === change.tabla &&
+      last.accion === change.accion &&
+      last.changes.length < ROLLBACK_CHUNK_SIZE
+    ) {
+      last.changes.push(change);
+    } else {
+      groups.push({
+        tabla: change.tabla,
+        columna_id: change.columna_id,
+        accion: change.accion,
+        changes: [change],
+      });
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Deshace todos los cambios de una ejecución en una única transacción
+ * Recorre los cambios en orden inverso al que se hicieron: cada fila solo puede
+ * referenciar filas anteriores, así que se respeta el orden inverso de dependencias
+ * (detalles antes que recibos, citas secundarias antes que primarias, etc.)
+ * y las actualizaciones se revierten antes de borrar las filas a las que apuntan.
+ * @param {number} runId - ID de la ejecución (job)
+ * @returns {Promise<Object>} - Filas borradas y restauradas por tabla
+ */
+async function rollbackRun(runId) {
+  await ensureTable("migration_run_changes", RUN_CHANGES_TABLE_DDL);
+
+  const changes = await query(
+    `SELECT id, tabla, columna_id, id_registro, accion, valores_anteriores
+     FROM migration_run_changes
+     WHERE id_run = ?
+     ORDER BY id DESC`,
+    [runId]
+  );
+
+  const stats = {
+    totalChanges: changes.length,
+    deleted: {},
+    restored: {},
+  };
+
+  if (changes.length === 0) {
+    return stats;
+  }
+
+  await transaction(async (connection) => {
+    for (const group of groupConsecutiveChanges(changes)) {
+      const { tabla, columna_id, accion } = group;
+
+      if (accion === CHANGE_ACTION.UPDATE) {
+        for (const change of group.changes) {
+          const previousValues =
+            typeof change.valores_anteriores === "string"
+              ? JSON.parse(change.valores_anteriores)
+              : change.valores_anteriores;
+          const columns = Object.keys(previousValues);
+
+          await connection.execute(
+            `UPDATE ${tabla}
+             SET ${columns.map((column) => `${column} = ?`).join(", ")}
+             WHERE ${columna_id} = ?`,
+            [...columns.map((column) => previousValues[column]), change.id_registro]
+          );
+        }
+
+        stats.restored[tabla] = (stats.restored[tabla] || 0) + group.changes.length;
+        continue;
+      }
+
+      // Dentro del grupo: de mayor a menor id (ej: citas secundarias antes que su primaria)
+      const ids = group.changes.map((change) => change.id_registro);
+      const placeholders = ids.map(() => "?").join(",");
+
+      const [result] = await connection.execute(
+        `DELETE FROM ${tabla}
+         WHERE ${columna_id} IN (${placeholders})
+         ORDER BY ${columna_id} DESC`,
+        ids
+      );
+
+      stats.deleted[tabla] = (stats.deleted[tabla] || 0) + result.affectedRows;
+    }
+
+    await connection.execute(
+      "DELETE FROM migration_run_changes WHERE id_run = ?",
+      [runId]
+    );
+  });
+
+  return stats;
+}
+
+module.exports = {
+  trackInsertedRows,
+  insertTrackedRow,
+  trackUpdatedRows,
+  rollbackRun,
+};
@@ -0,0 +1,428 @@
+const { query, transaction } = require("../config/database");
+const { insertTrackedRow } = require("./migration-run.service");
+const {
+  MAPPING_STATUS,
+  computeMappingHashes,
+  saveMapping,
+} = require("./mapping-store.service");
+const {
+  MATCH_STRATEGY,
+  getApiItemId,
+} = require("./deterministic-matcher.service");
+
+// Tipos de mapeo cuyos faltantes se pueden crear y su tabla destino
+const CREATABLE_ENTITIES = {
+  tax: "tipo_iva",
+  doctor: "medicos",
+  treatment: "tratamientos",
+  space: "espacios",
+};
+
+// Tipos de columna numéricos (information_schema.COLUMNS.DATA_TYPE)
+const NUMERIC_TYPES = [
+  "tinyint",
+  "smallint",
+  "mediumint",
+  "int",
+  "bigint",
+  "decimal",
+  "float",
+  "double",
+];
+
+// Columnas que se toman siempre de la clínica de la migración
+const CLINIC_COLUMNS = ["id_clinica", "id_super_clinica"];
+
+// Campos del elemento de la API de los que sale cada columna si no hay uno con su mismo nombre
+const COLUMN_SOURCES = {
+  nombre: ["name", "text", "titulo", "label", "descripcion"],
+  descripcion: ["description", "nombre", "name", "text"],
+  apellidos: ["apellido", "last_name", "surname"],
+  email: ["mail", "correo"],
+  telefono: ["movil", "phone", "tlf"],
+  nif: ["dni", "nie", "cif"],
+  precio: ["pvp", "price"],
+  duracion: ["duration", "tiempo"],
+};
+
+/**
+ * Porcentaje de IVA de un impuesto de la API (ej: {"value": 1, "text": 21.0} → 21)
+ * @param {Object} item - Impuesto de la API
+ * @returns {number|null}
+ */
+function getTaxPercentage(item) {
+  const percentage = Number(item.porcentaje ?? item.valor ?? item.text);
+  return Number.isNaN(percentage) ? null : percentage;
+}
+
+// Columnas que se calculan a partir del elemento de la API según el tipo de entidad
+const COLUMN_BUILDERS = {
+  tax: {
+    // tipo_iva guarda el valor como fracción (0.21) salvo que sus filas usen porcentajes
+    valor: (item, { dbResult }) => {
+      const percentage = getTaxPercentage(item);
+      const usesPercentages = dbResult.some((row) => Number(row.valor) > 1);
+
+      if (percentage === null) {
+        return undefined;
+      }
+
+      return usesPercentages
+        ? percentage
+        : Number((percentage / 100).toFixed(4));
+    },
+    descripcion: (item) => {
+      const percentage = getTaxPercentage(item);
+      return percentage === null ? undefined : `IVA ${percentage}%`;
+    },
+  },
+  treatment: {
+    id_tipo_iva: (item, { relatedMappers }) => {
+      const taxId = item.impuesto ?? item.iva;
+      const taxMapper = relatedMappers.taxMapper || {};
+
+      if (taxId === null || taxId === undefined) {
+        return undefined;
+      }
+
+      return taxMapper[String(taxId)] ?? undefined;
+    },
+  },
+};
+
+/**
+ * Resuelve la política `createMissing` de las opciones de la migración
+ * - true: se crean los faltantes de todos los tipos soportados
+ * - ['tax', 'doctor', ...]: solo los de esos tipos
+ * - false / ausente (default): los faltantes detienen la migración
+ * @param {Object} context - Contexto de la migración (options)
+ * @returns {Object} - { success, entities } o error
+ */
+function resolveCreateMissingPolicy(context) {
+  const { createMissing = false } = context.options || {};
+  const supported = Object.keys(CREATABLE_ENTITIES);
+
+  if (createMissing === true) {
+    return { success: true, entities: supported };
+  }
+
+  if (!createMissing) {
+    return { success: true, entities: [] };
+  }
+
+  const invalid = Array.isArray(createMissing)
+    ? createMissing.filter((entityType) => !supported.includes(entityType))
+    : [createMissing];
+
+  if (invalid.length > 0) {
+    return {
+      success: false,
+      error: "INVALID_CREATE_MISSING",
+      message: `createMissing must be true or an array of: ${supported.join(", ")}`,
+      invalid,
+    };
+  }
+
+  return { success: true, entities: createMissing };
+}
+
+/**
+ * Obtiene las columnas de una tabla de la BD
+ * @param {string} tableName - Nombre de la tabla
+ * @returns {Promise<Array>} - Columnas de information_schema.COLUMNS
+ */
+async function getTableColumns(tableName) {
+  return query(
+    `SELECT COLUMN_NAME, IS_NULLABLE, COLUMN_DEFAULT, COLUMN_KEY, EXTRA,
+            DATA_TYPE, CHARACTER_MAXIMUM_LENGTH
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [tableName]
+  );
+}
+
+/**
+ * Valores de las columnas de la tabla que salen del elemento original de la API:
+ * las calculadas para el tipo de entidad, las de campos con su mismo nombre y las de COLUMN_SOURCES
+ * Los campos anidados (objetos o arrays) no se usan
+ * @param {string} entityType - Tipo de mapeo (ej: 'tax', 'doctor')
+ * @param {Object} apiItem - Elemento original de la API
+ * @param {Array} columns - Columnas de la tabla
+ * @param {Object} sources - { dbResult, relatedMappers }
+ * @returns {Object} - Valores por columna
+ */
+function getApiItemValues(entityType, apiItem, columns, sources) {
+  const builders = COLUMN_BUILDERS[entityType] || {};
+  const values = {};
+
+  columns
+    .map((column) => column.COLUMN_NAME)
+    .filter((name) => !CLINIC_COLUMNS.includes(name) && name !== "old_id")
+    .forEach((name) => {
+      if (builders[name]) {
+        const value = builders[name](apiItem, sources);
+
+        if (value !== undefined) {
+          values[name] = value;
+        }
+        return;
+      }
+
+      const field = [name, ...(COLUMN_SOURCES[name] || [])].find(
+        (candidate) =>
+          apiItem[candidate] !== undefined &&
+          apiItem[candidate] !== null &&
+          typeof apiItem[candidate] !== "object"
+      );
+
+      if (field) {
+        values[name] = apiItem[field];
+      }
+    });
+
+  return values;
+}
+
+/**
+ * Construye la fila a insertar de un elemento "missing" a partir de su elemento original de la API
+ * y la valida contra el esquema de la tabla. De la IA solo se usa la decisión (el api_id):
+ * sus valores salen de datos minimizados (emails y NIFs con huella, teléfonos enmascarados)
+ * Los `values` de una revisión manual se aplican encima. Descarta las columnas autoincrementales
+ * y fuerza id_clinica / id_super_clinica de la clínica
+ * @param {string} entityType - Tipo de mapeo (ej: 'tax', 'doctor')
+ * @param {Object} item - Elemento "missing" (con api_id y, si se revisó, values)
+ * @param {Object|undefined} apiItem - Elemento original de la API con ese api_id
+ * @param {Array} columns - Columnas de la tabla
+ * @param {Object} clinic - Clínica de la migración
+ * @param {Object} sources - { dbResult, relatedMappers }
+ * @returns {Object} - { row, errors }
+ */
+function buildEntityRow(entityType, item, apiItem, columns, clinic, sources) {
+  const apiId = item.api_id;
+  const manualValues =
+    item.values && typeof item.values === "object" ? item.values : {};
+  const errors = [];
+  const row = {};
+
+  if (apiId === undefined || apiId === null || apiId === "") {
+    errors.push("missing api_id, the API element it comes from is unknown");
+  } else if (!apiItem) {
+    errors.push(`api_id '${apiId}' is not in the API data`);
+  }
+
+  const columnsByName = new Map(
+    columns.map((column) => [column.COLUMN_NAME, column])
+  );
+
+  const values = {
+    ...(apiItem ? getApiItemValues(entityType, apiItem, columns, sources) : {}),
+    ...manualValues,
+  };
+
+  for (const [name, value] of Object.entries(values)) {
+    const column = columnsByName.get(name);
+
+    if (!column) {
+      errors.push(`unknown column '${name}'`);
+      continue;
+    }
+
+    if (column.EXTRA.includes("auto_increment")) {
+      continue;
+    }
+
+    if (value === null || value === undefined) {
+      row[name] = null;
+      continue;
+    }
+
+    if (NUMERIC_TYPES.includes(column.DATA_TYPE) && Number.isNaN(Number(value))) {
+      errors.push(`column '${name}' expects a number, got '${value}'`);
+      continue;
+    }
+
+    if (
+      column.CHARACTER_MAXIMUM_LENGTH &&
+      String(value).length > column.CHARACTER_MAXIMUM_LENGTH
+    ) {
+      errors.push(
+        `column '${name}' exceeds ${column.CHARACTER_MAXIMUM_LENGTH} characters`
+      );
+      continue;
+    }
+
+    row[name] = value;
+  }
+
+  CLINIC_COLUMNS.filter((name) => columnsByName.has(name)).forEach((name) => {
+    row[name] = clinic[name];
+  });
+
+  if (columnsByName.has("old_id") && row.old_id == null && apiId != null) {
+    row.old_id = apiId;
+  }
+
+  columns
+    .filter(
+      (column) =>
+        column.IS_NULLABLE === "NO" &&
+        column.COLUMN_DEFAULT === null &&
+        !column.EXTRA.includes("auto_increment") &&
+        !column.EXTRA.includes("GENERATED")
+    )
+    .forEach((column) => {
+      if (row[column.COLUMN_NAME] === null || row[column.COLUMN_NAME] === undefined) {
+        errors.push(`required column '${column.COLUMN_NAME}' is missing`);
+      }
+    });
+
+  return { row, errors };
+}
+
+/**
+ * Crea en la BD los elementos "missing" de un mapeo si la política createMissing lo permite
+ * y añade los nuevos IDs al mapper para que la migración continúe
+ * En dry-run las filas se registran en el reporte con IDs simulados
+ * @param {Object} context - Contexto de la migración (clinic, job, dryRunReport)
+ * @param {Object} policy - Política resuelta por resolveCreateMissingPolicy
+ * @param {string} entityType - Tipo de mapeo (ej: 'tax', 'doctor')
+ * @param {Object} mapping - Resultado de mapData { mapper, missing }
+ * @param {Array} apiResult - Elementos de la API usados en el mapeo (de ellos salen las filas)
+ * @param {Array} dbResult - Filas de la BD usadas en el mapeo
+ * @param {Object} relatedMappers - Mappers de otras entidades que referencian las filas (ej: { taxMapper })
+ * @returns {Promise<Object>} - { success, mapping, created } o error
+ */
+async function createMissingEntities(
+  context,
+  policy,
+  entityType,
+  mapping,
+  apiResult,
+  dbResult,
+  relatedMappers = {}
+) {
+  if (
+    !mapping.missing ||
+    mapping.missing.length === 0 ||
+    !policy.entities.includes(entityType)
+  ) {
+    return { success: true, mapping, created: 0 };
+  }
+
+  const { clinic, job, dryRunReport } = context;
+  const tableName = CREATABLE_ENTITIES[entityType];
+  const columns = await getTableColumns(tableName);
+
+  console.log(
+    `→ Creating ${mapping.missing.length} missing ${entityType} entities in ${tableName}...`
+  );
+
+  const apiItems = new Map(
+    apiResult.map((apiItem) => [String(getApiItemId(apiItem)), apiItem])
+  );
+
+  const entities = mapping.missing.map((item) => {
+    const apiId = item.api_id === undefined ? null : String(item.api_id);
+
+    const row = buildEntityRow(
+      entityType,
+      item,
+      apiItems.get(apiId),
+      columns,
+      clinic,
+      { dbResult, relatedMappers }
+    );
+
+    return { apiId, ...row };
+  });
+
+  const invalid = entities.filter((entity) => entity.errors.length > 0);
+
+  if (invalid.length > 0) {
+    console.error(
+      `✗ ${invalid.length} missing ${entityType} entities are not valid for ${tableName}`
+    );
+
+    return {
+      success: false,
+      error: "INVALID_MISSING_ENTITIES",
+      message: `Some missing ${entityType} entities do not match the ${tableName} schema`,
+      invalid: invalid.map((entity) => ({
+        api_id: entity.apiId,
+        values: entity.row,
+        errors: entity.errors,
+      })),
+    };
+  }
+
+  let ids;
+
+  if (dryRunReport) {
+    ids = await dryRunReport.addRecords(
+      tableName,
+      entities.map((entity) => entity.row)
+    );
+  } else {
+    ids = await transaction(async (connection) => {
+      const insertedIds = [];
+
+      for (const { row } of entities) {
+        const fields = Object.keys(row);
+        insertedIds.push(
+          await insertTrackedRow(
+            connection,
+            job ? job.id : null,
+            tableName,
+            `INSERT INTO ${tableName} (${fields.join(", ")})
+             VALUES (${fields.map(() => "?").join(", ")})`,
+            fields.map((field) => row[field])
+          )
+        );
+      }
+
+      return insertedIds;
+    });
+  }
+
+  const mapper = { ...mapping.mapper };
+  const strategies = { ...mapping.strategies };
+  const confidence = { ...mapping.confidence };
+
+  entities.forEach((entity, index) => {
+    if (ids[index] !== null && ids[index] !== undefined) {
+      mapper[entity.apiId] = ids[index];
+      strategies[entity.apiId] = MATCH_STRATEGY.CREATED;
+      confidence[entity.apiId] = { score: 1, reason: "Creado desde missing" };
+    }
+  });
+
+  let resolved = { mapper, missing: [], strategies, confidence, review: [] };
+
+  // Guardar el mapeo completo para que la siguiente ejecución no vuelva a pedirlo a la IA
+  if (!dryRunReport) {
+    const hashes = computeMappingHashes(apiResult, [
+      ...dbResult,
+      ...ids.map((id) => ({ id })),
+    ]);
+    resolved = {
+      ...(await saveMapping(
+        clinic,
+        entityType,
+        hashes,
+        resolved,
+        MAPPING_STATUS.APPROVED
+      )),
+      review: [],
+    };
+  }
+
+  console.log(`✓ Created ${entities.length} missing ${entityType} entities`);
+
+  return { success: true, mapping: resolved, created: entities.length };
+}
+
+module.exports = {
+  CREATABLE_ENTITIES,
+  resolveCreateMissingPolicy,
+  createMissingEntities,
+};
@@ -0,0 +1,207 @@
+const { query, findMissingTables } = require("../config/database");
+const { MOVEMENT_TYPE, MOVEMENTS_TABLE } = require("./sale-movements.service");
+
+// Tabla de destino de los saldos (una fila por cliente de Koibox)
+const BALANCES_TABLE = "saldos_paciente";
+
+// Columnas que se actualizan en saldos ya migrados
+const BALANCE_UPDATE_COLUMNS = [
+  "id_paciente",
+  "deuda_pendiente",
+  "saldo_a_cuenta",
+  "deuda_calculada",
+  "fecha_saldo",
+];
+
+// Diferencia (en la moneda de la clínica) a partir de la cual un saldo no cuadra
+const RECONCILIATION_TOLERANCE = 0.01;
+
+// Pacientes descuadrados que se incluyen en el informe de conciliación
+const MAX_RECONCILIATION_MISMATCHES = 100;
+
+/**
+ * Comprueba que la tabla de saldos existe en la BD de destino
+ * @returns {Promise<Object|null>} - Error o null si existe
+ */
+async function checkBalancesTable() {
+  const missing = await findMissingTables([BALANCES_TABLE]);
+
+  if (missing.length > 0) {
+    return {
+      success: false,
+      error: "MISSING_TARGET_TABLES",
+      message: `Table ${BALANCES_TABLE} does not exist in the target database, create it before migrating saldos`,
+      tables: missing,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Redondea un importe a céntimos
+ * @param {number} value - Importe
+ * @returns {number}
+ */
+function roundAmount(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+/**
+ * Deuda pendiente y saldo a cuenta de un cliente de Koibox
+ * @param {Object} client - Cliente de /clientes/clientes/
+ * @returns {Object} - { deuda, saldoACuenta }
+ */
+function getKoiboxBalance(client) {
+  return {
+    deuda: roundAmount(client.deuda ?? client.pendiente ?? 0),
+    saldoACuenta: roundAmount(client.saldo_a_cuenta ?? client.anticipo ?? 0),
+  };
+}
+
+/**
+ * Calcula la deuda de los pacientes con lo ya migrado a ClinicSay:
+ * lo facturado (recibos más sus rectificativas) menos lo cobrado (pagos y devoluciones)
+ * Los recibos de las ventas rectificativas no suman como facturado: su importe ya
+ * está en el movimiento `rectificativa` del recibo original
+ * @param {Object} clinic - Clínica de la migración
+ * @param {Array<number>} patientIds - IDs de pacientes
+ * @returns {Promise<Map>} - id_paciente -> deuda calculada
+ */
+async function getComputedDebts(clinic, patientIds) {
+  const debts = new Map(patientIds.map((id) => [id, 0]));
+
+  if (patientIds.length === 0) {
+    return debts;
+  }
+
+  const placeholders = patientIds.map(() => "?").join(",");
+  const params = [...patientIds, clinic.id_clinica, clinic.id_super_clinica];
+
+  // Sin pagos_recibo no hay movimientos migrados: solo cuenta lo facturado
+  const hasMovements =
+    (await findMissingTables([MOVEMENTS_TABLE])).length === 0;
+
+  const creditNoteFilter = hasMovements
+    ? `AND NOT EXISTS (
+         SELECT 1 FROM ${MOVEMENTS_TABLE} m
+         WHERE m.id_recibo_rectificativa = r.id_recibo
+         AND m.tipo = ?
+       )`
+    : "";
+
+  const invoiced = await query(
+    `SELECT r.id_paciente, SUM(r.monto_total) AS total FROM recibos r
+     WHERE r.id_paciente IN (${placeholders})
+     AND r.id_clinica = ?
+     AND r.id_super_clinica = ?
+     ${creditNoteFilter}
+     GROUP BY r.id_paciente`,
+    hasMovements ? [...params, MOVEMENT_TYPE.CREDIT_NOTE] : params
+  );
+
+  invoiced.forEach((row) => {
+    debts.set(row.id_paciente, Number(row.total || 0));
+  });
+
+  if (!hasMovements) {
+    debts.forEach((debt, id) => debts.set(id, roundAmount(debt)));
+    return debts;
+  }
+
+  // Rectificativas (negativas) reducen lo facturado; pagos y devoluciones
+  // (negativas) son lo cobrado neto
+  const movements = await query(
+    `SELECT id_paciente,
+            SUM(CASE WHEN tipo = ? THEN importe ELSE 0 END) AS rectificado,
+            SUM(CASE WHEN tipo IN (?, ?) THEN importe ELSE 0 END) AS cobrado
+     FROM ${MOVEMENTS_TABLE}
+     WHERE id_paciente IN (${placeholders})
+     AND id_clinica = ?
+     AND id_super_clinica = ?
+     GROUP BY id_paciente`,
+    [
+      MOVEMENT_TYPE.CREDIT_NOTE,
+      MOVEMENT_TYPE.PAYMENT,
+      MOVEMENT_TYPE.REFUND,
+      ...params,
+    ]
+  );
+
+  movements.forEach((row) => {
+    debts.set(
+      row.id_paciente,
+      (debts.get(row.id_paciente) || 0) +
+        Number(row.rectificado || 0) -
+        Number(row.cobrado || 0)
+    );
+  });
+
+  debts.forEach((debt, id) => debts.set(id, roundAmount(debt)));
+
+  return debts;
+}
+
+/**
+ * Informe de conciliación vacío (se guarda en el checkpoint, por eso es un objeto plano)
+ * @returns {Object}
+ */
+function emptyReconciliation() {
+  return {
+    patients: 0,
+    koibox: { deuda: 0, saldoACuenta: 0 },
+    computed: { deuda: 0 },
+    difference: 0,
+    mismatchedPatients: 0,
+    mismatches: [],
+  };
+}
+
+/**
+ * Suma el saldo de un paciente al informe de conciliación
+ * @param {Object} reconciliation - Informe de conciliación (se modifica)
+ * @param {Object} entry - { id_paciente, old_id, deuda, saldoACuenta, deudaCalculada }
+ */
+function addToReconciliation(reconciliation, entry) {
+  const difference = roundAmount(entry.deuda - entry.deudaCalculada);
+
+  reconciliation.patients++;
+  reconciliation.koibox.deuda = roundAmount(
+    reconciliation.koibox.deuda + entry.deuda
+  );
+  reconciliation.koibox.saldoACuenta = roundAmount(
+    reconciliation.koibox.saldoACuenta + entry.saldoACuenta
+  );
+  reconciliation.computed.deuda = roundAmount(
+    reconciliation.computed.deuda + entry.deudaCalculada
+  );
+  reconciliation.difference = roundAmount(
+    reconciliation.koibox.deuda - reconciliation.computed.deuda
+  );
+
+  if (Math.abs(difference) < RECONCILIATION_TOLERANCE) {
+    return;
+  }
+
+  reconciliation.mismatchedPatients++;
+
+  if (reconciliation.mismatches.length < MAX_RECONCILIATION_MISMATCHES) {
+    reconciliation.mismatches.push({
+      id_paciente: entry.id_paciente,
+      old_id: entry.old_id,
+      koiboxDebt: entry.deuda,
+      computedDebt: entry.deudaCalculada,
+      difference,
+    });
+  }
+}
+
+module.exports = {
+  BALANCES_TABLE,
+  BALANCE_UPDATE_COLUMNS,
+  checkBalancesTable,
+  getKoiboxBalance,
+  getComputedDebts,
+  emptyReconciliation,
+  addToReconciliation,
+};
@@ -0,0 +1,133 @@
+const {
+  getDbItemId,
+  normalizeText,
+} = require("./deterministic-matcher.service");
+
+// Columnas con el nombre del tipo de pago en el catálogo tipo_pago
+const PAYMENT_TYPE_NAME_FIELD = /^(nombre|descripcion|tipo_pago|tipo|name)$/i;
+
+/**
+ * Nombre de un tipo de pago del catálogo de ClinicSay
+ * @param {Object} row - Fila de tipo_pago
+ * @returns {string|null}
+ */
+function getPaymentTypeName(row) {
+  const field = Object.keys(row).find(
+    (key) => PAYMENT_TYPE_NAME_FIELD.test(key) && typeof row[key] === "string"
+  );
+
+  return field ? row[field] : null;
+}
+
+/**
+ * Pagos de una venta de Koibox: los de `pagos` si la venta se pagó con varios
+ * métodos o, si no, uno solo con la forma de pago y el total de la venta
+ * @param {Object} sale - Venta de Koibox
+ * @returns {Array} - [{ api_id, text, importe }]
+ */
+function getSalePayments(sale) {
+  const describe = (method, importe) => ({
+    api_id: method && typeof method === "object" ? method.value : method,
+    text: method && typeof method === "object" ? method.text || null : null,
+    importe: Number(importe || 0),
+  });
+
+  if (Array.isArray(sale.pagos) && sale.pagos.length > 0) {
+    return sale.pagos.map((pago) =>
+      describe(pago.forma_pago, pago.importe ?? pago.total)
+    );
+  }
+
+  if (sale.forma_pago === null || sale.forma_pago === undefined) {
+    return [];
+  }
+
+  return [describe(sale.forma_pago, sale.total)];
+}
+
+/**
+ * Crea el resolvedor de formas de pago de las ventas de una migración
+ * Cada pago se resuelve con el mapeo de formas de pago (payment_method) y, si la
+ * forma de pago no está en el mapeo, por su nombre exacto en el catálogo tipo_pago
+ * (las ignoradas en el mapeo no se buscan por nombre)
+ * @param {Object} paymentMapping - Resultado de mapData para 'payment_method'
+ * @param {Array} dbPaymentTypes - Filas de tipo_pago
+ * @returns {Function} - (sale) => { idTipoPago, formaPago, payments, unidentified, detalles }
+ */
+function createPaymentResolver(paymentMapping, dbPaymentTypes) {
+  const namesById = new Map();
+  const idsByName = new Map();
+
+  dbPaymentTypes.forEach((row) => {
+    const name = getPaymentTypeName(row);
+    namesById.set(String(getDbItemId(row)), name);
+    if (name) {
+      idsByName.set(normalizeText(name), getDbItemId(row));
+    }
+  });
+
+  return (sale) => {
+    const payments = getSalePayments(sale).map((payment) => {
+      const isMapped =
+        payment.api_id !== null &&
+        payment.api_id !== undefined &&
+        Object.prototype.hasOwnProperty.call(
+          paymentMapping.mapper,
+          String(payment.api_id)
+        );
+      // Una forma de pago ignorada en el mapeo (null) queda sin identificar
+      const idTipoPago = isMapped
+        ? paymentMapping.mapper[String(payment.api_id)]
+        : payment.text
+        ? idsByName.get(normalizeText(payment.text))
+        : undefined;
+
+      return {
+        ...payment,
+        id_tipo_pago: idTipoPago ?? null,
+        tipo_pago:
+          idTipoPago === undefined || idTipoPago === null
+            ? null
+            : namesById.get(String(idTipoPago)) || null,
+      };
+    });
+
+    const identified = payments.filter(
+      (payment) => payment.id_tipo_pago !== null
+    );
+    const unidentified = payments.filter(
+      (payment) => payment.id_tipo_pago === null
+    );
+
+    // El tipo de pago principal es el del mayor importe identificado
+    const primary = identified.reduce(
+      (best, payment) =>
+        !best || payment.importe > best.importe ? payment : best,
+      null
+    );
+
+    // Texto de la forma de pago: los tipos del catálogo (o el texto de Koibox
+    // si no se identificó) de todos los pagos, sin repetir
+    const names = [
+      ...new Set(
+        payments
+          .map((payment) => payment.tipo_pago || payment.text)
+          .filter(Boolean)
+      ),
+    ];
+
+    return {
+      idTipoPago: primary ? primary.id_tipo_pago : null,
+      formaPago: names.length > 0 ? names.join(" + ") : null,
+      payments,
+      unidentified,
+      // Desglose de los pagos divididos entre varios métodos
+      detalles:
+        payments.length > 1 ? JSON.stringify({ pagos: payments }) : null,
+    };
+  };
+}
+
+module.exports = {
+  createPaymentResolver,
+};
@@ -0,0 +1,203 @@
+const { findMissingTables } = require("../config/database");
+
+// Tipos de movimiento de un recibo
+const MOVEMENT_TYPE = {
+  PAYMENT: "pago",
+  REFUND: "devolucion",
+  CREDIT_NOTE: "rectificativa",
+};
+
+// Tabla de ClinicSay con los pagos, devoluciones y rectificativas de cada recibo.
+// Debe existir en el esquema de destino (ver README): la migración no la crea
+const MOVEMENTS_TABLE = "pagos_recibo";
+
+// Columnas que identifican un movimiento migrado: los IDs de pagos, devoluciones
+// y ventas de Koibox son independientes, así que el tipo y el recibo forman parte
+// de la clave, y `orden` (posición del movimiento en su venta) distingue los de un mismo origen
+const MOVEMENT_CONFLICT_KEYS = ["tipo", "old_id", "id_recibo", "orden"];
+
+// Columnas que se actualizan en movimientos ya migrados
+const MOVEMENT_UPDATE_COLUMNS = [
+  "fecha",
+  "importe",
+  "id_tipo_pago",
+  "forma_pago",
+  "descripcion",
+];
+
+/**
+ * Comprueba que la tabla de movimientos existe en la BD de destino
+ * @returns {Promise<Object|null>} - Error o null si existe
+ */
+async function checkMovementsTable() {
+  const missing = await findMissingTables([MOVEMENTS_TABLE]);
+
+  if (missing.length === 0) {
+    return null;
+  }
+
+  return {
+    success: false,
+    error: "MISSING_TARGET_TABLES",
+    message: `Table ${MOVEMENTS_TABLE} does not exist in the target database, create it before migrating recibos`,
+    tables: missing,
+  };
+}
+
+/**
+ * ID de Koibox de un pago o devolución de una venta
+ * Sin él el movimiento no se puede identificar al repetir la migración, así que se lanza un error
+ * @param {Object} sale - Venta de Koibox
+ * @param {Object} movement - Elemento de `pagos` o `devoluciones`
+ * @param {string} tipo - Tipo de movimiento
+ * @returns {*}
+ */
+function getMovementSourceId(sale, movement, tipo) {
+  if (movement.id !== null && movement.id !== undefined) {
+    return movement.id;
+  }
+
+  const error = new Error(`Sale ${sale.id} has a ${tipo} without id`);
+  error.code = "MISSING_MOVEMENT_ID";
+  throw error;
+}
+
+/**
+ * Convierte una fecha ISO de Koibox al formato DATETIME de la BD
+ * @param {string|null} value - Fecha de Koibox
+ * @returns {string|null}
+ */
+function toDateTime(value) {
+  if (!value) {
+    return null;
+  }
+
+  const [fecha, resto = ""] = value.split("T");
+  return `${fecha} ${resto.split(".")[0] || "00:00:00"}`;
+}
+
+/**
+ * ID de la venta original de una venta rectificativa de Koibox (null si no lo es)
+ * @param {Object} sale - Venta de Koibox
+ * @returns {*}
+ */
+function getRectifiedSaleId(sale) {
+  const rectified = sale.venta_rectificada ?? sale.rectificativa_de ?? null;
+  return rectified && typeof rectified === "object"
+    ? rectified.value ?? null
+    : rectified;
+}
+
+/**
+ * Construye los movimientos (pagos, devoluciones y rectificativa) de una venta
+ * - Pagos: uno por cada elemento de `pagos` (pagos parciales a lo largo del tiempo);
+ *   sin `pagos`, un único pago por lo cobrado (total - pendiente) en la fecha de la venta
+ * - Devoluciones: una por cada elemento de `devoluciones`, con importe negativo
+ * - Rectificativa: si la venta rectifica otra, un movimiento negativo en el recibo original
+ * Cada movimiento lleva su posición entre los de su tipo en la venta (`orden`)
+ * @param {Object} sale - Venta de Koibox con su detalle
+ * @param {Object} recibo - Recibo migrado { id_recibo, id_paciente, id_clinica, id_super_clinica }
+ * @param {*} idReciboOriginal - id_recibo de la venta rectificada (null si no se encontró)
+ * @param {Function} resolvePayments - Resolvedor de formas de pago (payment-methods.service)
+ * @returns {Array} - Filas de pagos_recibo
+ * @throws {Error} - MISSING_MOVEMENT_ID si un pago o devolución no tiene ID de Koibox
+ */
+function buildSaleMovements(sale, recibo, idReciboOriginal, resolvePayments) {
+  const base = {
+    id_recibo: recibo.id_recibo,
+    id_recibo_rectificativa: null,
+    id_paciente: recibo.id_paciente || null,
+    id_clinica: recibo.id_clinica,
+    id_super_clinica: recibo.id_super_clinica,
+  };
+
+  // Forma de pago de un movimiento con el catálogo tipo_pago
+  const paymentType = (formaPago, importe) => {
+    const resolved = resolvePayments({ forma_pago: formaPago, total: importe });
+    return {
+      id_tipo_pago: resolved.idTipoPago,
+      forma_pago: resolved.formaPago,
+    };
+  };
+
+  const movements = [];
+  const isCreditNote = getRectifiedSaleId(sale) !== null;
+
+  if (Array.isArray(sale.pagos) && sale.pagos.length > 0) {
+    sale.pagos.forEach((pago, orden) => {
+      const importe = Number(pago.importe ?? pago.total ?? 0);
+      movements.push({
+        ...base,
+        tipo: MOVEMENT_TYPE.PAYMENT,
+        fecha: toDateTime(pago.fecha) || toDateTime(sale.fecha),
+        importe,
+        ...paymentType(pago.forma_pago, importe),
+        descripcion: null,
+        old_id: getMovementSourceId(sale, pago, MOVEMENT_TYPE.PAYMENT),
+        orden,
+      });
+    });
+  } else if (!isCreditNote) {
+    const cobrado = Number(sale.total || 0) - Number(sale.pendiente || 0);
+
+    if (cobrado > 0) {
+      movements.push({
+        ...base,
+        tipo: MOVEMENT_TYPE.PAYMENT,
+        fecha: toDateTime(sale.fecha),
+        importe: cobrado,
+        ...paymentType(sale.forma_pago, cobrado),
+        descripcion: null,
+        old_id: sale.id,
+        orden: 0,
+      });
+    }
+  }
+
+  (Array.isArray(sale.devoluciones) ? sale.devoluciones : []).forEach(
+    (devolucion, orden) => {
+      const importe = -Math.abs(
+        Number(devolucion.importe ?? devolucion.total ?? 0)
+      );
+      movements.push({
+        ...base,
+        tipo: MOVEMENT_TYPE.REFUND,
+        fecha: toDateTime(devolucion.fecha),
+        importe,
+        ...paymentType(devolucion.forma_pago, importe),
+        descripcion: devolucion.motivo || devolucion.descripcion || null,
+        old_id: getMovementSourceId(sale, devolucion, MOVEMENT_TYPE.REFUND),
+        orden,
+      });
+    }
+  );
+
+  if (isCreditNote && idReciboOriginal) {
+    movements.push({
+      ...base,
+      id_recibo: idReciboOriginal,
+      id_recibo_rectificativa: recibo.id_recibo,
+      tipo: MOVEMENT_TYPE.CREDIT_NOTE,
+      fecha: toDateTime(sale.fecha),
+      importe: -Math.abs(Number(sale.total || 0)),
+      id_tipo_pago: null,
+      forma_pago: null,
+      descripcion: `Rectificativa ${sale.num_ticket || sale.id}`,
+      old_id: sale.id,
+      orden: 0,
+    });
+  }
+
+  return movements;
+}
+
+module.exports = {
+  MOVEMENT_TYPE,
+  MOVEMENTS_TABLE,
+  MOVEMENT_CONFLICT_KEYS,
+  MOVEMENT_UPDATE_COLUMNS,
+  checkMovementsTable,
+  toDateTime,
+  getRectifiedSaleId,
+  buildSaleMovements,
+};
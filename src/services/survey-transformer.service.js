@@ -1,4 +1,48 @@
-const { openai } = require("../config/openai");
+const { isCompletionAvailable } = require("../config/llm");
+const { completeWithUsage } = require("./ai-usage.service");
+const {
+  minimizeSurveyForAi,
+  logDisclosure,
+} = require("./ai-privacy.service");
+
+// Marcador de Koibox para respuestas de texto libre
+const KOIBOX_TEXTAREA = "[TEXTAREA]";
+
+/**
+ * Transforma una encuesta de Koibox sin LLM (LLM_PROVIDER=rules)
+ * - Preguntas de texto (tipo 4 o sin opciones) → tipo 1
+ * - Preguntas con opciones → tipo 2 (selección única)
+ * - Todas las preguntas en una categoría con el nombre de la encuesta
+ * @param {Object} koiboxSurvey - Encuesta completa de Koibox
+ * @returns {Object} - Estructura transformada (mismo formato que la IA)
+ */
+function transformSurveyWithRules(koiboxSurvey) {
+  const preguntas = (koiboxSurvey.preguntas || []).map((pregunta) => {
+    const opciones = (pregunta.respuestas || [])
+      .map((respuesta) => respuesta.descripcion)
+      .filter((descripcion) => descripcion && descripcion !== KOIBOX_TEXTAREA);
+    const isText = pregunta.tipo === 4 || opciones.length === 0;
+
+    return {
+      texto: pregunta.descripcion_es || pregunta.descripcion,
+      id_tipo_pregunta: isText ? 1 : 2,
+      opciones: isText
+        ? {}
+        : Object.fromEntries(
+            opciones.map((opcion, index) => [`opcion${index + 1}`, opcion])
+          ),
+      koibox_question_id: pregunta.id,
+    };
+  });
+
+  return {
+    anamnesis_hoja: {
+      nombre: koiboxSurvey.nombre,
+      publico_objetivo: null,
+    },
+    categorias: [{ nombre: koiboxSurvey.nombre, orden: 0, preguntas }],
+  };
+}
 
 /**
  * Transforma una encuesta de Koibox al formato de anamnesis usando IA
@@ -10,16 +54,37 @@ const { openai } = require("../config/openai");
  * @param {Object} koiboxSurvey - Encuesta completa de Koibox
  * @param {number} id_clinica - ID de la clínica
  * @param {number} id_super_clinica - ID de la super clínica
+ * @param {Object|null} aiUsage - Acumulador de uso de IA de la ejecución
  * @returns {Promise<Object>} - Estructura transformada para insertar en BD
  */
 async function transformSurveyWithAI(
   koiboxSurvey,
   id_clinica,
-  id_super_clinica
+  id_super_clinica,
+  aiUsage = null
 ) {
   try {
+    if (!isCompletionAvailable()) {
+      console.log(
+        `  → No LLM provider configured, transforming survey "${koiboxSurvey.nombre}" with rules...`
+      );
+      return {
+        success: true,
+        data: transformSurveyWithRules(koiboxSurvey),
+      };
+    }
+
     console.log(`  → Using AI to transform survey "${koiboxSurvey.nombre}"...`);
 
+    // Solo salen hacia la IA los textos de la encuesta, sin metadatos
+    const { survey, fields } = minimizeSurveyForAi(koiboxSurvey);
+    await logDisclosure(aiUsage, {
+      operation: "survey",
+      entityType: koiboxSurvey.nombre,
+      records: survey.preguntas.length,
+      fields: { survey: fields },
+    });
+
     const systemPrompt = `Eres un experto en migración de datos de encuestas médicas. Tu tarea es transformar encuestas del sistema Koibox al formato de anamnesis de ClinicSay.
 
 INFORMACIÓN IMPORTANTE SOBRE TIPOS DE PREGUNTAS:
@@ -116,7 +181,7 @@ Devuelve ÚNICAMENTE el objeto JSON (sin \`\`\`json, sin markdown, sin explicaci
     const userPrompt = `Necesito transformar esta encuesta de Koibox al formato de anamnesis de ClinicSay:
 
 **Encuesta de Koibox:**
-${JSON.stringify(koiboxSurvey, null, 2)}
+${JSON.stringify(survey, null, 2)}
 
 **Datos adicionales:**
 - id_clinica: ${id_clinica}
@@ -129,17 +194,17 @@ Analiza cuidadosamente cada pregunta y determina:
 
 Responde ÚNICAMENTE con el objeto JSON en el formato especificado.`;
 
-    // Llamar a OpenAI API
-    const response = await openai.chat.completions.create({
-      model: "gpt-5",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-    });
+    // Llamar al proveedor de LLM configurado
+    const content = await completeWithUsage(
+      { system: systemPrompt, user: userPrompt },
+      {
+        operation: "survey",
+        entityType: koiboxSurvey.nombre,
+        tracker: aiUsage,
+      }
+    );
 
     // Parsear respuesta
-    const content = response.choices[0].message.content.trim();
     console.log("    - AI raw response length:", content.length);
 
     // Extraer JSON del contenido (por si viene con markdown)
@@ -0,0 +1,134 @@
+const { getLastSuccessfulRunDate } = require("./job.service");
+const { CONFLICT_STRATEGY } = require("./batch.service");
+
+// Modos de sincronización soportados por las migraciones
+const SYNC_MODE = {
+  FULL: "full",
+  INCREMENTAL: "incremental",
+};
+
+// Filtro de la API de Koibox para pedir solo registros modificados desde una fecha
+const SINCE_PARAM = "updated__gte";
+
+/**
+ * Resuelve la ventana de sincronización de una migración a partir de sus opciones
+ * - mode 'full' (default): se migran todos los registros y se omiten los ya existentes
+ * - mode 'incremental': solo los registros creados/modificados desde `since`
+ *   (o desde la última ejecución correcta) y se actualizan los existentes
+ * La estrategia ante registros existentes puede forzarse con `onConflict` ('skip', 'update', 'error')
+ * @param {Object} context - Contexto de la migración (clinic, options)
+ * @param {string} platform - Plataforma origen (ej: 'koibox')
+ * @param {string} entity - Entidad migrada (ej: 'citas')
+ * @returns {Promise<Object>} - { success, incremental, since, onConflict } o error
+ */
+async function resolveSyncWindow(context, platform, entity) {
+  const {
+    mode = SYNC_MODE.FULL,
+    since = null,
+    onConflict = null,
+  } = context.options || {};
+
+  if (!Object.values(SYNC_MODE).includes(mode)) {
+    return {
+      success: false,
+      error: "INVALID_SYNC_MODE",
+      message: `Invalid sync mode '${mode}', expected one of: ${Object.values(SYNC_MODE).join(", ")}`,
+    };
+  }
+
+  if (onConflict && !Object.values(CONFLICT_STRATEGY).includes(onConflict)) {
+    return {
+      success: false,
+      error: "INVALID_CONFLICT_STRATEGY",
+      message: `Invalid conflict strategy '${onConflict}', expected one of: ${Object.values(CONFLICT_STRATEGY).join(", ")}`,
+    };
+  }
+
+  if (mode === SYNC_MODE.FULL) {
+    return {
+      success: true,
+      incremental: false,
+      since: null,
+      onConflict: onConflict || CONFLICT_STRATEGY.SKIP,
+    };
+  }
+
+  const incrementalConflict = onConflict || CONFLICT_STRATEGY.UPDATE;
+
+  if (since) {
+    const sinceDate = new Date(since);
+
+    if (Number.isNaN(sinceDate.getTime())) {
+      return {
+        success: false,
+        error: "INVALID_SINCE",
+        message: `Invalid 'since' date: ${since}`,
+      };
+    }
+
+    return {
+      success: true,
+      incremental: true,
+      since: sinceDate,
+      onConflict: incrementalConflict,
+    };
+  }
+
+  const lastRunDate = await getLastSuccessfulRunDate(platform, entity, context.clinic);
+
+  if (!lastRunDate) {
+    return {
+      success: false,
+      error: "NO_PREVIOUS_RUN",
+      message: `No successful ${platform}/${entity} run found for this clinic, run a full migration first or provide 'since'`,
+    };
+  }
+
+  return {
+    success: true,
+    incremental: true,
+    since: new Date(lastRunDate),
+    onConflict: incrementalConflict,
+  };
+}
+
+/**
+ * Indica si un registro de origen cambió desde la fecha de la ventana
+ * Los registros sin fecha de creación/modificación se procesan siempre
+ * @param {Object} record - Registro de la API (con updated / created)
+ * @param {Object} syncWindow - Ventana resuelta por resolveSyncWindow
+ * @returns {boolean} - true si hay que procesarlo
+ */
+function isChangedSince(record, syncWindow) {
+  if (!syncWindow.incremental) {
+    return true;
+  }
+
+  const changedAt = record.updated || record.created;
+
+  if (!changedAt) {
+    return true;
+  }
+
+  return new Date(changedAt) >= syncWindow.since;
+}
+
+/**
+ * Construye los parámetros de consulta para pedir a la API solo los registros cambiados
+ * @param {Object} syncWindow - Ventana resuelta por resolveSyncWindow
+ * @returns {Object} - Parámetros de consulta (vacío en modo full)
+ */
+function buildSinceParams(syncWindow) {
+  if (!syncWindow.incremental) {
+    return {};
+  }
+
+  return { [SINCE_PARAM]: syncWindow.since.toISOString() };
+}
+
+module.exports = {
+  SYNC_MODE,
+  resolveSyncWindow,
+  isChangedSince,
+  buildSinceParams,
+};
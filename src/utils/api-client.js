@@ -1,13 +1,171 @@
 const axios = require('axios');
 
+// Reintentos ante 429, 5xx y errores de red (configurables por entorno)
+const RETRY_DEFAULTS = {
+  retries: Number(process.env.API_MAX_RETRIES || 4),
+  baseDelayMs: Number(process.env.API_RETRY_BASE_DELAY_MS || 500),
+  maxDelayMs: Number(process.env.API_RETRY_MAX_DELAY_MS || 30000)
+};
+
+// Peticiones por segundo a cada API externa (0 = sin límite)
+const DEFAULT_RATE_LIMIT = Number(process.env.API_RATE_LIMIT_PER_SECOND || 5);
+
+// Páginas pedidas por adelantado mientras se procesa la actual (1 = secuencial)
+const DEFAULT_PAGE_CONCURRENCY = Number(process.env.API_PAGE_CONCURRENCY || 4);
+
+// Qué hacer cuando una página no se puede obtener tras los reintentos
+const PAGE_ERROR_POLICY = {
+  FAIL: 'fail',
+  SKIP: 'skip'
+};
+
+// Próximo instante libre por API (baseURL): compartido por todos los clientes del proceso
+const nextRequestSlots = new Map();
+
+/**
+ * Espera el turno de la siguiente petición a una API respetando su límite de peticiones por segundo
+ * @param {string} baseURL - URL base de la API
+ * @param {number} rateLimit - Peticiones por segundo (0 = sin límite)
+ * @returns {Promise<void>}
+ */
+async function waitForRateLimit(baseURL, rateLimit) {
+  const now = Date.now();
+  const slot = Math.max(now, nextRequestSlots.get(baseURL) || 0);
+
+  nextRequestSlots.set(baseURL, rateLimit > 0 ? slot + 1000 / rateLimit : slot);
+
+  if (slot > now) {
+    await sleep(slot - now);
+  }
+}
+
+/**
+ * Pausa todas las peticiones a una API (ej: tras un 429 con Retry-After)
+ * @param {string} baseURL - URL base de la API
+ * @param {number} delayMs - Milisegundos de pausa
+ */
+function pauseRequests(baseURL, delayMs) {
+  nextRequestSlots.set(
+    baseURL,
+    Math.max(nextRequestSlots.get(baseURL) || 0, Date.now() + delayMs)
+  );
+}
+
+/**
+ * Espera los milisegundos indicados
+ * @param {number} ms - Milisegundos
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Indica si un error de axios merece reintento: sin respuesta (red, timeout), 429 o 5xx
+ * @param {Object} error - Error de axios
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error.response) {
+    return error.code !== 'ERR_CANCELED';
+  }
+
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+/**
+ * Milisegundos indicados por la cabecera Retry-After (segundos o fecha HTTP)
+ * @param {Object} error - Error de axios
+ * @returns {number|null}
+ */
+function getRetryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+
+  if (header === undefined || header === null) {
+    return null;
+  }
+
+  const seconds = Number(header);
+
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Espera antes del siguiente intento: Retry-After si la API lo indica o
+ * backoff exponencial con jitter (entre la mitad y el total del retardo)
+ * @param {number} attempt - Intento que acaba de fallar (0 = primero)
+ * @param {Object} retry - { baseDelayMs, maxDelayMs }
+ * @param {Object} error - Error de axios
+ * @returns {number} - Milisegundos de espera
+ */
+function getRetryDelay(attempt, retry, error) {
+  const retryAfter = getRetryAfterMs(error);
+
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, retry.maxDelayMs);
+  }
+
+  const delay = Math.min(retry.baseDelayMs * 2 ** attempt, retry.maxDelayMs);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Ejecuta una petición respetando el límite de peticiones y reintentando los errores transitorios
+ * Los POST solo se reintentan ante 429 (la API no llegó a procesarlos)
+ * @param {Object} client - Cliente axios creado con createApiClient
+ * @param {Object} config - Configuración de la petición axios (method, url, params, data)
+ * @returns {Promise<Object>} - Respuesta de axios (lanza el último error si se agotan los intentos)
+ */
+async function requestWithRetry(client, config) {
+  const { retry = RETRY_DEFAULTS, rateLimit = 0 } = client.migrationOptions || {};
+  const baseURL = client.defaults.baseURL;
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForRateLimit(baseURL, rateLimit);
+
+    try {
+      return await client.request(config);
+    } catch (error) {
+      const retryable =
+        config.method === 'post'
+          ? error.response?.status === 429
+          : isRetryableError(error);
+
+      if (!retryable || attempt >= retry.retries) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, retry, error);
+
+      if (error.response?.status === 429) {
+        pauseRequests(baseURL, delay);
+      }
+
+      console.warn(
+        `⚠ ${config.method.toUpperCase()} ${config.url} failed (${error.response?.status || error.code || error.message}), retry ${attempt + 1}/${retry.retries} in ${delay} ms`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
 /**
  * Crea un cliente HTTP configurado para una API específica
  * @param {string} baseURL - URL base de la API
  * @param {Object} defaultHeaders - Headers por defecto
  * @param {number} timeout - Timeout en milisegundos
+ * @param {Object} options - Reintentos y límite de peticiones
+ * @param {Object} options.retry - { retries, baseDelayMs, maxDelayMs } (default: API_MAX_RETRIES, API_RETRY_*)
+ * @param {number} options.rateLimit - Peticiones por segundo a esta API (default: API_RATE_LIMIT_PER_SECOND)
  * @returns {Object} - Cliente axios configurado
  */
-function createApiClient(baseURL, defaultHeaders = {}, timeout = 30000) {
+function createApiClient(baseURL, defaultHeaders = {}, timeout = 30000, options = {}) {
   const client = axios.create({
     baseURL,
     timeout,
@@ -45,11 +203,16 @@ function createApiClient(baseURL, defaultHeaders = {}, timeout = 30000) {
     }
   );
 
+  client.migrationOptions = {
+    retry: { ...RETRY_DEFAULTS, ...options.retry },
+    rateLimit: options.rateLimit === undefined ? DEFAULT_RATE_LIMIT : options.rateLimit
+  };
+
   return client;
 }
 
 /**
- * Realiza una petición GET con manejo de errores
+ * Realiza una petición GET con reintentos y manejo de errores
  * @param {Object} client - Cliente axios
  * @param {string} endpoint - Endpoint a consultar
  * @param {Object} params - Parámetros de query
@@ -57,7 +220,11 @@ function createApiClient(baseURL, defaultHeaders = {}, timeout = 30000) {
  */
 async function get(client, endpoint, params = {}) {
   try {
-    const response = await client.get(endpoint, { params });
+    const response = await requestWithRetry(client, {
+      method: 'get',
+      url: endpoint,
+      params
+    });
     return {
       success: true,
       data: response.data,
@@ -68,13 +235,14 @@ async function get(client, endpoint, params = {}) {
       success: false,
       error: error.message,
       status: error.response?.status,
-      data: error.response?.data
+      data: error.response?.data,
+      attempts: error.attempts
     };
   }
 }
 
 /**
- * Realiza una petición POST con manejo de errores
+ * Realiza una petición POST con manejo de errores (solo se reintenta ante 429)
  * @param {Object} client - Cliente axios
  * @param {string} endpoint - Endpoint a consultar
  * @param {Object} data - Datos a enviar
@@ -82,7 +250,11 @@ async function get(client, endpoint, params = {}) {
  */
 async function post(client, endpoint, data = {}) {
   try {
-    const response = await client.post(endpoint, data);
+    const response = await requestWithRetry(client, {
+      method: 'post',
+      url: endpoint,
+      data
+    });
     return {
       success: true,
       data: response.data,
@@ -93,13 +265,36 @@ async function post(client, endpoint, data = {}) {
       success: false,
       error: error.message,
       status: error.response?.status,
-      data: error.response?.data
+      data: error.response?.data,
+      attempts: error.attempts
     };
   }
 }
 
+/**
+ * Describe una página que no se pudo obtener tras los reintentos
+ * @param {number} page - Página (base 0)
+ * @param {number} totalPages - Total de páginas
+ * @param {number} offset - Offset de la página
+ * @param {number} limit - Registros por página
+ * @param {Object} response - Respuesta fallida de get()
+ * @returns {Object} - { page, offset, limit, status, attempts, error, message }
+ */
+function describePageGap(page, totalPages, offset, limit, response) {
+  return {
+    page,
+    offset,
+    limit,
+    status: response.status || null,
+    attempts: response.attempts || 1,
+    error: response.error,
+    message: `Failed to fetch page ${page + 1}/${totalPages} (offset ${offset}) after ${response.attempts || 1} attempts: ${response.error}`
+  };
+}
+
 /**
  * Obtiene todos los datos paginados de un endpoint
+ * Si una página no se puede obtener tras los reintentos, falla sin devolver datos parciales
  * @param {Object} client - Cliente axios
  * @param {string} endpoint - Endpoint a consultar
  * @param {number} limit - Límite por página
@@ -137,9 +332,16 @@ async function getAllPaginated(client, endpoint, limit = 100, offsetParam = 'off
 
       const response = await get(client, endpoint, { [offsetParam]: offset });
 
+      // Sin todas las páginas el conjunto queda incompleto (ej: faltarían médicos al mapear)
       if (!response.success) {
-        console.warn(`⚠ Failed to fetch page ${page + 1}/${totalPages}, skipping...`);
-        continue;
+        const gap = describePageGap(page, totalPages, offset, limit, response);
+        console.error(`✗ ${gap.message}`);
+        return {
+          success: false,
+          error: gap.message,
+          gap,
+          data: []
+        };
       }
 
       allResults.push(...response.data.results);
@@ -167,16 +369,41 @@ async function getAllPaginated(client, endpoint, limit = 100, offsetParam = 'off
 
 /**
  * Procesa datos paginados en lotes (sin cargar todo en memoria)
+ * Las páginas siguientes se piden en paralelo mientras se procesa la actual, pero processFn
+ * las recibe siempre en orden y de una en una. Como mucho hay `concurrency` páginas pedidas
+ * o esperando a ser procesadas: si las inserciones van más lentas que la API, no se piden más
  * @param {Object} client - Cliente axios
  * @param {string} endpoint - Endpoint a consultar
  * @param {Function} processFn - Función para procesar cada lote
  * @param {number} limit - Límite por página
- * @returns {Promise<Object>} - Resultado del procesamiento
+ * @param {Object} options - Opciones de consulta y reanudación
+ * @param {Object} options.params - Parámetros de consulta adicionales (ej: filtros de fecha)
+ * @param {number} options.startPage - Página (base 0) desde la que empezar (default: 0)
+ * @param {Function} options.onPageProcessed - Callback tras procesar cada página (recibe page, totalPages)
+ * @param {Function} options.shouldStop - Devuelve true para detener el procesamiento entre páginas
+ * @param {string} options.onPageError - Página perdida tras los reintentos: 'fail' (default) detiene
+ *   el procesamiento; 'skip' la registra como hueco (gaps) y continúa
+ * @param {Function} options.onPageSkipped - Callback con cada hueco registrado en modo 'skip'
+ * @param {number} options.concurrency - Páginas pedidas por adelantado (default: API_PAGE_CONCURRENCY)
+ * @returns {Promise<Object>} - Resultado del procesamiento (gaps: páginas omitidas)
  */
-async function processPaginatedInBatches(client, endpoint, processFn, limit = 100) {
+async function processPaginatedInBatches(client, endpoint, processFn, limit = 100, options = {}) {
+  const {
+    params = {},
+    startPage = 0,
+    onPageProcessed = null,
+    shouldStop = null,
+    onPageError = PAGE_ERROR_POLICY.FAIL,
+    onPageSkipped = null,
+    concurrency = DEFAULT_PAGE_CONCURRENCY
+  } = options;
+  const gaps = [];
+  // Peticiones de páginas en curso o ya recibidas y pendientes de procesar: page -> Promise
+  const pendingPages = new Map();
+
   try {
-    // Primera petición para obtener el total
-    const firstResponse = await get(client, endpoint, { offset: 0 });
+    // Primera petición para obtener el total (desde la página de inicio)
+    const firstResponse = await get(client, endpoint, { ...params, offset: startPage * limit });
 
     if (!firstResponse.success) {
       return {
@@ -188,30 +415,97 @@ async function processPaginatedInBatches(client, endpoint, processFn, limit = 10
     const totalCount = firstResponse.data.count;
     const totalPages = Math.ceil(totalCount / limit);
 
+    if (startPage > 0) {
+      console.log(`→ Resuming at page ${startPage + 1}/${totalPages} (offset ${startPage * limit})`);
+    }
+
     console.log(`→ Processing ${totalCount} records in ${totalPages} batches...`);
 
-    // Procesar primera página
-    await processFn(firstResponse.data.results, 0, totalPages);
+    // Pedir páginas por adelantado hasta llenar la ventana de concurrencia
+    let nextPageToFetch = startPage + 1;
+    const fillWindow = () => {
+      while (nextPageToFetch < totalPages && pendingPages.size < Math.max(1, concurrency)) {
+        const page = nextPageToFetch++;
+        pendingPages.set(page, get(client, endpoint, { ...params, offset: page * limit }));
+      }
+    };
+
+    // Procesar una página y notificar el checkpoint
+    const handlePage = async (results, page) => {
+      await processFn(results, page, totalPages);
+
+      if (onPageProcessed) {
+        await onPageProcessed(page, totalPages);
+      }
+    };
+
+    let lastProcessedPage = startPage - 1;
+
+    // Procesar primera página (las siguientes ya se van pidiendo)
+    fillWindow();
+    if (startPage < totalPages) {
+      await handlePage(firstResponse.data.results, startPage);
+      lastProcessedPage = startPage;
+    }
 
     // Procesar páginas restantes
-    for (let page = 1; page < totalPages; page++) {
+    for (let page = startPage + 1; page < totalPages; page++) {
+      // Las páginas ya pedidas por adelantado se descartan: se volverán a pedir al reanudar
+      if (shouldStop && shouldStop()) {
+        console.warn(`⚠ Processing stopped after page ${lastProcessedPage + 1}/${totalPages}`);
+        return {
+          success: true,
+          stopped: true,
+          lastProcessedPage,
+          totalPages,
+          totalRecords: totalCount,
+          gaps
+        };
+      }
+
       const offset = page * limit;
-      const response = await get(client, endpoint, { offset });
+      fillWindow();
+      const response = await pendingPages.get(page);
+      pendingPages.delete(page);
+      fillWindow();
 
       if (!response.success) {
-        console.warn(`⚠ Failed to fetch page ${page + 1}/${totalPages}, skipping...`);
+        const gap = describePageGap(page, totalPages, offset, limit, response);
+
+        // Se detiene en la página perdida: el checkpoint permite reanudar desde ella
+        if (onPageError !== PAGE_ERROR_POLICY.SKIP) {
+          console.error(`✗ ${gap.message}`);
+          return {
+            success: false,
+            error: gap.message,
+            gap,
+            lastProcessedPage,
+            totalPages,
+            totalRecords: totalCount
+          };
+        }
+
+        console.warn(`⚠ ${gap.message}, recorded as a gap`);
+        gaps.push(gap);
+
+        if (onPageSkipped) {
+          await onPageSkipped(gap);
+        }
         continue;
       }
 
-      await processFn(response.data.results, page, totalPages);
+      await handlePage(response.data.results, page);
+      lastProcessedPage = page;
     }
 
-    console.log(`✓ All batches processed`);
+    console.log(`✓ All batches processed${gaps.length > 0 ? ` (${gaps.length} pages skipped)` : ''}`);
 
     return {
       success: true,
+      lastProcessedPage,
       totalPages,
-      totalRecords: totalCount
+      totalRecords: totalCount,
+      gaps
     };
 
   } catch (error) {
@@ -224,6 +518,7 @@ async function processPaginatedInBatches(client, endpoint, processFn, limit = 10
 }
 
 module.exports = {
+  PAGE_ERROR_POLICY,
   createApiClient,
   get,
   post,